@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+/**
+ * Checks a CSV or JSON file of people against the registration rules.
+ * Run `validate-people --help` for the options.
+ */
+
+import { runValidatePeople } from "../src/cli/validatePeople.js";
+
+process.exitCode = await runValidatePeople(process.argv.slice(2));
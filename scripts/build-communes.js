@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Generates `src/data/communes.js`, the French post code base bundled with the application,
+ * from the official geographic code published by Etalab (`@etalab/decoupage-administratif`,
+ * whose post codes come from the La Poste "base officielle des codes postaux").
+ * Run `npm run build:communes` after upgrading that package.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { createRequire } from "node:module";
+
+import { departmentFromPostCode } from "../src/utils/communes.js";
+
+const require = createRequire(import.meta.url);
+const SOURCE = require.resolve("@etalab/decoupage-administratif/data/communes.json");
+const { version } = require("@etalab/decoupage-administratif/package.json");
+const TARGET = new URL("../src/data/communes.js", import.meta.url);
+
+const byPostCode = new Map();
+for (const commune of JSON.parse(await readFile(SOURCE, "utf8"))) {
+    // Paris, Lyon and Marseille are listed once as a whole, with every post code, and once
+    // per arrondissement: only the city names are kept
+    if (commune.type !== "commune-actuelle") continue;
+    for (const postCode of commune.codesPostaux ?? []) {
+        const department = departmentFromPostCode(postCode) === commune.departement ? "" : `@${commune.departement}`;
+        if (!byPostCode.has(postCode)) byPostCode.set(postCode, new Set());
+        byPostCode.get(postCode).add(commune.nom + department);
+    }
+}
+
+const lines = [...byPostCode.keys()].sort().map(postCode => (
+    `${postCode} ${[...byPostCode.get(postCode)].sort((a, b) => a.localeCompare(b, "fr")).join("|")}`
+));
+
+await writeFile(TARGET, `/**
+ * @module data/communes
+ * @description The French post codes and the communes they serve: the La Poste "base
+ * officielle des codes postaux", as published with the official geographic code by Etalab
+ * (\`@etalab/decoupage-administratif\` ${version}, Licence Ouverte).
+ *
+ * Generated by \`npm run build:communes\`; do not edit by hand.
+ */
+
+/**
+ * One line per post code: the code, a space, then its communes separated by "|". A commune
+ * whose department cannot be derived from the post code is followed by "@" and its department
+ * (e.g. Saint-Barthélemy, 97133, is in collectivity 977). Text is half the size of the same
+ * entries written as an array.
+ * @type {string}
+ */
+const POST_CODES = \`${lines.join("\n")}\`;
+
+/**
+ * Post code / commune pairs, sorted by post code.
+ * Each entry is \`[postCode, communeName]\`, or \`[postCode, communeName, departmentCode]\`
+ * when the department cannot be derived from the post code.
+ * @type {Array<[string, string]|[string, string, string]>}
+ */
+const communes = POST_CODES.split("\\n").flatMap(line => line.slice(6).split("|")
+    .map(commune => [line.slice(0, 5), ...commune.split("@")]));
+
+export { communes }
+`);
+
+console.log(`${lines.length} post codes written to ${TARGET.pathname}`);
@@ -1 +1,5 @@
-import '@testing-library/jest-dom';
\ No newline at end of file
+import '@testing-library/jest-dom';
+import { expect } from 'vitest';
+import * as axeMatchers from 'vitest-axe/matchers';
+
+expect.extend(axeMatchers);
@@ -0,0 +1,138 @@
+/**
+ * @module cli/validatePeople
+ * @description The `validate-people` command: checks a CSV or JSON file of people against the
+ * registration rules, prints a summary and writes JSON and JUnit XML reports.
+ *
+ * Exit codes: 0 when everyone passes, 1 when someone fails, 2 when the command cannot run
+ * (bad arguments, unreadable file, report that cannot be written).
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+
+import {
+    FORMATS,
+    detectFormat,
+    readPeople,
+    validatePeople,
+    formatSummary,
+    toJSONReport,
+    toJUnitReport,
+} from "../utils/bulkValidation.js";
+import { toCalendarDate } from "../utils/age.js";
+import { ValidationError } from "../utils/errors.js";
+
+/**
+ * Help printed by `--help` and after argument errors.
+ * @type {string}
+ */
+const USAGE = `Usage: validate-people <file> [options]
+
+Checks a CSV or JSON file of people against the registration rules.
+
+Options:
+  --format <csv|json>  Format of the file (guessed from its extension by default)
+  --json <path>        Write a JSON report
+  --junit <path>       Write a JUnit XML report
+  --date <YYYY-MM-DD>  Reference date for ages (today by default)
+  --quiet              Only print the counts, not each error
+  -h, --help           Show this help
+`;
+
+/**
+ * Runs the command.
+ *
+ * @function runValidatePeople
+ * @param {string[]} args - The command-line arguments, without `node` and the script
+ * @param {Object} [io] - Where the command reads and writes, for tests
+ * @param {{write: function(string): void}} [io.stdout=process.stdout]
+ * @param {{write: function(string): void}} [io.stderr=process.stderr]
+ * @param {function(string, string): Promise<string>} [io.read=readFile] - Reads a file
+ * @param {function(string, string): Promise<void>} [io.write=writeFile] - Writes a file
+ * @param {function(): Date} [io.now] - Returns the current date
+ * @returns {Promise<number>} The exit code
+ *
+ * @example
+ * process.exitCode = await runValidatePeople(["people.csv", "--junit", "reports/people.xml"]);
+ */
+async function runValidatePeople (args, {
+    stdout = process.stdout,
+    stderr = process.stderr,
+    read = readFile,
+    write = writeFile,
+    now = () => new Date(),
+} = {}) {
+    let options;
+    try {
+        options = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                format: { type: "string" },
+                json: { type: "string" },
+                junit: { type: "string" },
+                date: { type: "string" },
+                quiet: { type: "boolean" },
+                help: { type: "boolean", short: "h" },
+            },
+        });
+    } catch (err) {
+        stderr.write(`${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+    const { values, positionals } = options;
+    if (values.help) {
+        stdout.write(USAGE);
+        return 0;
+    }
+    const [file] = positionals;
+    const format = values.format ?? detectFormat(file ?? "");
+    // Local midnight, as ages are computed on the local calendar: `new Date("YYYY-MM-DD")` is
+    // UTC midnight, still the previous day west of Greenwich
+    const day = values.date === undefined ? undefined : toCalendarDate(values.date);
+    const date = values.date === undefined ? now() : day && new Date(day.year, day.month, day.day);
+    const problem = (positionals.length !== 1 && "Expected one file to check")
+        || (!FORMATS.includes(format) && `Unknown format: ${format}`)
+        || (!date && `Invalid date: ${values.date}`);
+    if (problem) {
+        stderr.write(`${problem}\n\n${USAGE}`);
+        return 2;
+    }
+
+    let people;
+    try {
+        people = readPeople(await read(file, "utf8"), { format });
+    } catch (err) {
+        // File system errors and malformed files are the user's to fix; anything else is a bug
+        if (!err.syscall && !(err instanceof ValidationError)) throw err;
+        stderr.write(`Cannot read ${file}: ${err.message}\n`);
+        return 2;
+    }
+
+    const { records, rows, rowLabel, missingFields } = people;
+    const results = validatePeople(records, { rows, now: date });
+    const summary = formatSummary(results, { file, missingFields, rowLabel });
+    stdout.write(values.quiet ? `${summary.split("\n")[0]}\n` : summary);
+    const reports = [
+        values.json && [values.json, () => `${toJSONReport(results, { file, now: date })}\n`],
+        values.junit && [values.junit, () => toJUnitReport(results, { file, rowLabel, now: date })],
+    ].filter(Boolean);
+    for (const [path, render] of reports) {
+        try {
+            await write(path, render());
+        } catch (err) {
+            // Unlike a failed person (exit code 1), a missing report is the command failing
+            if (!err.syscall) throw err;
+            stderr.write(`Cannot write ${path}: ${err.message}\n`);
+            return 2;
+        }
+    }
+
+    return results.some(r => r.errors.length > 0) ? 1 : 0;
+}
+
+/**
+ * Export the command for the bin script
+ * @exports cli/validatePeople
+ */
+export { USAGE, runValidatePeople }
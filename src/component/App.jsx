@@ -0,0 +1,86 @@
+/**
+ * @module App
+ * @description The application shell: navigation bar, routes and error boundary.
+ */
+
+import React from 'react';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
+
+import Counter from "./Counter.jsx";
+import ErrorBoundary from "./ErrorBoundary.jsx";
+import I18nProvider, { useI18n } from "./I18nProvider.jsx";
+import NavBar from "./NavBar.jsx";
+import NotFound from "./NotFound.jsx";
+import RegistrationWizard from "./RegistrationWizard.jsx";
+import SharedCounter from "./SharedCounter.jsx";
+import UserDetail from "./UserDetail.jsx";
+import UserList from "./UserList.jsx";
+
+/**
+ * CounterPage Component - The `/counter` page: a counter of this browser and a tally shared
+ * by every tab.
+ *
+ * @component
+ * @returns {React.ReactElement} The page
+ */
+function CounterPage() {
+    const { t } = useI18n();
+
+    return (
+        <section className="flex flex-col gap-4 items-center">
+            <h2>{t('counter.title')}</h2>
+            <Counter storageKey="counter" />
+            <SharedCounter name="team" label={t('counter.shared')} />
+        </section>
+    );
+}
+
+/**
+ * App Component - The whole application.
+ *
+ * Routes:
+ * - `/` - Redirects to `/register`
+ * - `/register/*` - The registration wizard ({@link RegistrationWizard}), one URL per step
+ * - `/counter` - The counters
+ * - `/users` - The registered users ({@link UserList})
+ * - `/users/:id` - One registration ({@link UserDetail})
+ * - anything else - The 404 page ({@link NotFound})
+ *
+ * A page that throws while rendering is replaced by the {@link ErrorBoundary} fallback; the
+ * navigation bar stays usable and leaving the page clears the error.
+ *
+ * Must be rendered inside a router (`BrowserRouter` in `main.jsx`, `MemoryRouter` in tests).
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} [props.initialLocale] - Forces the initial locale (see {@link I18nProvider})
+ * @returns {React.ReactElement} The application
+ *
+ * @example
+ * <BrowserRouter>
+ *     <App />
+ * </BrowserRouter>
+ */
+function App({ initialLocale }) {
+    const { pathname } = useLocation();
+
+    return (
+        <I18nProvider initialLocale={initialLocale}>
+            <NavBar />
+            <main className="flex flex-col gap-4 justify-center items-center p-4">
+                <ErrorBoundary resetKey={pathname}>
+                    <Routes>
+                        <Route path="/" element={<Navigate to="/register" replace />} />
+                        <Route path="/register/*" element={<RegistrationWizard />} />
+                        <Route path="/counter" element={<CounterPage />} />
+                        <Route path="/users" element={<UserList />} />
+                        <Route path="/users/:id" element={<UserDetail />} />
+                        <Route path="*" element={<NotFound />} />
+                    </Routes>
+                </ErrorBoundary>
+            </main>
+        </I18nProvider>
+    );
+}
+
+export default App;
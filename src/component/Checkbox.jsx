@@ -0,0 +1,50 @@
+/**
+ * @module Checkbox
+ * @description A checkbox with its label on the right.
+ */
+
+import React from 'react';
+
+import FieldError from "./FieldError.jsx";
+import { getControlProps, getFieldIds } from "./Field.jsx";
+import { classNames } from "../utils/fieldStyles.js";
+
+/**
+ * Checkbox Component - A checkbox followed by its label, and its error below.
+ *
+ * Other props (`checked`, `onChange`, `data-testid`, …) go to the input.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.name - Name of the input
+ * @param {React.ReactNode} props.label - The label, already translated
+ * @param {string} [props.id="field-<name>"] - Id of the input
+ * @param {string} [props.error] - The error message, already translated
+ * @param {boolean} [props.required=false] - Must be checked (announced, not enforced)
+ * @param {boolean} [props.disabled=false] - Cannot be toggled
+ * @param {string} [props.describedBy] - Ids of other elements describing the checkbox
+ * @returns {React.ReactElement} The field markup
+ *
+ * @example
+ * <Checkbox name="terms" label="I accept the terms" checked={terms} onChange={handleChange} required />
+ */
+function Checkbox({ name, label, id = `field-${name}`, error, required = false, disabled = false, describedBy, ...inputProps }) {
+    return (
+        <div className="mb-[15px] flex flex-col">
+            <div className="flex gap-2 items-center">
+                <input
+                    {...inputProps}
+                    {...getControlProps({ id, error, required, describedBy })}
+                    type="checkbox"
+                    name={name}
+                    disabled={disabled}
+                    className={classNames('h-4 w-4 accent-primary', error && 'outline outline-2 outline-danger', disabled && 'cursor-not-allowed')}
+                />
+                <label htmlFor={id} className={classNames(error && 'text-danger', disabled && 'text-muted')}>{label}</label>
+            </div>
+            <FieldError id={getFieldIds(id).error}>{error}</FieldError>
+        </div>
+    );
+}
+
+export default Checkbox;
@@ -1,94 +1,108 @@
 /**
  * @module Counter
- * @description A simple React counter component for incrementing a numeric value.
- * Demonstrates basic React hooks usage with useState for state management.
+ * @description A React quantity picker: a bounded counter with decrement, increment, reset,
+ * undo and redo, usable with the keyboard.
  */
 
-import React, { useState } from 'react';
+import React from 'react';
+
+import { useCounter } from "../hooks/useCounter";
+import { useI18n } from "./I18nProvider.jsx";
 
 /**
- * Counter Component - A simple counter application with increment functionality.
- *
- * This React component provides a basic counter interface that allows users to
- * increment a numeric value by clicking a button. The component demonstrates:
- * - React hooks usage (useState)
- * - State management and updates
- * - Event handling (onClick)
- * - Simple UI rendering
+ * Counter Component - A numeric value changed step by step within bounds.
  *
  * Features:
- * - Displays a button labeled "Click me" to increment the counter
- * - Shows the current count value below the button
- * - Count starts at 0 and increments by 1 with each click
- * - Count is maintained in component state (not persisted)
+ * - Initial value, step, minimum and maximum set by props; values stay within the bounds and
+ *   the buttons that cannot change the value are disabled
+ * - Decrement, increment and reset buttons
+ * - Undo/redo of every change
+ * - Keyboard shortcuts on the value, which follows the ARIA spinbutton pattern:
+ *   - Arrow Up / Arrow Down: one step up / down
+ *   - Page Up / Page Down: ten steps up / down
+ *   - Home / End: minimum / maximum, when set
+ *   - Ctrl+Z (⌘Z): undo; Ctrl+Y or Ctrl+Shift+Z (⌘⇧Z): redo
+ * - Optional persistence: with `storageKey`, the value survives a reload
+ * - `onChange` called with each new value
  *
- * State:
- * - count: number - Current counter value, initialized to 0
- *
- * The component is stateless in terms of persistence (resets to 0 on remount).
- * For persistent counters, consider implementing localStorage or a parent state.
+ * State is managed by {@link useCounter}.
  *
  * @component
- * @returns {React.ReactElement} A div containing a clickable button and counter display
+ * @param {Object} props
+ * @param {number} [props.initial=0] - Starting value, and the value reset goes back to
+ * @param {number} [props.step=1] - Amount added or removed by each step
+ * @param {number} [props.min] - Smallest allowed value
+ * @param {number} [props.max] - Largest allowed value
+ * @param {string} [props.storageKey] - localStorage key to persist the value under
+ * @param {function(number): void} [props.onChange] - Called with each new value
+ * @param {string} [props.label] - Accessible name of the value, "Count" by default
+ * @returns {React.ReactElement} The counter
  *
  * @example
- * // Basic usage in a parent component
- * import Counter from './Counter';
- *
- * export default function App() {
- *   return (
- *     <div>
- *       <Counter />
- *     </div>
- *   );
- * }
- *
- *
- * @state {number} count - The current counter value
- *   - Initial value: 0
- *   - Updated by: clickOnme() function
- *   - Display: Shown in span element with test ID "count"
+ * <Counter initial={1} min={1} max={10} storageKey="cart-quantity" onChange={setQuantity} label="Quantity" />
  */
-function  Counter () {
-
-    /**
-     * Current counter value.
-     * @type {number}
-     */
-    let [count, setCount] = useState(0);
+function Counter ({ initial, step, min, max, storageKey, onChange, label }) {
+    const { t } = useI18n();
+    const counter = useCounter({ initial, step, min, max, storageKey, onChange });
+    const { value, config } = counter;
 
     /**
-     * Increments the counter by one.
-     *
-     * This function is called when the user clicks the "Click me" button.
-     * It updates the count state by adding 1 to the current value.
-     * React automatically re-renders the component with the new count.
-     *
-     * @function clickOnme
-     * @returns {void}
+     * Applies the keyboard shortcuts of the value.
      *
+     * @function handleKeyDown
+     * @param {KeyboardEvent} e - The keydown event on the value
      */
-    const clickOnme = () => {
-        setCount(count + 1);
+    const handleKeyDown = (e) => {
+        const key = e.key.toLowerCase();
+        const shortcut = e.ctrlKey || e.metaKey;
+        const actions = {
+            arrowup: () => counter.increment(),
+            arrowdown: () => counter.decrement(),
+            pageup: () => counter.increment(10),
+            pagedown: () => counter.decrement(10),
+            home: () => Number.isFinite(config.min) && counter.set(config.min),
+            end: () => Number.isFinite(config.max) && counter.set(config.max),
+        };
+        let action = shortcut ? undefined : actions[key];
+        if (shortcut && key === "z") action = e.shiftKey ? counter.redo : counter.undo;
+        if (shortcut && key === "y") action = counter.redo;
+        if (!action) return;
+        e.preventDefault();
+        action();
     };
 
-    /**
-     * Render the counter component UI
-     *
-     * Structure:
-     * - Main div container
-     * - Button element with onClick handler
-     *   - Text: "Click me"
-     *   - Handler: clickOnme function
-     * - Span element displaying the current count
-     *   - Content: "Count: {count}"
-     *   - Test ID: "count" (for testing purposes)
-     *
-     */
+    const buttonClass = "border border-line rounded px-3 py-1 disabled:opacity-50 disabled:cursor-not-allowed";
+
     return (
-        <div>
-            <button onClick={clickOnme}>Click me</button>
-            <span data-testid="count">Count: {count}</span>
+        <div role="group" aria-label={label ?? t('counter.label')} className="flex items-center gap-2">
+            <button type="button" onClick={() => counter.decrement()} disabled={value <= config.min} aria-label={t('counter.decrement')} className={buttonClass}>
+                −
+            </button>
+            <span
+                role="spinbutton"
+                tabIndex={0}
+                aria-label={label ?? t('counter.label')}
+                aria-valuenow={value}
+                aria-valuemin={Number.isFinite(config.min) ? config.min : undefined}
+                aria-valuemax={Number.isFinite(config.max) ? config.max : undefined}
+                onKeyDown={handleKeyDown}
+                data-testid="count"
+                className="min-w-[6rem] text-center rounded focus:outline focus:outline-2 focus:outline-blue-500"
+            >
+                {t('counter.count', { count: value })}
+            </span>
+            <button type="button" onClick={() => counter.increment()} disabled={value >= config.max} aria-label={t('counter.increment')} className={buttonClass}>
+                +
+            </button>
+            <button type="button" onClick={counter.reset} disabled={value === config.initial} className={buttonClass}>
+                {t('counter.reset')}
+            </button>
+            <button type="button" onClick={counter.undo} disabled={!counter.canUndo} aria-keyshortcuts="Control+Z" className={buttonClass}>
+                {t('counter.undo')}
+            </button>
+            <button type="button" onClick={counter.redo} disabled={!counter.canRedo} aria-keyshortcuts="Control+Y" className={buttonClass}>
+                {t('counter.redo')}
+            </button>
         </div>
     );
 }
@@ -97,4 +111,4 @@ function  Counter () {
  * Export the Counter component as default export
  * @exports Counter
  */
-export default Counter;
\ No newline at end of file
+export default Counter;
@@ -0,0 +1,27 @@
+/**
+ * @module DateField
+ * @description A labelled date input.
+ */
+
+import React from 'react';
+
+import TextField from "./TextField.jsx";
+
+/**
+ * DateField Component - A {@link TextField} of type `date`. Its value is a `YYYY-MM-DD`
+ * string; `min` and `max` bound the date picker.
+ *
+ * @component
+ * @param {Object} props - Same as {@link TextField}, without `type`
+ * @param {string} [props.min] - Earliest date, `YYYY-MM-DD`
+ * @param {string} [props.max] - Latest date, `YYYY-MM-DD`
+ * @returns {React.ReactElement} The field markup
+ *
+ * @example
+ * <DateField name="birth" label={t('field.birth')} value={birth} max="2026-12-31" onChange={handleChange} />
+ */
+function DateField(props) {
+    return <TextField {...props} type="date" />;
+}
+
+export default DateField;
@@ -0,0 +1,39 @@
+/**
+ * @module DraftPrompt
+ * @description Offer to resume or discard the draft a previous visit left.
+ */
+
+import React from 'react';
+
+import { useI18n } from "./I18nProvider.jsx";
+import { buttonClassName } from "../utils/fieldStyles.js";
+
+/**
+ * DraftPrompt Component - Tells when the draft was saved, with buttons to resume or discard it.
+ *
+ * @component
+ * @param {Object} props
+ * @param {{savedAt: number}} props.draft - The draft found on load (see {@link useDraft})
+ * @param {function(): void} props.onResume - Called by the "Resume" button
+ * @param {function(): void} props.onDiscard - Called by the "Discard" button
+ * @returns {React.ReactElement} The prompt
+ */
+function DraftPrompt({ draft, onResume, onDiscard }) {
+    const { t, locale } = useI18n();
+
+    return (
+        <div role="region" aria-label={t('draft.title')} data-testid="draft-prompt" className="border border-primary rounded p-4 w-full flex flex-col gap-2">
+            <p>{t('draft.prompt', { date: new Date(draft.savedAt).toLocaleString(locale) })}</p>
+            <div className="flex gap-4">
+                <button type="button" onClick={onResume} className={buttonClassName()}>
+                    {t('draft.resume')}
+                </button>
+                <button type="button" onClick={onDiscard} className={buttonClassName({ variant: 'secondary' })}>
+                    {t('draft.discard')}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default DraftPrompt;
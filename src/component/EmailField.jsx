@@ -0,0 +1,25 @@
+/**
+ * @module EmailField
+ * @description A labelled email input.
+ */
+
+import React from 'react';
+
+import TextField from "./TextField.jsx";
+
+/**
+ * EmailField Component - A {@link TextField} of type `email`, offering the browser's saved
+ * addresses and the email keyboard on mobile.
+ *
+ * @component
+ * @param {Object} props - Same as {@link TextField}, without `type`
+ * @returns {React.ReactElement} The field markup
+ *
+ * @example
+ * <EmailField name="email" label={t('field.email')} value={email} onChange={handleChange} />
+ */
+function EmailField(props) {
+    return <TextField autoComplete="email" {...props} type="email" />;
+}
+
+export default EmailField;
@@ -0,0 +1,88 @@
+/**
+ * @module ErrorBoundary
+ * @description A React error boundary showing a fallback instead of a blank page when a
+ * component throws while rendering.
+ */
+
+import React from 'react';
+
+import { useI18n } from "./I18nProvider.jsx";
+import { buttonClassName } from "../utils/fieldStyles.js";
+
+/**
+ * ErrorFallback Component - What the boundary shows instead of the crashed page.
+ *
+ * @component
+ * @param {Object} props
+ * @param {function(): void} props.onRetry - Renders the page again
+ * @returns {React.ReactElement} An alert with a retry button
+ */
+function ErrorFallback ({ onRetry }) {
+    const { t } = useI18n();
+
+    return (
+        <div role="alert" className="flex flex-col gap-2 items-center">
+            <h2>{t('error.title')}</h2>
+            <p>{t('error.message')}</p>
+            <button type="button" onClick={onRetry} className={buttonClassName({ variant: 'secondary' })}>
+                {t('error.retry')}
+            </button>
+        </div>
+    );
+}
+
+/**
+ * ErrorBoundary Component - Catches rendering errors of its children.
+ *
+ * Error boundaries have to be class components: React has no hook for
+ * `getDerivedStateFromError`. The fallback offers to try again; changing `resetKey` (e.g. the
+ * current path) also clears the error, so navigating away from a broken page works.
+ *
+ * @component
+ * @param {Object} props
+ * @param {*} [props.resetKey] - Clears the error when it changes
+ * @param {function(Error, Object): void} [props.onError] - Called with the error and the
+ *   component stack, e.g. to report it
+ * @param {React.ReactNode} props.children
+ * @returns {React.ReactElement} The children, or the fallback after an error
+ *
+ * @example
+ * <ErrorBoundary resetKey={location.pathname}>
+ *     <Routes>…</Routes>
+ * </ErrorBoundary>
+ */
+class ErrorBoundary extends React.Component {
+    constructor (props) {
+        super(props);
+        this.state = { error: null };
+        this.reset = this.reset.bind(this);
+    }
+
+    static getDerivedStateFromError (error) {
+        return { error };
+    }
+
+    componentDidCatch (error, info) {
+        this.props.onError?.(error, info);
+    }
+
+    componentDidUpdate (prevProps) {
+        if (this.state.error && prevProps.resetKey !== this.props.resetKey) {
+            this.reset();
+        }
+    }
+
+    reset () {
+        this.setState({ error: null });
+    }
+
+    render () {
+        return this.state.error ? <ErrorFallback onRetry={this.reset} /> : this.props.children;
+    }
+}
+
+/**
+ * Export the ErrorBoundary component as default export
+ * @exports ErrorBoundary
+ */
+export default ErrorBoundary;
@@ -0,0 +1,67 @@
+/**
+ * @module ErrorSummary
+ * @description List of the errors of a form, shown at its top after a failed submission.
+ */
+
+import React, { forwardRef } from 'react';
+
+import { getField } from "../utils/formSchema";
+import { useI18n } from "./I18nProvider.jsx";
+
+/**
+ * ErrorSummary Component - Lists the fields in error, each with a link moving the focus to the
+ * field, where its error message is shown.
+ *
+ * The container is focusable (`tabIndex={-1}`) so the form can move the focus to it after a
+ * failed submission; screen readers then read its title and the number of errors. Renders
+ * nothing when there is no error.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object[]} props.schema - The form schema, for the field labels
+ * @param {Object} props.errors - Field name to error, `{ code, message, params }` or undefined
+ * @param {React.Ref} ref - Receives the container, to focus it
+ * @returns {React.ReactElement|null} The summary
+ */
+const ErrorSummary = forwardRef(function ErrorSummary({ schema, errors }, ref) {
+    const { t } = useI18n();
+    const invalid = Object.entries(errors).filter(([name, error]) => error && getField(schema, name));
+    if (invalid.length === 0) return null;
+
+    /**
+     * Moves the focus to a field instead of only scrolling to it.
+     *
+     * @function focusField
+     * @param {Event} e - The click event on the link
+     * @param {string} name - The field name
+     */
+    const focusField = (e, name) => {
+        e.preventDefault();
+        document.getElementById(`field-${name}`)?.focus();
+    };
+
+    return (
+        <div
+            ref={ref}
+            tabIndex={-1}
+            aria-labelledby="error-summary-title"
+            data-testid="error-summary"
+            className="border-2 border-danger rounded p-4 w-full"
+        >
+            <h2 id="error-summary-title" className="font-bold">
+                {t('form.errorSummary', { count: invalid.length })}
+            </h2>
+            <ul>
+                {invalid.map(([name]) => (
+                    <li key={name}>
+                        <a href={`#field-${name}`} onClick={(e) => focusField(e, name)} className="text-danger underline">
+                            {t(getField(schema, name).label)}
+                        </a>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+});
+
+export default ErrorSummary;
@@ -0,0 +1,78 @@
+/**
+ * @module Field
+ * @description The layout and accessibility wiring shared by the form field components
+ * ({@link TextField}, {@link Select}, …).
+ */
+
+import React from 'react';
+
+import FieldError from "./FieldError.jsx";
+import { useI18n } from "./I18nProvider.jsx";
+
+/**
+ * Ids of the elements describing a field.
+ *
+ * @function getFieldIds
+ * @param {string} id - The id of the control
+ * @returns {{error: string, pending: string}} Ids of the error and of the "checking…" indicator
+ */
+const getFieldIds = (id) => ({ error: `${id}-error`, pending: `${id}-pending` });
+
+/**
+ * ARIA attributes of a field control: `aria-required` for required fields, `aria-invalid` and
+ * `aria-describedby` pointing to the error (and any other description) when shown, `aria-busy`
+ * while a check is pending.
+ *
+ * @function getControlProps
+ * @param {Object} state
+ * @param {string} state.id - The id of the control
+ * @param {string} [state.error] - The error message, if any
+ * @param {boolean} [state.pending=false] - true while the value is being checked
+ * @param {boolean} [state.required=false] - The field must be filled
+ * @param {string} [state.describedBy] - Ids of other elements describing the field
+ * @returns {Object} Props to spread on the control
+ */
+function getControlProps({ id, error, pending = false, required = false, describedBy }) {
+    const ids = getFieldIds(id);
+    const allDescribedBy = [error && ids.error, describedBy, pending && ids.pending].filter(Boolean).join(' ');
+
+    return {
+        id,
+        'aria-required': required ? true : undefined,
+        'aria-invalid': error ? true : undefined,
+        'aria-describedby': allDescribedBy || undefined,
+        'aria-busy': pending ? true : undefined,
+    };
+}
+
+/**
+ * Field Component - A label above a control, then the "checking…" indicator and the error.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.id - The id of the control the label points to
+ * @param {React.ReactNode} props.label - The label, already translated
+ * @param {string} [props.error] - The error message, already translated
+ * @param {boolean} [props.pending=false] - Shows the "checking…" indicator
+ * @param {string} [props.testId] - Prefix of the `data-testid` of the indicator
+ * @param {React.ReactNode} props.children - The control, and anything to show right below it
+ * @returns {React.ReactElement} The field markup
+ */
+function Field({ id, label, error, pending = false, testId, children }) {
+    const { t } = useI18n();
+    const ids = getFieldIds(id);
+
+    return (
+        <div className="mb-[15px] flex flex-col">
+            <label htmlFor={id}>{label}</label>
+            {children}
+            {pending && (
+                <p id={ids.pending} className="text-muted" data-testid={testId && `${testId}-pending`}>{t('form.checking')}</p>
+            )}
+            <FieldError id={ids.error}>{error}</FieldError>
+        </div>
+    );
+}
+
+export default Field;
+export { getFieldIds, getControlProps };
@@ -0,0 +1,33 @@
+/**
+ * @module FieldError
+ * @description The error message displayed below a form field.
+ */
+
+import React from 'react';
+
+/**
+ * FieldError Component - A field error, marked with an icon so it is not conveyed by color
+ * alone.
+ *
+ * Renders nothing without a message, so it can always be placed below a field.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.id - Referenced by the `aria-describedby` of the field
+ * @param {React.ReactNode} [props.children] - The message, already translated
+ * @returns {React.ReactElement|null} The message
+ *
+ * @example
+ * <FieldError id="field-email-error">{tError(errors.email)}</FieldError>
+ */
+function FieldError({ id, children }) {
+    if (!children) {
+        return null;
+    }
+
+    return (
+        <p id={id} className="error text-danger before:content-['⚠'] before:mr-1">{children}</p>
+    );
+}
+
+export default FieldError;
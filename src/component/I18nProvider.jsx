@@ -0,0 +1,84 @@
+/**
+ * @module I18nProvider
+ * @description React context giving components the current locale and translation helpers.
+ */
+
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+
+import { SUPPORTED_LOCALES, detectLocale, translate, translateError } from "../utils/i18n";
+
+/**
+ * localStorage key remembering the language chosen by the user.
+ * @type {string}
+ */
+const LOCALE_KEY = "locale";
+
+/**
+ * Builds the value exposed by the context for a locale.
+ *
+ * @function createI18n
+ * @param {string} locale - The current locale
+ * @param {function(string): void} setLocale - Changes the locale
+ * @returns {{locale: string, setLocale: function(string): void, t: function(string, Object=): string, tError: function(Object): string}}
+ */
+const createI18n = (locale, setLocale) => ({
+    locale,
+    setLocale,
+    t: (key, params) => translate(locale, key, params),
+    tError: (error) => translateError(locale, error),
+});
+
+/**
+ * Context holding the current i18n value. Without a provider, components get the
+ * locale detected from the browser and cannot change it.
+ * @type {React.Context}
+ */
+const I18nContext = createContext(null);
+
+/**
+ * I18nProvider Component - Holds the current locale for its children.
+ *
+ * The initial locale is the one previously chosen by the user, or else the one
+ * detected from the browser. Changes are remembered in localStorage and reflected
+ * in the document's `lang` attribute.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} [props.initialLocale] - Forces the initial locale
+ * @param {React.ReactNode} props.children
+ * @returns {React.ReactElement}
+ */
+function I18nProvider({ initialLocale, children }) {
+    const [locale, setLocale] = useState(() => {
+        const stored = localStorage.getItem(LOCALE_KEY);
+        return initialLocale ?? (SUPPORTED_LOCALES.includes(stored) ? stored : detectLocale());
+    });
+
+    useEffect(() => {
+        localStorage.setItem(LOCALE_KEY, locale);
+        document.documentElement.lang = locale;
+    }, [locale]);
+
+    const value = useMemo(() => createI18n(locale, setLocale), [locale]);
+    return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+/**
+ * Hook returning the current locale and the translation helpers.
+ *
+ * @function useI18n
+ * @returns {{locale: string, setLocale: function(string): void, t: function(string, Object=): string, tError: function(Object): string}}
+ *
+ * @example
+ * const { t, tError } = useI18n();
+ * t('form.title');                 // "Registration Form"
+ * tError({ code: 'INVALID_AGE', params: { min: 18 } });
+ */
+function useI18n() {
+    const context = useContext(I18nContext);
+    const fallback = useMemo(() => createI18n(detectLocale(), () => {}), []);
+    return context ?? fallback;
+}
+
+export default I18nProvider;
+export { useI18n };
@@ -0,0 +1,46 @@
+/**
+ * @module LanguageSwitcher
+ * @description A select letting the user change the interface language.
+ */
+
+import React from 'react';
+
+import { SUPPORTED_LOCALES } from "../utils/i18n";
+import { useI18n } from "./I18nProvider.jsx";
+
+/**
+ * Native names of the supported languages.
+ * @type {Object<string, string>}
+ */
+const languageNames = {
+    fr: 'Français',
+    en: 'English',
+};
+
+/**
+ * LanguageSwitcher Component - Changes the locale of the surrounding {@link I18nProvider}.
+ *
+ * @component
+ * @returns {React.ReactElement} A labelled select listing the supported languages
+ */
+function LanguageSwitcher() {
+    const { locale, setLocale, t } = useI18n();
+
+    return (
+        <label className="flex gap-2 items-center">
+            {t('language.label')}
+            <select
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                className="border border-line rounded"
+                data-testid="language"
+            >
+                {SUPPORTED_LOCALES.map((code) => (
+                    <option key={code} value={code}>{languageNames[code] ?? code}</option>
+                ))}
+            </select>
+        </label>
+    );
+}
+
+export default LanguageSwitcher;
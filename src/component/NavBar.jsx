@@ -0,0 +1,50 @@
+/**
+ * @module NavBar
+ * @description The navigation bar of the application.
+ */
+
+import React from 'react';
+import { NavLink } from 'react-router-dom';
+
+import LanguageSwitcher from "./LanguageSwitcher.jsx";
+import { useI18n } from "./I18nProvider.jsx";
+
+/**
+ * Pages listed in the navigation bar, in order.
+ * @type {{to: string, label: string}[]}
+ */
+const links = [
+    { to: '/register', label: 'nav.register' },
+    { to: '/counter', label: 'nav.counter' },
+    { to: '/users', label: 'nav.users' },
+];
+
+/**
+ * NavBar Component - Links to the pages of the application and the language switcher.
+ *
+ * The link of the current page (or of its parent, e.g. "Users" on `/users/:id`) is
+ * highlighted and marked with `aria-current="page"`.
+ *
+ * @component
+ * @returns {React.ReactElement} The navigation landmark
+ */
+function NavBar() {
+    const { t } = useI18n();
+
+    return (
+        <nav aria-label={t('nav.label')} className="w-full flex gap-4 justify-between items-center p-4 border-b border-line print:hidden">
+            <ul className="flex gap-4">
+                {links.map(({ to, label }) => (
+                    <li key={to}>
+                        <NavLink to={to} className={({ isActive }) => (isActive ? 'font-bold underline' : 'text-primary')}>
+                            {t(label)}
+                        </NavLink>
+                    </li>
+                ))}
+            </ul>
+            <LanguageSwitcher />
+        </nav>
+    );
+}
+
+export default NavBar;
@@ -0,0 +1,30 @@
+/**
+ * @module NotFound
+ * @description The page shown for addresses matching no route.
+ */
+
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+
+import { useI18n } from "./I18nProvider.jsx";
+
+/**
+ * NotFound Component - The 404 page, naming the address that was not found.
+ *
+ * @component
+ * @returns {React.ReactElement} The page, with a link to the registration form
+ */
+function NotFound() {
+    const { t } = useI18n();
+    const { pathname } = useLocation();
+
+    return (
+        <section className="flex flex-col gap-2 items-center">
+            <h2>{t('notFound.title')}</h2>
+            <p>{t('notFound.message', { path: pathname })}</p>
+            <Link to="/register" className="text-primary underline">{t('notFound.home')}</Link>
+        </section>
+    );
+}
+
+export default NotFound;
@@ -0,0 +1,26 @@
+/**
+ * @module PhoneField
+ * @description A labelled phone number input.
+ */
+
+import React from 'react';
+
+import TextField from "./TextField.jsx";
+
+/**
+ * PhoneField Component - A {@link TextField} of type `tel`, offering the browser's saved
+ * number and the phone keypad on mobile. Formatting as the user types is up to the `onChange`
+ * handler (see {@link formatPhoneAsYouType}).
+ *
+ * @component
+ * @param {Object} props - Same as {@link TextField}, without `type`
+ * @returns {React.ReactElement} The field markup
+ *
+ * @example
+ * <PhoneField name="phone" label={t('field.phone')} value={phone} onChange={(e) => setPhone(formatPhoneAsYouType(e.target.value))} />
+ */
+function PhoneField(props) {
+    return <TextField autoComplete="tel" inputMode="tel" {...props} type="tel" />;
+}
+
+export default PhoneField;
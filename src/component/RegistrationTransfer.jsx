@@ -0,0 +1,217 @@
+/**
+ * @module RegistrationTransfer
+ * @description A React panel exporting the stored registrations and importing registrations
+ * from a CSV file.
+ */
+
+import React, { useMemo, useState } from 'react';
+
+import { toValidationError } from "../utils/errors";
+import { getInputFields } from "../utils/formSchema";
+import { registrationSchema } from "../utils/registrationSchema";
+import {
+    exportRegistrationsCSV,
+    exportRegistrationsJSON,
+    buildImportReport,
+    importRegistrations,
+} from "../utils/registrationTransfer";
+import { useI18n } from "./I18nProvider.jsx";
+
+/**
+ * Fields a CSV column can be mapped to.
+ * @type {Object[]}
+ */
+const fields = getInputFields(registrationSchema);
+
+/**
+ * Error shown when the browser cannot read the chosen file.
+ * @type {{code: string, message: string}}
+ */
+const FILE_UNREADABLE_ERROR = { code: "FILE_UNREADABLE", message: "The file could not be read" };
+
+/**
+ * Offers a text as a file download.
+ *
+ * @function download
+ * @param {string} content - The file content
+ * @param {string} filename - The suggested file name
+ * @param {string} type - The MIME type
+ * @returns {void}
+ */
+function download (content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Reads a file as UTF-8 text.
+ *
+ * @function readFile
+ * @param {File} file - The file chosen by the user
+ * @returns {Promise<string>} The file content
+ */
+function readFile (file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * RegistrationTransfer Component - Export and import of registrations.
+ *
+ * - Export of every stored registration as CSV (with a byte order mark, so spreadsheets read
+ *   accents right) or JSON
+ * - Import of a CSV file: the columns are mapped to fields automatically and can be remapped;
+ *   every row is validated and the errors are listed by line, field and code before anything
+ *   is stored. Only the valid rows are imported.
+ *
+ * @component
+ * @param {Object} props
+ * @param {function(): Date} [props.now] - Returns the current date, for export file names
+ * @returns {React.ReactElement} The export buttons and the import form
+ *
+ * @example
+ * <RegistrationTransfer />
+ */
+function RegistrationTransfer ({ now = () => new Date() }) {
+    const { t, tError } = useI18n();
+    const [text, setText] = useState(null);
+    const [mapping, setMapping] = useState(undefined);
+    const [imported, setImported] = useState(null);
+    const [readError, setReadError] = useState(null);
+
+    // Parsing and validating every row is worth doing once per file and mapping, not per render
+    const { report, parseError } = useMemo(() => {
+        if (text === null) return {};
+        try {
+            return { report: buildImportReport(text, { mapping }) };
+        } catch (err) {
+            return { parseError: toValidationError(err) };
+        }
+    }, [text, mapping]);
+    const fileError = readError ?? parseError;
+
+    const stamp = now().toISOString().slice(0, 10);
+
+    /**
+     * Reads the chosen file and starts a new import, or shows why the file cannot be read.
+     *
+     * @function handleFile
+     * @param {Event} e - The change event of the file input
+     * @returns {Promise<void>}
+     */
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        setMapping(undefined);
+        setImported(null);
+        setReadError(null);
+        try {
+            setText(file ? await readFile(file) : null);
+        } catch {
+            setText(null);
+            setReadError(FILE_UNREADABLE_ERROR);
+        }
+    };
+
+    const handleImport = () => {
+        setImported(importRegistrations(report).length);
+        setText(null);
+    };
+
+    return (
+        <section aria-labelledby="transfer-title" className="flex flex-col gap-2">
+            <h3 id="transfer-title">{t('transfer.title')}</h3>
+            <div className="flex gap-2">
+                <button type="button" onClick={() => download(`\uFEFF${exportRegistrationsCSV()}`, `registrations-${stamp}.csv`, "text/csv;charset=utf-8")}>
+                    {t('transfer.exportCsv')}
+                </button>
+                <button type="button" onClick={() => download(exportRegistrationsJSON(), `registrations-${stamp}.json`, "application/json")}>
+                    {t('transfer.exportJson')}
+                </button>
+            </div>
+            <label htmlFor="transfer-file">{t('transfer.file')}</label>
+            <input id="transfer-file" type="file" accept=".csv,text/csv" onChange={handleFile} data-testid="import-file" />
+
+            {imported !== null && <p role="status">{t('transfer.imported', { count: imported })}</p>}
+            {fileError && <p role="alert" className="text-danger">{tError(fileError)}</p>}
+
+            {report && (
+                <>
+                    <table data-testid="import-mapping">
+                        <caption>{t('transfer.mapping')}</caption>
+                        <thead>
+                            <tr><th scope="col">{t('transfer.column')}</th><th scope="col">{t('transfer.field')}</th></tr>
+                        </thead>
+                        <tbody>
+                            {report.headers.map((header, column) => (
+                                <tr key={column}>
+                                    <td>{header}</td>
+                                    <td>
+                                        <select
+                                            aria-label={header}
+                                            value={report.mapping[column] ?? ""}
+                                            onChange={(e) => setMapping(report.mapping.map((field, i) => (i === column ? e.target.value : field)))}
+                                        >
+                                            <option value="">{t('transfer.ignore')}</option>
+                                            {fields.map(f => <option key={f.name} value={f.name}>{t(f.label)}</option>)}
+                                        </select>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {report.missingFields.length > 0 && (
+                        <p className="text-danger">
+                            {t('transfer.missing', { fields: report.missingFields.map(name => t(`field.${name}`)).join(", ") })}
+                        </p>
+                    )}
+                    <p data-testid="import-summary">
+                        {t('transfer.summary', {
+                            total: report.rows.length,
+                            valid: report.valid.length,
+                            invalid: report.rows.length - report.valid.length,
+                        })}
+                    </p>
+                    {report.errors.length > 0 && (
+                        <table data-testid="import-errors">
+                            <thead>
+                                <tr>
+                                    <th scope="col">{t('transfer.row')}</th>
+                                    <th scope="col">{t('transfer.field')}</th>
+                                    <th scope="col">{t('transfer.code')}</th>
+                                    <th scope="col">{t('transfer.error')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.errors.map((error, i) => (
+                                    <tr key={i} data-testid="import-error">
+                                        <td>{error.row}</td>
+                                        <td>{error.field ? t(`field.${error.field}`) : t('transfer.rowError')}</td>
+                                        <td><code>{error.code}</code></td>
+                                        <td>{tError(error)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                    <button type="button" onClick={handleImport} disabled={report.valid.length === 0}>
+                        {t('transfer.import', { count: report.valid.length })}
+                    </button>
+                </>
+            )}
+        </section>
+    );
+}
+
+/**
+ * Export the RegistrationTransfer component as default export
+ * @exports RegistrationTransfer
+ */
+export default RegistrationTransfer;
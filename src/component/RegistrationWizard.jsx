@@ -0,0 +1,299 @@
+/**
+ * @module RegistrationWizard
+ * @description The registration form split into routed steps, with a final review screen.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Routes, Route, Navigate, Link, useNavigate, useParams, useLocation } from 'react-router-dom';
+import { ToastContainer } from 'react-toastify';
+
+import { apiClient } from "../utils/api";
+import { DRAFT_KEY } from "../utils/draftStore";
+import { createInitialValues, getField } from "../utils/formSchema";
+import { registrationSchema, registrationSteps } from "../utils/registrationSchema";
+import { prepareRegistration } from "../utils/registration";
+import { useRegistrationForm } from "../hooks/useRegistrationForm";
+import { useI18n } from "./I18nProvider.jsx";
+import SchemaField from "./SchemaField.jsx";
+import SubmitButton from "./SubmitButton.jsx";
+import ErrorSummary from "./ErrorSummary.jsx";
+import DraftPrompt from "./DraftPrompt.jsx";
+
+/**
+ * RegistrationWizard Component - The registration form as a sequence of routed steps
+ * (identity → contact → address → review by default).
+ *
+ * Features:
+ * - One URL per step (e.g. `/register/contact`), so steps can be linked to and the browser's
+ *   back and forward buttons work
+ * - Per-step validation: "Next" submits the fields of the current step only, and moves on
+ *   when they are valid
+ * - Back and next navigation preserving every answer, as the values live above the routes
+ * - Progress indicator, with links back to the completed steps
+ * - Review screen listing the normalized answers, with a link to edit each step
+ * - Values, validation and submission managed by {@link useRegistrationForm}, like {@link Form}:
+ *   the email is checked with the server while typing, and the answers are autosaved as a
+ *   draft that the next visit offers to resume or discard, on whichever step it opens
+ * - Accessibility, like {@link Form}: an error summary receiving the focus when a step cannot
+ *   be left, and a polite live region announcing the submission status
+ *
+ * Must be rendered inside a router, on a route ending with `/*` (e.g. `<Route path="/register/*">`).
+ * Opening the review step while earlier answers are invalid redirects to the first step
+ * with errors, and shows them; so does a submission the server rejected.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object[]} [props.schema=registrationSchema] - Fields to render and validate
+ * @param {{path: string, label: string, fields: string[]}[]} [props.steps=registrationSteps] - The steps, the last one being the review
+ * @param {Object} [props.api=apiClient] - API client used to submit the registration (see {@link createApiClient})
+ * @param {string} [props.draftKey=DRAFT_KEY] - localStorage key of the draft
+ * @param {number} [props.debounce=400] - Milliseconds without typing in a field before its
+ *   server check runs
+ * @returns {React.ReactElement} The current step
+ *
+ * @state {boolean} showSummary - true after a step could not be left, until the next step change
+ * @state {number} summaryRequests - Incremented each time the error summary must take the focus
+ *
+ * @example
+ * <BrowserRouter>
+ *     <Routes>
+ *         <Route path="/register/*" element={<RegistrationWizard />} />
+ *     </Routes>
+ * </BrowserRouter>
+ */
+function RegistrationWizard({ schema = registrationSchema, steps = registrationSteps, api = apiClient, draftKey = DRAFT_KEY, debounce = 400 }) {
+    const [showSummary, setShowSummary] = useState(false);
+    const [summaryRequests, setSummaryRequests] = useState(0);
+    const summaryRef = useRef(null);
+    const { '*': path } = useParams();
+    const location = useLocation();
+    const navigate = useNavigate();
+    const { t } = useI18n();
+
+    const index = steps.findIndex(step => step.path === path);
+    const isReview = index === steps.length - 1;
+
+    /**
+     * Opens a step; paths are relative to the wizard's route.
+     *
+     * @function goTo
+     * @param {{path: string}} step - The step to open
+     * @param {Object} [state] - History state, `{ showErrors: true }` to show the step's errors
+     */
+    const goTo = (step, state) => navigate(step.path, { state });
+
+    const showErrorSummary = () => {
+        setShowSummary(true);
+        setSummaryRequests(n => n + 1);
+    };
+
+    const form = useRegistrationForm({
+        schema,
+        api,
+        draftKey,
+        debounce,
+        fields: index >= 0 && !isReview ? steps[index].fields : undefined,
+        onSubmit: (values, submit) => (isReview ? submit() : goTo(steps[index + 1])),
+        onInvalid: () => showErrorSummary(),
+        onSuccess: () => goTo(steps[0]),
+        onFailure: (serverErrors) => {
+            const stepWithErrors = steps.find(s => s.fields.some(name => serverErrors[name]));
+            if (stepWithErrors) goTo(stepWithErrors, { showErrors: true });
+        },
+    });
+
+    /**
+     * Shows the error summary on a step reached through a redirection from the review, or after
+     * the server rejected some answers; hides it otherwise.
+     *
+     * @effect
+     * @dependency {string} path - Runs again on every step change
+     */
+    useEffect(() => {
+        const showErrors = index >= 0 && Boolean(location.state?.showErrors);
+        if (showErrors) setSummaryRequests(n => n + 1);
+        setShowSummary(showErrors);
+    }, [path]);
+
+    /**
+     * Moves the focus to the error summary each time it is requested.
+     *
+     * @effect
+     * @dependency {number} summaryRequests - Incremented when a step cannot be left
+     */
+    useEffect(() => {
+        if (summaryRequests > 0) summaryRef.current?.focus();
+    }, [summaryRequests]);
+
+    const wizard = { schema, steps, form, showSummary, summaryRef };
+
+    return (
+        <div className="max-w-[400px] w-full m-auto flex flex-col gap-4 justify-center items-center">
+            <Routes>
+                <Route index element={<Navigate to={steps[0].path} replace />} />
+                <Route path=":step" element={<WizardStep wizard={wizard} />} />
+            </Routes>
+            <div role="status" aria-live="polite" className="sr-only" data-testid="form-status">
+                {form.status && t(form.status)}
+            </div>
+            <ToastContainer />
+        </div>
+    );
+}
+
+/**
+ * WizardStep Component - Renders the step named in the URL, with the progress indicator
+ * and the navigation buttons.
+ *
+ * A field shows its error once it was filled in or left, or its step submitted (so the server
+ * answer "email already registered" shows while typing), and at once on a step opened to show
+ * its errors. Unknown step names redirect to the first step.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object} props.wizard - State and settings shared by every step
+ * @returns {React.ReactElement} The step
+ */
+function WizardStep({ wizard }) {
+    const { schema, steps, form, showSummary, summaryRef } = wizard;
+    const { values, errors, touched, validating, isSubmitting, draft, resumeDraft, discardDraft, register, setFieldValue, handleSubmit } = form;
+    const { step: path } = useParams();
+    const location = useLocation();
+    const navigate = useNavigate();
+    const { t } = useI18n();
+
+    const index = steps.findIndex(step => step.path === path);
+    const step = steps[index];
+    const isReview = index === steps.length - 1;
+    const firstInvalidStep = steps.find(s => s.fields.some(name => errors[name]));
+
+    if (!step) {
+        return <Navigate to={`../${steps[0].path}`} replace />;
+    }
+    if (isReview && firstInvalidStep) {
+        return <Navigate to={`../${firstInvalidStep.path}`} replace state={{ showErrors: true }} />;
+    }
+
+    const initialValues = createInitialValues(schema);
+    const shownErrors = Object.fromEntries(step.fields
+        .filter(name => errors[name] && (touched[name] || values[name] !== initialValues[name] || location.state?.showErrors))
+        .map(name => [name, errors[name]]));
+
+    return (
+        <>
+            <h1 id="form-title">{t('form.title')}</h1>
+            {showSummary && <ErrorSummary ref={summaryRef} schema={schema} errors={shownErrors} />}
+            {draft && <DraftPrompt draft={draft} onResume={resumeDraft} onDiscard={discardDraft} />}
+            <nav aria-label={t('wizard.progress', { current: index + 1, total: steps.length })} className="w-full">
+                <ol data-testid="wizard-progress" className="flex justify-between gap-2">
+                    {steps.map((s, i) => (
+                        <li
+                            key={s.path}
+                            aria-current={i === index ? 'step' : undefined}
+                            className={i === index ? 'font-bold' : i < index ? 'text-primary' : 'text-muted'}
+                        >
+                            {i < index ? <Link to={`../${s.path}`}>{t(s.label)}</Link> : t(s.label)}
+                        </li>
+                    ))}
+                </ol>
+                <p data-testid="wizard-step">{t('wizard.progress', { current: index + 1, total: steps.length })}</p>
+            </nav>
+            <section className="border border-line rounded p-4 w-full">
+                <h2>{t(step.label)}</h2>
+                <form onSubmit={handleSubmit} noValidate aria-labelledby="form-title">
+                    {isReview ? (
+                        <ReviewStep schema={schema} steps={steps.slice(0, -1)} values={values} />
+                    ) : (
+                        step.fields.map(name => getField(schema, name)).map(field => {
+                            const { onChange, onBlur } = register(field.name);
+                            return (
+                                <SchemaField
+                                    key={field.name}
+                                    field={field}
+                                    values={values}
+                                    error={shownErrors[field.name]}
+                                    pending={validating[field.name]}
+                                    onChange={onChange}
+                                    onBlur={onBlur}
+                                    onCorrect={setFieldValue}
+                                />
+                            );
+                        })
+                    )}
+                    <div className="flex justify-between gap-4">
+                        {index > 0 && (
+                            <SubmitButton type="button" variant="secondary" onClick={() => navigate(`../${steps[index - 1].path}`)} data-testid="back">
+                                {t('wizard.back')}
+                            </SubmitButton>
+                        )}
+                        {isReview ? (
+                            <SubmitButton loading={isSubmitting} data-testid="submit">
+                                {t('form.submit')}
+                            </SubmitButton>
+                        ) : (
+                            <SubmitButton data-testid="next">
+                                {t('wizard.next')}
+                            </SubmitButton>
+                        )}
+                    </div>
+                </form>
+            </section>
+        </>
+    );
+}
+
+/**
+ * ReviewStep Component - Lists the answers of every step as they will be stored, with a
+ * link to edit each step.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object[]} props.schema - The form schema
+ * @param {{path: string, label: string, fields: string[]}[]} props.steps - The steps to review
+ * @param {Object} props.values - The answers
+ * @returns {React.ReactElement} The review
+ */
+function ReviewStep({ schema, steps, values }) {
+    const { t } = useI18n();
+    const record = prepareRegistration(values, { schema });
+
+    /**
+     * Formats an answer for display; select values show their option label, and fields with a
+     * `format` (e.g. the phone number) are shown formatted.
+     *
+     * @function display
+     * @param {Object} field - The schema field
+     * @returns {string} The text to show
+     */
+    const display = (field) => {
+        const option = field.options?.find(o => o.value === record[field.name]);
+        if (option) return t(option.label);
+        const value = String(record[field.name] ?? '');
+        return field.format ? field.format(value, record) : value;
+    };
+
+    return (
+        <div data-testid="review" className="mb-[15px] flex flex-col gap-2">
+            {steps.map(step => (
+                <section key={step.path} aria-labelledby={`review-${step.path}`}>
+                    <div className="flex justify-between">
+                        <h3 id={`review-${step.path}`}>{t(step.label)}</h3>
+                        <Link to={`../${step.path}`} className="text-primary underline" aria-label={`${t('wizard.edit')} ${t(step.label)}`}>
+                            {t('wizard.edit')}
+                        </Link>
+                    </div>
+                    <dl>
+                        {step.fields.map(name => getField(schema, name)).map(field => (
+                            <div key={field.name} className="flex gap-2">
+                                <dt>{t(field.label)}</dt>
+                                <dd data-testid={`review-${field.name}`}>{display(field)}</dd>
+                            </div>
+                        ))}
+                    </dl>
+                </section>
+            ))}
+        </div>
+    );
+}
+
+export default RegistrationWizard;
@@ -0,0 +1,104 @@
+/**
+ * @module SchemaField
+ * @description Renders one field of a form schema, shared by the registration form and wizard.
+ */
+
+import React from 'react';
+
+import DateField from "./DateField.jsx";
+import EmailField from "./EmailField.jsx";
+import PhoneField from "./PhoneField.jsx";
+import Select from "./Select.jsx";
+import TextField from "./TextField.jsx";
+import { useI18n } from "./I18nProvider.jsx";
+
+/**
+ * Field component rendering each schema field type; other types use {@link TextField}.
+ * @type {Object<string, React.ComponentType>}
+ */
+const components = {
+    select: Select,
+    email: EmailField,
+    tel: PhoneField,
+    date: DateField,
+};
+
+/**
+ * SchemaField Component - A labelled input (or select) for one schema field.
+ *
+ * Renders, below the input:
+ * - Autocomplete suggestions when the field defines `suggest` (e.g. the towns of the post code)
+ * - A "did you mean …?" button when the field defines `correct` and a correction exists
+ * - A "checking…" indicator while an async validator (e.g. a server check) is pending
+ * - The field error, in the current language, marked with an icon so it is not conveyed by
+ *   color alone
+ *
+ * Built on the field components ({@link TextField}, {@link EmailField}, {@link PhoneField},
+ * {@link DateField}, {@link Select}) according to the field type.
+ *
+ * The input is wired for assistive technologies: `aria-required` for required fields,
+ * `aria-invalid` and `aria-describedby` pointing to the error and the correction when shown,
+ * `aria-busy` while a check is pending.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object} props.field - The schema field definition (see {@link module:formSchema})
+ * @param {Object} props.values - All form values, for suggestions depending on other fields
+ * @param {Object} [props.error] - The field error, `{ code, message, params }`
+ * @param {boolean} [props.pending=false] - true while an async validator checks the value
+ * @param {function(Event): void} props.onChange - Change handler, receives the input event
+ * @param {function(): void} [props.onBlur] - Called when the input loses focus
+ * @param {function(string, string): void} props.onCorrect - Called with the field name and the
+ *   correction when the user accepts it
+ * @returns {React.ReactElement} The field markup
+ */
+function SchemaField({ field, values, error, pending = false, onChange, onBlur, onCorrect }) {
+    const { t, tError } = useI18n();
+    const { name, type, label, placeholder, options, required, suggest, correct } = field;
+    const suggestions = suggest ? suggest(values) : [];
+    const correction = correct ? correct(values[name]) : undefined;
+    const correctionId = `field-${name}-correction`;
+    const Component = components[type] ?? TextField;
+    const controlProps = type === 'select'
+        ? { options: options.map(option => ({ value: option.value, label: t(option.label) })) }
+        : {
+            type,
+            placeholder: placeholder && t(placeholder),
+            list: suggestions.length > 0 ? `field-${name}-suggestions` : undefined,
+        };
+
+    return (
+        <Component
+            {...controlProps}
+            name={name}
+            label={t(label)}
+            value={values[name]}
+            onChange={onChange}
+            onBlur={onBlur}
+            error={error && tError(error)}
+            pending={pending}
+            required={required}
+            describedBy={correction ? correctionId : undefined}
+            data-testid={name}
+        >
+            {suggestions.length > 0 && (
+                <datalist id={`field-${name}-suggestions`} data-testid={`${name}-suggestions`}>
+                    {suggestions.map(suggestion => <option key={suggestion} value={suggestion} />)}
+                </datalist>
+            )}
+            {correction && (
+                <button
+                    type="button"
+                    id={correctionId}
+                    className="text-left text-primary underline"
+                    data-testid={`${name}-correction`}
+                    onClick={() => onCorrect(name, correction)}
+                >
+                    {t('form.didYouMean', { value: correction })}
+                </button>
+            )}
+        </Component>
+    );
+}
+
+export default SchemaField;
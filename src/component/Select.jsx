@@ -0,0 +1,62 @@
+/**
+ * @module Select
+ * @description A labelled drop-down list.
+ */
+
+import React from 'react';
+
+import Field, { getControlProps } from "./Field.jsx";
+import { inputClassName } from "../utils/fieldStyles.js";
+
+/**
+ * Select Component - A labelled `<select>`, with the same states as {@link TextField}.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.name - Name of the select
+ * @param {React.ReactNode} props.label - The label, already translated
+ * @param {{value: string, label: string}[]} props.options - The choices, labels already translated
+ * @param {string} [props.id="field-<name>"] - Id of the select
+ * @param {string} [props.error] - The error message, already translated
+ * @param {boolean} [props.pending=false] - true while the value is being checked
+ * @param {boolean} [props.required=false] - A choice must be made (announced, not enforced)
+ * @param {boolean} [props.disabled=false] - The choice cannot be changed
+ * @param {string} [props.describedBy] - Ids of other elements describing the select
+ * @param {React.ReactNode} [props.children] - Shown right below the select
+ * @returns {React.ReactElement} The field markup
+ *
+ * @example
+ * <Select name="country" label="Country" options={[{ value: 'FR', label: 'France' }]} value={country} onChange={handleChange} />
+ */
+function Select({
+    name,
+    label,
+    options,
+    id = `field-${name}`,
+    error,
+    pending = false,
+    required = false,
+    disabled = false,
+    describedBy,
+    children,
+    ...selectProps
+}) {
+    return (
+        <Field id={id} label={label} error={error} pending={pending} testId={selectProps['data-testid']}>
+            <select
+                {...selectProps}
+                {...getControlProps({ id, error, pending, required, describedBy })}
+                name={name}
+                disabled={disabled}
+                className={inputClassName({ invalid: Boolean(error), disabled })}
+            >
+                {options.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+            </select>
+            {children}
+        </Field>
+    );
+}
+
+export default Select;
@@ -0,0 +1,56 @@
+/**
+ * @module SharedCounter
+ * @description A React tally shared by every tab: a named counter with decrement and increment.
+ */
+
+import React from 'react';
+
+import { useSharedCounter } from "../hooks/useSharedCounter";
+import { useI18n } from "./I18nProvider.jsx";
+
+/**
+ * SharedCounter Component - A named counter kept in sync between components and tabs.
+ *
+ * Unlike {@link Counter}, whose value belongs to one instance, every SharedCounter with the
+ * same `name` shows and changes the same value, in every tab of the browser. Clicks made at
+ * the same time in several tabs all count. There is no undo or bounds: other people's
+ * changes are in the same history.
+ *
+ * State is managed by {@link useSharedCounter}.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.name - Name of the counter
+ * @param {string} [props.label] - Accessible name of the value, the counter name by default
+ * @param {Object} [props.store] - The store, the tab's shared one by default
+ * @returns {React.ReactElement} The counter
+ *
+ * @example
+ * <SharedCounter name="support-tickets" label="Tickets handled today" />
+ */
+function SharedCounter ({ name, label, store }) {
+    const { t } = useI18n();
+    const { value, increment, decrement } = useSharedCounter(name, { store });
+
+    const buttonClass = "border border-line rounded px-3 py-1";
+
+    return (
+        <div role="group" aria-label={label ?? name} className="flex items-center gap-2">
+            <button type="button" onClick={() => decrement()} aria-label={t('counter.decrement')} className={buttonClass}>
+                −
+            </button>
+            <output aria-label={label ?? name} aria-live="polite" data-testid={`shared-count-${name}`} className="min-w-[6rem] text-center">
+                {t('counter.count', { count: value })}
+            </output>
+            <button type="button" onClick={() => increment()} aria-label={t('counter.increment')} className={buttonClass}>
+                +
+            </button>
+        </div>
+    );
+}
+
+/**
+ * Export the SharedCounter component as default export
+ * @exports SharedCounter
+ */
+export default SharedCounter;
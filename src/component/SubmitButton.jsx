@@ -0,0 +1,53 @@
+/**
+ * @module SubmitButton
+ * @description A form submit button with disabled and loading states.
+ */
+
+import React from 'react';
+
+import { buttonClassName } from "../utils/fieldStyles.js";
+
+/**
+ * SubmitButton Component - A themed button, disabled while `loading`.
+ *
+ * While loading it shows a spinner and `aria-busy`, and its label can change (e.g.
+ * "Sending…"). Other props (`onClick`, `data-testid`, …) go to the button.
+ *
+ * `ariaDisabled` makes the button look and be announced as disabled while it stays focusable
+ * and clickable: a form can then be submitted anyway (also with Enter) and explain what is missing.
+ *
+ * @component
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - The label
+ * @param {string} [props.type="submit"] - Button type, `button` for actions other than submitting
+ * @param {string} [props.variant="primary"] - `primary`, `secondary` or `danger` (see {@link BUTTON_VARIANTS})
+ * @param {boolean} [props.disabled=false] - The button cannot be clicked
+ * @param {boolean} [props.ariaDisabled=false] - The button is shown as disabled (`aria-disabled`) but can still be clicked
+ * @param {boolean} [props.loading=false] - An action is in progress: shows the spinner and disables the button
+ * @param {React.ReactNode} [props.loadingLabel] - Label while loading, defaults to `children`
+ * @returns {React.ReactElement} The button
+ *
+ * @example
+ * <SubmitButton ariaDisabled={!isValid} loading={isSubmitting}>{t('form.submit')}</SubmitButton>
+ */
+function SubmitButton({ children, type = 'submit', variant = 'primary', disabled = false, ariaDisabled = false, loading = false, loadingLabel, ...buttonProps }) {
+    const inactive = disabled || loading;
+
+    return (
+        <button
+            {...buttonProps}
+            type={type}
+            disabled={inactive}
+            aria-disabled={ariaDisabled && !inactive ? true : undefined}
+            aria-busy={loading ? true : undefined}
+            className={buttonClassName({ variant, disabled: inactive || ariaDisabled })}
+        >
+            {loading && (
+                <span aria-hidden="true" className="h-4 w-4 rounded-full border-2 border-current border-t-transparent animate-spin" />
+            )}
+            {loading && loadingLabel ? loadingLabel : children}
+        </button>
+    );
+}
+
+export default SubmitButton;
@@ -0,0 +1,63 @@
+/**
+ * @module TextField
+ * @description A labelled text input with its error and "checking…" states.
+ */
+
+import React from 'react';
+
+import Field, { getControlProps } from "./Field.jsx";
+import { inputClassName } from "../utils/fieldStyles.js";
+
+/**
+ * TextField Component - A labelled `<input>`.
+ *
+ * Shows the error below the input (and colors the input with the `danger` token), a
+ * "checking…" indicator while `pending`, and a dimmed input when `disabled`. Other props
+ * (`value`, `onChange`, `placeholder`, `data-testid`, …) go to the input.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.name - Name of the input
+ * @param {React.ReactNode} props.label - The label, already translated
+ * @param {string} [props.id="field-<name>"] - Id of the input
+ * @param {string} [props.type="text"] - Input type
+ * @param {string} [props.error] - The error message, already translated
+ * @param {boolean} [props.pending=false] - true while the value is being checked
+ * @param {boolean} [props.required=false] - The field must be filled (announced, not enforced)
+ * @param {boolean} [props.disabled=false] - The input cannot be edited
+ * @param {string} [props.describedBy] - Ids of other elements describing the input
+ * @param {React.ReactNode} [props.children] - Shown right below the input (suggestions, …)
+ * @returns {React.ReactElement} The field markup
+ *
+ * @example
+ * <TextField name="nickname" label="Nickname" value={nickname} onChange={handleChange} error={error} />
+ */
+function TextField({
+    name,
+    label,
+    id = `field-${name}`,
+    type = 'text',
+    error,
+    pending = false,
+    required = false,
+    disabled = false,
+    describedBy,
+    children,
+    ...inputProps
+}) {
+    return (
+        <Field id={id} label={label} error={error} pending={pending} testId={inputProps['data-testid']}>
+            <input
+                {...inputProps}
+                {...getControlProps({ id, error, pending, required, describedBy })}
+                name={name}
+                type={type}
+                disabled={disabled}
+                className={inputClassName({ invalid: Boolean(error), disabled })}
+            />
+            {children}
+        </Field>
+    );
+}
+
+export default TextField;
@@ -0,0 +1,111 @@
+/**
+ * @module UserDetail
+ * @description A React page showing one registration of the registration store.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+
+import { getRegistration, removeRegistration, subscribeRegistrations } from "../utils/registrationStore";
+import { formatPhone } from "../utils/validator";
+import { formatPostalAddress } from "../utils/address";
+import { useI18n } from "./I18nProvider.jsx";
+
+/**
+ * Fields shown, in order, with their message key and, for stored values not meant to be read
+ * as is, how to display them.
+ * @type {{field: string, label: string, format?: function(Object): string}[]}
+ */
+const details = [
+    { field: 'lastname', label: 'field.lastname' },
+    { field: 'firstname', label: 'field.firstname' },
+    { field: 'email', label: 'field.email' },
+    { field: 'phone', label: 'field.phone', format: (r) => formatPhone(r.phone, r.country || 'FR') },
+    { field: 'birth', label: 'field.birth' },
+    { field: 'country', label: 'field.country' },
+    { field: 'streetNumber', label: 'field.streetNumber' },
+    { field: 'streetName', label: 'field.streetName' },
+    { field: 'addressComplement', label: 'field.addressComplement' },
+    { field: 'postCode', label: 'field.postCode' },
+    { field: 'town', label: 'field.town' },
+    { field: 'department', label: 'field.department' },
+    { field: 'region', label: 'field.region' },
+];
+
+/**
+ * UserDetail Component - The `/users/:id` page.
+ *
+ * Shows every field of the registration whose id is in the URL and its postal address ready to
+ * print on an envelope, with a link back to the list and buttons printing and deleting it. Stays in sync with the store: a registration deleted in another
+ * tab is reported as missing.
+ *
+ * @component
+ * @returns {React.ReactElement} The registration, or a message when no registration has this id
+ *
+ * @example
+ * <Route path="/users/:id" element={<UserDetail />} />
+ */
+function UserDetail() {
+    const { id } = useParams();
+    const navigate = useNavigate();
+    const { t } = useI18n();
+    const [registration, setRegistration] = useState(() => getRegistration(id));
+
+    /**
+     * Effect hook reading the registration again when the id or the store changes.
+     *
+     * @effect
+     * @dependency {string} id - The registration id from the URL
+     */
+    useEffect(() => {
+        setRegistration(getRegistration(id));
+        return subscribeRegistrations(() => setRegistration(getRegistration(id)));
+    }, [id]);
+
+    const back = <Link to="/users" className="text-primary underline">{t('user.back')}</Link>;
+
+    if (!registration) {
+        return (
+            <section className="flex flex-col gap-2 items-center">
+                <h2>{t('user.notFound')}</h2>
+                {back}
+            </section>
+        );
+    }
+
+    const handleDelete = () => {
+        removeRegistration(registration.id);
+        navigate('/users');
+    };
+
+    return (
+        <section aria-labelledby="user-title" className="max-w-[600px] w-full m-auto flex flex-col gap-4">
+            <h2 id="user-title">{registration.firstname} {registration.lastname}</h2>
+            <dl className="grid grid-cols-2 gap-2" data-testid="user-detail">
+                {details.filter(({ field }) => registration[field]).map(({ field, label, format }) => (
+                    <React.Fragment key={field}>
+                        <dt className="font-bold">{t(label)}</dt>
+                        <dd>{format ? format(registration) : registration[field]}</dd>
+                    </React.Fragment>
+                ))}
+                <dt className="font-bold">{t('user.registeredOn')}</dt>
+                <dd>{new Date(registration.createdAt).toLocaleString()}</dd>
+            </dl>
+            <h3 className="font-bold">{t('user.address')}</h3>
+            <address className="not-italic whitespace-pre-line font-mono" data-testid="postal-address">
+                {formatPostalAddress(registration, { countryName: (code) => t(`country.${code}`) }).join('\n')}
+            </address>
+            <div className="flex gap-4 items-center print:hidden">
+                {back}
+                <button type="button" onClick={() => window.print()} className="text-primary underline">
+                    {t('user.print')}
+                </button>
+                <button type="button" onClick={handleDelete} className="text-danger">
+                    {t('user.delete')}
+                </button>
+            </div>
+        </section>
+    );
+}
+
+export default UserDetail;
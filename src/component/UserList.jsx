@@ -0,0 +1,157 @@
+/**
+ * @module UserList
+ * @description A React component listing the registrations kept by the registration store.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+
+import {
+    getRegistrations,
+    removeRegistration,
+    queryRegistrations,
+    subscribeRegistrations,
+} from "../utils/registrationStore";
+import RegistrationTransfer from "./RegistrationTransfer.jsx";
+import { useI18n } from "./I18nProvider.jsx";
+
+/**
+ * Columns displayed in the table, in order. Labels are message keys.
+ * @type {{field: string, label: string}[]}
+ */
+const columns = [
+    { field: 'lastname', label: 'field.lastname' },
+    { field: 'firstname', label: 'field.firstname' },
+    { field: 'email', label: 'field.email' },
+    { field: 'town', label: 'field.town' },
+    { field: 'createdAt', label: 'user.registeredOn' },
+];
+
+/**
+ * UserList Component - The "Registered users" view.
+ *
+ * Lists every registration submitted through the form with:
+ * - Search by name, email or town
+ * - Sorting on any column (click a header to toggle the direction)
+ * - Pagination
+ * - A link from each name to the registration page ({@link UserDetail})
+ * - Deletion of a registration
+ * - Export to CSV or JSON and import from CSV ({@link RegistrationTransfer})
+ *
+ * The list stays in sync with the store, including changes made in other tabs.
+ *
+ * @component
+ * @param {Object} props
+ * @param {number} [props.pageSize=10] - Number of registrations per page
+ * @returns {React.ReactElement} A section containing the search box, table and pagination
+ *
+ * @example
+ * <UserList pageSize={20} />
+ */
+function UserList({ pageSize = 10 }) {
+    const { t } = useI18n();
+    const [registrations, setRegistrations] = useState(getRegistrations);
+    const [search, setSearch] = useState("");
+    const [sortBy, setSortBy] = useState("createdAt");
+    const [sortDirection, setSortDirection] = useState("desc");
+    const [page, setPage] = useState(1);
+
+    /**
+     * Effect hook keeping the local copy of the registrations in sync with the store.
+     *
+     * @effect
+     */
+    useEffect(() => subscribeRegistrations(() => setRegistrations(getRegistrations())), []);
+
+    const result = queryRegistrations(registrations, { search, sortBy, sortDirection, page, pageSize });
+
+    /**
+     * Sorts on a column, toggling the direction when it is already the sort column.
+     *
+     * @function handleSort
+     * @param {string} field - The column field name
+     * @returns {void}
+     */
+    const handleSort = (field) => {
+        if (field === sortBy) {
+            setSortDirection(d => (d === 'asc' ? 'desc' : 'asc'));
+        } else {
+            setSortBy(field);
+            setSortDirection('asc');
+        }
+    };
+
+    return (
+        <section className="max-w-[800px] w-full m-auto flex flex-col gap-4">
+            <h2>{t('users.title')}</h2>
+            <RegistrationTransfer />
+            <input
+                type="search"
+                placeholder={t('users.search')}
+                aria-label={t('users.search')}
+                value={search}
+                onChange={(e) => {
+                    setSearch(e.target.value);
+                    setPage(1);
+                }}
+                className="border border-line rounded"
+                data-testid="user-search"
+            />
+            {result.total === 0 ? (
+                <p data-testid="user-list-empty">{t('users.empty')}</p>
+            ) : (
+                <table className="w-full text-left" data-testid="user-list">
+                    <thead>
+                        <tr>
+                            {columns.map(({ field, label }) => (
+                                <th key={field} aria-sort={sortBy === field ? `${sortDirection}ending` : undefined}>
+                                    <button type="button" onClick={() => handleSort(field)}>
+                                        {t(label)}
+                                        {sortBy === field && (sortDirection === 'asc' ? ' ▲' : ' ▼')}
+                                    </button>
+                                </th>
+                            ))}
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {result.items.map((r) => (
+                            <tr key={r.id} data-testid="user-row">
+                                {columns.map(({ field }) => (
+                                    <td key={field}>
+                                        {field === 'createdAt' && new Date(r.createdAt).toLocaleString()}
+                                        {field === 'lastname' && (
+                                            <Link to={`/users/${r.id}`} className="text-primary underline">{r.lastname}</Link>
+                                        )}
+                                        {field !== 'createdAt' && field !== 'lastname' && r[field]}
+                                    </td>
+                                ))}
+                                <td>
+                                    <button
+                                        type="button"
+                                        onClick={() => removeRegistration(r.id)}
+                                        aria-label={t('users.deleteNamed', { name: `${r.firstname ?? ""} ${r.lastname ?? ""}`.trim() })}
+                                        className="text-danger"
+                                    >
+                                        {t('user.delete')}
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            <nav className="flex gap-4 justify-center items-center" aria-label={t('users.pagination')}>
+                <button type="button" onClick={() => setPage(result.page - 1)} disabled={result.page <= 1}>
+                    {t('users.previous')}
+                </button>
+                <span data-testid="user-page">{t('users.page', { page: result.page, pageCount: result.pageCount })}</span>
+                <button type="button" onClick={() => setPage(result.page + 1)} disabled={result.page >= result.pageCount}>
+                    {t('users.next')}
+                </button>
+            </nav>
+        </section>
+    );
+}
+
+export default UserList;
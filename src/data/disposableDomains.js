@@ -0,0 +1,66 @@
+/**
+ * @module data/disposableDomains
+ * @description Offline list of disposable ("throwaway") email providers, whose addresses
+ * stop working after a few minutes or are readable by anyone. Subdomains of these domains
+ * are disposable too.
+ */
+
+/**
+ * Disposable email domains, in ASCII form and sorted alphabetically.
+ * @type {string[]}
+ */
+const disposableDomains = [
+    "10minutemail.com",
+    "20minutemail.com",
+    "33mail.com",
+    "anonbox.net",
+    "burnermail.io",
+    "byom.de",
+    "discard.email",
+    "dispostable.com",
+    "dropmail.me",
+    "emailondeck.com",
+    "fakeinbox.com",
+    "getairmail.com",
+    "getnada.com",
+    "guerrillamail.biz",
+    "guerrillamail.com",
+    "guerrillamail.de",
+    "guerrillamail.net",
+    "guerrillamail.org",
+    "guerrillamailblock.com",
+    "harakirimail.com",
+    "incognitomail.org",
+    "jetable.org",
+    "mailcatch.com",
+    "maildrop.cc",
+    "mailinator.com",
+    "mailinator.net",
+    "mailnesia.com",
+    "mintemail.com",
+    "moakt.com",
+    "mohmal.com",
+    "mytemp.email",
+    "mytrashmail.com",
+    "nada.email",
+    "sharklasers.com",
+    "spam4.me",
+    "spambox.us",
+    "spamgourmet.com",
+    "temp-mail.io",
+    "temp-mail.org",
+    "tempail.com",
+    "tempmail.dev",
+    "tempmailo.com",
+    "tempr.email",
+    "throwawaymail.com",
+    "trash-mail.com",
+    "trashmail.com",
+    "trashmail.de",
+    "trashmail.fr",
+    "yopmail.com",
+    "yopmail.fr",
+    "yopmail.net",
+];
+
+export { disposableDomains }
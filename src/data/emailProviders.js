@@ -0,0 +1,44 @@
+/**
+ * @module data/emailProviders
+ * @description Domains of the email providers most used by our French and European
+ * users. Addresses on a domain close to one of these are probably typos.
+ */
+
+/**
+ * Common email domains, most used first (ties in typo suggestions go to the first one).
+ * @type {string[]}
+ */
+const emailProviders = [
+    "gmail.com",
+    "hotmail.fr",
+    "yahoo.fr",
+    "orange.fr",
+    "outlook.fr",
+    "free.fr",
+    "laposte.net",
+    "sfr.fr",
+    "wanadoo.fr",
+    "live.fr",
+    "icloud.com",
+    "hotmail.com",
+    "outlook.com",
+    "yahoo.com",
+    "live.com",
+    "msn.com",
+    "me.com",
+    "aol.com",
+    "gmx.fr",
+    "gmx.de",
+    "gmx.net",
+    "web.de",
+    "neuf.fr",
+    "bbox.fr",
+    "numericable.fr",
+    "skynet.be",
+    "bluewin.ch",
+    "proton.me",
+    "protonmail.com",
+    "mail.com",
+];
+
+export { emailProviders }
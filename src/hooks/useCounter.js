@@ -0,0 +1,93 @@
+/**
+ * @module useCounter
+ * @description React hook for a bounded counter with undo/redo, optionally persisted to
+ * localStorage.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+
+import { createCounterConfig, createCounterState, counterReducer, clampValue } from "../utils/counter.js";
+
+/**
+ * Reads a persisted counter value, brought within the current bounds.
+ *
+ * @function loadValue
+ * @param {string} [key] - localStorage key; nothing is read without it
+ * @param {Object} config - The counter config
+ * @returns {number|undefined} The stored value, or undefined if there is none or it is not a number
+ */
+function loadValue (key, config) {
+    if (!key) return undefined;
+    let value;
+    try {
+        value = JSON.parse(localStorage.getItem(key));
+    } catch {
+        return undefined;
+    }
+    return Number.isFinite(value) ? clampValue(value, config) : undefined;
+}
+
+/**
+ * Manages a counter: its value, the actions changing it and their history.
+ *
+ * - Every change can be undone and redone; a new change clears the changes undone
+ * - With a `storageKey`, the value (not the history) is saved on each change and restored
+ *   on mount
+ * - `onChange` is called with the new value after each change, not on mount
+ *
+ * @function useCounter
+ * @param {Object} [options]
+ * @param {number} [options.initial=0] - Starting value, and the value `reset` goes back to
+ * @param {number} [options.step=1] - Amount added or removed by increment and decrement
+ * @param {number} [options.min=-Infinity] - Smallest allowed value
+ * @param {number} [options.max=Infinity] - Largest allowed value
+ * @param {string} [options.storageKey] - localStorage key to persist the value under
+ * @param {function(number): void} [options.onChange] - Called with each new value
+ * @returns {{value: number, config: Object, canUndo: boolean, canRedo: boolean,
+ *   increment: function(number=): void, decrement: function(number=): void, set: function(number): void,
+ *   reset: function(): void, undo: function(): void, redo: function(): void}}
+ *   - increment/decrement: move by `times` steps (1 by default)
+ *   - config: the checked options, see {@link createCounterConfig}
+ *
+ * @throws {RangeError} If the options are inconsistent (see {@link createCounterConfig})
+ *
+ * @example
+ * const { value, increment, undo, canUndo } = useCounter({ min: 1, max: 10, storageKey: "quantity" });
+ */
+function useCounter ({ initial, step, min, max, storageKey, onChange } = {}) {
+    const config = createCounterConfig({ initial, step, min, max });
+    const [state, setState] = useState(() => createCounterState(loadValue(storageKey, config) ?? config.initial));
+    // Last value persisted and notified: the effect below acts only when the value differs from
+    // it, so it does nothing on mount, even when StrictMode runs it twice
+    const lastValueRef = useRef(state.present);
+
+    /**
+     * Persists the value and notifies the parent after each change.
+     *
+     * @effect
+     * @dependency {number} state.present - The current value
+     */
+    useEffect(() => {
+        if (state.present === lastValueRef.current) return;
+        lastValueRef.current = state.present;
+        if (storageKey) localStorage.setItem(storageKey, JSON.stringify(state.present));
+        onChange?.(state.present);
+    }, [state.present]);
+
+    const dispatch = (action) => setState(prev => counterReducer(prev, action, config));
+
+    return {
+        value: state.present,
+        config,
+        canUndo: state.past.length > 0,
+        canRedo: state.future.length > 0,
+        increment: (times = 1) => dispatch({ type: "increment", times }),
+        decrement: (times = 1) => dispatch({ type: "decrement", times }),
+        set: (value) => dispatch({ type: "set", value }),
+        reset: () => dispatch({ type: "reset" }),
+        undo: () => dispatch({ type: "undo" }),
+        redo: () => dispatch({ type: "redo" }),
+    };
+}
+
+export { useCounter }
@@ -0,0 +1,67 @@
+/**
+ * @module useDraft
+ * @description React hook autosaving form values as a draft and offering to resume it.
+ */
+
+import { useState, useEffect } from 'react';
+
+import { DRAFT_KEY, DRAFT_VERSION, saveDraft, loadDraft, clearDraft } from "../utils/draftStore.js";
+
+/**
+ * Autosaves form values to the draft store, debounced, and exposes the draft found on load.
+ *
+ * - Values equal to `initialValues` are not a draft: the stored draft is deleted instead
+ * - While a draft found on load awaits the user's decision, nothing is saved, so typing
+ *   does not overwrite it before the user chose to resume or discard it
+ *
+ * @function useDraft
+ * @param {Object} values - The current form values
+ * @param {Object} options
+ * @param {Object} options.initialValues - Values of an untouched form
+ * @param {string} [options.key=DRAFT_KEY] - localStorage key
+ * @param {number} [options.version=DRAFT_VERSION] - Version of the form
+ * @param {number} [options.delay=500] - Milliseconds without changes before saving
+ * @returns {{draft: Object|undefined, resumeDraft: function(): Object, discardDraft: function(): void, clearDraft: function(): void}}
+ *   - draft: the draft found on load, until resumed or discarded
+ *   - resumeDraft: returns the draft values and resumes autosaving
+ *   - discardDraft: deletes the draft and resumes autosaving
+ *   - clearDraft: deletes the stored draft (e.g. after a successful submission)
+ *
+ * @example
+ * const { draft, resumeDraft, discardDraft } = useDraft(form, { initialValues });
+ * if (draft) return <button onClick={() => setForm(resumeDraft())}>Resume</button>;
+ */
+function useDraft (values, { initialValues, key = DRAFT_KEY, version = DRAFT_VERSION, delay = 500 }) {
+    const [draft, setDraft] = useState(() => loadDraft({ key, version }));
+    const isBlank = JSON.stringify(values) === JSON.stringify(initialValues);
+
+    /**
+     * Saves the values once they stop changing for `delay` milliseconds.
+     *
+     * @effect
+     * @dependency {Object} values - Restarts the delay on every change
+     */
+    useEffect(() => {
+        if (draft) return undefined;
+        const timer = setTimeout(() => {
+            if (isBlank) clearDraft({ key });
+            else saveDraft(values, { key, version });
+        }, delay);
+        return () => clearTimeout(timer);
+    }, [values, draft]);
+
+    return {
+        draft,
+        resumeDraft: () => {
+            setDraft(undefined);
+            return draft?.values ?? initialValues;
+        },
+        discardDraft: () => {
+            clearDraft({ key });
+            setDraft(undefined);
+        },
+        clearDraft: () => clearDraft({ key }),
+    };
+}
+
+export { useDraft }
@@ -0,0 +1,300 @@
+/**
+ * @module useForm
+ * @description React hook holding the state of a form: values, errors, touched fields,
+ * validation and submission. {@link Form} is built on it; other screens can use it to get the
+ * same behaviour with their own markup.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+
+import { toValidationError } from "../utils/errors.js";
+
+/**
+ * Tells whether an errors object holds at least one error.
+ *
+ * @function hasErrors
+ * @param {Object} errors - Field name to error or undefined
+ * @returns {boolean} true if some field has an error
+ */
+function hasErrors (errors) {
+    return Object.values(errors).some(Boolean);
+}
+
+/**
+ * Keeps the entries of the given fields only.
+ *
+ * @function pickFields
+ * @param {Object} entries - By field name
+ * @param {string[]} fields - The field names to keep
+ * @returns {Object} The entries of those fields
+ */
+function pickFields (entries, fields) {
+    return Object.fromEntries(fields.filter(name => name in entries).map(name => [name, entries[name]]));
+}
+
+/**
+ * Error of a field whose validator failed for another reason than an invalid value (a bug, the
+ * server being unreachable…): the value could not be checked, so the form cannot be submitted
+ * until the field is changed and checked again.
+ * @type {{code: string, message: string}}
+ */
+const CHECK_FAILED_ERROR = { code: "CHECK_FAILED", message: "This value could not be checked" };
+
+/**
+ * Runs the validator of a field.
+ *
+ * A validator is called with the field value, all the values and `{ signal }`; it returns (or
+ * resolves) when the value is valid and throws (or rejects with) a validation error otherwise,
+ * like the validators of {@link module:validator}.
+ *
+ * @function runFieldValidator
+ * @param {function(*, Object, Object): (void|Promise<void>)} validator - The field validator
+ * @param {string} name - The field name
+ * @param {Object} values - The form values
+ * @param {AbortSignal} signal - Aborted when the result is no longer wanted
+ * @returns {Promise<Object|undefined>} The error, or undefined if the value is valid
+ *
+ * @throws {*} Rejects with anything else the validator throws (e.g. a cancellation)
+ */
+async function runFieldValidator (validator, name, values, signal) {
+    try {
+        await validator(values[name], values, { signal });
+        return undefined;
+    } catch (err) {
+        const { code, message, params } = toValidationError(err);
+        return { code, message, params };
+    }
+}
+
+/**
+ * Manages the state of a form.
+ *
+ * - Values are validated on every change by `validate`, synchronously
+ * - Fields that pass get their `validators` run too, which may be async (e.g. asking the
+ *   server whether an email is registered). A check starts `debounce` milliseconds after its
+ *   field last changed and is cancelled, through its signal, when the field changes again;
+ *   the field is listed in `validating` meanwhile. Checks run again only when their own field
+ *   changes.
+ * - A validator that fails with something else than a validation error (e.g. a `TypeError`)
+ *   gives its field the {@link CHECK_FAILED_ERROR} and is reported to `onValidatorError`
+ * - Errors set with `setFieldError` (e.g. returned by the server) last until the next change
+ * - `handleSubmit` marks every field as touched, validates the values one last time, waiting
+ *   for pending checks, and calls `onSubmit` if they are valid, `onInvalid` otherwise
+ * - With `fields`, only those fields are submitted: `handleSubmit` and `isValid` ignore the
+ *   errors of the others, so a form showing a few fields at a time (e.g. one step of a wizard)
+ *   can move on while the rest are still blank
+ *
+ * @function useForm
+ * @param {Object} options
+ * @param {Object} options.initialValues - Values of an untouched form, read on the first render
+ * @param {function(Object): Object} [options.validate] - Returns the errors of the values, by field name
+ *   (e.g. `values => validateRegistration(values).errors`)
+ * @param {Object<string, function(*, Object, Object): (void|Promise<void>)>} [options.validators={}] - Field
+ *   name to validator, sync or async, run on the fields `validate` found valid; receives the
+ *   value, all the values and `{ signal }` (see {@link getAsyncValidators})
+ * @param {number} [options.debounce=0] - Milliseconds without changes to a field before its
+ *   validator runs
+ * @param {string[]} [options.fields] - Names of the fields `handleSubmit` submits, every field by default
+ * @param {function(string, string): string} [options.sanitize] - Applied to each value typed,
+ *   with the field name (e.g. {@link sanitizeText})
+ * @param {function(Object, Object): (void|Promise<void>)} [options.onSubmit] - Called with the valid
+ *   values and `{ reset, setFieldError }`; `isSubmitting` stays true until it settles
+ * @param {function(Object): void} [options.onInvalid] - Called with the errors when a submission
+ *   is refused
+ * @param {function(*, string): void} [options.onValidatorError=console.error] - Called with what a
+ *   field validator threw, and the field name, when it is not a validation error
+ * @returns {Object} The form state and helpers:
+ *   - values, errors, touched: by field name
+ *   - validating: by field name, true while the field's validator is pending
+ *   - dirty: true when the values differ from the initial ones
+ *   - isValid: true when no submitted field has an error and no validation of one is pending
+ *   - isValidating: true while some field's validator is pending
+ *   - isSubmitting: true while `onSubmit` runs
+ *   - submitCount: number of submission attempts since the last reset
+ *   - register(name): the `name`, `value`, `onChange` and `onBlur` props of the field's input
+ *   - setFieldValue(name, value), setValues(values), setFieldError(name, error)
+ *   - reset([values]): back to the initial values (or `values`), untouched
+ *   - handleSubmit(event): the form's submit handler
+ *
+ * @example
+ * const { register, errors, validating, isValid, handleSubmit } = useForm({
+ *     initialValues: { nickname: "" },
+ *     validate: values => (values.nickname ? {} : { nickname: REQUIRED_ERROR }),
+ *     validators: { nickname: (value, values, { signal }) => api.checkNickname(value, { signal }) },
+ *     debounce: 400,
+ *     onSubmit: values => api.save(values),
+ * });
+ * return (
+ *     <form onSubmit={handleSubmit}>
+ *         <input {...register("nickname")} aria-busy={validating.nickname} />
+ *         <button type="submit" disabled={!isValid}>Save</button>
+ *     </form>
+ * );
+ */
+function useForm ({ initialValues, validate = () => ({}), validators = {}, debounce = 0, fields, sanitize = (value) => value, onSubmit, onInvalid, onValidatorError = (err) => console.error(err) }) {
+    const [initial] = useState(initialValues);
+    const [values, setValues] = useState(initial);
+    const [errors, setErrors] = useState(() => validate(initial));
+    const [touched, setTouched] = useState({});
+    const [validating, setValidating] = useState({});
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [submitCount, setSubmitCount] = useState(0);
+    // Field name to its latest check: { value, promise, settled, error, controller, timer }
+    const checksRef = useRef({});
+    const submitted = fields ?? Object.keys(values);
+
+    /**
+     * Cancels the pending check of a field and forgets its last result.
+     *
+     * @function cancelCheck
+     * @param {string} name - The field name
+     */
+    const cancelCheck = (name) => {
+        const check = checksRef.current[name];
+        if (check && !check.settled) {
+            clearTimeout(check.timer);
+            check.controller.abort();
+        }
+        delete checksRef.current[name];
+    };
+
+    /**
+     * Starts the check of a field after the debounce delay. Its result is applied unless the
+     * check was cancelled meanwhile; a validator that crashed settles the check with
+     * {@link CHECK_FAILED_ERROR}, so the field does not stay pending.
+     *
+     * @function startCheck
+     * @param {string} name - The field name
+     * @param {Object} checkedValues - The values to check
+     */
+    const startCheck = (name, checkedValues) => {
+        const controller = new AbortController();
+        const check = { value: checkedValues[name], settled: false, controller };
+        const run = () => runFieldValidator(validators[name], name, checkedValues, controller.signal);
+        const result = debounce > 0
+            ? new Promise(resolve => {
+                check.timer = setTimeout(resolve, debounce);
+                controller.signal.addEventListener("abort", resolve, { once: true });
+            }).then(() => (controller.signal.aborted ? undefined : run()))
+            : run();
+        const settle = (error) => {
+            Object.assign(check, { settled: true, error });
+            setErrors(prev => ({ ...prev, [name]: error }));
+            setValidating(prev => ({ ...prev, [name]: false }));
+        };
+        check.promise = result.then((error) => {
+            if (!controller.signal.aborted) settle(error);
+        }, (err) => {
+            if (controller.signal.aborted) return;
+            settle(CHECK_FAILED_ERROR);
+            onValidatorError(err, name);
+        });
+        checksRef.current[name] = check;
+    };
+
+    /**
+     * Validates the values on every change: sync errors at once, then the field validators of
+     * the fields that changed, debounced.
+     *
+     * @effect
+     * @dependency {Object} values - Re-validates when any field value changes
+     */
+    useEffect(() => {
+        const syncErrors = validate(values);
+        const checkErrors = {};
+        const pending = {};
+        Object.keys(validators).forEach(name => {
+            const check = checksRef.current[name];
+            if (syncErrors[name]) {
+                cancelCheck(name);
+            } else if (check?.value === values[name]) {
+                if (check.settled) checkErrors[name] = check.error;
+                else pending[name] = true;
+            } else {
+                cancelCheck(name);
+                startCheck(name, values);
+                pending[name] = true;
+            }
+        });
+        setErrors({ ...syncErrors, ...checkErrors });
+        setValidating(pending);
+    }, [values]);
+
+    /**
+     * Cancels the pending checks when the component unmounts.
+     *
+     * @effect
+     */
+    useEffect(() => () => Object.keys(checksRef.current).forEach(cancelCheck), []);
+
+    const setFieldValue = (name, value) => setValues(prev => ({ ...prev, [name]: value }));
+
+    const setFieldError = (name, error) => setErrors(prev => ({ ...prev, [name]: error }));
+
+    const reset = (nextValues = initial) => {
+        Object.keys(checksRef.current).forEach(cancelCheck);
+        setValues(nextValues);
+        setErrors(validate(nextValues));
+        setValidating({});
+        setTouched({});
+        setSubmitCount(0);
+    };
+
+    const register = (name) => ({
+        name,
+        value: values[name],
+        onChange: (e) => {
+            const { type, checked, value } = e.target;
+            setFieldValue(name, type === "checkbox" ? checked : sanitize(value, name));
+        },
+        onBlur: () => setTouched(prev => ({ ...prev, [name]: true })),
+    });
+
+    const handleSubmit = async (e) => {
+        e?.preventDefault();
+        if (isSubmitting) return;
+        setSubmitCount(n => n + 1);
+        setTouched(prev => ({ ...prev, ...Object.fromEntries(submitted.map(name => [name, true])) }));
+
+        const syncErrors = validate(values);
+        await Promise.allSettled(submitted.map(name => checksRef.current[name]?.promise));
+        const finalErrors = { ...syncErrors };
+        Object.keys(validators).forEach(name => {
+            const error = !syncErrors[name] && checksRef.current[name]?.error;
+            if (error) finalErrors[name] = error;
+        });
+        setErrors(finalErrors);
+        const submittedErrors = pickFields(finalErrors, submitted);
+        if (hasErrors(submittedErrors)) {
+            onInvalid?.(submittedErrors);
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            await onSubmit?.(values, { reset, setFieldError });
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return {
+        values,
+        errors,
+        touched,
+        validating,
+        dirty: JSON.stringify(values) !== JSON.stringify(initial),
+        isValid: !hasErrors(pickFields(errors, submitted)) && !hasErrors(pickFields(validating, submitted)),
+        isValidating: hasErrors(validating),
+        isSubmitting,
+        submitCount,
+        register,
+        setFieldValue,
+        setValues,
+        setFieldError,
+        reset,
+        handleSubmit,
+    };
+}
+
+export { useForm, CHECK_FAILED_ERROR }
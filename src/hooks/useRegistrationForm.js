@@ -0,0 +1,172 @@
+/**
+ * @module useRegistrationForm
+ * @description React hook holding a registration form: {@link useForm} set up with the
+ * registration rules and server checks, its draft, and the submission to the API.
+ * {@link Form} and {@link RegistrationWizard} are both built on it, so they behave the same way.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+
+import { addRegistration } from "../utils/registrationStore";
+import { apiClient, mapServerErrors } from "../utils/api";
+import { createInitialValues, getAsyncValidators, formatFieldValue } from "../utils/formSchema";
+import { registrationSchema } from "../utils/registrationSchema";
+import { validateRegistration, prepareRegistration } from "../utils/registration";
+import { sanitizeText } from "../utils/sanitize";
+import { DRAFT_KEY } from "../utils/draftStore";
+import { useDraft } from "./useDraft";
+import { useForm } from "./useForm";
+import { useI18n } from "../component/I18nProvider.jsx";
+
+/**
+ * Manages a registration form and its submission.
+ *
+ * Values start from the schema, are sanitized and formatted as they are typed (see
+ * {@link formatFieldValue}) and validated by {@link validateRegistration}, then by the
+ * schema's server checks (e.g. email already registered, see {@link getAsyncValidators}),
+ * `debounce` milliseconds after the field last changed.
+ *
+ * Values are autosaved as a draft (see {@link useDraft}); a draft left by a previous visit is
+ * exposed as `draft` until `resumeDraft` fills the form with it or `discardDraft` deletes it.
+ *
+ * Once `handleSubmit` found the values valid, the submission:
+ * 1. Normalizes the values (e.g. post code spacing and case) and computes derived fields
+ *    (e.g. department and region), shows a loading toast and POSTs them through the API
+ *    client (with retries)
+ * 2. On success: appends the record to the registration store (with generated id and
+ *    timestamp), deletes the draft, resets the form, shows a success toast and calls `onSuccess`
+ * 3. On failure: sets the server field errors, shows an error toast and calls `onFailure`
+ * 4. If the component unmounts meanwhile, the request is cancelled and nothing else happens
+ *
+ * The submission status is exposed as a message key, for a polite live region.
+ *
+ * @function useRegistrationForm
+ * @param {Object} [options]
+ * @param {Object[]} [options.schema=registrationSchema] - Fields to validate and submit
+ * @param {Object} [options.api=apiClient] - API client used to submit the registration (see {@link createApiClient})
+ * @param {string} [options.draftKey=DRAFT_KEY] - localStorage key of the draft, to keep the drafts
+ *   of different forms apart
+ * @param {number} [options.debounce=400] - Milliseconds without typing in a field before its
+ *   server check runs
+ * @param {string[]} [options.fields] - Names of the fields submitted, every field by default (see {@link useForm})
+ * @param {function(Object, function(): Promise<void>): (void|Promise<void>)} [options.onSubmit] - Called
+ *   with the valid values and a function submitting them; submits them by default. A wizard
+ *   moves to its next step instead, until the last one.
+ * @param {function(Object): void} [options.onInvalid] - Called with the errors when a submission is refused
+ * @param {function(Object): void} [options.onSuccess] - Called with the stored record after a successful submission
+ * @param {function(Object): void} [options.onFailure] - Called with the server field errors, by
+ *   field name, after a failed submission
+ * @returns {Object} The state and helpers of {@link useForm}, and:
+ *   - status: the message key of the submission status, empty before the first submission
+ *   - draft: the draft found on load, until resumed or discarded
+ *   - resumeDraft(): fills the form with the draft; only the fields of the schema are taken from it
+ *   - discardDraft(): deletes the draft
+ *
+ * @example
+ * const { values, errors, register, handleSubmit, status } = useRegistrationForm({
+ *     onFailure: errors => console.log(errors),
+ * });
+ */
+function useRegistrationForm ({
+    schema = registrationSchema,
+    api = apiClient,
+    draftKey = DRAFT_KEY,
+    debounce = 400,
+    fields,
+    onSubmit = (values, submit) => submit(),
+    onInvalid,
+    onSuccess,
+    onFailure,
+} = {}) {
+    const [status, setStatus] = useState('');
+    const controllerRef = useRef(null);
+    const { t } = useI18n();
+
+    /**
+     * Submits valid values: see the steps above.
+     *
+     * @function submit
+     * @param {Object} values - The valid form values
+     * @param {Object} helpers - `reset` and `setFieldError`, from {@link useForm}
+     */
+    const submit = async (values, { reset, setFieldError }) => {
+        const record = prepareRegistration(values, { schema });
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        setStatus('status.submitting');
+        const id = toast.loading(t('form.submitting'));
+
+        try {
+            await api.submitRegistration(record, { signal: controller.signal });
+        } catch (err) {
+            if (axios.isCancel(err)) {
+                toast.dismiss(id);
+                return;
+            }
+            const serverErrors = mapServerErrors(err);
+            Object.entries(serverErrors).forEach(([name, error]) => setFieldError(name, error));
+            setStatus('status.failure');
+            toast.update(id, {
+                render: t('form.failure'),
+                type: 'error',
+                isLoading: false,
+                autoClose: 5000,
+            });
+            onFailure?.(serverErrors);
+            return;
+        }
+
+        addRegistration(record);
+        clearDraft();
+        reset();
+        setStatus('status.success');
+        toast.update(id, {
+            render: t('form.success'),
+            type: 'success',
+            isLoading: false,
+            autoClose: 3000,
+        });
+        onSuccess?.(record);
+    };
+
+    const form = useForm({
+        initialValues: createInitialValues(schema),
+        validate: (values) => validateRegistration(values, { schema }).errors,
+        validators: getAsyncValidators(schema, { api }),
+        debounce,
+        fields,
+        sanitize: (value, name) => formatFieldValue(schema, name, sanitizeText(value, { typing: true }), form.values),
+        onSubmit: (values, helpers) => onSubmit(values, () => submit(values, helpers)),
+        onInvalid,
+    });
+
+    const { draft, resumeDraft, discardDraft, clearDraft } = useDraft(form.values, {
+        initialValues: createInitialValues(schema),
+        key: draftKey,
+    });
+
+    /**
+     * Fills the form with the draft left by a previous visit. Only the fields of the schema are
+     * taken from it.
+     *
+     * @function handleResumeDraft
+     */
+    const handleResumeDraft = () => {
+        const values = resumeDraft();
+        const initialValues = createInitialValues(schema);
+        form.setValues(Object.fromEntries(Object.keys(initialValues).map(name => [name, values[name] ?? initialValues[name]])));
+    };
+
+    /**
+     * Aborts any submission still in flight when the component unmounts.
+     *
+     * @effect
+     */
+    useEffect(() => () => controllerRef.current?.abort(), []);
+
+    return { ...form, status, draft, resumeDraft: handleResumeDraft, discardDraft };
+}
+
+export { useRegistrationForm }
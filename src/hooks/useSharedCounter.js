@@ -0,0 +1,51 @@
+/**
+ * @module useSharedCounter
+ * @description React hook reading and updating a named counter shared by every component and
+ * every tab.
+ */
+
+import { useState, useEffect } from 'react';
+
+import { getSharedCounterStore } from "../utils/sharedCounterStore.js";
+
+/**
+ * Reads and updates a named counter of a {@link createSharedCounterStore} store.
+ *
+ * Every component using the same name sees the same value, in this tab and in the others;
+ * changes made at the same time in several tabs all count.
+ *
+ * @function useSharedCounter
+ * @param {string} name - The counter name
+ * @param {Object} [options]
+ * @param {Object} [options.store] - The store, the tab's shared one by default
+ * @returns {{value: number, increment: function(number=): void, decrement: function(number=): void}}
+ *   - increment/decrement: add or remove an integer amount (1 by default)
+ *
+ * @example
+ * const { value, increment } = useSharedCounter("coffees");
+ * return <button onClick={() => increment()}>{value} ☕</button>;
+ */
+function useSharedCounter (name, { store = getSharedCounterStore() } = {}) {
+    const [value, setValue] = useState(() => store.get(name));
+
+    /**
+     * Follows the counter, re-reading it in case it changed before the subscription.
+     *
+     * @effect
+     * @dependency {string} name - Follows the new counter when the name changes
+     * @dependency {Object} store - Follows the new store when it changes
+     */
+    useEffect(() => {
+        const unsubscribe = store.subscribe(name, setValue);
+        setValue(store.get(name));
+        return unsubscribe;
+    }, [name, store]);
+
+    return {
+        value,
+        increment: (amount = 1) => store.add(name, amount),
+        decrement: (amount = 1) => store.add(name, -amount),
+    };
+}
+
+export { useSharedCounter }
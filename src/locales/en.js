@@ -0,0 +1,145 @@
+/**
+ * @module locales/en
+ * @description English message catalogue. Validation messages are keyed by the error
+ * codes thrown by the validators; interface strings use dotted keys.
+ */
+
+/**
+ * English messages.
+ * @type {Object<string, string>}
+ */
+const en = {
+    REQUIRED: "This field is required",
+    INVALID: "Invalid value",
+    INVALID_DATE: "Birth date is invalid",
+    INVALID_AGE: "Must be at least {min} years old",
+    INVALID_POST_CODE: "Invalid post code",
+    INVALID_IDENTITY: "Invalid characters in name",
+    IDENTITY_TOO_LONG: "Name must be at most {max} characters",
+    INVALID_EMAIL: "Invalid email format",
+    DISPOSABLE_EMAIL: "Disposable email addresses are not accepted",
+    INVALID_COUNTRY: "Unsupported country",
+    EMAIL_TAKEN: "This email is already registered",
+    CHECK_FAILED: "This value could not be checked, please try again",
+    INVALID_TOWN: "Invalid town name",
+    INVALID_PHONE: "Invalid phone number, e.g. {example}",
+    INVALID_STREET_NUMBER: "Invalid street number, e.g. 12 or 12 bis",
+    INVALID_STREET_NAME: "Invalid street name",
+    INVALID_ADDRESS_COMPLEMENT: "Invalid address complement",
+    ADDRESS_LINE_TOO_LONG: "Must be at most {max} characters",
+    TOWN_POST_CODE_MISMATCH: "Post code {postCode} is for {towns}",
+    FILE_UNREADABLE: "The file could not be read",
+    CSV_EMPTY: "The file has no header row",
+    CSV_UNTERMINATED_QUOTE: "Quoted cell opened on line {line} is not closed",
+    CSV_EXTRA_CELLS: "The row has more cells than the header",
+
+    "field.lastname": "Last name",
+    "field.firstname": "First name",
+    "field.email": "Email",
+    "field.phone": "Phone",
+    "field.streetNumber": "Street number",
+    "field.streetName": "Street",
+    "field.addressComplement": "Address complement (building, floor…)",
+    "field.birth": "Birth date",
+    "field.country": "Country",
+    "field.postCode": "Post code",
+    "field.town": "Town",
+    "field.department": "Department",
+    "field.region": "Region",
+
+    "country.FR": "France",
+    "country.BE": "Belgium",
+    "country.CH": "Switzerland",
+    "country.LU": "Luxembourg",
+    "country.DE": "Germany",
+    "country.GB": "United Kingdom",
+    "country.CA": "Canada",
+    "country.US": "United States",
+
+    "form.title": "Registration Form",
+    "form.submit": "Submit",
+    "form.submitting": "Submitting form...",
+    "form.checking": "Checking…",
+    "form.didYouMean": "Did you mean {value}?",
+    "form.errorSummary": "There is a problem: {count} field(s) to correct",
+    "form.success": "Form successfully submitted!",
+    "form.failure": "Submission failed, please try again.",
+
+    "status.submitting": "Sending your registration",
+    "status.success": "Your registration has been saved",
+    "status.failure": "Your registration could not be sent",
+
+    "draft.title": "Unfinished registration",
+    "draft.prompt": "Resume the registration you started on {date}?",
+    "draft.resume": "Resume",
+    "draft.discard": "Discard",
+
+    "wizard.identity": "Identity",
+    "wizard.contact": "Contact",
+    "wizard.address": "Address",
+    "wizard.review": "Review",
+    "wizard.progress": "Step {current} of {total}",
+    "wizard.back": "Back",
+    "wizard.next": "Next",
+    "wizard.edit": "Edit",
+
+    "counter.label": "Count",
+    "counter.count": "Count: {count}",
+    "counter.decrement": "Decrement",
+    "counter.increment": "Increment",
+    "counter.reset": "Reset",
+    "counter.undo": "Undo",
+    "counter.redo": "Redo",
+    "counter.title": "Counters",
+    "counter.shared": "Team tally",
+
+    "transfer.title": "Import and export",
+    "transfer.exportCsv": "Export CSV",
+    "transfer.exportJson": "Export JSON",
+    "transfer.file": "CSV file to import",
+    "transfer.mapping": "Columns",
+    "transfer.column": "Column",
+    "transfer.field": "Field",
+    "transfer.ignore": "Ignore",
+    "transfer.missing": "No column holds: {fields}",
+    "transfer.summary": "{total} row(s): {valid} valid, {invalid} with errors",
+    "transfer.row": "Line",
+    "transfer.code": "Code",
+    "transfer.error": "Error",
+    "transfer.rowError": "Whole row",
+    "transfer.import": "Import {count} valid registration(s)",
+    "transfer.imported": "{count} registration(s) imported",
+
+    "language.label": "Language",
+
+    "nav.label": "Main",
+    "nav.register": "Register",
+    "nav.counter": "Counter",
+    "nav.users": "Users",
+
+    "users.title": "Registered users",
+    "users.search": "Search by name, email or town",
+    "users.empty": "No registered users.",
+    "users.deleteNamed": "Delete {name}",
+    "users.pagination": "Pagination",
+    "users.previous": "Previous",
+    "users.next": "Next",
+    "users.page": "Page {page} / {pageCount}",
+
+    "user.back": "Back to the list",
+    "user.delete": "Delete",
+    "user.registeredOn": "Registered on",
+    "user.notFound": "This registration does not exist",
+    "user.address": "Postal address",
+    "user.print": "Print",
+
+    "notFound.title": "Page not found",
+    "notFound.message": "There is no page at {path}.",
+    "notFound.home": "Go to the registration form",
+
+    "error.title": "Something went wrong",
+    "error.message": "This page could not be displayed.",
+    "error.retry": "Try again",
+};
+
+export { en }
@@ -0,0 +1,145 @@
+/**
+ * @module locales/fr
+ * @description French message catalogue. Validation messages are keyed by the error
+ * codes thrown by the validators; interface strings use dotted keys.
+ */
+
+/**
+ * French messages.
+ * @type {Object<string, string>}
+ */
+const fr = {
+    REQUIRED: "Ce champ est obligatoire",
+    INVALID: "Valeur invalide",
+    INVALID_DATE: "La date de naissance est invalide",
+    INVALID_AGE: "Vous devez avoir au moins {min} ans",
+    INVALID_POST_CODE: "Code postal invalide",
+    INVALID_IDENTITY: "Caractères invalides dans le nom",
+    IDENTITY_TOO_LONG: "Le nom doit contenir au plus {max} caractères",
+    INVALID_EMAIL: "Format d'email invalide",
+    DISPOSABLE_EMAIL: "Les adresses email jetables ne sont pas acceptées",
+    INVALID_COUNTRY: "Pays non pris en charge",
+    EMAIL_TAKEN: "Cette adresse email est déjà inscrite",
+    CHECK_FAILED: "Cette valeur n'a pas pu être vérifiée, veuillez réessayer",
+    INVALID_TOWN: "Nom de ville invalide",
+    INVALID_PHONE: "Numéro de téléphone invalide, ex. {example}",
+    INVALID_STREET_NUMBER: "Numéro de voie invalide, ex. 12 ou 12 bis",
+    INVALID_STREET_NAME: "Nom de voie invalide",
+    INVALID_ADDRESS_COMPLEMENT: "Complément d'adresse invalide",
+    ADDRESS_LINE_TOO_LONG: "{max} caractères maximum",
+    TOWN_POST_CODE_MISMATCH: "Le code postal {postCode} correspond à {towns}",
+    FILE_UNREADABLE: "Le fichier n'a pas pu être lu",
+    CSV_EMPTY: "Le fichier n'a pas de ligne d'en-tête",
+    CSV_UNTERMINATED_QUOTE: "La cellule entre guillemets ouverte ligne {line} n'est pas fermée",
+    CSV_EXTRA_CELLS: "La ligne a plus de cellules que l'en-tête",
+
+    "field.lastname": "Nom",
+    "field.firstname": "Prénom",
+    "field.email": "Email",
+    "field.phone": "Téléphone",
+    "field.streetNumber": "Numéro",
+    "field.streetName": "Voie",
+    "field.addressComplement": "Complément d'adresse (bâtiment, étage…)",
+    "field.birth": "Date de naissance",
+    "field.country": "Pays",
+    "field.postCode": "Code postal",
+    "field.town": "Ville",
+    "field.department": "Département",
+    "field.region": "Région",
+
+    "country.FR": "France",
+    "country.BE": "Belgique",
+    "country.CH": "Suisse",
+    "country.LU": "Luxembourg",
+    "country.DE": "Allemagne",
+    "country.GB": "Royaume-Uni",
+    "country.CA": "Canada",
+    "country.US": "États-Unis",
+
+    "form.title": "Formulaire d'inscription",
+    "form.submit": "Envoyer",
+    "form.submitting": "Envoi du formulaire...",
+    "form.checking": "Vérification…",
+    "form.didYouMean": "Vouliez-vous dire {value} ?",
+    "form.errorSummary": "Il y a un problème : {count} champ(s) à corriger",
+    "form.success": "Formulaire envoyé avec succès !",
+    "form.failure": "L'envoi a échoué, veuillez réessayer.",
+
+    "status.submitting": "Envoi de votre inscription en cours",
+    "status.success": "Votre inscription a été enregistrée",
+    "status.failure": "Votre inscription n'a pas pu être envoyée",
+
+    "draft.title": "Inscription non terminée",
+    "draft.prompt": "Reprendre l'inscription commencée le {date} ?",
+    "draft.resume": "Reprendre",
+    "draft.discard": "Abandonner",
+
+    "wizard.identity": "Identité",
+    "wizard.contact": "Coordonnées",
+    "wizard.address": "Adresse",
+    "wizard.review": "Récapitulatif",
+    "wizard.progress": "Étape {current} sur {total}",
+    "wizard.back": "Retour",
+    "wizard.next": "Suivant",
+    "wizard.edit": "Modifier",
+
+    "counter.label": "Compteur",
+    "counter.count": "Compteur : {count}",
+    "counter.decrement": "Diminuer",
+    "counter.increment": "Augmenter",
+    "counter.reset": "Réinitialiser",
+    "counter.undo": "Annuler",
+    "counter.redo": "Rétablir",
+    "counter.title": "Compteurs",
+    "counter.shared": "Total de l'équipe",
+
+    "transfer.title": "Import et export",
+    "transfer.exportCsv": "Exporter en CSV",
+    "transfer.exportJson": "Exporter en JSON",
+    "transfer.file": "Fichier CSV à importer",
+    "transfer.mapping": "Colonnes",
+    "transfer.column": "Colonne",
+    "transfer.field": "Champ",
+    "transfer.ignore": "Ignorer",
+    "transfer.missing": "Aucune colonne ne contient : {fields}",
+    "transfer.summary": "{total} ligne(s) : {valid} valide(s), {invalid} en erreur",
+    "transfer.row": "Ligne",
+    "transfer.code": "Code",
+    "transfer.error": "Erreur",
+    "transfer.rowError": "Ligne entière",
+    "transfer.import": "Importer {count} inscription(s) valide(s)",
+    "transfer.imported": "{count} inscription(s) importée(s)",
+
+    "language.label": "Langue",
+
+    "nav.label": "Principale",
+    "nav.register": "Inscription",
+    "nav.counter": "Compteur",
+    "nav.users": "Inscrits",
+
+    "users.title": "Utilisateurs inscrits",
+    "users.search": "Rechercher par nom, email ou ville",
+    "users.empty": "Aucun inscrit.",
+    "users.deleteNamed": "Supprimer {name}",
+    "users.pagination": "Pagination",
+    "users.previous": "Précédent",
+    "users.next": "Suivant",
+    "users.page": "Page {page} / {pageCount}",
+
+    "user.back": "Retour à la liste",
+    "user.delete": "Supprimer",
+    "user.registeredOn": "Inscrit le",
+    "user.notFound": "Cette inscription n'existe pas",
+    "user.address": "Adresse postale",
+    "user.print": "Imprimer",
+
+    "notFound.title": "Page introuvable",
+    "notFound.message": "Il n'y a pas de page à l'adresse {path}.",
+    "notFound.home": "Aller au formulaire d'inscription",
+
+    "error.title": "Une erreur est survenue",
+    "error.message": "Cette page n'a pas pu être affichée.",
+    "error.retry": "Réessayer",
+};
+
+export { fr }
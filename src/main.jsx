@@ -1,14 +1,13 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
+import { BrowserRouter } from "react-router-dom";
 import "./index.css";
-import Counter from "./component/Counter.jsx";
-import Form from "./component/Form.jsx";
+import App from "./component/App.jsx";
 
 ReactDOM.createRoot(document.getElementById("app")).render(
     <React.StrictMode>
-        <div className="flex flex-col gap-4 justify-center items-center">
-            <Form />
-            <Counter />
-        </div>
+        <BrowserRouter>
+            <App />
+        </BrowserRouter>
     </React.StrictMode>
 );
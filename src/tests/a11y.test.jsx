@@ -0,0 +1,161 @@
+import React from 'react';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { AxiosError } from "axios";
+import { configureAxe } from "vitest-axe";
+import { MemoryRouter, Routes, Route } from "react-router-dom";
+import Form from "../component/Form.jsx";
+import RegistrationWizard from "../component/RegistrationWizard.jsx";
+import { DRAFT_KEY, saveDraft } from "../utils/draftStore.js";
+
+// jsdom does not render, so color contrast cannot be computed
+const axe = configureAxe({ rules: { "color-contrast": { enabled: false } } });
+
+const rejectingApi = {
+    submitRegistration: () => Promise.reject(
+        new AxiosError("failed", "ERR_BAD_REQUEST", {}, {}, {
+            status: 422,
+            data: { errors: [{ field: "email", code: "INVALID_EMAIL" }] },
+        })
+    ),
+};
+
+const fillForm = async (user) => {
+    await user.type(screen.getByLabelText("Last name"), "Jean");
+    await user.type(screen.getByLabelText("First name"), "Pierre");
+    await user.type(screen.getByLabelText("Email"), "test@example.com");
+    await user.type(screen.getByLabelText("Phone"), "0612345678");
+    await user.type(screen.getByLabelText("Street"), "rue de Rivoli");
+    await user.type(screen.getByLabelText("Birth date"), "1995-05-15");
+    await user.type(screen.getByLabelText("Post code"), "75001");
+    await user.type(screen.getByLabelText("Town"), "Paris");
+    await waitFor(() => expect(screen.getByRole("button", { name: /submit/i })).not.toHaveAttribute("aria-disabled"));
+};
+
+const renderWizard = () => render(
+    <MemoryRouter initialEntries={["/register"]}>
+        <Routes>
+            <Route path="/register/*" element={<RegistrationWizard />} />
+        </Routes>
+    </MemoryRouter>
+);
+
+describe("Accessibility", () => {
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it("should have no axe violations, untouched or with errors", async () => {
+        const user = userEvent.setup();
+        const { container } = render(<Form />);
+
+        expect(await axe(container)).toHaveNoViolations();
+
+        await user.type(screen.getByLabelText("Email"), "not-an-email");
+        await user.type(screen.getByLabelText("Post code"), "7500");
+
+        expect(await axe(container)).toHaveNoViolations();
+    });
+
+    it("should have no axe violations with a draft prompt or an error summary", async () => {
+        const user = userEvent.setup();
+        saveDraft({ lastname: "Martin" }, { key: DRAFT_KEY });
+        const { container } = render(<Form api={rejectingApi} />);
+
+        expect(screen.getByTestId("draft-prompt")).toBeInTheDocument();
+        expect(await axe(container)).toHaveNoViolations();
+
+        await user.click(screen.getByRole("button", { name: /discard/i }));
+        await fillForm(user);
+        await user.click(screen.getByRole("button", { name: /submit/i }));
+
+        expect(await screen.findByTestId("error-summary")).toBeInTheDocument();
+        expect(await axe(container)).toHaveNoViolations();
+    });
+
+    it("should label every field and wire its error with aria-invalid and aria-describedby", async () => {
+        const user = userEvent.setup();
+        render(<Form />);
+
+        const email = screen.getByLabelText("Email");
+        expect(email).toHaveAttribute("aria-required", "true");
+        expect(email).toHaveAttribute("aria-invalid", "true");
+        expect(email).toHaveAccessibleDescription("This field is required");
+
+        await user.type(email, "jean@example.com");
+        await waitFor(() => expect(email).not.toHaveAttribute("aria-busy"));
+        expect(email).not.toHaveAttribute("aria-invalid");
+        expect(email).not.toHaveAttribute("aria-describedby");
+
+        await user.clear(email);
+        await user.type(email, "not-an-email");
+
+        expect(email).toHaveAttribute("aria-invalid", "true");
+        expect(email).toHaveAccessibleDescription(/invalid email format/i);
+    });
+
+    it("should focus an error summary linking to the fields after a rejected submission", async () => {
+        const user = userEvent.setup();
+        render(<Form api={rejectingApi} />);
+
+        await fillForm(user);
+        await user.click(screen.getByRole("button", { name: /submit/i }));
+
+        const summary = await screen.findByTestId("error-summary");
+        expect(summary).toHaveFocus();
+        expect(summary).toHaveAccessibleName(/1 field\(s\) to correct/i);
+
+        await user.click(screen.getByRole("link", { name: "Email" }));
+        expect(screen.getByLabelText("Email")).toHaveFocus();
+    });
+
+    it("should focus the error summary when an invalid form is submitted", async () => {
+        const user = userEvent.setup();
+        const { container } = render(<Form />);
+
+        const submit = screen.getByRole("button", { name: /submit/i });
+        expect(submit).toHaveAttribute("aria-disabled", "true");
+        await user.click(submit);
+
+        const summary = screen.getByTestId("error-summary");
+        expect(summary).toHaveFocus();
+        expect(summary).toHaveAccessibleName(/8 field\(s\) to correct/i);
+        expect(screen.getByLabelText("Last name")).toHaveAttribute("aria-invalid", "true");
+        expect(await axe(container)).toHaveNoViolations();
+
+        await user.type(screen.getByLabelText("Last name"), "Jean{Enter}");
+        expect(summary).toHaveFocus();
+        expect(summary).toHaveAccessibleName(/7 field\(s\) to correct/i);
+    });
+
+    it("should announce the submission status in a polite live region", async () => {
+        const user = userEvent.setup();
+        render(<Form />);
+
+        const status = screen.getByRole("status");
+        expect(status).toHaveAttribute("aria-live", "polite");
+        expect(status).toBeEmptyDOMElement();
+
+        await fillForm(user);
+        await user.click(screen.getByRole("button", { name: /submit/i }));
+
+        expect(await screen.findByText("Your registration has been saved")).toBe(status);
+    });
+
+    it("should focus the error summary when a wizard step is invalid", async () => {
+        const user = userEvent.setup();
+        const { container } = renderWizard();
+
+        expect(await axe(container)).toHaveNoViolations();
+
+        await user.click(screen.getByTestId("next"));
+
+        const summary = screen.getByTestId("error-summary");
+        expect(summary).toHaveFocus();
+        expect(summary).toHaveAccessibleName(/3 field\(s\) to correct/i);
+        expect(screen.getByLabelText("Last name")).toHaveAttribute("aria-invalid", "true");
+        expect(await axe(container)).toHaveNoViolations();
+    });
+});
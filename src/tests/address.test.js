@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import {
+    STREET_TYPES,
+    normalizeStreetNumber,
+    normalizeStreetName,
+    formatAddressLine,
+    formatPostalAddress,
+} from "../utils/address.js";
+
+const alice = {
+    firstname: "Alice",
+    lastname: "MARTIN",
+    streetNumber: "12 bis",
+    streetName: "Rue de l'Église",
+    postCode: "75001",
+    town: "Paris",
+    country: "FR",
+};
+
+describe("address", () => {
+
+    it("should give each street type a distinct abbreviation", () => {
+        const abbreviations = STREET_TYPES.map(type => type.abbreviation);
+        expect(new Set(abbreviations).size).toBe(abbreviations.length);
+    });
+
+    it("should normalize street numbers", () => {
+        expect(normalizeStreetNumber("12")).toBe("12");
+        expect(normalizeStreetNumber(" 12BIS ")).toBe("12 bis");
+        expect(normalizeStreetNumber("3 Ter")).toBe("3 ter");
+        expect(normalizeStreetNumber("12 b")).toBe("12B");
+        expect(normalizeStreetNumber("12-14")).toBe("12-14");
+    });
+
+    it("should write abbreviated French street types in full", () => {
+        expect(normalizeStreetName("bd Voltaire")).toBe("Boulevard Voltaire");
+        expect(normalizeStreetName("Av. Jean Jaurès")).toBe("Avenue Jean Jaurès");
+        expect(normalizeStreetName("fbg Saint-Antoine")).toBe("Faubourg Saint-Antoine");
+        expect(normalizeStreetName("pl  de la   Concorde")).toBe("Place de la Concorde");
+        expect(normalizeStreetName("allee des Tilleuls")).toBe("Allée des Tilleuls");
+        expect(normalizeStreetName("rue de Rivoli")).toBe("Rue de Rivoli");
+    });
+
+    it("should capitalize names typed in a single case, French particles in lowercase", () => {
+        expect(normalizeStreetName("RUE DU FAUBOURG SAINT-HONORÉ")).toBe("Rue du Faubourg Saint-Honoré");
+        expect(normalizeStreetName("av des champs-élysées")).toBe("Avenue des Champs-Élysées");
+        expect(normalizeStreetName("ALLEE D'ALSACE-LORRAINE")).toBe("Allée d'Alsace-Lorraine");
+        expect(normalizeStreetName("LE CLOS DES VIGNES")).toBe("Le Clos des Vignes");
+        expect(normalizeStreetName("rue saint-germain-des-prés")).toBe("Rue Saint-Germain-des-Prés");
+    });
+
+    it("should keep names typed in mixed case and foreign street names as typed", () => {
+        expect(normalizeStreetName("rue du Docteur McCartney")).toBe("Rue du Docteur McCartney");
+        expect(normalizeStreetName("bd VOLTAIRE")).toBe("Boulevard Voltaire");
+        expect(normalizeStreetName(" Downing  Street", "GB")).toBe("Downing Street");
+        expect(normalizeStreetName("av of the Americas", "US")).toBe("av of the Americas");
+        expect(normalizeStreetName("av Louise", "BE")).toBe("Avenue Louise");
+    });
+
+    it("should print address lines in capitals without accents or punctuation", () => {
+        expect(formatAddressLine("12 bis rue de l'Église")).toBe("12 BIS RUE DE L EGLISE");
+        expect(formatAddressLine("Bâtiment B, 3e étage")).toBe("BATIMENT B 3E ETAGE");
+    });
+
+    it("should abbreviate lines longer than 38 characters", () => {
+        expect(formatAddressLine("Boulevard du Maréchal de Lattre de Tassigny")).toBe("BD DU MARECHAL DE LATTRE DE TASSIGNY");
+        expect(formatAddressLine("12 Avenue de la Résidence Saint-Jean-de-Luz")).toBe("12 AV DE LA RES SAINT JEAN DE LUZ");
+        expect(formatAddressLine("Place Sainte-Marie-Madeleine-de-Saint-Ouen")).toBe("PL STE MARIE MADELEINE DE SAINT OUEN");
+        expect(formatAddressLine("Rue Saint-Martin")).toBe("RUE SAINT MARTIN");
+    });
+
+    it("should compose a French address block", () => {
+        expect(formatPostalAddress(alice)).toEqual(["ALICE MARTIN", "12 BIS RUE DE L EGLISE", "75001 PARIS"]);
+        expect(formatPostalAddress({ ...alice, streetNumber: "", addressComplement: "Bâtiment B, 3e étage" }))
+            .toEqual(["ALICE MARTIN", "BATIMENT B 3E ETAGE", "RUE DE L EGLISE", "75001 PARIS"]);
+    });
+
+    it("should follow the conventions of the destination country", () => {
+        expect(formatPostalAddress({ firstname: "Hans", lastname: "MÜLLER", streetNumber: "5", streetName: "Hauptstraße", postCode: "10115", town: "Berlin", country: "DE" }))
+            .toEqual(["HANS MULLER", "HAUPTSTRASSE 5", "10115 BERLIN", "DE"]);
+        expect(formatPostalAddress({ firstname: "Jo", lastname: "SMITH", streetNumber: "10", streetName: "Downing Street", postCode: "SW1A 2AA", town: "London", country: "GB" }))
+            .toEqual(["JO SMITH", "10 DOWNING STREET", "LONDON", "SW1A 2AA", "GB"]);
+        expect(formatPostalAddress({ firstname: "Ann", lastname: "LEE", streetNumber: "350", streetName: "Fifth Avenue", postCode: "10118", town: "New York", country: "US" }))
+            .toEqual(["ANN LEE", "350 FIFTH AVENUE", "NEW YORK 10118", "US"]);
+    });
+
+    it("should name the country only when mailing abroad", () => {
+        const countryName = (code) => ({ FR: "France", BE: "Belgique" })[code];
+        const belgian = { ...alice, streetNumber: "42", streetName: "Avenue Louise", postCode: "1050", town: "Ixelles", country: "BE" };
+
+        expect(formatPostalAddress(belgian, { countryName })).toEqual(["ALICE MARTIN", "AVENUE LOUISE 42", "1050 IXELLES", "BELGIQUE"]);
+        expect(formatPostalAddress(belgian, { domesticCountry: "BE", countryName })).toHaveLength(3);
+        expect(formatPostalAddress(alice, { domesticCountry: "BE", countryName })).toContain("FRANCE");
+        expect(formatPostalAddress({ ...alice, country: undefined })).toHaveLength(3);
+    });
+});
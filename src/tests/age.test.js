@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { MIN_BIRTH_YEAR, isLeapYear, toCalendarDate, computeAge } from "../utils/age.js";
+
+describe("age engine", () => {
+
+    it("should detect leap years", () => {
+        expect(isLeapYear(2024)).toBe(true);
+        expect(isLeapYear(2000)).toBe(true);
+        expect(isLeapYear(1900)).toBe(false);
+        expect(isLeapYear(2026)).toBe(false);
+    });
+
+    it("should read ISO strings and UTC midnight dates without time zone shifts", () => {
+        expect(toCalendarDate("1995-05-15")).toEqual({ year: 1995, month: 4, day: 15 });
+        expect(toCalendarDate(new Date("1995-05-15"))).toEqual({ year: 1995, month: 4, day: 15 });
+        expect(toCalendarDate(new Date(1995, 4, 15))).toEqual({ year: 1995, month: 4, day: 15 });
+    });
+
+    it("should reject invalid dates", () => {
+        ["1995-02-30", "1995-13-01", "15/05/1995", "", new Date("invalid"), null, 42].forEach(value => {
+            expect(toCalendarDate(value)).toBeUndefined();
+            expect(() => computeAge(value)).toThrow(expect.objectContaining({
+                code: "INVALID_DATE",
+                params: { reason: "invalid" },
+            }));
+        });
+    });
+
+    it("should reject future dates and birth years out of range", () => {
+        const now = new Date(2026, 0, 1);
+
+        expect(() => computeAge("2026-01-02", { now }))
+            .toThrow(expect.objectContaining({ code: "INVALID_DATE", params: { reason: "future" } }));
+        expect(() => computeAge("1969-12-31", { now, minBirthYear: 1970 }))
+            .toThrow(expect.objectContaining({ code: "INVALID_DATE", params: { reason: "range", min: 1970, max: undefined } }));
+        expect(() => computeAge("1899-12-31", { now }))
+            .toThrow(expect.objectContaining({ params: { reason: "range", min: MIN_BIRTH_YEAR, max: undefined } }));
+        expect(computeAge("1899-12-31", { now, minBirthYear: -Infinity }).years).toBe(126);
+        expect(() => computeAge("2010-01-01", { now, maxBirthYear: 2008 }))
+            .toThrow(expect.objectContaining({ params: expect.objectContaining({ reason: "range", max: 2008 }) }));
+    });
+
+    it("should compute years, months and days", () => {
+        expect(computeAge("1991-11-07", { now: new Date(2026, 11, 1) }))
+            .toEqual({ years: 35, months: 0, days: 24, daysUntilNextBirthday: 341, isBirthday: false });
+        expect(computeAge("2000-01-31", { now: new Date(2000, 2, 1) }))
+            .toMatchObject({ years: 0, months: 1, days: 1 });
+    });
+
+    it("should handle someone born today", () => {
+        expect(computeAge("2026-03-10", { now: new Date(2026, 2, 10, 23, 59) }))
+            .toEqual({ years: 0, months: 0, days: 0, daysUntilNextBirthday: 0, isBirthday: true });
+    });
+
+    it("should count down to the next birthday", () => {
+        expect(computeAge("1990-06-15", { now: new Date(2026, 5, 14) }))
+            .toMatchObject({ years: 35, daysUntilNextBirthday: 1, isBirthday: false });
+        expect(computeAge("1990-06-15", { now: new Date(2026, 5, 15) }))
+            .toMatchObject({ years: 36, daysUntilNextBirthday: 0, isBirthday: true });
+        expect(computeAge("1990-06-15", { now: new Date(2026, 5, 16) }))
+            .toMatchObject({ years: 36, daysUntilNextBirthday: 364 });
+    });
+
+    it("should celebrate 29 February birthdays on 1 March in common years", () => {
+        expect(computeAge("2008-02-29", { now: new Date(2026, 1, 28) }))
+            .toMatchObject({ years: 17, daysUntilNextBirthday: 1 });
+        expect(computeAge("2008-02-29", { now: new Date(2026, 2, 1) }))
+            .toMatchObject({ years: 18, months: 0, days: 0, isBirthday: true });
+        expect(computeAge("2008-02-29", { now: new Date(2028, 1, 29) }))
+            .toMatchObject({ years: 20, isBirthday: true });
+    });
+
+    it("should optionally celebrate 29 February birthdays on 28 February", () => {
+        expect(computeAge("2008-02-29", { now: new Date(2026, 1, 28), leapDayBirthday: "feb28" }))
+            .toMatchObject({ years: 18, isBirthday: true });
+    });
+});
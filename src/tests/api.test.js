@@ -0,0 +1,163 @@
+import { describe, it, expect, vi } from 'vitest';
+import axios from 'axios';
+import { IDEMPOTENCY_HEADER, createApiClient, isTransientError, mapServerErrors, withRetry } from "../utils/api.js";
+import { createMockAdapter } from "../utils/mockServer.js";
+
+const validRecord = {
+    lastname: "Jean",
+    firstname: "Pierre",
+    email: "jean@example.com",
+    phone: "+33612345678",
+    streetName: "Rue de Rivoli",
+    birth: "1995-05-15",
+    postCode: "75001",
+    town: "Paris",
+};
+
+const httpError = (status, data = {}) =>
+    new axios.AxiosError("failed", "ERR", {}, {}, { status, data });
+
+describe("api client", () => {
+
+    it("should classify transient errors", () => {
+        expect(isTransientError(new axios.AxiosError("network"))).toBe(true);
+        expect(isTransientError(httpError(503))).toBe(true);
+        expect(isTransientError(httpError(429))).toBe(true);
+        expect(isTransientError(httpError(422))).toBe(false);
+        expect(isTransientError(new axios.CanceledError())).toBe(false);
+        expect(isTransientError(new Error("boom"))).toBe(false);
+    });
+
+    it("should retry transient failures then give up", async () => {
+        const request = vi.fn().mockRejectedValue(httpError(500));
+
+        await expect(withRetry(request, { retries: 2, retryDelay: 1, maxRetryDelay: 1 }))
+            .rejects.toMatchObject({ response: { status: 500 } });
+        expect(request).toHaveBeenCalledTimes(3);
+    });
+
+    it("should not retry client errors", async () => {
+        const request = vi.fn().mockRejectedValue(httpError(422));
+
+        await expect(withRetry(request, { retries: 2, retryDelay: 1, maxRetryDelay: 1 })).rejects.toBeDefined();
+        expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    it("should map server field errors", () => {
+        const err = httpError(422, {
+            errors: [
+                { field: "email", code: "INVALID_EMAIL" },
+                { field: "town", code: "UNKNOWN_CODE" },
+                { field: "lastname", code: "INVALID_IDENTITY", message: "Nope" },
+            ],
+        });
+
+        expect(mapServerErrors(err)).toEqual({
+            email: { code: "INVALID_EMAIL" },
+            town: { code: "UNKNOWN_CODE" },
+            lastname: { code: "INVALID_IDENTITY", message: "Nope" },
+        });
+        expect(mapServerErrors(httpError(500))).toEqual({});
+        expect(mapServerErrors(undefined)).toEqual({});
+    });
+
+    //MOCK SERVER
+    it("should submit a registration to the mock server after transient failures", async () => {
+        const db = [];
+        const api = createApiClient({ adapter: createMockAdapter({ latency: 0, failures: 2, db }), retryDelay: 1 });
+
+        const saved = await api.submitRegistration(validRecord);
+
+        expect(saved).toMatchObject({ ...validRecord, department: "75", id: "1" });
+        expect(db).toHaveLength(1);
+    });
+
+    it("should store a registration once when a retry follows a lost response", async () => {
+        const db = [];
+        const server = createMockAdapter({ latency: 0, db });
+        const keys = [];
+        let lostResponses = 1;
+        const adapter = async (config) => {
+            keys.push(config.headers.get(IDEMPOTENCY_HEADER));
+            const response = await server(config);
+            if (lostResponses-- > 0) throw new axios.AxiosError("Network Error", "ERR_NETWORK", config);
+            return response;
+        };
+        const api = createApiClient({ adapter, retryDelay: 1 });
+
+        const saved = await api.submitRegistration(validRecord);
+
+        expect(saved).toMatchObject({ ...validRecord, id: "1" });
+        expect(db).toHaveLength(1);
+        expect(keys).toHaveLength(2);
+        expect(keys[1]).toBe(keys[0]);
+
+        await api.submitRegistration({ ...validRecord, email: "other@example.com" });
+        expect(keys[2]).not.toBe(keys[0]);
+        expect(db).toHaveLength(2);
+    });
+
+    it("should reject invalid registrations with field errors", async () => {
+        const api = createApiClient({ adapter: createMockAdapter({ latency: 0 }) });
+
+        const err = await api.submitRegistration({ ...validRecord, email: "nope", town: "" }).catch(e => e);
+
+        expect(err.response.status).toBe(422);
+        expect(mapServerErrors(err)).toEqual({
+            email: { code: "INVALID_EMAIL" },
+            town: { code: "REQUIRED" },
+        });
+    });
+
+    it("should tell whether an email is registered and refuse a second registration with it", async () => {
+        const api = createApiClient({ adapter: createMockAdapter({ latency: 0 }) });
+
+        expect(await api.checkEmail(validRecord.email)).toEqual({ registered: false });
+        await api.submitRegistration(validRecord);
+        expect(await api.checkEmail("Jean@Example.com")).toEqual({ registered: true });
+
+        const err = await api.submitRegistration({ ...validRecord, firstname: "Paul" }).catch(e => e);
+        expect(err.response.status).toBe(422);
+        expect(mapServerErrors(err)).toEqual({ email: { code: "EMAIL_TAKEN" } });
+    });
+
+    it("should look up registered emails where the mock server is told to", async () => {
+        const isRegistered = vi.fn((email) => email === "lea@example.fr");
+        const api = createApiClient({ adapter: createMockAdapter({ latency: 0, isRegistered }) });
+
+        expect(await api.checkEmail("lea@example.fr")).toEqual({ registered: true });
+        expect(isRegistered).toHaveBeenCalledWith("lea@example.fr");
+    });
+
+    it("should answer 400 to a malformed body and reject when the server fails", async () => {
+        const adapter = createMockAdapter({ latency: 0 });
+        const config = { url: "/registrations", method: "post", data: "{", validateStatus: (status) => status < 300 };
+        await expect(adapter(config)).rejects.toMatchObject({ response: { status: 400, data: { message: "Malformed JSON body" } } });
+
+        const failure = new Error("lookup failed");
+        const broken = createMockAdapter({ latency: 0, isRegistered: () => { throw failure; } });
+        await expect(broken({ ...config, data: JSON.stringify(validRecord) })).rejects.toBe(failure);
+    });
+
+    it("should cancel a pending submission", async () => {
+        const api = createApiClient({ adapter: createMockAdapter({ latency: 50 }) });
+        const controller = new AbortController();
+
+        const pending = api.submitRegistration(validRecord, { signal: controller.signal });
+        controller.abort();
+
+        const err = await pending.catch(e => e);
+        expect(axios.isCancel(err)).toBe(true);
+    });
+
+    it("should cancel while waiting between retries", async () => {
+        const api = createApiClient({ adapter: createMockAdapter({ latency: 0, failures: 5 }), retryDelay: 1000 });
+        const controller = new AbortController();
+
+        const pending = api.submitRegistration(validRecord, { signal: controller.signal });
+        setTimeout(() => controller.abort(), 20);
+
+        const err = await pending.catch(e => e);
+        expect(axios.isCancel(err)).toBe(true);
+    });
+});
@@ -0,0 +1,191 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { MemoryRouter, Link, useLocation } from "react-router-dom";
+import App from "../component/App.jsx";
+import ErrorBoundary from "../component/ErrorBoundary.jsx";
+import { addRegistration, getRegistrations } from "../utils/registrationStore.js";
+import { DRAFT_KEY } from "../utils/draftStore.js";
+
+/**
+ * Displays the current URL, to check redirections.
+ */
+function CurrentPath() {
+    return <p data-testid="path">{useLocation().pathname}</p>;
+}
+
+const renderApp = (path = "/", props = {}) => render(
+    <MemoryRouter initialEntries={[path]}>
+        <App {...props} />
+        <CurrentPath />
+    </MemoryRouter>
+);
+
+describe("App", () => {
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it("redirects / to the registration wizard", () => {
+        renderApp();
+
+        expect(screen.getByTestId("path")).toHaveTextContent("/register/identity");
+        expect(screen.getByTestId("wizard-step")).toBeInTheDocument();
+    });
+
+    it("keeps a registration started in the wizard across a reload", async () => {
+        const user = userEvent.setup();
+        const { unmount } = renderApp("/register/contact");
+        await user.type(screen.getByLabelText("Email"), "lea@example.fr");
+        await waitFor(() => expect(JSON.parse(localStorage.getItem(DRAFT_KEY))?.values).toMatchObject({ email: "lea@example.fr" }));
+        unmount();
+
+        renderApp("/register/contact");
+        await user.click(screen.getByRole("button", { name: "Resume" }));
+
+        expect(screen.getByLabelText("Email")).toHaveValue("lea@example.fr");
+        await user.click(screen.getByRole("link", { name: "Identity" }));
+        expect(screen.queryByTestId("draft-prompt")).not.toBeInTheDocument();
+    });
+
+    it("navigates between pages with the navigation bar", async () => {
+        const user = userEvent.setup();
+        renderApp("/register");
+        const nav = screen.getByRole("navigation", { name: "Main" });
+        expect(nav).toContainElement(screen.getByTestId("language"));
+
+        await user.click(screen.getByRole("link", { name: "Users" }));
+        expect(screen.getByRole("heading", { name: "Registered users" })).toBeInTheDocument();
+        expect(screen.getByRole("link", { name: "Users" })).toHaveAttribute("aria-current", "page");
+
+        await user.click(screen.getByRole("link", { name: "Counter" }));
+        expect(screen.getByRole("heading", { name: "Counters" })).toBeInTheDocument();
+        expect(screen.getByTestId("count")).toHaveTextContent("Count: 0");
+    });
+
+    it("translates the navigation bar", () => {
+        renderApp("/counter", { initialLocale: "fr" });
+
+        expect(screen.getByRole("navigation", { name: "Principale" })).toBeInTheDocument();
+        expect(screen.getByRole("link", { name: "Inscrits" })).toHaveAttribute("href", "/users");
+    });
+
+    it("shows a 404 page for unknown addresses", async () => {
+        const user = userEvent.setup();
+        renderApp("/nope");
+
+        expect(screen.getByRole("heading", { name: "Page not found" })).toBeInTheDocument();
+        expect(screen.getByText("There is no page at /nope.")).toBeInTheDocument();
+
+        await user.click(screen.getByRole("link", { name: "Go to the registration form" }));
+        expect(screen.getByTestId("path")).toHaveTextContent("/register/identity");
+    });
+
+    it("shows a registration from the list and deletes it", async () => {
+        const user = userEvent.setup();
+        addRegistration({ lastname: "Martin", firstname: "Alice", email: "alice@example.com", phone: "+33612345678", town: "Paris", region: "Île-de-France" });
+        renderApp("/users");
+
+        await user.click(screen.getByRole("link", { name: "Martin" }));
+        expect(screen.getByRole("heading", { name: "Alice Martin" })).toBeInTheDocument();
+        const detail = screen.getByTestId("user-detail");
+        expect(detail).toHaveTextContent("alice@example.com");
+        expect(detail).toHaveTextContent("Île-de-France");
+        expect(detail).toHaveTextContent("06 12 34 56 78");
+
+        await user.click(screen.getByRole("button", { name: "Delete" }));
+        expect(screen.getByTestId("path")).toHaveTextContent("/users");
+        expect(screen.getByTestId("user-list-empty")).toBeInTheDocument();
+        expect(getRegistrations()).toEqual([]);
+    });
+
+    it("reports a registration that does not exist", () => {
+        renderApp("/users/unknown");
+
+        expect(screen.getByRole("heading", { name: "This registration does not exist" })).toBeInTheDocument();
+        expect(screen.getByRole("link", { name: "Back to the list" })).toHaveAttribute("href", "/users");
+    });
+
+    it("prints the postal address of a registration", async () => {
+        const user = userEvent.setup();
+        const print = vi.spyOn(window, "print").mockImplementation(() => {});
+        const { id } = addRegistration({
+            lastname: "Maes", firstname: "Lotte", email: "lotte@example.be", streetNumber: "42", streetName: "Avenue Louise",
+            addressComplement: "Boîte 3", postCode: "1050", town: "Ixelles", country: "BE",
+        });
+        renderApp(`/users/${id}`, { initialLocale: "fr" });
+
+        expect(screen.getByRole("heading", { name: "Adresse postale" })).toBeInTheDocument();
+        expect(screen.getByTestId("postal-address").textContent.split("\n"))
+            .toEqual(["LOTTE MAES", "BOITE 3", "AVENUE LOUISE 42", "1050 IXELLES", "BELGIQUE"]);
+
+        await user.click(screen.getByRole("button", { name: "Imprimer" }));
+        expect(print).toHaveBeenCalledTimes(1);
+        print.mockRestore();
+    });
+});
+
+describe("ErrorBoundary", () => {
+    let shouldThrow;
+
+    /** Throws while rendering as long as `shouldThrow` is set. */
+    function Broken() {
+        if (shouldThrow) {
+            throw new Error("boom");
+        }
+        return <p>Recovered</p>;
+    }
+
+    beforeEach(() => {
+        shouldThrow = true;
+        // React logs caught errors; keep the test output readable
+        vi.spyOn(console, "error").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it("shows a fallback and reports the error", () => {
+        const onError = vi.fn();
+        render(<ErrorBoundary onError={onError}><Broken /></ErrorBoundary>);
+
+        expect(screen.getByRole("alert")).toHaveTextContent("Something went wrong");
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: "boom" }), expect.anything());
+    });
+
+    it("renders the children again on retry", async () => {
+        const user = userEvent.setup();
+        render(<ErrorBoundary><Broken /></ErrorBoundary>);
+
+        shouldThrow = false;
+        await user.click(screen.getByRole("button", { name: "Try again" }));
+        expect(screen.getByText("Recovered")).toBeInTheDocument();
+    });
+
+    it("clears the error when the reset key changes", async () => {
+        const user = userEvent.setup();
+
+        /** The boundary keyed on the URL, like in the App. */
+        function Page() {
+            const { pathname } = useLocation();
+            return (
+                <>
+                    <Link to="/other">Other</Link>
+                    <ErrorBoundary resetKey={pathname}>
+                        {pathname === "/broken" ? <Broken /> : <p>Other page</p>}
+                    </ErrorBoundary>
+                </>
+            );
+        }
+
+        render(<MemoryRouter initialEntries={["/broken"]}><Page /></MemoryRouter>);
+        expect(screen.getByRole("alert")).toBeInTheDocument();
+
+        await user.click(screen.getByRole("link", { name: "Other" }));
+        expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+        expect(screen.getByText("Other page")).toBeInTheDocument();
+    });
+});
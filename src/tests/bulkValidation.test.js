@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+    detectFormat,
+    readPeople,
+    validatePeople,
+    summarizeResults,
+    formatSummary,
+    toJSONReport,
+    toJUnitReport,
+} from "../utils/bulkValidation.js";
+
+const now = new Date(2026, 0, 1);
+
+const lea = {
+    lastname: "Martin",
+    firstname: "Léa",
+    email: "lea.martin@example.fr",
+    phone: "06 12 34 56 78",
+    birth: "1960-05-15",
+    streetName: "rue de Rivoli",
+    postCode: "75001",
+    town: "Paris",
+};
+
+const csv = [
+    "Nom,Prénom,Email,Téléphone,Date de naissance,Adresse,Code postal,Ville",
+    "Martin,Léa,lea.martin@example.fr,06 12 34 56 78,1960-05-15,rue de Rivoli,75001,Paris",
+    "Dupont,Jean,not-an-email,06 12 34 56 79,2015-01-01,rue de Rivoli,75001,Paris",
+    "Durand2,Zoé,LEA.MARTIN@example.fr,+41 78 123 45 67,1990-02-02,place Bellecour,69001,Lyon",
+].join("\n");
+
+describe("bulkValidation", () => {
+
+    it("should guess the format from the file name", () => {
+        expect(detectFormat("people.JSON")).toBe("json");
+        expect(detectFormat("people.csv")).toBe("csv");
+        expect(detectFormat("people")).toBe("csv");
+    });
+
+    it("should read people from CSV, by line, and from JSON, by position", () => {
+        const fromCSV = readPeople(csv);
+        expect(fromCSV.records[0]).toEqual(lea);
+        expect(fromCSV).toMatchObject({ rows: [2, 3, 4], rowLabel: "line", missingFields: [] });
+
+        const fromJSON = readPeople(JSON.stringify([lea, lea]), { format: "json" });
+        expect(fromJSON).toEqual({ records: [lea, lea], rows: [1, 2], rowLabel: "record", missingFields: [] });
+        expect(readPeople("nom\nMartin\n").missingFields).toEqual(["firstname", "email", "phone", "birth", "streetName", "postCode", "town"]);
+    });
+
+    it("should refuse files that cannot be read", () => {
+        expect(() => readPeople("{", { format: "json" })).toThrow(expect.objectContaining({ code: "INVALID_JSON" }));
+        expect(() => readPeople('{"a": 1}', { format: "json" })).toThrow(expect.objectContaining({ code: "JSON_NOT_ARRAY" }));
+        expect(() => readPeople("[1]", { format: "json" })).toThrow(expect.objectContaining({ code: "JSON_NOT_ARRAY" }));
+        expect(() => readPeople("")).toThrow(expect.objectContaining({ code: "CSV_EMPTY" }));
+    });
+
+    it("should validate every person with the registration rules and compute their age", () => {
+        const { records, rows } = readPeople(csv);
+        const results = validatePeople(records, { rows, now });
+
+        expect(results[0]).toEqual({ row: 2, record: lea, age: 65, errors: [] });
+        expect(results[1].errors.map(e => [e.field, e.code])).toEqual([["email", "INVALID_EMAIL"], ["birth", "INVALID_AGE"]]);
+        expect(results[1].age).toBeUndefined();
+        expect(results[2].errors.map(e => [e.field, e.code])).toEqual([["lastname", "INVALID_IDENTITY"], ["email", "EMAIL_TAKEN"]]);
+        expect(summarizeResults(results)).toEqual({
+            total: 3,
+            passed: 1,
+            failed: 2,
+            errorsByCode: { INVALID_EMAIL: 1, INVALID_AGE: 1, INVALID_IDENTITY: 1, EMAIL_TAKEN: 1 },
+        });
+    });
+
+    it("should summarize the results as text", () => {
+        const results = validatePeople([lea, { ...lea, email: "bad" }], { now });
+
+        expect(formatSummary(results, { file: "people.json", rowLabel: "record" })).toBe([
+            "people.json: 2 people checked, 1 passed, 1 failed",
+            "  record 2 (Léa Martin): email INVALID_EMAIL Invalid email format",
+            "Errors: INVALID_EMAIL × 1",
+            "",
+        ].join("\n"));
+        expect(formatSummary([], { missingFields: ["email"] })).toBe("0 people checked, 0 passed, 0 failed\n  No column holds: email\n");
+    });
+
+    it("should write a JSON report", () => {
+        const results = validatePeople([lea, { ...lea, email: "bad" }], { now });
+        const report = JSON.parse(toJSONReport(results, { file: "people.csv", now }));
+
+        expect(report).toMatchObject({ file: "people.csv", checkedAt: now.toISOString(), total: 2, passed: 1, failed: 1 });
+        expect(report.people).toEqual([
+            { row: 1, status: "passed", age: 65, errors: [] },
+            { row: 2, status: "failed", age: 65, errors: [{ field: "email", code: "INVALID_EMAIL", message: "Invalid email format" }] },
+        ]);
+    });
+
+    it("should write a JUnit report with one test case per person", () => {
+        const results = validatePeople([lea, { ...lea, firstname: "A&B", email: "bad" }], { now });
+        const xml = toJUnitReport(results, { file: "people.csv", now });
+        const doc = new DOMParser().parseFromString(xml, "application/xml");
+
+        expect(doc.querySelector("parsererror")).toBeNull();
+        expect(doc.querySelector("testsuite").getAttribute("tests")).toBe("2");
+        expect(doc.querySelector("testsuite").getAttribute("failures")).toBe("1");
+        const cases = doc.querySelectorAll("testcase");
+        expect(cases[0].getAttribute("name")).toBe("line 1 (Léa Martin)");
+        expect(cases[0].children).toHaveLength(0);
+        expect(cases[1].getAttribute("name")).toBe("line 2 (A&B Martin)");
+        expect(cases[1].querySelector("failure").getAttribute("message")).toBe("INVALID_IDENTITY, INVALID_EMAIL");
+        expect(cases[1].querySelector("failure").textContent).toContain("email: INVALID_EMAIL Invalid email format");
+    });
+
+    it("should keep the JUnit report valid XML when a file holds control characters", () => {
+        const results = validatePeople([{ ...lea, firstname: "L\u0001éa", email: "bad\u0008" }], { now });
+        const xml = toJUnitReport(results, { file: "people\u001B.csv", now });
+        const doc = new DOMParser().parseFromString(xml, "application/xml");
+
+        expect(xml).not.toMatch(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/);
+        expect(doc.querySelector("parsererror")).toBeNull();
+        expect(doc.querySelector("testcase").getAttribute("name")).toBe("line 1 (Léa Martin)");
+        expect(formatSummary(results)).toContain("line 1 (Léa Martin): email");
+    });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+    normalizeTownName,
+    findCommunes,
+    getDepartmentCode,
+    getDepartment,
+    validateTownForPostCode,
+} from "../utils/communes.js";
+import { communes } from "../data/communes.js";
+import { departments } from "../data/departments.js";
+
+describe("communes", () => {
+
+    it("should find the communes of a post code", () => {
+        expect(findCommunes("75001")).toEqual(["Paris"]);
+        expect(findCommunes("13008")).toEqual(["Marseille"]);
+        expect(findCommunes("95000")).toEqual(["Boisemont", "Cergy", "Neuville-sur-Oise", "Pontoise"]);
+        expect(findCommunes("01160")).toContain("Pont-d'Ain");
+        expect(findCommunes(" 37 000 ")).toEqual(["Tours"]);
+        expect(findCommunes("99999")).toEqual([]);
+        expect(findCommunes(undefined)).toEqual([]);
+    });
+
+    it("should normalize town names for comparison", () => {
+        expect(normalizeTownName("Saint-Étienne")).toBe("saint etienne");
+        expect(normalizeTownName("ST ETIENNE")).toBe("saint etienne");
+        expect(normalizeTownName("Ste-Maxime")).toBe("sainte maxime");
+        expect(normalizeTownName("L'Haÿ-les-Roses")).toBe("l hay les roses");
+    });
+
+    it("should derive the department of metropolitan post codes", () => {
+        expect(getDepartmentCode("75001")).toBe("75");
+        expect(getDepartmentCode("01000")).toBe("01");
+        expect(getDepartmentCode("7500")).toBeUndefined();
+    });
+
+    it("should derive Corsican departments 2A and 2B", () => {
+        expect(getDepartmentCode("20000")).toBe("2A");
+        expect(getDepartmentCode("20169")).toBe("2A");
+        expect(getDepartmentCode("20200")).toBe("2B");
+        expect(getDepartmentCode("20600")).toBe("2B");
+    });
+
+    it("should derive overseas departments and collectivities", () => {
+        expect(getDepartmentCode("97400")).toBe("974");
+        expect(getDepartmentCode("97600")).toBe("976");
+        expect(getDepartmentCode("97133")).toBe("977");
+        expect(getDepartmentCode("97150")).toBe("978");
+        expect(getDepartmentCode("98800")).toBe("988");
+    });
+
+    it("should take the department of the town when its post code spans two", () => {
+        expect(getDepartmentCode("33220", "Port-Sainte-Foy-et-Ponchapt")).toBe("24");
+        expect(getDepartmentCode("33220", "Sainte-Foy-la-Grande")).toBe("33");
+        expect(getDepartmentCode("33220")).toBe("33");
+        expect(getDepartment("94390", "Paray-Vieille-Poste")).toMatchObject({ code: "91", name: "Essonne" });
+    });
+
+    it("should return the department name and region", () => {
+        expect(getDepartment("20200")).toEqual({ code: "2B", name: "Haute-Corse", region: "Corse" });
+        expect(getDepartment("97200")).toEqual({ code: "972", name: "Martinique", region: "Martinique" });
+        expect(getDepartment("69003")).toMatchObject({ region: "Auvergne-Rhône-Alpes" });
+        expect(getDepartment("98000")).toBeUndefined();
+    });
+
+    it("should cross-check the town against the post code", () => {
+        expect(() => validateTownForPostCode("Paris", "75001")).not.toThrow();
+        expect(() => validateTownForPostCode("st etienne", "42000")).not.toThrow();
+        expect(() => validateTownForPostCode("Pontoise", "95000")).not.toThrow();
+        expect(() => validateTownForPostCode("Marseille", "75001"))
+            .toThrow(expect.objectContaining({ code: "TOWN_POST_CODE_MISMATCH", params: { postCode: "75001", towns: "Paris" } }));
+    });
+
+    it("should cross-check the post codes of every French commune", () => {
+        expect(() => validateTownForPostCode("Mérignac", "33700")).not.toThrow();
+        expect(() => validateTownForPostCode("Marseille", "33700"))
+            .toThrow(expect.objectContaining({ params: { postCode: "33700", towns: "Mérignac" } }));
+        expect(() => validateTownForPostCode("Saint-Denis-les-Bourg", "01000")).not.toThrow();
+        expect(() => validateTownForPostCode("Lyon", "01000")).toThrow(expect.objectContaining({ code: "TOWN_POST_CODE_MISMATCH" }));
+    });
+
+    it("should name only the first towns of a post code serving many", () => {
+        const towns = findCommunes("51300");
+        expect(towns.length).toBeGreaterThan(5);
+        expect(() => validateTownForPostCode("Paris", "51300"))
+            .toThrow(expect.objectContaining({ params: { postCode: "51300", towns: `${towns.slice(0, 5).join(", ")}, …` } }));
+    });
+
+    it("should not cross-check unknown post codes or other countries", () => {
+        expect(() => validateTownForPostCode("Anywhere", "99999")).not.toThrow();
+        expect(() => validateTownForPostCode("Marseille", "75001", "BE")).not.toThrow();
+    });
+
+    it("should only reference known departments in the dataset", () => {
+        communes.forEach(([postCode, name, department]) => {
+            expect(getDepartment(postCode, name), postCode).toBeDefined();
+            if (department) expect(getDepartmentCode(postCode, name)).toBe(department);
+        });
+        expect(Object.keys(departments)).toHaveLength(108);
+    });
+});
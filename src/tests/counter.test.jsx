@@ -1,15 +1,100 @@
 import React from 'react';
-import { describe, it, expect, vi } from 'vitest';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { render, screen, waitFor, fireEvent } from '@testing-library/react';
 import axios from 'axios';
 import Counter from '../component/Counter.jsx';
 vi.mock('axios');
 
+const click = (name) => fireEvent.click(screen.getByRole('button', { name }));
+
 describe('Counter Component', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
     it('counter increments correctly', () => {
         render(<Counter />);
-        const button = screen.getByRole('button');
+        const button = screen.getByRole('button', { name: /increment/i });
         fireEvent.click(button);
         expect(screen.getByTestId('count')).toHaveTextContent('Count: 1');
     });
+
+    it('should decrement and reset by the step, from the initial value', () => {
+        render(<Counter initial={10} step={5} />);
+
+        click(/decrement/i);
+        click(/decrement/i);
+        expect(screen.getByTestId('count')).toHaveTextContent('Count: 0');
+
+        click(/reset/i);
+        expect(screen.getByTestId('count')).toHaveTextContent('Count: 10');
+        expect(screen.getByRole('button', { name: /reset/i })).toBeDisabled();
+    });
+
+    it('should stay within the bounds and disable the buttons at them', () => {
+        render(<Counter min={0} max={2} />);
+
+        expect(screen.getByRole('button', { name: /decrement/i })).toBeDisabled();
+        click(/increment/i);
+        click(/increment/i);
+        expect(screen.getByTestId('count')).toHaveTextContent('Count: 2');
+        expect(screen.getByRole('button', { name: /increment/i })).toBeDisabled();
+        expect(screen.getByRole('spinbutton')).toHaveAttribute('aria-valuemax', '2');
+    });
+
+    it('should undo and redo changes', () => {
+        render(<Counter />);
+
+        expect(screen.getByRole('button', { name: /undo/i })).toBeDisabled();
+        click(/increment/i);
+        click(/increment/i);
+        click(/undo/i);
+        expect(screen.getByTestId('count')).toHaveTextContent('Count: 1');
+
+        click(/redo/i);
+        expect(screen.getByTestId('count')).toHaveTextContent('Count: 2');
+        expect(screen.getByRole('button', { name: /redo/i })).toBeDisabled();
+    });
+
+    it('should respond to the keyboard shortcuts of a spinbutton', () => {
+        render(<Counter min={-5} max={50} />);
+        const value = screen.getByRole('spinbutton', { name: 'Count' });
+
+        fireEvent.keyDown(value, { key: 'ArrowUp' });
+        fireEvent.keyDown(value, { key: 'PageUp' });
+        expect(value).toHaveAttribute('aria-valuenow', '11');
+        fireEvent.keyDown(value, { key: 'ArrowDown' });
+        expect(value).toHaveAttribute('aria-valuenow', '10');
+        fireEvent.keyDown(value, { key: 'Home' });
+        expect(value).toHaveAttribute('aria-valuenow', '-5');
+        fireEvent.keyDown(value, { key: 'End' });
+        expect(value).toHaveAttribute('aria-valuenow', '50');
+
+        fireEvent.keyDown(value, { key: 'z', ctrlKey: true });
+        expect(value).toHaveAttribute('aria-valuenow', '-5');
+        fireEvent.keyDown(value, { key: 'Z', ctrlKey: true, shiftKey: true });
+        expect(value).toHaveAttribute('aria-valuenow', '50');
+    });
+
+    it('should call onChange with each new value', () => {
+        const onChange = vi.fn();
+        render(<Counter onChange={onChange} />);
+
+        expect(onChange).not.toHaveBeenCalled();
+        click(/increment/i);
+        click(/undo/i);
+
+        expect(onChange.mock.calls).toEqual([[1], [0]]);
+    });
+
+    it('should restore the persisted value after a reload', async () => {
+        const { unmount } = render(<Counter storageKey="quantity" max={5} />);
+        click(/increment/i);
+        click(/increment/i);
+        await waitFor(() => expect(localStorage.getItem('quantity')).toBe('2'));
+        unmount();
+
+        render(<Counter storageKey="quantity" max={5} />);
+        expect(screen.getByTestId('count')).toHaveTextContent('Count: 2');
+    });
 });
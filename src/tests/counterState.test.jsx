@@ -0,0 +1,124 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderHook, act } from "@testing-library/react";
+import { HISTORY_LIMIT, countDecimals, createCounterConfig, createCounterState, counterReducer } from "../utils/counter.js";
+import { useCounter } from "../hooks/useCounter.js";
+
+const run = (config, ...actions) => actions.reduce(
+    (state, action) => counterReducer(state, action, config),
+    createCounterState(config.initial),
+);
+
+describe("createCounterConfig", () => {
+
+    it("should fill in the defaults and clamp the initial value", () => {
+        expect(createCounterConfig()).toEqual({ initial: 0, step: 1, min: -Infinity, max: Infinity, decimals: 0 });
+        expect(createCounterConfig({ initial: 12, max: 10 }).initial).toBe(10);
+    });
+
+    it("should reject inconsistent options", () => {
+        expect(() => createCounterConfig({ step: 0 })).toThrow(RangeError);
+        expect(() => createCounterConfig({ step: NaN })).toThrow(RangeError);
+        expect(() => createCounterConfig({ min: 5, max: 1 })).toThrow(RangeError);
+        expect(() => createCounterConfig({ initial: Infinity })).toThrow(RangeError);
+    });
+});
+
+describe("countDecimals", () => {
+
+    it("should count the digits after the decimal point", () => {
+        expect(countDecimals(3)).toBe(0);
+        expect(countDecimals(0.25)).toBe(2);
+        expect(countDecimals(1e-7)).toBe(7);
+    });
+});
+
+describe("counterReducer", () => {
+
+    it("should move by steps within the bounds, without rounding errors", () => {
+        const config = createCounterConfig({ step: 0.1, max: 0.5 });
+
+        expect(run(config, { type: "increment", times: 3 }).present).toBe(0.3);
+        expect(run(config, { type: "increment", times: 9 }).present).toBe(0.5);
+        expect(run(config, { type: "decrement" }).present).toBe(-0.1);
+    });
+
+    it("should not record changes that leave the value as it is", () => {
+        const config = createCounterConfig({ max: 1 });
+        const state = run(config, { type: "increment" });
+
+        expect(counterReducer(state, { type: "increment" }, config)).toBe(state);
+        expect(counterReducer(state, { type: "set", value: NaN }, config)).toBe(state);
+        expect(state.past).toEqual([0]);
+    });
+
+    it("should undo and redo, and forget the redo history on a new change", () => {
+        const config = createCounterConfig();
+        const undone = run(config, { type: "increment" }, { type: "increment" }, { type: "undo" });
+
+        expect(undone).toEqual({ past: [0], present: 1, future: [2] });
+        expect(counterReducer(undone, { type: "redo" }, config).present).toBe(2);
+        expect(counterReducer(undone, { type: "set", value: 7 }, config)).toEqual({ past: [0, 1], present: 7, future: [] });
+        expect(run(config, { type: "undo" }, { type: "redo" }).present).toBe(0);
+    });
+
+    it("should reset to the initial value as an undoable change", () => {
+        const config = createCounterConfig({ initial: 3 });
+        const state = run(config, { type: "set", value: 8 }, { type: "reset" });
+
+        expect(state.present).toBe(3);
+        expect(counterReducer(state, { type: "undo" }, config).present).toBe(8);
+    });
+
+    it("should keep a bounded history", () => {
+        const config = createCounterConfig();
+        const actions = Array.from({ length: HISTORY_LIMIT + 20 }, () => ({ type: "increment" }));
+
+        expect(run(config, ...actions).past).toHaveLength(HISTORY_LIMIT);
+    });
+
+    it("should reject unknown actions", () => {
+        expect(() => run(createCounterConfig(), { type: "double" })).toThrow("Unknown counter action: double");
+    });
+});
+
+describe("useCounter", () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it("should expose the value, the actions and the history state", () => {
+        const { result } = renderHook(() => useCounter({ min: 0 }));
+
+        expect(result.current).toMatchObject({ value: 0, canUndo: false, canRedo: false });
+        act(() => result.current.increment(4));
+        act(() => result.current.decrement());
+        act(() => result.current.undo());
+
+        expect(result.current).toMatchObject({ value: 4, canUndo: true, canRedo: true });
+    });
+
+    it("should persist the value and ignore stored values that are not numbers", () => {
+        const { result } = renderHook(() => useCounter({ storageKey: "count" }));
+        act(() => result.current.set(42));
+        expect(localStorage.getItem("count")).toBe("42");
+
+        expect(renderHook(() => useCounter({ storageKey: "count", max: 10 })).result.current.value).toBe(10);
+
+        localStorage.setItem("count", "{oops");
+        expect(renderHook(() => useCounter({ storageKey: "count", initial: 1 })).result.current.value).toBe(1);
+    });
+
+    it("should neither persist nor notify on mount, even in StrictMode", () => {
+        const onChange = vi.fn();
+        const { result } = renderHook(() => useCounter({ storageKey: "count", initial: 3, onChange }), { wrapper: React.StrictMode });
+
+        expect(localStorage.getItem("count")).toBeNull();
+        expect(onChange).not.toHaveBeenCalled();
+
+        act(() => result.current.increment());
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(onChange).toHaveBeenCalledWith(4);
+        expect(localStorage.getItem("count")).toBe("4");
+    });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { detectDelimiter, parseCSV, toCSV } from "../utils/csv.js";
+import { ValidationError } from "../utils/errors.js";
+
+describe("parseCSV", () => {
+
+    it("should read quoted cells with delimiters, quotes and line breaks", () => {
+        const text = 'name,notes\r\n"Martin, Léa","said ""hi""\non two lines"\r\nDupont,\r\n';
+
+        expect(parseCSV(text)).toEqual({
+            rows: [["name", "notes"], ["Martin, Léa", 'said "hi"\non two lines'], ["Dupont", ""]],
+            lines: [1, 2, 4],
+        });
+    });
+
+    it("should skip empty lines and a byte order mark", () => {
+        expect(parseCSV("\uFEFFa,b\n\n1,2\n").rows).toEqual([["a", "b"], ["1", "2"]]);
+        expect(parseCSV("").rows).toEqual([]);
+    });
+
+    it("should detect semicolon and tab delimiters", () => {
+        expect(detectDelimiter("nom;prénom\nMartin;Léa")).toBe(";");
+        expect(detectDelimiter('"a;b",c')).toBe(",");
+        expect(parseCSV("nom\tville\nMartin\tParis").rows[1]).toEqual(["Martin", "Paris"]);
+    });
+
+    it("should reject a quoted cell that is not closed", () => {
+        expect(() => parseCSV('a,b\n1,"open\n2,3')).toThrow(ValidationError);
+        expect(() => parseCSV('a,b\n1,"open\n2,3'))
+            .toThrow(expect.objectContaining({ code: "CSV_UNTERMINATED_QUOTE", params: { line: 2 } }));
+    });
+});
+
+describe("toCSV", () => {
+
+    it("should quote the cells that need it", () => {
+        expect(toCSV([["a", "b, c"], ['say "hi"', " padded"], [null, 3]]))
+            .toBe('a,"b, c"\r\n"say ""hi"""," padded"\r\n,3\r\n');
+    });
+
+    it("should neutralize formulas and read them back unchanged", () => {
+        const rows = [["=HYPERLINK(\"http://evil\")", "+33 6", "@SUM(A1)", "'=already", "-"]];
+        const csv = toCSV(rows, { delimiter: ";" });
+
+        expect(csv).toBe("\"'=HYPERLINK(\"\"http://evil\"\")\";'+33 6;'@SUM(A1);''=already;'-\r\n");
+        expect(parseCSV(csv, { delimiter: ";" }).rows).toEqual(rows);
+    });
+});
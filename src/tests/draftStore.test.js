@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DRAFT_KEY, DRAFT_MAX_AGE, saveDraft, loadDraft, clearDraft } from "../utils/draftStore.js";
+import { STORAGE_KEY, getRegistrations } from "../utils/registrationStore.js";
+
+const now = new Date("2026-03-01T10:00:00.000Z");
+
+describe("draftStore", () => {
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it("should have no draft by default", () => {
+        expect(loadDraft()).toBeUndefined();
+    });
+
+    it("should save and load a draft with its version and date", () => {
+        saveDraft({ lastname: "Martin" }, { now });
+
+        expect(loadDraft({ now })).toEqual({ version: 1, savedAt: "2026-03-01T10:00:00.000Z", values: { lastname: "Martin" } });
+    });
+
+    it("should keep drafts apart from submitted registrations", () => {
+        saveDraft({ lastname: "Martin" });
+
+        expect(DRAFT_KEY).not.toBe(STORAGE_KEY);
+        expect(getRegistrations()).toEqual([]);
+    });
+
+    it("should discard expired drafts", () => {
+        saveDraft({ lastname: "Martin" }, { now });
+
+        expect(loadDraft({ now: new Date(now.getTime() + DRAFT_MAX_AGE) })).toBeDefined();
+        expect(loadDraft({ now: new Date(now.getTime() + DRAFT_MAX_AGE + 1) })).toBeUndefined();
+        expect(localStorage.getItem(DRAFT_KEY)).toBeNull();
+    });
+
+    it("should discard drafts of another version or corrupt ones", () => {
+        saveDraft({ lastname: "Martin" }, { now, version: 0 });
+        expect(loadDraft({ now })).toBeUndefined();
+        expect(localStorage.getItem(DRAFT_KEY)).toBeNull();
+
+        localStorage.setItem(DRAFT_KEY, "{not json");
+        expect(loadDraft({ now })).toBeUndefined();
+
+        localStorage.setItem(DRAFT_KEY, JSON.stringify({ version: 1, savedAt: "nope", values: {} }));
+        expect(loadDraft({ now })).toBeUndefined();
+    });
+
+    it("should clear the draft", () => {
+        saveDraft({ lastname: "Martin" }, { now });
+        clearDraft();
+
+        expect(loadDraft({ now })).toBeUndefined();
+    });
+
+    it("should support several drafts under different keys", () => {
+        saveDraft({ a: 1 }, { key: "draft-a", now });
+        saveDraft({ b: 2 }, { key: "draft-b", now });
+
+        expect(loadDraft({ key: "draft-a", now }).values).toEqual({ a: 1 });
+        expect(loadDraft({ key: "draft-b", now }).values).toEqual({ b: 2 });
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+    editDistance,
+    isDisposableEmail,
+    validateEmailNotDisposable,
+    validateEmailNotRegistered,
+    suggestEmail,
+} from "../utils/email.js";
+import { disposableDomains } from "../data/disposableDomains.js";
+import { emailProviders } from "../data/emailProviders.js";
+
+describe("email domains", () => {
+
+    it("should count edits, including swapped letters", () => {
+        expect(editDistance("gmail.com", "gmail.com")).toBe(0);
+        expect(editDistance("gmial.com", "gmail.com")).toBe(1);
+        expect(editDistance("gmal.con", "gmail.com")).toBe(2);
+        expect(editDistance("", "abc")).toBe(3);
+    });
+
+    it("should detect disposable providers and their subdomains", () => {
+        expect(isDisposableEmail("lea@yopmail.com")).toBe(true);
+        expect(isDisposableEmail("lea@YOPMAIL.fr")).toBe(true);
+        expect(isDisposableEmail("lea@eu.mailinator.com")).toBe(true);
+        expect(isDisposableEmail("lea@notyopmail.com")).toBe(false);
+        expect(isDisposableEmail("lea@gmail.com")).toBe(false);
+        expect(isDisposableEmail("not an email")).toBe(false);
+    });
+
+    it("should reject disposable addresses only", () => {
+        expect(() => validateEmailNotDisposable("lea@gmail.com")).not.toThrow();
+        expect(() => validateEmailNotDisposable("invalid")).not.toThrow();
+        expect(() => validateEmailNotDisposable("lea@trashmail.fr"))
+            .toThrow(expect.objectContaining({ code: "DISPOSABLE_EMAIL", params: { domain: "trashmail.fr" } }));
+    });
+
+    it("should ask the server whether an email is already registered", async () => {
+        const api = { checkEmail: vi.fn(async (email) => ({ registered: email === "lea@example.fr" })) };
+        const { signal } = new AbortController();
+
+        await expect(validateEmailNotRegistered("lea@example.fr", { api, signal }))
+            .rejects.toMatchObject({ code: "EMAIL_TAKEN" });
+        await expect(validateEmailNotRegistered("leo@example.fr", { api, signal })).resolves.toBeUndefined();
+        expect(api.checkEmail).toHaveBeenCalledWith("leo@example.fr", { signal });
+    });
+
+    it("should accept an email it cannot check, but not swallow cancellations", async () => {
+        const api = { checkEmail: vi.fn().mockRejectedValue(new Error("Network Error")) };
+        await expect(validateEmailNotRegistered("lea@example.fr", { api })).resolves.toBeUndefined();
+        await expect(validateEmailNotRegistered("lea@example.fr", {})).resolves.toBeUndefined();
+
+        const controller = new AbortController();
+        controller.abort();
+        await expect(validateEmailNotRegistered("lea@example.fr", { api, signal: controller.signal }))
+            .rejects.toThrow("Network Error");
+    });
+
+    it("should suggest the provider a misspelled domain was meant to be", () => {
+        expect(suggestEmail("lea@gmial.com")).toBe("lea@gmail.com");
+        expect(suggestEmail("lea@gmail.con")).toBe("lea@gmail.com");
+        expect(suggestEmail("Lea.Martin+news@hotmial.fr")).toBe("Lea.Martin+news@hotmail.fr");
+        expect(suggestEmail("lea@wanadoo.fe")).toBe("lea@wanadoo.fr");
+    });
+
+    it("should not suggest anything for known or unrelated domains", () => {
+        expect(suggestEmail("lea@gmail.com")).toBeUndefined();
+        expect(suggestEmail("lea@example.com")).toBeUndefined();
+        expect(suggestEmail("lea@me.fr")).toBeUndefined();
+        expect(suggestEmail("lea@")).toBeUndefined();
+    });
+
+    it("should keep the datasets consistent", () => {
+        expect([...disposableDomains].sort()).toEqual(disposableDomains);
+        disposableDomains.concat(emailProviders).forEach(domain => {
+            expect(domain).toMatch(/^[a-z0-9-]+(\.[a-z0-9-]+)+$/);
+        });
+        expect(emailProviders.filter(domain => disposableDomains.includes(domain))).toEqual([]);
+    });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { ValidationError, toValidationError, safely } from "../utils/errors.js";
+
+describe("validation errors", () => {
+
+    it("should be real errors with a code, field and params", () => {
+        const err = new ValidationError("INVALID_AGE", "Must be at least 18 years old", { field: "birth", params: { min: 18 } });
+
+        expect(err).toBeInstanceOf(Error);
+        expect(err).toBeInstanceOf(ValidationError);
+        expect(err.name).toBe("ValidationError");
+        expect(err.stack).toContain("ValidationError");
+        expect(err).toMatchObject({ code: "INVALID_AGE", field: "birth", params: { min: 18 } });
+    });
+
+    it("should serialize to a plain object", () => {
+        const err = new ValidationError("INVALID_EMAIL", "Invalid email format", { field: "email" });
+
+        expect(JSON.parse(JSON.stringify(err)))
+            .toEqual({ code: "INVALID_EMAIL", message: "Invalid email format", field: "email" });
+    });
+
+    it("should wrap plain error objects and rethrow programming errors", () => {
+        const wrapped = toValidationError({ code: "TOO_BIG" });
+        expect(wrapped).toBeInstanceOf(ValidationError);
+        expect(wrapped).toMatchObject({ code: "TOO_BIG", message: "TOO_BIG" });
+
+        const original = new ValidationError("INVALID", "Invalid");
+        expect(toValidationError(original)).toBe(original);
+
+        expect(() => toValidationError(new TypeError("boom"))).toThrow(TypeError);
+        expect(() => toValidationError("oops")).toThrow();
+    });
+
+    it("should turn throwing validators into result objects", () => {
+        const isPositive = safely((n) => {
+            if (typeof n !== "number") throw new TypeError("not a number");
+            if (n <= 0) throw new ValidationError("NOT_POSITIVE", "Must be positive");
+            return n;
+        });
+
+        expect(isPositive(3)).toEqual({ ok: true, value: 3, error: null });
+        expect(isPositive(-1)).toMatchObject({ ok: false, error: { code: "NOT_POSITIVE" } });
+        expect(isPositive(-1).error).toBeInstanceOf(ValidationError);
+        expect(() => isPositive("3")).toThrow(TypeError);
+    });
+});
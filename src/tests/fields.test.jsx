@@ -0,0 +1,185 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { configureAxe } from "vitest-axe";
+import TextField from "../component/TextField.jsx";
+import EmailField from "../component/EmailField.jsx";
+import DateField from "../component/DateField.jsx";
+import Select from "../component/Select.jsx";
+import Checkbox from "../component/Checkbox.jsx";
+import FieldError from "../component/FieldError.jsx";
+import SubmitButton from "../component/SubmitButton.jsx";
+import { buttonClassName, inputClassName } from "../utils/fieldStyles.js";
+
+// jsdom does not render, so color contrast cannot be computed
+const axe = configureAxe({ rules: { "color-contrast": { enabled: false } } });
+
+describe("fieldStyles", () => {
+
+    it("uses the theme tokens for each state", () => {
+        expect(inputClassName()).toContain("border-line");
+        expect(inputClassName({ invalid: true })).toContain("border-danger");
+        expect(inputClassName({ disabled: true })).toContain("cursor-not-allowed");
+        expect(buttonClassName()).toContain("bg-primary");
+        expect(buttonClassName({ variant: "secondary" })).toContain("border-line");
+        expect(buttonClassName({ disabled: true })).toContain("bg-disabled");
+        expect(buttonClassName({ disabled: true })).not.toContain("bg-primary");
+    });
+
+    it("rejects unknown button variants", () => {
+        expect(() => buttonClassName({ variant: "shiny" })).toThrow(RangeError);
+    });
+});
+
+describe("TextField", () => {
+
+    it("labels the input and passes its props through", async () => {
+        const user = userEvent.setup();
+        const onChange = vi.fn();
+        render(<TextField name="nickname" label="Nickname" value="" onChange={onChange} placeholder="nick" required />);
+
+        const input = screen.getByLabelText("Nickname");
+        expect(input).toHaveAttribute("id", "field-nickname");
+        expect(input).toHaveAttribute("type", "text");
+        expect(input).toHaveAttribute("placeholder", "nick");
+        expect(input).toHaveAttribute("aria-required", "true");
+        expect(input).not.toHaveAttribute("aria-invalid");
+
+        await user.type(input, "a");
+        expect(onChange).toHaveBeenCalled();
+    });
+
+    it("shows the error and links it to the input", () => {
+        render(<TextField name="nickname" label="Nickname" defaultValue="x" error="Too short" describedBy="hint" />);
+
+        const input = screen.getByLabelText("Nickname");
+        expect(input).toHaveAttribute("aria-invalid", "true");
+        expect(input).toHaveAttribute("aria-describedby", "field-nickname-error hint");
+        expect(input).toHaveClass("text-danger");
+        expect(input).toHaveAccessibleDescription("Too short");
+    });
+
+    it("shows the checking indicator while pending", () => {
+        render(<TextField name="nickname" label="Nickname" defaultValue="x" pending data-testid="nickname" />);
+
+        expect(screen.getByLabelText("Nickname")).toHaveAttribute("aria-busy", "true");
+        expect(screen.getByTestId("nickname-pending")).toHaveTextContent("Checking…");
+    });
+
+    it("can be disabled", () => {
+        render(<TextField name="nickname" label="Nickname" defaultValue="x" disabled />);
+
+        expect(screen.getByLabelText("Nickname")).toBeDisabled();
+    });
+
+    it("has no accessibility violations in error", async () => {
+        const { container } = render(<TextField name="nickname" label="Nickname" defaultValue="x" error="Too short" />);
+
+        expect(await axe(container)).toHaveNoViolations();
+    });
+});
+
+describe("EmailField and DateField", () => {
+
+    it("set the input type", () => {
+        render(
+            <>
+                <EmailField name="email" label="Email" defaultValue="" />
+                <DateField name="birth" label="Birth date" defaultValue="" max="2026-12-31" />
+            </>
+        );
+
+        expect(screen.getByLabelText("Email")).toHaveAttribute("type", "email");
+        expect(screen.getByLabelText("Email")).toHaveAttribute("autocomplete", "email");
+        expect(screen.getByLabelText("Birth date")).toHaveAttribute("type", "date");
+        expect(screen.getByLabelText("Birth date")).toHaveAttribute("max", "2026-12-31");
+    });
+});
+
+describe("Select", () => {
+
+    it("lists the options and shows its error", async () => {
+        const user = userEvent.setup();
+        const onChange = vi.fn();
+        render(
+            <Select
+                name="country"
+                label="Country"
+                options={[{ value: "FR", label: "France" }, { value: "BE", label: "Belgium" }]}
+                value="FR"
+                onChange={onChange}
+                error="Unsupported country"
+            />
+        );
+
+        const select = screen.getByRole("combobox", { name: "Country" });
+        expect(select).toHaveAccessibleDescription("Unsupported country");
+        await user.selectOptions(select, "BE");
+        expect(onChange).toHaveBeenCalled();
+    });
+});
+
+describe("Checkbox", () => {
+
+    it("toggles and shows its error", async () => {
+        const user = userEvent.setup();
+        render(<Checkbox name="terms" label="I accept the terms" error="Required" />);
+
+        const checkbox = screen.getByRole("checkbox", { name: "I accept the terms" });
+        expect(checkbox).toHaveAttribute("aria-invalid", "true");
+        expect(checkbox).toHaveAccessibleDescription("Required");
+
+        await user.click(screen.getByText("I accept the terms"));
+        expect(checkbox).toBeChecked();
+    });
+});
+
+describe("FieldError", () => {
+
+    it("renders nothing without a message", () => {
+        const { container } = render(<FieldError id="e" />);
+        expect(container).toBeEmptyDOMElement();
+    });
+});
+
+describe("SubmitButton", () => {
+
+    it("submits the form", async () => {
+        const user = userEvent.setup();
+        const onSubmit = vi.fn(e => e.preventDefault());
+        render(<form onSubmit={onSubmit}><SubmitButton>Send</SubmitButton></form>);
+
+        await user.click(screen.getByRole("button", { name: "Send" }));
+        expect(onSubmit).toHaveBeenCalledTimes(1);
+    });
+
+    it("is disabled and busy while loading", () => {
+        render(<SubmitButton loading loadingLabel="Sending…">Send</SubmitButton>);
+
+        const button = screen.getByRole("button", { name: "Sending…" });
+        expect(button).toBeDisabled();
+        expect(button).toHaveAttribute("aria-busy", "true");
+    });
+
+    it("can look disabled and still be clicked", async () => {
+        const user = userEvent.setup();
+        const onClick = vi.fn();
+        render(<SubmitButton type="button" ariaDisabled onClick={onClick}>Send</SubmitButton>);
+
+        const button = screen.getByRole("button", { name: "Send" });
+        expect(button).toBeEnabled();
+        expect(button).toHaveAttribute("aria-disabled", "true");
+        expect(button).toHaveClass("bg-disabled");
+        await user.click(button);
+        expect(onClick).toHaveBeenCalledTimes(1);
+    });
+
+    it("applies the variant", () => {
+        render(<SubmitButton type="button" variant="secondary">Back</SubmitButton>);
+
+        const button = screen.getByRole("button", { name: "Back" });
+        expect(button).toHaveAttribute("type", "button");
+        expect(button).toHaveClass("border-line");
+    });
+});
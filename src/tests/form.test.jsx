@@ -1,11 +1,25 @@
 import React from 'react';
-import { describe, it, expect } from 'vitest';
-import { render, screen } from "@testing-library/react";
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
+import { AxiosError } from "axios";
 import Form from "../component/Form.jsx"
+import I18nProvider from "../component/I18nProvider.jsx";
+import LanguageSwitcher from "../component/LanguageSwitcher.jsx";
+import { DRAFT_KEY, saveDraft } from "../utils/draftStore.js";
+
+/**
+ * Waits for the server checks of the values typed (e.g. email already registered), which hold
+ * the submit button disabled.
+ */
+const waitForChecks = () => waitFor(() => expect(screen.getByRole("button", { name: /submit/i })).not.toHaveAttribute("aria-disabled"));
 
 describe("Form validation", () => {
 
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
     it ("button is disabled when form is incomplete and invalid or enabled when completed and valid", async () => {
         const user = userEvent.setup();
 
@@ -13,23 +27,26 @@ describe("Form validation", () => {
 
         const submitButton = screen.getByRole("button", { name: /submit/i });
 
-        expect(submitButton).toBeDisabled();
+        expect(submitButton).toHaveAttribute("aria-disabled", "true");
 
-        const lastnameInput = screen.getByPlaceholderText("lastname");
-        const firstnameInput = screen.getByPlaceholderText("firstname");
-        const emailInput = screen.getByPlaceholderText("email");
-        const birthInput = screen.getByPlaceholderText("birth");
-        const postCodeInput = screen.getByPlaceholderText("postCode");
-        const townInput = screen.getByPlaceholderText("town");
+        const lastnameInput = screen.getByLabelText("Last name");
+        const firstnameInput = screen.getByLabelText("First name");
+        const emailInput = screen.getByLabelText("Email");
+        const phoneInput = screen.getByLabelText("Phone");
+        const birthInput = screen.getByLabelText("Birth date");
+        const postCodeInput = screen.getByLabelText("Post code");
+        const townInput = screen.getByLabelText("Town");
 
         await user.type(lastnameInput, "Jean");
         await user.type(firstnameInput, "Pierre");
         await user.type(emailInput, "jean@example.com");
+        await user.type(phoneInput, "0612345678");
+        await user.type(screen.getByLabelText("Street"), "rue de Rivoli");
         await user.type(birthInput, "1995-05-15");
         await user.type(postCodeInput, "75001");
         await user.type(townInput, "Paris");
 
-        expect(submitButton).toBeEnabled();
+        await waitFor(() => expect(submitButton).not.toHaveAttribute("aria-disabled"));
     });
 
     it ("shows error messages for invalid fields in red", async () => {
@@ -37,18 +54,32 @@ describe("Form validation", () => {
 
         render(<Form />);
 
-        const lastnameInput = screen.getByPlaceholderText("lastname");
-        const emailInput = screen.getByPlaceholderText("email");
+        const lastnameInput = screen.getByLabelText("Last name");
+        const emailInput = screen.getByLabelText("Email");
 
         await user.type(lastnameInput, "Jean123");
         await user.tab(lastnameInput);
         expect(screen.getByText(/invalid characters in name/i)).toBeInTheDocument();
-        expect(lastnameInput).toHaveClass("text-red-500");
+        expect(lastnameInput).toHaveClass("text-danger");
 
         await user.type(emailInput, "invalid-email");
         await user.tab(emailInput);
         expect(screen.getByText(/invalid email format/i)).toBeInTheDocument();
-        expect(emailInput).toHaveClass("text-red-500");
+        expect(emailInput).toHaveClass("text-danger");
+    });
+
+    it ("should not cut what is typed after an angle bracket", async () => {
+        const user = userEvent.setup();
+
+        render(<Form />);
+
+        const townInput = screen.getByLabelText("Town");
+        await user.type(townInput, "Tom <tom@x.fr>");
+        expect(townInput).toHaveValue("Tom <tom@x.fr>");
+
+        await user.clear(townInput);
+        await user.type(townInput, "Pa<b>ris");
+        expect(townInput).toHaveValue("Paris");
     });
 
     it ("should show loading and success message on form submission", async () => {
@@ -57,20 +88,24 @@ describe("Form validation", () => {
         render(<Form />);
 
         const submitButton = screen.getByRole("button", { name: /submit/i });
-        const lastnameInput = screen.getByPlaceholderText("lastname");
-        const firstnameInput = screen.getByPlaceholderText("firstname");
-        const emailInput = screen.getByPlaceholderText("email");
-        const birthInput = screen.getByPlaceholderText("birth");
-        const postCodeInput = screen.getByPlaceholderText("postCode");
-        const townInput = screen.getByPlaceholderText("town");
+        const lastnameInput = screen.getByLabelText("Last name");
+        const firstnameInput = screen.getByLabelText("First name");
+        const emailInput = screen.getByLabelText("Email");
+        const phoneInput = screen.getByLabelText("Phone");
+        const birthInput = screen.getByLabelText("Birth date");
+        const postCodeInput = screen.getByLabelText("Post code");
+        const townInput = screen.getByLabelText("Town");
 
         await user.type(lastnameInput, "Jean");
         await user.type(firstnameInput, "Pierre");
         await user.type(emailInput, "test@example.com");
+        await user.type(phoneInput, "0612345678");
+        await user.type(screen.getByLabelText("Street"), "rue de Rivoli");
         await user.type(birthInput, "1995-05-15");
         await user.type(postCodeInput, "75001");
         await user.type(townInput, "Paris");
 
+        await waitForChecks();
         await user.click(submitButton);
 
         expect(screen.getByText(/submitting form/i)).toBeInTheDocument();
@@ -85,20 +120,24 @@ describe("Form validation", () => {
         render(<Form />);
 
         const submitButton = screen.getByRole("button", { name: /submit/i });
-        const lastnameInput = screen.getByPlaceholderText("lastname");
-        const firstnameInput = screen.getByPlaceholderText("firstname");
-        const emailInput = screen.getByPlaceholderText("email");
-        const birthInput = screen.getByPlaceholderText("birth");
-        const postCodeInput = screen.getByPlaceholderText("postCode");
-        const townInput = screen.getByPlaceholderText("town");
+        const lastnameInput = screen.getByLabelText("Last name");
+        const firstnameInput = screen.getByLabelText("First name");
+        const emailInput = screen.getByLabelText("Email");
+        const phoneInput = screen.getByLabelText("Phone");
+        const birthInput = screen.getByLabelText("Birth date");
+        const postCodeInput = screen.getByLabelText("Post code");
+        const townInput = screen.getByLabelText("Town");
 
         await user.type(lastnameInput, "Jean");
         await user.type(firstnameInput, "Pierre");
         await user.type(emailInput, "test@example.fr");
+        await user.type(phoneInput, "0612345678");
+        await user.type(screen.getByLabelText("Street"), "rue de Rivoli");
         await user.type(birthInput, "1995-05-15");
         await user.type(postCodeInput, "75001");
         await user.type(townInput, "Paris");
 
+        await waitForChecks();
         await user.click(submitButton);
 
         const successMessage = await screen.findByText(/form successfully submitted!/i);
@@ -107,52 +146,351 @@ describe("Form validation", () => {
         expect(lastnameInput).toHaveValue("");
         expect(firstnameInput).toHaveValue("");
         expect(emailInput).toHaveValue("");
+        expect(phoneInput).toHaveValue("");
         expect(birthInput).toHaveValue("");
         expect(postCodeInput).toHaveValue("");
         expect(townInput).toHaveValue("");
 
-        expect(submitButton).toBeDisabled();
+        expect(submitButton).toHaveAttribute("aria-disabled", "true");
     });
 
     it ("should save in local storage on successful submission", async () => {
-        beforeEach(() => {
-            localStorage.clear();
-        });
-
         const user = userEvent.setup();
 
         render(<Form />);
 
         const submitButton = screen.getByRole("button", { name: /submit/i });
-        const lastnameInput = screen.getByPlaceholderText("lastname");
-        const firstnameInput = screen.getByPlaceholderText("firstname");
-        const emailInput = screen.getByPlaceholderText("email");
-        const birthInput = screen.getByPlaceholderText("birth");
-        const postCodeInput = screen.getByPlaceholderText("postCode");
-        const townInput = screen.getByPlaceholderText("town");
+        const lastnameInput = screen.getByLabelText("Last name");
+        const firstnameInput = screen.getByLabelText("First name");
+        const emailInput = screen.getByLabelText("Email");
+        const phoneInput = screen.getByLabelText("Phone");
+        const birthInput = screen.getByLabelText("Birth date");
+        const postCodeInput = screen.getByLabelText("Post code");
+        const townInput = screen.getByLabelText("Town");
 
         await user.type(lastnameInput, "Jean");
         await user.type(firstnameInput, "Pierre");
         await user.type(emailInput, "test@example.com");
+        await user.type(phoneInput, "0612345678");
+        await user.type(screen.getByLabelText("Street"), "rue de Rivoli");
         await user.type(birthInput, "1995-05-15");
         await user.type(postCodeInput, "75001");
         await user.type(townInput, "Paris");
 
+        await waitForChecks();
         await user.click(submitButton);
 
         const successMessage = await screen.findByText(/form successfully submitted!/i);
         expect(successMessage).toBeInTheDocument();
 
-        const storedData = JSON.parse(localStorage.getItem("user"));
+        const storedData = JSON.parse(localStorage.getItem("registrations"));
 
-        expect(storedData).toEqual({
+        expect(storedData).toHaveLength(1);
+        expect(storedData[0]).toMatchObject({
             lastname: "Jean",
             firstname: "Pierre",
             email: "test@example.com",
+            phone: "+33612345678",
+            streetName: "Rue de Rivoli",
             birth: "1995-05-15",
             postCode: "75001",
             town: "Paris"
         });
+        expect(storedData[0].id).toEqual(expect.any(String));
+        expect(storedData[0].createdAt).toEqual(expect.any(String));
     })
-});
 
+    it ("should show server field errors when the API rejects the submission", async () => {
+        const user = userEvent.setup();
+        const api = {
+            submitRegistration: () => Promise.reject(
+                new AxiosError("failed", "ERR_BAD_REQUEST", {}, {}, {
+                    status: 422,
+                    data: { errors: [{ field: "email", code: "INVALID_EMAIL" }] },
+                })
+            ),
+        };
+
+        render(<Form api={api} />);
+
+        await user.type(screen.getByLabelText("Last name"), "Jean");
+        await user.type(screen.getByLabelText("First name"), "Pierre");
+        await user.type(screen.getByLabelText("Email"), "test@example.com");
+        await user.type(screen.getByLabelText("Phone"), "0612345678");
+        await user.type(screen.getByLabelText("Street"), "rue de Rivoli");
+        await user.type(screen.getByLabelText("Birth date"), "1995-05-15");
+        await user.type(screen.getByLabelText("Post code"), "75001");
+        await user.type(screen.getByLabelText("Town"), "Paris");
+
+        await waitForChecks();
+        await user.click(screen.getByRole("button", { name: /submit/i }));
+
+        expect(await screen.findByText(/submission failed/i)).toBeInTheDocument();
+        expect(screen.getByText(/invalid email format/i)).toBeInTheDocument();
+        expect(screen.getByLabelText("Email")).toHaveValue("test@example.com");
+        expect(localStorage.getItem("registrations")).toBeNull();
+    });
+
+    it ("should render and validate any schema passed to it", async () => {
+        const user = userEvent.setup();
+        const schema = [
+            { name: "nickname", type: "text", label: "Nickname", required: true },
+            { name: "website", type: "text", label: "Website", validators: [{ validate: (v) => {
+                if (!v.startsWith("https://")) throw { code: "INVALID_URL", message: "Must start with https://" };
+            } }] },
+        ];
+
+        render(<Form schema={schema} />);
+
+        expect(screen.getByLabelText("Nickname")).toBeInTheDocument();
+        expect(screen.queryByLabelText("Email")).not.toBeInTheDocument();
+
+        await user.type(screen.getByLabelText("Website"), "http://x");
+        expect(screen.getByText(/must start with https/i)).toBeInTheDocument();
+
+        await user.type(screen.getByLabelText("Nickname"), "jp");
+        await user.clear(screen.getByLabelText("Website"));
+        expect(screen.getByRole("button", { name: /submit/i })).not.toHaveAttribute("aria-disabled");
+    });
+
+    it ("should not show field names as placeholders", () => {
+        const { container } = render(<Form />);
+
+        expect(container.querySelectorAll("input[placeholder]")).toHaveLength(0);
+        expect(screen.getByLabelText("Address complement (building, floor…)")).toBeInTheDocument();
+    });
+
+    it ("should show messages in the language picked with the switcher", async () => {
+        const user = userEvent.setup();
+
+        render(
+            <I18nProvider initialLocale="fr">
+                <LanguageSwitcher />
+                <Form />
+            </I18nProvider>
+        );
+
+        await user.type(screen.getByLabelText("Code postal"), "750");
+        await user.tab();
+        expect(screen.getByText("Code postal invalide")).toBeInTheDocument();
+        expect(screen.getByRole("button", { name: /envoyer/i })).toBeInTheDocument();
+
+        await user.selectOptions(screen.getByTestId("language"), "en");
+        expect(screen.getByText("Invalid post code")).toBeInTheDocument();
+        expect(document.documentElement.lang).toBe("en");
+    });
+
+    it ("should validate the post code for the selected country and store it normalized", async () => {
+        const user = userEvent.setup();
+
+        render(<Form />);
+
+        expect(screen.getByTestId("country")).toHaveValue("FR");
+
+        await user.type(screen.getByLabelText("Last name"), "Smith");
+        await user.type(screen.getByLabelText("First name"), "John");
+        await user.type(screen.getByLabelText("Email"), "john@example.co.uk");
+        await user.type(screen.getByLabelText("Phone"), "07911 123456");
+        await user.type(screen.getByLabelText("Street"), "Downing Street");
+        await user.type(screen.getByLabelText("Birth date"), "1990-01-01");
+        await user.type(screen.getByLabelText("Post code"), "sw1a1aa");
+        await user.type(screen.getByLabelText("Town"), "London");
+
+        expect(screen.getByText("Invalid post code")).toBeInTheDocument();
+
+        await user.selectOptions(screen.getByTestId("country"), "GB");
+        expect(screen.queryByText("Invalid post code")).not.toBeInTheDocument();
+
+        await waitForChecks();
+        await user.click(screen.getByRole("button", { name: /submit/i }));
+        await screen.findByText(/form successfully submitted!/i);
+
+        const [stored] = JSON.parse(localStorage.getItem("registrations"));
+        expect(stored).toMatchObject({ country: "GB", postCode: "SW1A 1AA", phone: "+447911123456", streetName: "Downing Street" });
+    });
+
+    it ("should format the phone number as it is typed and check it against the country", async () => {
+        const user = userEvent.setup();
+
+        render(<Form />);
+
+        const phoneInput = screen.getByLabelText("Phone");
+        expect(phoneInput).toHaveAttribute("type", "tel");
+
+        await user.type(phoneInput, "06123");
+        expect(phoneInput).toHaveValue("06 12 3");
+        await user.type(phoneInput, "4567");
+        await user.tab();
+        expect(phoneInput).toHaveValue("06 12 34 56 7");
+        expect(screen.getByText("Invalid phone number, e.g. 06 12 34 56 78")).toBeInTheDocument();
+
+        await user.type(phoneInput, "8");
+        expect(phoneInput).toHaveValue("06 12 34 56 78");
+        expect(screen.queryByText(/invalid phone number/i)).not.toBeInTheDocument();
+
+        await user.selectOptions(screen.getByTestId("country"), "BE");
+        expect(screen.getByText("Invalid phone number, e.g. 0470 12 34 56")).toBeInTheDocument();
+
+        await user.clear(phoneInput);
+        await user.type(phoneInput, "0033612345678");
+        expect(phoneInput).toHaveValue("+33 6 12 34 56 78");
+        expect(screen.queryByText(/invalid phone number/i)).not.toBeInTheDocument();
+    });
+
+    it ("should suggest towns for the post code, reject a mismatch and store the department and region", async () => {
+        const user = userEvent.setup();
+
+        render(<Form />);
+
+        await user.type(screen.getByLabelText("Last name"), "Jean");
+        await user.type(screen.getByLabelText("First name"), "Pierre");
+        await user.type(screen.getByLabelText("Email"), "jean@example.com");
+        await user.type(screen.getByLabelText("Phone"), "0612345678");
+        await user.type(screen.getByLabelText("Street"), "rue de Rivoli");
+        await user.type(screen.getByLabelText("Birth date"), "1995-05-15");
+        await user.type(screen.getByLabelText("Post code"), "20200");
+
+        const suggestions = screen.getByTestId("town-suggestions");
+        expect(suggestions.querySelector("option")).toHaveValue("Bastia");
+        expect(screen.getByLabelText("Town")).toHaveAttribute("list", suggestions.id);
+
+        await user.type(screen.getByLabelText("Town"), "Marseille");
+        expect(screen.getByText("Post code 20200 is for Bastia, San-Martino-di-Lota, Santa-Maria-di-Lota, Ville-di-Pietrabugno")).toBeInTheDocument();
+        expect(screen.getByRole("button", { name: /submit/i })).toHaveAttribute("aria-disabled", "true");
+
+        await user.clear(screen.getByLabelText("Town"));
+        await user.type(screen.getByLabelText("Town"), "bastia");
+        await waitForChecks();
+        await user.click(screen.getByRole("button", { name: /submit/i }));
+        await screen.findByText(/form successfully submitted!/i);
+
+        const [stored] = JSON.parse(localStorage.getItem("registrations"));
+        expect(stored).toMatchObject({ postCode: "20200", town: "bastia", department: "2B", region: "Corse" });
+    });
+
+    it ("should offer to fix a misspelled email provider and reject disposable addresses", async () => {
+        const user = userEvent.setup();
+
+        render(<Form />);
+
+        const emailInput = screen.getByLabelText("Email");
+        await user.type(emailInput, "jean@gmial.com");
+        await user.click(screen.getByRole("button", { name: "Did you mean jean@gmail.com?" }));
+        expect(emailInput).toHaveValue("jean@gmail.com");
+        expect(screen.queryByTestId("email-correction")).not.toBeInTheDocument();
+
+        await user.clear(emailInput);
+        await user.type(emailInput, "jean@yopmail.com");
+        expect(screen.getByText("Disposable email addresses are not accepted")).toBeInTheDocument();
+    });
+
+    it ("should check with the server that the email is not registered yet while typing", async () => {
+        const user = userEvent.setup();
+        let answer;
+        const checkEmail = vi.fn((email) => new Promise(resolve => {
+            answer = () => resolve({ registered: email === "lea@example.fr" });
+        }));
+        const api = { checkEmail, submitRegistration: vi.fn().mockResolvedValue({}) };
+
+        render(<Form api={api} debounce={50} />);
+
+        await user.type(screen.getByLabelText("Last name"), "Martin");
+        await user.type(screen.getByLabelText("First name"), "Léa");
+        await user.type(screen.getByLabelText("Birth date"), "1995-05-15");
+        await user.type(screen.getByLabelText("Post code"), "75001");
+        await user.type(screen.getByLabelText("Town"), "Paris");
+        await user.type(screen.getByLabelText("Phone"), "0612345678");
+        await user.type(screen.getByLabelText("Street"), "rue de Rivoli");
+        await user.type(screen.getByLabelText("Email"), "lea@example.fr");
+
+        expect(screen.getByTestId("email-pending")).toHaveTextContent("Checking…");
+        expect(screen.getByLabelText("Email")).toHaveAttribute("aria-busy", "true");
+        expect(screen.getByRole("button", { name: /submit/i })).toHaveAttribute("aria-disabled", "true");
+
+        await waitFor(() => expect(checkEmail).toHaveBeenLastCalledWith("lea@example.fr", { signal: expect.any(AbortSignal) }));
+        answer();
+        expect(await screen.findByText("This email is already registered")).toBeInTheDocument();
+        expect(screen.queryByTestId("email-pending")).not.toBeInTheDocument();
+        expect(screen.getByRole("button", { name: /submit/i })).toHaveAttribute("aria-disabled", "true");
+
+        await user.clear(screen.getByLabelText("Email"));
+        await user.type(screen.getByLabelText("Email"), "lea@example.com");
+        await waitFor(() => expect(checkEmail).toHaveBeenLastCalledWith("lea@example.com", expect.anything()));
+        const { signal } = checkEmail.mock.lastCall[1];
+        await user.type(screen.getByLabelText("Email"), "{Backspace}");
+        expect(signal.aborted).toBe(true);
+        await waitFor(() => expect(checkEmail).toHaveBeenLastCalledWith("lea@example.co", expect.anything()));
+        answer();
+        await waitForChecks();
+        expect(screen.queryByText("This email is already registered")).not.toBeInTheDocument();
+    });
+
+    it ("should strip markup and invisible characters from what the user types or pastes", async () => {
+        const user = userEvent.setup();
+
+        render(<Form />);
+
+        const townInput = screen.getByLabelText("Town");
+        await user.click(townInput);
+        await user.paste("<img src=x onerror=alert(1)>Pa\u200Bris");
+        expect(townInput).toHaveValue("Paris");
+
+        const lastnameInput = screen.getByLabelText("Last name");
+        await user.type(lastnameInput, "Jean<b");
+        expect(lastnameInput).toHaveValue("Jean<b");
+        await user.type(lastnameInput, ">");
+        expect(lastnameInput).toHaveValue("Jean");
+    });
+
+    it ("should autosave a draft while typing and delete it on submission", async () => {
+        const user = userEvent.setup();
+
+        render(<Form />);
+
+        await user.type(screen.getByLabelText("Last name"), "Jean");
+        await waitFor(() => expect(JSON.parse(localStorage.getItem(DRAFT_KEY))?.values).toMatchObject({ lastname: "Jean" }));
+        expect(localStorage.getItem("registrations")).toBeNull();
+
+        await user.type(screen.getByLabelText("First name"), "Pierre");
+        await user.type(screen.getByLabelText("Email"), "test@example.com");
+        await user.type(screen.getByLabelText("Phone"), "0612345678");
+        await user.type(screen.getByLabelText("Street"), "rue de Rivoli");
+        await user.type(screen.getByLabelText("Birth date"), "1995-05-15");
+        await user.type(screen.getByLabelText("Post code"), "75001");
+        await user.type(screen.getByLabelText("Town"), "Paris");
+        await waitForChecks();
+        await user.click(screen.getByRole("button", { name: /submit/i }));
+        await screen.findByText(/form successfully submitted!/i);
+
+        expect(localStorage.getItem(DRAFT_KEY)).toBeNull();
+        expect(JSON.parse(localStorage.getItem("registrations"))).toHaveLength(1);
+    });
+
+    it ("should offer to resume a draft left by a previous visit", async () => {
+        const user = userEvent.setup();
+        saveDraft({ lastname: "Jean", email: "jean@example.com", unknown: "ignored" });
+
+        render(<Form />);
+
+        expect(screen.getByTestId("draft-prompt")).toHaveTextContent(/resume the registration you started on/i);
+        await user.click(screen.getByRole("button", { name: "Resume" }));
+
+        expect(screen.queryByTestId("draft-prompt")).not.toBeInTheDocument();
+        expect(screen.getByLabelText("Last name")).toHaveValue("Jean");
+        expect(screen.getByLabelText("Email")).toHaveValue("jean@example.com");
+        expect(screen.getByTestId("country")).toHaveValue("FR");
+    });
+
+    it ("should discard a draft on request", async () => {
+        const user = userEvent.setup();
+        saveDraft({ lastname: "Jean" });
+
+        render(<Form />);
+
+        await user.click(screen.getByRole("button", { name: "Discard" }));
+
+        expect(screen.queryByTestId("draft-prompt")).not.toBeInTheDocument();
+        expect(screen.getByLabelText("Last name")).toHaveValue("");
+        expect(localStorage.getItem(DRAFT_KEY)).toBeNull();
+    });
+});
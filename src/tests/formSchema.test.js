@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import {
+    normalizeValues,
+    isEmpty,
+    createInitialValues,
+    getInputFields,
+    validateFieldValue,
+    validateValues,
+    getAsyncValidators,
+    isComplete,
+} from "../utils/formSchema.js";
+import { registrationSchema, withFormattedNames } from "../utils/registrationSchema.js";
+
+const minLength = (value, min) => {
+    if (value.length < min) throw { code: "TOO_SHORT", message: `At least ${min} characters` };
+};
+
+const sameAs = (value, other) => {
+    if (value !== other) throw { code: "MISMATCH", message: "Values differ" };
+};
+
+const schema = [
+    { name: "login", type: "text", label: "Login", required: true, validators: [{ validate: minLength, params: [3] }] },
+    { name: "password", type: "password", label: "Password", required: true },
+    {
+        name: "confirm",
+        type: "password",
+        label: "Confirm",
+        required: true,
+        validators: [{ validate: sameAs, params: (values) => [values.password] }],
+    },
+    { name: "nickname", type: "text", label: "Nickname", initialValue: "anon" },
+    { name: "size", type: "number", label: "Size", parse: Number, validators: [{ validate: (n) => { if (n > 10) throw { code: "TOO_BIG" }; } }] },
+];
+
+describe("formSchema engine", () => {
+
+    it("should detect empty values", () => {
+        ["", "   ", null, undefined].forEach(v => expect(isEmpty(v)).toBe(true));
+        ["a", 0].forEach(v => expect(isEmpty(v)).toBe(false));
+    });
+
+    it("should build initial values from the schema", () => {
+        expect(createInitialValues(schema)).toEqual({ login: "", password: "", confirm: "", nickname: "anon", size: "" });
+    });
+
+    it("should report required fields", () => {
+        expect(validateFieldValue(schema, "login", " ")).toEqual({ code: "REQUIRED", message: "This field is required" });
+        expect(validateFieldValue(schema, "nickname", "")).toBeUndefined();
+    });
+
+    it("should pass params to validators", () => {
+        expect(validateFieldValue(schema, "login", "ab")).toEqual({ code: "TOO_SHORT", message: "At least 3 characters" });
+        expect(validateFieldValue(schema, "login", "abc")).toBeUndefined();
+    });
+
+    it("should resolve params from other fields", () => {
+        expect(validateFieldValue(schema, "confirm", "x", { password: "y" })).toMatchObject({ code: "MISMATCH" });
+        expect(validateFieldValue(schema, "confirm", "y", { password: "y" })).toBeUndefined();
+    });
+
+    it("should parse values before validating and fall back to the code as message", () => {
+        expect(validateFieldValue(schema, "size", "11")).toEqual({ code: "TOO_BIG", message: "TOO_BIG" });
+        expect(validateFieldValue(schema, "size", "9")).toBeUndefined();
+    });
+
+    it("should ignore unknown fields", () => {
+        expect(validateFieldValue(schema, "unknown", "")).toBeUndefined();
+    });
+
+    it("should validate a whole form and tell when it is complete", () => {
+        const values = { login: "ab", password: "p", confirm: "q", nickname: "", size: "" };
+
+        expect(Object.keys(validateValues(schema, values))).toEqual(["login", "confirm"]);
+        expect(isComplete(schema, values)).toBe(true);
+        expect(isComplete(schema, { ...values, password: "" })).toBe(false);
+    });
+
+    it("should normalize values with access to the other fields", () => {
+        const withNormalize = [
+            { name: "code", normalize: (value, values) => `${values.prefix}-${value.trim()}` },
+            { name: "prefix" },
+            { name: "empty", normalize: () => "never" },
+        ];
+
+        expect(normalizeValues(withNormalize, { code: " 1 ", prefix: "A", empty: "" }))
+            .toEqual({ code: "A-1", prefix: "A", empty: "" });
+    });
+
+    it("should compute derived fields without rendering or validating them", () => {
+        const withDerived = [
+            { name: "a", normalize: (v) => v.trim() },
+            { name: "upper", derive: (values) => values.a.toUpperCase() },
+        ];
+
+        expect(createInitialValues(withDerived)).toEqual({ a: "" });
+        expect(normalizeValues(withDerived, { a: " x " })).toEqual({ a: "x", upper: "X" });
+    });
+
+    it("should build async validators receiving the context and the signal", async () => {
+        const taken = async (value, { names, signal }) => {
+            if (!signal) throw new Error("no signal");
+            if (names.includes(value)) throw { code: "NAME_TAKEN", message: "Taken" };
+        };
+        const schema = [
+            { name: "nickname", type: "text", label: "Nickname", parse: (v) => v.toLowerCase(),
+              asyncValidators: [{ validate: taken, params: (values, { names, signal }) => [{ names, signal }] }] },
+            { name: "bio", type: "text", label: "Bio" },
+        ];
+        const validators = getAsyncValidators(schema, { names: ["neo"] });
+        const { signal } = new AbortController();
+
+        expect(Object.keys(validators)).toEqual(["nickname"]);
+        await expect(validators.nickname("NEO", {}, { signal })).rejects.toMatchObject({ code: "NAME_TAKEN" });
+        await expect(validators.nickname("trinity", {}, { signal })).resolves.toBeUndefined();
+        await expect(validators.nickname("", {}, {})).resolves.toBeUndefined();
+    });
+
+    //REGISTRATION SCHEMA
+    it("should describe every registration field", () => {
+        expect(getInputFields(registrationSchema).map(f => f.name))
+            .toEqual(["lastname", "firstname", "email", "phone", "birth", "country", "streetNumber", "streetName", "addressComplement", "postCode", "town"]);
+        expect(validateValues(registrationSchema, {
+            lastname: "Jean",
+            firstname: "Pierre",
+            email: "jean@example.com",
+            phone: "06 12 34 56 78",
+            birth: "1995-05-15",
+            country: "FR",
+            streetNumber: "12 bis",
+            streetName: "Boulevard de la République",
+            addressComplement: "Bâtiment B, 3e étage",
+            postCode: "75001",
+            town: "Paris",
+        })).toEqual({});
+    });
+
+    it("should store names as typed unless formatting is asked for", () => {
+        const names = { lastname: " de la\u00A0fontaine ", firstname: "JEAN-pierre" };
+
+        expect(normalizeValues(registrationSchema, names)).toMatchObject({ lastname: "de la fontaine", firstname: "JEAN-pierre" });
+        expect(normalizeValues(withFormattedNames(), names)).toMatchObject({ lastname: "DE LA FONTAINE", firstname: "Jean-Pierre" });
+        expect(withFormattedNames().find(f => f.name === "email")).toBe(registrationSchema.find(f => f.name === "email"));
+    });
+});
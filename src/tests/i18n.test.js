@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { detectLocale, interpolate, translate, translateError } from "../utils/i18n.js";
+import { en } from "../locales/en.js";
+import { fr } from "../locales/fr.js";
+
+describe("i18n", () => {
+
+    it("should detect the first supported browser language", () => {
+        expect(detectLocale(["fr-FR", "en"])).toBe("fr");
+        expect(detectLocale(["de-DE", "en-GB"])).toBe("en");
+    });
+
+    it("should fall back to French for unsupported languages", () => {
+        expect(detectLocale(["de-DE", "es"])).toBe("fr");
+        expect(detectLocale([])).toBe("fr");
+    });
+
+    it("should interpolate params and keep unknown placeholders", () => {
+        expect(interpolate("{a} and {b}", { a: 1 })).toBe("1 and {b}");
+    });
+
+    it("should translate error codes in both languages", () => {
+        expect(translate("fr", "INVALID_POST_CODE")).toBe("Code postal invalide");
+        expect(translate("en", "INVALID_POST_CODE")).toBe("Invalid post code");
+        expect(translate("fr", "INVALID_AGE", { min: 18 })).toBe("Vous devez avoir au moins 18 ans");
+        expect(translate("en", "INVALID_AGE", { min: 21 })).toBe("Must be at least 21 years old");
+    });
+
+    it("should fall back to the default catalogue, the fallback text, then the key", () => {
+        expect(translate("xx", "INVALID_EMAIL")).toBe("Format d'email invalide");
+        expect(translate("en", "Nickname", undefined, "Pseudo")).toBe("Pseudo");
+        expect(translate("en", "Nickname")).toBe("Nickname");
+    });
+
+    it("should translate validation errors", () => {
+        expect(translateError("fr", { code: "REQUIRED", message: "This field is required" })).toBe("Ce champ est obligatoire");
+        expect(translateError("en", { code: "CUSTOM", message: "Custom message" })).toBe("Custom message");
+        expect(translateError("en", { message: "No code" })).toBe("No code");
+        expect(translateError("en", "Plain text")).toBe("Plain text");
+    });
+
+    it("should define the same keys in every catalogue", () => {
+        expect(Object.keys(fr).sort()).toEqual(Object.keys(en).sort());
+    });
+});
@@ -1,5 +1,7 @@
 import { describe, it, expect } from 'vitest';
-import { calculateAge } from "../utils/module.js";
+import { calculateAge, safeCalculateAge } from "../utils/module.js";
+import { validateAge } from "../utils/validator.js";
+import { ValidationError } from "../utils/errors.js";
 
 /**
  * @function calculateAge
@@ -34,17 +36,60 @@ describe('calculateAge Unit Test Suites', () => {
     });
 
     it('should throw "invalid date" for past or future dates', () => {
+        const today = new Date(2026, 0, 1);
         const invalidBirthDates = [
-            new Date(1969, 11, 31),
-            new Date(Date.now() + 1)
+            new Date(1899, 11, 31),
+            new Date(2026, 0, 2)
         ];
 
         invalidBirthDates.forEach(date => {
-            expect(() => calculateAge({ birth: date }))
-                .toThrow("invalid date");
+            expect(() => calculateAge({ birth: date }, today))
+                .toThrow(expect.objectContaining({ message: "invalid date", code: "INVALID_DATE" }));
         });
     });
 
+    it('should accept a configurable birth year range', () => {
+        const today = new Date(2026, 0, 1);
+
+        expect(calculateAge({ birth: new Date(1960, 0, 1) }, today)).toBe(66);
+        expect(() => calculateAge({ birth: new Date(1960, 0, 1) }, today, { minBirthYear: 1970 }))
+            .toThrow("invalid date");
+        expect(calculateAge({ birth: new Date(1890, 0, 1) }, today, { minBirthYear: -Infinity })).toBe(136);
+        expect(() => calculateAge({ birth: new Date(2000, 0, 1) }, today, { maxBirthYear: 1999 }))
+            .toThrow("invalid date");
+    });
+
+    it('should accept the same birth years as validateAge by default', () => {
+        const today = new Date(2026, 0, 1);
+
+        [new Date(1900, 0, 1), new Date(1969, 11, 31)].forEach(birth => {
+            expect(() => calculateAge({ birth }, today)).not.toThrow();
+            expect(() => validateAge(birth, { now: today })).not.toThrow();
+        });
+        expect(() => calculateAge({ birth: new Date(1899, 11, 31) }, today)).toThrow("invalid date");
+        expect(() => validateAge(new Date(1899, 11, 31), { now: today }))
+            .toThrow(expect.objectContaining({ code: "INVALID_DATE", params: expect.objectContaining({ reason: "range", min: 1900 }) }));
+    });
+
+    it('should not count the birthday before it happens', () => {
+        const birth = new Date(2000, 5, 15);
+
+        expect(calculateAge({ birth }, new Date(2026, 5, 14))).toBe(25);
+        expect(calculateAge({ birth }, new Date(2026, 5, 15))).toBe(26);
+    });
+
+    it('should throw ValidationError instances', () => {
+        expect(() => calculateAge()).toThrow(ValidationError);
+        expect(() => calculateAge({ birth: "1991-11-07" })).toThrow(ValidationError);
+    });
+
+    it('should return a result object from the safe variant', () => {
+        const today = new Date(2026, 0, 1);
+
+        expect(safeCalculateAge({ birth: new Date(2000, 0, 1) }, today)).toEqual({ ok: true, value: 26, error: null });
+        expect(safeCalculateAge({})).toMatchObject({ ok: false, error: { code: "MISSING_FIELD", message: "missing birth field" } });
+    });
+
 });
 
 
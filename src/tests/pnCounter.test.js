@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { createPNCounter, addToPNCounter, pnCounterValue, mergePNCounters, samePNCounters } from "../utils/pnCounter.js";
+
+const add = (counter, ...changes) => changes.reduce((c, [replicaId, amount]) => addToPNCounter(c, replicaId, amount), counter);
+
+describe("pnCounter", () => {
+
+    it("should count what each replica added and removed", () => {
+        const counter = add(createPNCounter(), ["a", 3], ["a", -1], ["b", 2]);
+
+        expect(counter).toEqual({ inc: { a: 3, b: 2 }, dec: { a: 1 } });
+        expect(pnCounterValue(counter)).toBe(4);
+        expect(pnCounterValue(createPNCounter())).toBe(0);
+    });
+
+    it("should reject amounts that are not integers", () => {
+        expect(() => addToPNCounter(createPNCounter(), "a", 0.5)).toThrow(RangeError);
+        expect(() => addToPNCounter(createPNCounter(), "a", NaN)).toThrow(RangeError);
+    });
+
+    it("should keep concurrent changes of every replica when merging", () => {
+        const base = add(createPNCounter(), ["a", 1]);
+        const tabA = add(base, ["a", 1]);
+        const tabB = add(base, ["b", 1], ["b", -3]);
+
+        const merged = mergePNCounters(tabA, tabB);
+        expect(pnCounterValue(merged)).toBe(0);
+        expect(merged).toEqual(mergePNCounters(tabB, tabA));
+    });
+
+    it("should be idempotent, so a copy received twice counts once", () => {
+        const counter = add(createPNCounter(), ["a", 2], ["b", -1]);
+        const merged = mergePNCounters(counter, counter);
+
+        expect(merged).toEqual(counter);
+        expect(samePNCounters(mergePNCounters(merged, counter), counter)).toBe(true);
+        expect(samePNCounters(counter, add(counter, ["a", 1]))).toBe(false);
+    });
+
+    it("should drop invalid totals from a corrupted copy", () => {
+        const merged = mergePNCounters(createPNCounter(), { inc: { a: 2, b: -1, c: "3", d: 1.5 }, dec: null });
+
+        expect(merged).toEqual({ inc: { a: 2 }, dec: {} });
+        expect(mergePNCounters(createPNCounter(), "oops")).toEqual(createPNCounter());
+    });
+});
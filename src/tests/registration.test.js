@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { validateRegistration } from "../utils/registration.js";
+
+const now = new Date(2026, 0, 1);
+
+const person = {
+    lastname: "Martin",
+    firstname: "Léa",
+    email: "lea.martin@example.fr",
+    phone: "06 12 34 56 78",
+    birth: "1995-05-15",
+    streetName: "rue de Rivoli",
+    country: "FR",
+    postCode: "75001",
+    town: "Paris",
+};
+
+describe("validateRegistration", () => {
+
+    it("should accept a valid record", () => {
+        expect(validateRegistration(person, { now })).toEqual({ valid: true, errors: {} });
+    });
+
+    it("should report every invalid field at once", () => {
+        const { valid, errors } = validateRegistration({
+            ...person,
+            firstname: "",
+            email: "nope",
+            birth: "2010-01-01",
+            postCode: "7500",
+        }, { now });
+
+        expect(valid).toBe(false);
+        expect(Object.keys(errors)).toEqual(["firstname", "email", "birth", "postCode"]);
+        expect(errors.firstname.code).toBe("REQUIRED");
+        expect(errors.email.code).toBe("INVALID_EMAIL");
+        expect(errors.birth).toMatchObject({ code: "INVALID_AGE", params: { min: 18 } });
+        expect(errors.postCode.code).toBe("INVALID_POST_CODE");
+    });
+
+    it("should apply cross-field rules", () => {
+        expect(validateRegistration({ ...person, town: "Lyon" }, { now }).errors.town)
+            .toMatchObject({ code: "TOWN_POST_CODE_MISMATCH", params: { postCode: "75001", towns: "Paris" } });
+        expect(validateRegistration({ ...person, postCode: "75001", country: "BE" }, { now }).errors.postCode)
+            .toMatchObject({ code: "INVALID_POST_CODE", params: { country: "BE" } });
+        expect(validateRegistration({ ...person, country: "BE", postCode: "1000", town: "Bruxelles", phone: "0470 12 34 56" }, { now }).valid)
+            .toBe(true);
+    });
+
+    it("should check the phone number against the selected country", () => {
+        const belgian = { ...person, country: "BE", postCode: "1000", town: "Bruxelles" };
+
+        expect(validateRegistration({ ...belgian, phone: "06 12 34 56 78" }, { now }).errors.phone)
+            .toMatchObject({ code: "INVALID_PHONE", params: { country: "BE", example: "0470 12 34 56" } });
+        expect(validateRegistration({ ...belgian, phone: "0470 12 34 56" }, { now }).valid).toBe(true);
+        expect(validateRegistration({ ...belgian, phone: "+33 6 12 34 56 78" }, { now }).valid).toBe(true);
+    });
+
+    it("should use the reference date and minimum age options", () => {
+        const record = { ...person, birth: "2008-03-02" };
+
+        expect(validateRegistration(record, { now: new Date(2026, 2, 1) }).errors.birth.code).toBe("INVALID_AGE");
+        expect(validateRegistration(record, { now: new Date(2026, 2, 2) }).valid).toBe(true);
+        expect(validateRegistration(record, { now: new Date(2026, 2, 2), minAge: 21 }).errors.birth)
+            .toMatchObject({ code: "INVALID_AGE", params: { min: 21 } });
+    });
+
+    it("should accept Date objects for the birth date", () => {
+        expect(validateRegistration({ ...person, birth: new Date(1995, 4, 15) }, { now }).valid).toBe(true);
+    });
+
+    it("should validate against a custom schema", () => {
+        const schema = [{ name: "nickname", required: true }];
+
+        expect(validateRegistration({}, { schema }).errors).toEqual({ nickname: expect.objectContaining({ code: "REQUIRED" }) });
+        expect(validateRegistration({ nickname: "lea" }, { schema }).valid).toBe(true);
+    });
+
+    it("should reject anything but an object", () => {
+        [null, undefined, "record", 42].forEach(value => {
+            expect(() => validateRegistration(value)).toThrow(TypeError);
+        });
+    });
+});
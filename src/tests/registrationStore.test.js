@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    getRegistrations,
+    getRegistration,
+    addRegistration,
+    addRegistrations,
+    removeRegistration,
+    isEmailRegistered,
+    queryRegistrations,
+    subscribeRegistrations,
+} from "../utils/registrationStore.js";
+
+const people = [
+    { lastname: "Martin", firstname: "Alice", email: "alice@example.com", town: "Paris", createdAt: "2026-01-03T10:00:00.000Z" },
+    { lastname: "Bernard", firstname: "Bruno", email: "bruno@example.fr", town: "Lyon", createdAt: "2026-01-01T10:00:00.000Z" },
+    { lastname: "Durand", firstname: "Chloé", email: "chloe@example.com", town: "Paris", createdAt: "2026-01-02T10:00:00.000Z" },
+];
+
+describe("registrationStore", () => {
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it("should return an empty list when nothing is stored", () => {
+        expect(getRegistrations()).toEqual([]);
+    });
+
+    it("should append registrations instead of overwriting them", () => {
+        const first = addRegistration({ lastname: "Jean" });
+        const second = addRegistration({ lastname: "Paul" });
+
+        expect(first.id).not.toBe(second.id);
+        expect(first.createdAt).toEqual(expect.any(String));
+        expect(getRegistrations().map(r => r.lastname)).toEqual(["Jean", "Paul"]);
+        expect(getRegistration(second.id)).toEqual(second);
+    });
+
+    it("should append several registrations with a single notification", () => {
+        addRegistration({ lastname: "Jean" });
+        const listener = vi.fn();
+        const unsubscribe = subscribeRegistrations(listener);
+
+        const added = addRegistrations([{ lastname: "Paul" }, { lastname: "Marie" }]);
+        unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(new Set(added.map(r => r.id)).size).toBe(2);
+        expect(getRegistrations().map(r => r.lastname)).toEqual(["Jean", "Paul", "Marie"]);
+    });
+
+    it("should remove a registration by id", () => {
+        const record = addRegistration({ lastname: "Jean" });
+
+        expect(removeRegistration("unknown")).toBe(false);
+        expect(removeRegistration(record.id)).toBe(true);
+        expect(getRegistrations()).toEqual([]);
+    });
+
+    it("should tell whether an email is registered, regardless of case", () => {
+        addRegistration({ lastname: "Martin", email: "lea@example.fr" });
+
+        expect(isEmailRegistered(" Lea@Example.FR ")).toBe(true);
+        expect(isEmailRegistered("leo@example.fr")).toBe(false);
+        expect(isEmailRegistered(undefined)).toBe(false);
+    });
+
+    it("should migrate the legacy single \"user\" entry", () => {
+        localStorage.setItem("user", JSON.stringify({ lastname: "Jean" }));
+
+        const list = getRegistrations();
+
+        expect(list).toHaveLength(1);
+        expect(list[0]).toMatchObject({ lastname: "Jean", id: expect.any(String) });
+        expect(localStorage.getItem("user")).toBeNull();
+    });
+
+    it("should ignore corrupt storage", () => {
+        localStorage.setItem("registrations", "{not json");
+        expect(getRegistrations()).toEqual([]);
+    });
+
+    it("should notify subscribers on change", () => {
+        const listener = vi.fn();
+        const unsubscribe = subscribeRegistrations(listener);
+
+        addRegistration({ lastname: "Jean" });
+        unsubscribe();
+        addRegistration({ lastname: "Paul" });
+
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    //QUERY
+    it("should search by name, email or town case-insensitively", () => {
+        expect(queryRegistrations(people, { search: "PARIS" }).total).toBe(2);
+        expect(queryRegistrations(people, { search: "bruno@" }).items[0].lastname).toBe("Bernard");
+        expect(queryRegistrations(people, { search: "chloé" }).total).toBe(1);
+    });
+
+    it("should sort newest first by default and on any field", () => {
+        expect(queryRegistrations(people).items.map(r => r.lastname)).toEqual(["Martin", "Durand", "Bernard"]);
+        expect(queryRegistrations(people, { sortBy: "lastname", sortDirection: "asc" }).items.map(r => r.lastname))
+            .toEqual(["Bernard", "Durand", "Martin"]);
+    });
+
+    it("should paginate and clamp the page number", () => {
+        const page2 = queryRegistrations(people, { pageSize: 2, page: 2 });
+        expect(page2).toMatchObject({ total: 3, page: 2, pageCount: 2 });
+        expect(page2.items).toHaveLength(1);
+
+        expect(queryRegistrations(people, { pageSize: 2, page: 10 }).page).toBe(2);
+        expect(queryRegistrations([], { page: 3 })).toMatchObject({ page: 1, pageCount: 1, items: [] });
+    });
+});
@@ -0,0 +1,214 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, within, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import RegistrationTransfer from "../component/RegistrationTransfer.jsx";
+import { parseCSV } from "../utils/csv.js";
+import { addRegistration, getRegistrations } from "../utils/registrationStore.js";
+import {
+    EXPORT_FIELDS,
+    exportRegistrationsCSV,
+    exportRegistrationsJSON,
+    guessColumnMapping,
+    buildImportReport,
+    importRegistrations,
+} from "../utils/registrationTransfer.js";
+
+// Counts how often the component builds its report, see "should build the report once per file and mapping"
+vi.mock("../utils/registrationTransfer.js", async (importOriginal) => {
+    const actual = await importOriginal();
+    return { ...actual, buildImportReport: vi.fn(actual.buildImportReport) };
+});
+
+const now = new Date(2026, 0, 1);
+
+const readBlob = (blob) => new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+});
+
+const csv = [
+    "Nom;Prénom;Courriel;Mobile;Date de naissance;Adresse;Code postal;Ville;Notes",
+    "Martin;léa;lea.martin@example.fr;06 12 34 56 78;1995-05-15;bd Voltaire;75001;Paris;VIP",
+    "Dupont;Jean;not-an-email;06 12 34 56 79;2015-01-01;rue de Rivoli;75001;Lyon;",
+    "Durand;Zoé;LEA.MARTIN@example.fr;+41 78 123 45 67;1990-02-02;place Bellecour;69001;Lyon;",
+].join("\n");
+
+describe("registrationTransfer", () => {
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it("should export the stored registrations as JSON and CSV", () => {
+        const record = addRegistration({ lastname: "MARTIN", firstname: "Léa", email: "lea@example.fr", town: "Paris" });
+
+        expect(JSON.parse(exportRegistrationsJSON())).toEqual([record]);
+
+        const { rows } = parseCSV(exportRegistrationsCSV());
+        expect(rows[0]).toEqual(EXPORT_FIELDS);
+        expect(rows[1][EXPORT_FIELDS.indexOf("id")]).toBe(record.id);
+        expect(rows[1][EXPORT_FIELDS.indexOf("town")]).toBe("Paris");
+        expect(rows[1][EXPORT_FIELDS.indexOf("birth")]).toBe("");
+    });
+
+    it("should guess the field of each column from names, labels and aliases", () => {
+        expect(guessColumnMapping(["Nom", "Prénom", "E-mail", "Tél.", "ZIP", "City", "Notes"]))
+            .toEqual(["lastname", "firstname", "email", "phone", "postCode", "town", ""]);
+        expect(guessColumnMapping(["email", "Email"])).toEqual(["email", ""]);
+        expect(guessColumnMapping(["N°", "Rue", "Address line 2"])).toEqual(["", "streetName", "addressComplement"]);
+        expect(guessColumnMapping(["House number", "Street", "Complément d'adresse"]))
+            .toEqual(["streetNumber", "streetName", "addressComplement"]);
+    });
+
+    it("should report the errors of every row by line, field and code", () => {
+        const report = buildImportReport(csv, { now });
+
+        expect(report.headers).toHaveLength(9);
+        expect(report.missingFields).toEqual([]);
+        expect(report.rows.map(r => r.row)).toEqual([2, 3, 4]);
+        expect(report.errors.map(({ row, field, code }) => ({ row, field, code }))).toEqual([
+            { row: 3, field: "email", code: "INVALID_EMAIL" },
+            { row: 3, field: "birth", code: "INVALID_AGE" },
+            { row: 3, field: "town", code: "TOWN_POST_CODE_MISMATCH" },
+            { row: 4, field: "email", code: "EMAIL_TAKEN" },
+        ]);
+        expect(report.valid).toEqual([expect.objectContaining({
+            lastname: "Martin", firstname: "léa", phone: "+33612345678", streetName: "Boulevard Voltaire", postCode: "75001", department: "75",
+        })]);
+        expect(getRegistrations()).toEqual([]);
+    });
+
+    it("should follow the given mapping and report required fields left unmapped", () => {
+        const report = buildImportReport("a,b\nMartin,Léa\n", { mapping: ["firstname", ""], now });
+
+        expect(report.rows[0].record).toEqual({ firstname: "Martin" });
+        expect(report.missingFields).toEqual(["lastname", "email", "phone", "birth", "streetName", "postCode", "town"]);
+        expect(report.errors.map(e => e.field)).toEqual(report.missingFields);
+    });
+
+    it("should refuse emails already registered and rows with extra cells", () => {
+        addRegistration({ email: "lea.martin@example.fr" });
+        const report = buildImportReport(`${csv.split("\n").slice(0, 2).join("\n")};extra\n`, { now });
+
+        expect(report.errors.map(({ row, field, code }) => ({ row, field, code }))).toEqual([
+            { row: 2, field: null, code: "CSV_EXTRA_CELLS" },
+            { row: 2, field: "email", code: "EMAIL_TAKEN" },
+        ]);
+    });
+
+    it("should reject files without a header", () => {
+        expect(() => buildImportReport("\n\n")).toThrow(expect.objectContaining({ code: "CSV_EMPTY" }));
+    });
+
+    it("should store only the valid rows", () => {
+        const stored = importRegistrations(buildImportReport(csv, { now }));
+
+        expect(stored).toHaveLength(1);
+        expect(getRegistrations()).toEqual(stored);
+        expect(stored[0]).toMatchObject({ email: "lea.martin@example.fr", id: expect.any(String) });
+        expect(importRegistrations({ valid: [] })).toEqual([]);
+    });
+
+    it("should import an export back unchanged", () => {
+        const record = importRegistrations(buildImportReport(csv, { now }))[0];
+        localStorage.clear();
+
+        const [again] = importRegistrations(buildImportReport(exportRegistrationsCSV([record]), { now }));
+
+        const { id, createdAt, ...values } = record;
+        expect(again).toMatchObject(values);
+    });
+});
+
+describe("RegistrationTransfer Component", () => {
+
+    beforeEach(() => {
+        localStorage.clear();
+        URL.createObjectURL = vi.fn(() => "blob:registrations");
+        URL.revokeObjectURL = vi.fn();
+    });
+
+    afterEach(() => {
+        delete URL.createObjectURL;
+        delete URL.revokeObjectURL;
+    });
+
+    it("should download the registrations as CSV and JSON", async () => {
+        const user = userEvent.setup();
+        const click = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+        addRegistration({ lastname: "MARTIN" });
+        render(<RegistrationTransfer now={() => now} />);
+
+        await user.click(screen.getByRole("button", { name: "Export CSV" }));
+        await user.click(screen.getByRole("button", { name: "Export JSON" }));
+
+        const [[csvBlob], [jsonBlob]] = URL.createObjectURL.mock.calls;
+        expect(csvBlob.type).toBe("text/csv;charset=utf-8");
+        expect(JSON.parse(await readBlob(jsonBlob))).toEqual(getRegistrations());
+        expect(click.mock.contexts.map(link => link.download)).toEqual(["registrations-2026-01-01.csv", "registrations-2026-01-01.json"]);
+        click.mockRestore();
+    });
+
+    it("should show the error report, let columns be remapped and import the valid rows", async () => {
+        const user = userEvent.setup();
+        render(<RegistrationTransfer />);
+
+        await user.upload(screen.getByLabelText("CSV file to import"), new File([csv], "people.csv", { type: "text/csv" }));
+
+        expect(await screen.findByTestId("import-summary")).toHaveTextContent("3 row(s): 1 valid, 2 with errors");
+        const firstError = within(screen.getAllByTestId("import-error")[0]).getAllByRole("cell");
+        expect(firstError.map(cell => cell.textContent)).toEqual(["3", "Email", "INVALID_EMAIL", "Invalid email format"]);
+
+        await user.selectOptions(screen.getByRole("combobox", { name: "Courriel" }), "");
+        expect(screen.getByText("No column holds: Email")).toBeInTheDocument();
+        expect(screen.getByRole("button", { name: "Import 0 valid registration(s)" })).toBeDisabled();
+
+        await user.selectOptions(screen.getByRole("combobox", { name: "Courriel" }), "email");
+        await user.click(screen.getByRole("button", { name: "Import 1 valid registration(s)" }));
+
+        expect(screen.getByRole("status")).toHaveTextContent("1 registration(s) imported");
+        expect(screen.queryByTestId("import-summary")).not.toBeInTheDocument();
+        expect(getRegistrations()).toHaveLength(1);
+    });
+
+    it("should explain why a file cannot be read", async () => {
+        const user = userEvent.setup();
+        render(<RegistrationTransfer />);
+
+        await user.upload(screen.getByLabelText("CSV file to import"), new File(['a,b\n"open'], "broken.csv"));
+
+        await waitFor(() => expect(screen.getByRole("alert")).toHaveTextContent("Quoted cell opened on line 2 is not closed"));
+    });
+
+    it("should say when the browser cannot read the file", async () => {
+        const user = userEvent.setup();
+        const readAsText = vi.spyOn(FileReader.prototype, "readAsText").mockImplementation(function () {
+            setTimeout(() => this.onerror(new ProgressEvent("error")));
+        });
+        render(<RegistrationTransfer />);
+
+        await user.upload(screen.getByLabelText("CSV file to import"), new File([csv], "people.csv"));
+        expect(await screen.findByRole("alert")).toHaveTextContent("The file could not be read");
+        readAsText.mockRestore();
+
+        await user.upload(screen.getByLabelText("CSV file to import"), new File([csv], "people.csv"));
+        expect(await screen.findByTestId("import-summary")).toBeInTheDocument();
+        expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+    });
+
+    it("should build the report once per file and mapping", async () => {
+        const user = userEvent.setup();
+        const { rerender } = render(<RegistrationTransfer now={() => now} />);
+        await user.upload(screen.getByLabelText("CSV file to import"), new File([csv], "people.csv"));
+        await screen.findByTestId("import-summary");
+        buildImportReport.mockClear();
+
+        rerender(<RegistrationTransfer now={() => new Date(2026, 0, 2)} />);
+        expect(buildImportReport).not.toHaveBeenCalled();
+
+        await user.selectOptions(screen.getByRole("combobox", { name: "Courriel" }), "");
+        expect(buildImportReport).toHaveBeenCalledTimes(1);
+    });
+});
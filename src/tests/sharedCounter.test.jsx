@@ -0,0 +1,254 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import SharedCounter from '../component/SharedCounter.jsx';
+import { STORAGE_PREFIX, REPLICA_ID_KEY, createSharedCounterStore } from "../utils/sharedCounterStore.js";
+
+/**
+ * Simulates the BroadcastChannel of several tabs: messages reach the other tabs only when
+ * `deliver` is called, so tests choose what happens "at the same time".
+ */
+const createBus = () => {
+    const queue = [];
+    const channels = [];
+    const open = () => {
+        const listeners = new Set();
+        const channel = {
+            postMessage: (data) => queue.push({ from: channel, data }),
+            addEventListener: (type, listener) => listeners.add(listener),
+            removeEventListener: (type, listener) => listeners.delete(listener),
+            close: vi.fn(),
+            listeners,
+        };
+        channels.push(channel);
+        return channel;
+    };
+    const deliver = () => {
+        queue.splice(0).forEach(({ from, data }) => channels
+            .filter(channel => channel !== from)
+            .forEach(channel => channel.listeners.forEach(listener => listener({ data: structuredClone(data) }))));
+    };
+    return { open, deliver };
+};
+
+/** A storage of its own, as if each tab had written before seeing the other's writes. */
+const createMemoryStorage = (entries) => {
+    const items = new Map(entries);
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        items,
+    };
+};
+
+/**
+ * One localStorage shared by several tabs, each reading the copy it opened with plus its own
+ * writes: the worst case of tabs writing at the same moment, where each overwrites the other.
+ */
+const createSharedStorage = () => {
+    const items = new Map();
+    const view = () => {
+        const seen = new Map(items);
+        return {
+            getItem: (key) => seen.get(key) ?? null,
+            setItem: (key, value) => {
+                items.set(key, String(value));
+                seen.set(key, String(value));
+            },
+        };
+    };
+    return { items, view };
+};
+
+const replicasOf = (storage, name) => Object.keys(JSON.parse(storage.getItem(STORAGE_PREFIX + name)).inc);
+
+const createTab = (bus, options = {}) => createSharedCounterStore({
+    storage: createMemoryStorage(),
+    channel: bus.open(),
+    target: null,
+    ...options,
+});
+
+describe("sharedCounterStore", () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it("should persist named counters independently", () => {
+        const store = createSharedCounterStore({ channel: null, replicaId: "a" });
+
+        expect(store.get("coffees")).toBe(0);
+        expect(store.add("coffees", 2)).toBe(2);
+        store.add("teas", -1);
+
+        expect(JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}coffees`))).toEqual({ inc: { a: 2 }, dec: {} });
+        expect(createSharedCounterStore({ channel: null }).get("teas")).toBe(-1);
+        expect(() => store.add("coffees", 0.5)).toThrow(RangeError);
+    });
+
+    it("should keep the increments of two tabs clicking at the same time", () => {
+        const bus = createBus();
+        const tabA = createTab(bus);
+        const tabB = createTab(bus);
+        const listener = vi.fn();
+        tabB.subscribe("tally", listener);
+
+        tabA.add("tally", 1);
+        tabB.add("tally", 1);
+        expect(listener).toHaveBeenLastCalledWith(1);
+
+        bus.deliver();
+        bus.deliver();
+
+        expect(tabA.get("tally")).toBe(2);
+        expect(tabB.get("tally")).toBe(2);
+        expect(listener).toHaveBeenLastCalledWith(2);
+    });
+
+    it("should store the changes of two tabs writing at the same moment", () => {
+        const bus = createBus();
+        const shared = createSharedStorage();
+        const tabA = createTab(bus, { storage: shared.view(), replicaId: "a" });
+        const tabB = createTab(bus, { storage: shared.view(), replicaId: "b" });
+
+        tabA.add("tally", 1);
+        tabB.add("tally", 1);
+        expect(shared.items.get(`${STORAGE_PREFIX}tally`)).toBe(JSON.stringify({ inc: { b: 1 }, dec: {} }));
+
+        bus.deliver();
+        expect(createTab(bus, { storage: shared.view() }).get("tally")).toBe(2);
+    });
+
+    it("should write back what a stale copy overwrote when reading", () => {
+        const storage = createMemoryStorage();
+        const store = createSharedCounterStore({ storage, channel: null, target: null, replicaId: "a" });
+        store.add("tally", 1);
+
+        storage.setItem(`${STORAGE_PREFIX}tally`, JSON.stringify({ inc: { b: 1 }, dec: {} }));
+        expect(store.get("tally")).toBe(2);
+        expect(createSharedCounterStore({ storage, channel: null, target: null }).get("tally")).toBe(2);
+    });
+
+    it("should count a copy received twice only once", () => {
+        const channel = createBus().open();
+        const store = createSharedCounterStore({ storage: createMemoryStorage(), channel, target: null });
+        const listener = vi.fn();
+        store.subscribe("tally", listener);
+
+        const message = { data: { name: "tally", counter: { inc: { b: 1 }, dec: {} } } };
+        channel.listeners.forEach(receive => receive(message));
+        channel.listeners.forEach(receive => receive(message));
+
+        expect(store.get("tally")).toBe(1);
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it("should follow the other tabs through storage events without BroadcastChannel", () => {
+        const store = createSharedCounterStore({ channel: null, replicaId: "a" });
+        const listener = vi.fn();
+        const unsubscribe = store.subscribe("tally", listener);
+
+        const fromOtherTab = JSON.stringify({ inc: { b: 3 }, dec: {} });
+        localStorage.setItem(`${STORAGE_PREFIX}tally`, fromOtherTab);
+        window.dispatchEvent(new StorageEvent("storage", { key: `${STORAGE_PREFIX}tally`, newValue: fromOtherTab }));
+        expect(listener).toHaveBeenCalledWith(3);
+
+        unsubscribe();
+        store.close();
+        window.dispatchEvent(new StorageEvent("storage", { key: `${STORAGE_PREFIX}tally`, newValue: JSON.stringify({ inc: { b: 4 }, dec: {} }) }));
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it("should keep the replica of a tab across reloads", () => {
+        const storage = createMemoryStorage();
+        const session = createMemoryStorage();
+        const page = new EventTarget();
+        createSharedCounterStore({ storage, session, channel: null, target: page }).add("tally", 1);
+        expect(session.getItem(REPLICA_ID_KEY)).toBeNull();
+
+        page.dispatchEvent(new Event("pagehide"));
+        const reloaded = createSharedCounterStore({ storage, session, channel: null, target: new EventTarget() });
+        reloaded.add("tally", 1);
+
+        expect(reloaded.get("tally")).toBe(2);
+        expect(replicasOf(storage, "tally")).toHaveLength(1);
+
+        reloaded.close();
+        const next = createSharedCounterStore({ storage, session, channel: null, target: null });
+        next.add("tally", 1);
+        expect(replicasOf(storage, "tally")).toHaveLength(1);
+    });
+
+    it("should give a duplicated tab a replica of its own", () => {
+        const storage = createMemoryStorage();
+        const session = createMemoryStorage();
+        const page = new EventTarget();
+        createSharedCounterStore({ storage, session, channel: null, target: page }).add("tally", 1);
+
+        // restored from the back/forward cache, then duplicated
+        page.dispatchEvent(new Event("pagehide"));
+        page.dispatchEvent(new Event("pageshow"));
+        const duplicate = createSharedCounterStore({
+            storage,
+            session: createMemoryStorage(session.items),
+            channel: null,
+            target: null,
+        });
+        duplicate.add("tally", 1);
+
+        expect(duplicate.get("tally")).toBe(2);
+        expect(replicasOf(storage, "tally")).toHaveLength(2);
+    });
+
+    it("should not keep a replica id it was given", () => {
+        const session = createMemoryStorage();
+        createSharedCounterStore({ storage: createMemoryStorage(), session, channel: null, target: null, replicaId: "a" }).close();
+
+        expect(session.getItem(REPLICA_ID_KEY)).toBeNull();
+    });
+
+    it("should close its channel", () => {
+        const bus = createBus();
+        const channel = bus.open();
+        createSharedCounterStore({ channel, target: null }).close();
+
+        expect(channel.close).toHaveBeenCalled();
+        expect(channel.listeners.size).toBe(0);
+    });
+});
+
+describe("SharedCounter Component", () => {
+
+    it("should share the value between components of the same name", () => {
+        const bus = createBus();
+        const store = createTab(bus);
+        render(
+            <>
+                <SharedCounter name="visitors" store={store} />
+                <SharedCounter name="visitors" store={store} />
+                <SharedCounter name="orders" store={store} />
+            </>,
+        );
+
+        fireEvent.click(screen.getAllByRole('button', { name: /increment/i })[0]);
+        fireEvent.click(screen.getAllByRole('button', { name: /increment/i })[1]);
+        fireEvent.click(screen.getAllByRole('button', { name: /decrement/i })[2]);
+
+        screen.getAllByTestId('shared-count-visitors').forEach(output => expect(output).toHaveTextContent('Count: 2'));
+        expect(screen.getByTestId('shared-count-orders')).toHaveTextContent('Count: -1');
+    });
+
+    it("should show the changes made in another tab", () => {
+        const bus = createBus();
+        const otherTab = createTab(bus);
+        render(<SharedCounter name="visitors" store={createTab(bus)} />);
+
+        act(() => {
+            otherTab.add("visitors", 5);
+            bus.deliver();
+        });
+
+        expect(screen.getByRole('status', { name: 'visitors' })).toHaveTextContent('Count: 5');
+    });
+});
@@ -0,0 +1,226 @@
+import { describe, it, expect, vi } from 'vitest';
+import { renderHook, act, waitFor } from "@testing-library/react";
+import { useForm, CHECK_FAILED_ERROR } from "../hooks/useForm.js";
+import { ValidationError } from "../utils/errors.js";
+
+const REQUIRED = { code: "REQUIRED", message: "This field is required" };
+const TAKEN = new ValidationError("NICKNAME_TAKEN", "This nickname is taken", { field: "nickname" });
+
+const validate = (values) => (values.nickname ? {} : { nickname: REQUIRED });
+
+const change = (result, name, value, type = "text") => act(() => {
+    result.current.register(name).onChange({ target: { name, value, type, checked: value } });
+});
+
+/**
+ * A promise resolved or rejected from the outside, to control when an async validator settles.
+ */
+const deferred = () => {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+};
+
+describe("useForm", () => {
+
+    it("should start from the initial values, validated, untouched and clean", () => {
+        const { result } = renderHook(() => useForm({ initialValues: { nickname: "" }, validate }));
+
+        expect(result.current.values).toEqual({ nickname: "" });
+        expect(result.current.errors).toEqual({ nickname: REQUIRED });
+        expect(result.current.touched).toEqual({});
+        expect(result.current.dirty).toBe(false);
+        expect(result.current.isValid).toBe(false);
+        expect(result.current.submitCount).toBe(0);
+    });
+
+    it("should update, sanitize and re-validate values through the registered field", () => {
+        const sanitize = (value) => value.trim();
+        const { result } = renderHook(() => useForm({ initialValues: { nickname: "", news: false }, validate, sanitize }));
+
+        expect(result.current.register("nickname")).toMatchObject({ name: "nickname", value: "" });
+
+        change(result, "nickname", "  neo ");
+        change(result, "news", true, "checkbox");
+        act(() => result.current.register("nickname").onBlur());
+
+        expect(result.current.values).toEqual({ nickname: "neo", news: true });
+        expect(result.current.errors).toEqual({});
+        expect(result.current.touched).toEqual({ nickname: true });
+        expect(result.current.dirty).toBe(true);
+        expect(result.current.isValid).toBe(true);
+    });
+
+    it("should keep an error set by hand until the next change", () => {
+        const { result } = renderHook(() => useForm({ initialValues: { nickname: "neo" }, validate }));
+
+        act(() => result.current.setFieldError("nickname", TAKEN));
+        expect(result.current.errors.nickname).toBe(TAKEN);
+        expect(result.current.isValid).toBe(false);
+
+        change(result, "nickname", "trinity");
+        expect(result.current.errors.nickname).toBeUndefined();
+    });
+
+    it("should run async validators on fields without sync errors and ignore outdated results", async () => {
+        const pending = [];
+        const nickname = vi.fn(() => {
+            const check = deferred();
+            pending.push(check);
+            return check.promise;
+        });
+        const { result } = renderHook(() => useForm({ initialValues: { nickname: "" }, validate, validators: { nickname } }));
+
+        expect(nickname).not.toHaveBeenCalled();
+
+        change(result, "nickname", "neo");
+        change(result, "nickname", "trinity");
+        expect(result.current.isValidating).toBe(true);
+        expect(result.current.isValid).toBe(false);
+        expect(nickname).toHaveBeenLastCalledWith("trinity", { nickname: "trinity" }, { signal: expect.any(AbortSignal) });
+        expect(nickname.mock.calls[0][2].signal.aborted).toBe(true);
+
+        await act(async () => pending[1].reject(TAKEN));
+        await act(async () => pending[0].resolve());
+
+        expect(result.current.isValidating).toBe(false);
+        expect(result.current.errors.nickname).toMatchObject({ code: "NICKNAME_TAKEN" });
+    });
+
+    it("should debounce checks and re-run them only for the field that changed", async () => {
+        vi.useFakeTimers();
+        try {
+            const nickname = vi.fn(async () => {});
+            const city = vi.fn(async () => {});
+            const { result } = renderHook(() => useForm({
+                initialValues: { nickname: "", city: "" },
+                validate,
+                validators: { nickname, city },
+                debounce: 400,
+            }));
+
+            change(result, "nickname", "ne");
+            await act(async () => vi.advanceTimersByTime(300));
+            change(result, "nickname", "neo");
+            expect(result.current.validating).toEqual({ nickname: true, city: true });
+            await act(async () => vi.advanceTimersByTime(300));
+            expect(nickname).not.toHaveBeenCalled();
+
+            await act(async () => vi.advanceTimersByTime(100));
+            expect(nickname).toHaveBeenCalledTimes(1);
+            expect(nickname).toHaveBeenCalledWith("neo", { nickname: "neo", city: "" }, expect.anything());
+            expect(city).toHaveBeenCalledTimes(1);
+            expect(result.current.isValidating).toBe(false);
+
+            change(result, "city", "Paris");
+            await act(async () => vi.advanceTimersByTime(400));
+            expect(nickname).toHaveBeenCalledTimes(1);
+            expect(city).toHaveBeenCalledTimes(2);
+            expect(city).toHaveBeenLastCalledWith("Paris", { nickname: "neo", city: "Paris" }, expect.anything());
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    it("should settle and report a validator that crashes", async () => {
+        const onSubmit = vi.fn();
+        const onInvalid = vi.fn();
+        const onValidatorError = vi.fn();
+        const bug = new TypeError("api.checkNickname is not a function");
+        const nickname = vi.fn(async (value) => {
+            if (value === "neo") throw bug;
+        });
+        const { result } = renderHook(() => useForm({
+            initialValues: { nickname: "" }, validate, validators: { nickname }, onSubmit, onInvalid, onValidatorError,
+        }));
+
+        change(result, "nickname", "neo");
+        await waitFor(() => expect(result.current.isValidating).toBe(false));
+        expect(result.current.errors.nickname).toBe(CHECK_FAILED_ERROR);
+        expect(result.current.isValid).toBe(false);
+        expect(onValidatorError).toHaveBeenCalledWith(bug, "nickname");
+
+        await act(() => result.current.handleSubmit());
+        expect(onSubmit).not.toHaveBeenCalled();
+        expect(onInvalid).toHaveBeenCalledWith({ nickname: CHECK_FAILED_ERROR });
+
+        change(result, "nickname", "trinity");
+        await waitFor(() => expect(result.current.isValid).toBe(true));
+        await act(() => result.current.handleSubmit());
+        expect(onSubmit).toHaveBeenCalledWith({ nickname: "trinity" }, expect.anything());
+    });
+
+    it("should refuse an invalid submission and count it", async () => {
+        const onSubmit = vi.fn();
+        const onInvalid = vi.fn();
+        const { result } = renderHook(() => useForm({ initialValues: { nickname: "" }, validate, onSubmit, onInvalid }));
+
+        await act(() => result.current.handleSubmit({ preventDefault() {} }));
+
+        expect(onSubmit).not.toHaveBeenCalled();
+        expect(onInvalid).toHaveBeenCalledWith({ nickname: REQUIRED });
+        expect(result.current.touched).toEqual({ nickname: true });
+        expect(result.current.submitCount).toBe(1);
+    });
+
+    it("should submit the given fields only", async () => {
+        const onSubmit = vi.fn();
+        const onInvalid = vi.fn();
+        const validateBoth = (values) => ({ ...validate(values), ...(values.motto ? {} : { motto: REQUIRED }) });
+        const { result } = renderHook(() => useForm({ initialValues: { nickname: "", motto: "" }, validate: validateBoth, fields: ["nickname"], onSubmit, onInvalid }));
+
+        await act(() => result.current.handleSubmit());
+        expect(onInvalid).toHaveBeenCalledWith({ nickname: REQUIRED });
+        expect(result.current.touched).toEqual({ nickname: true });
+
+        change(result, "nickname", "neo");
+        expect(result.current.isValid).toBe(true);
+        await act(() => result.current.handleSubmit());
+
+        expect(onSubmit).toHaveBeenCalledWith({ nickname: "neo", motto: "" }, expect.anything());
+        expect(result.current.errors).toEqual({ motto: REQUIRED });
+    });
+
+    it("should wait for async validators before submitting", async () => {
+        const onSubmit = vi.fn();
+        const onInvalid = vi.fn();
+        const nickname = async (value) => {
+            if (value === "neo") throw TAKEN;
+        };
+        const { result } = renderHook(() => useForm({ initialValues: { nickname: "neo" }, validate, validators: { nickname }, onSubmit, onInvalid }));
+
+        await act(() => result.current.handleSubmit());
+
+        expect(onSubmit).not.toHaveBeenCalled();
+        expect(onInvalid).toHaveBeenCalledWith({ nickname: expect.objectContaining({ code: "NICKNAME_TAKEN" }) });
+    });
+
+    it("should be submitting until onSubmit settles, then reset on request", async () => {
+        const request = deferred();
+        const onSubmit = vi.fn(async (values, { reset }) => {
+            await request.promise;
+            reset();
+        });
+        const { result } = renderHook(() => useForm({ initialValues: { nickname: "" }, validate, onSubmit }));
+
+        change(result, "nickname", "neo");
+        let submission;
+        await act(async () => {
+            submission = result.current.handleSubmit();
+        });
+
+        expect(result.current.isSubmitting).toBe(true);
+        expect(onSubmit).toHaveBeenCalledWith({ nickname: "neo" }, expect.objectContaining({ reset: expect.any(Function) }));
+
+        await act(async () => {
+            request.resolve();
+            await submission;
+        });
+
+        await waitFor(() => expect(result.current.isSubmitting).toBe(false));
+        expect(result.current.values).toEqual({ nickname: "" });
+        expect(result.current.touched).toEqual({});
+        expect(result.current.submitCount).toBe(0);
+        expect(result.current.dirty).toBe(false);
+    });
+});
@@ -0,0 +1,94 @@
+import React from 'react';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { MemoryRouter } from "react-router-dom";
+import UserList from "../component/UserList.jsx";
+import I18nProvider from "../component/I18nProvider.jsx";
+import { addRegistration } from "../utils/registrationStore.js";
+
+describe("UserList", () => {
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it("shows an empty state when nobody registered", () => {
+        render(<UserList />, { wrapper: MemoryRouter });
+        expect(screen.getByTestId("user-list-empty")).toBeInTheDocument();
+    });
+
+    it("lists registrations and filters them with the search box", async () => {
+        const user = userEvent.setup();
+        addRegistration({ lastname: "Martin", firstname: "Alice", email: "alice@example.com", town: "Paris" });
+        addRegistration({ lastname: "Bernard", firstname: "Bruno", email: "bruno@example.fr", town: "Lyon" });
+
+        render(<UserList />, { wrapper: MemoryRouter });
+        expect(screen.getAllByTestId("user-row")).toHaveLength(2);
+
+        await user.type(screen.getByTestId("user-search"), "lyon");
+        const rows = screen.getAllByTestId("user-row");
+        expect(rows).toHaveLength(1);
+        expect(within(rows[0]).getByText("Bernard")).toBeInTheDocument();
+    });
+
+    it("sorts when a column header is clicked", async () => {
+        const user = userEvent.setup();
+        addRegistration({ lastname: "Martin", firstname: "Alice" });
+        addRegistration({ lastname: "Bernard", firstname: "Bruno" });
+
+        render(<UserList />, { wrapper: MemoryRouter });
+        await user.click(screen.getByRole("button", { name: /last name/i }));
+
+        const rows = screen.getAllByTestId("user-row");
+        expect(within(rows[0]).getByText("Bernard")).toBeInTheDocument();
+    });
+
+    it("paginates the list", async () => {
+        const user = userEvent.setup();
+        ["A", "B", "C"].forEach(lastname => addRegistration({ lastname }));
+
+        render(<UserList pageSize={2} />, { wrapper: MemoryRouter });
+        expect(screen.getAllByTestId("user-row")).toHaveLength(2);
+        expect(screen.getByTestId("user-page")).toHaveTextContent("Page 1 / 2");
+
+        await user.click(screen.getByRole("button", { name: /next/i }));
+        expect(screen.getAllByTestId("user-row")).toHaveLength(1);
+        expect(screen.getByTestId("user-page")).toHaveTextContent("Page 2 / 2");
+    });
+
+    it("deletes a registration", async () => {
+        const user = userEvent.setup();
+        addRegistration({ lastname: "Martin", firstname: "Alice" });
+
+        render(<UserList />, { wrapper: MemoryRouter });
+        await user.click(screen.getByRole("button", { name: /delete alice martin/i }));
+
+        expect(screen.getByTestId("user-list-empty")).toBeInTheDocument();
+        expect(localStorage.getItem("registrations")).toBe("[]");
+    });
+
+    it("links each name to the registration page", () => {
+        const { id } = addRegistration({ lastname: "Martin", firstname: "Alice" });
+
+        render(<UserList />, { wrapper: MemoryRouter });
+        expect(screen.getByRole("link", { name: "Martin" })).toHaveAttribute("href", `/users/${id}`);
+    });
+
+    it("is translated", () => {
+        addRegistration({ lastname: "Martin", firstname: "Alice" });
+
+        render(
+            <I18nProvider initialLocale="fr">
+                <MemoryRouter><UserList /></MemoryRouter>
+            </I18nProvider>
+        );
+        expect(screen.getByRole("heading", { name: "Utilisateurs inscrits" })).toBeInTheDocument();
+        expect(screen.getByRole("searchbox", { name: "Rechercher par nom, email ou ville" })).toBeInTheDocument();
+        expect(screen.getByRole("button", { name: "Nom" })).toBeInTheDocument();
+        expect(screen.getByRole("button", { name: "Inscrit le ▼" })).toBeInTheDocument();
+        expect(screen.getByRole("button", { name: "Supprimer Alice Martin" })).toHaveTextContent("Supprimer");
+        expect(screen.getByRole("button", { name: "Suivant" })).toBeDisabled();
+        expect(screen.getByTestId("user-page")).toHaveTextContent("Page 1 / 1");
+    });
+});
@@ -0,0 +1,108 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest';
+import { runValidatePeople, USAGE } from "../cli/validatePeople.js";
+
+const csv = [
+    "lastname,firstname,email,phone,birth,streetName,postCode,town",
+    "Martin,Léa,lea.martin@example.fr,06 12 34 56 78,1995-05-15,rue de Rivoli,75001,Paris",
+    "Dupont,Jean,not-an-email,06 12 34 56 79,1990-01-01,rue de Rivoli,75001,Paris",
+].join("\n");
+
+/**
+ * Runs the command against files kept in memory, returning its exit code, output and the
+ * files it wrote.
+ */
+const run = async (args, files = { "people.csv": csv }) => {
+    const output = { stdout: "", stderr: "" };
+    const written = {};
+    const code = await runValidatePeople(args, {
+        stdout: { write: (text) => { output.stdout += text; } },
+        stderr: { write: (text) => { output.stderr += text; } },
+        read: vi.fn(async (path) => {
+            if (!(path in files)) {
+                throw Object.assign(new Error(`ENOENT: no such file or directory, open '${path}'`), { code: "ENOENT", syscall: "open" });
+            }
+            return files[path];
+        }),
+        write: vi.fn(async (path, content) => {
+            if (path.startsWith("/nonexistent/")) {
+                throw Object.assign(new Error(`ENOENT: no such file or directory, open '${path}'`), { code: "ENOENT", syscall: "open" });
+            }
+            written[path] = content;
+        }),
+        now: () => new Date("2026-01-01T00:00:00.000Z"),
+    });
+    return { code, ...output, written };
+};
+
+describe("validate-people", () => {
+
+    it("should print a summary and exit with 1 when someone fails", async () => {
+        const { code, stdout } = await run(["people.csv"]);
+
+        expect(code).toBe(1);
+        expect(stdout).toContain("people.csv: 2 people checked, 1 passed, 1 failed");
+        expect(stdout).toContain("line 3 (Jean Dupont): email INVALID_EMAIL Invalid email format");
+    });
+
+    it("should exit with 0 when everyone passes", async () => {
+        const { code, stdout } = await run(["people.csv", "--quiet"], { "people.csv": csv.split("\n").slice(0, 2).join("\n") });
+
+        expect(code).toBe(0);
+        expect(stdout).toBe("people.csv: 1 people checked, 1 passed, 0 failed\n");
+    });
+
+    it("should write the JSON and JUnit reports", async () => {
+        const { written } = await run(["people.csv", "--json", "report.json", "--junit", "report.xml", "--date", "2030-01-01"]);
+
+        expect(JSON.parse(written["report.json"])).toMatchObject({ checkedAt: "2030-01-01T00:00:00.000Z", failed: 1 });
+        expect(JSON.parse(written["report.json"]).people[0].age).toBe(34);
+        expect(written["report.xml"]).toContain('<testsuite name="people.csv" tests="2" failures="1"');
+    });
+
+    it("should read JSON files and number their records", async () => {
+        const people = [{ lastname: "Martin", firstname: "Léa", email: "bad", phone: "+33612345678", birth: "1995-05-15", streetName: "rue de Rivoli", postCode: "75001", town: "Paris" }];
+        const { code, stdout } = await run(["people.json"], { "people.json": JSON.stringify(people) });
+
+        expect(code).toBe(1);
+        expect(stdout).toContain("record 1 (Léa Martin): email INVALID_EMAIL");
+    });
+
+    it("should read the reference date on the local calendar", async () => {
+        const adult = "Martin,Léa,lea.martin@example.fr,06 12 34 56 78,2008-09-01,rue de Rivoli,75001,Paris";
+        const files = { "people.csv": [csv.split("\n")[0], adult].join("\n") };
+        const timeZone = process.env.TZ;
+        process.env.TZ = "America/New_York";
+        try {
+            expect(await run(["people.csv", "--date", "2026-09-01"], files)).toMatchObject({ code: 0 });
+            expect(await run(["people.csv", "--date", "2026-08-31"], files)).toMatchObject({ code: 1 });
+        } finally {
+            if (timeZone === undefined) delete process.env.TZ;
+            else process.env.TZ = timeZone;
+        }
+    });
+
+    it("should exit with 2 on bad arguments or unreadable files", async () => {
+        expect(await run([])).toMatchObject({ code: 2, stderr: expect.stringContaining("Expected one file to check") });
+        expect(await run(["people.csv", "--format", "xls"])).toMatchObject({ code: 2, stderr: expect.stringContaining("Unknown format: xls") });
+        expect(await run(["people.csv", "--date", "someday"])).toMatchObject({ code: 2, stderr: expect.stringContaining("Invalid date") });
+        expect(await run(["people.csv", "--date", "2026-02-30"])).toMatchObject({ code: 2, stderr: expect.stringContaining("Invalid date") });
+        expect(await run(["people.csv", "--verbose"])).toMatchObject({ code: 2, stderr: expect.stringContaining(USAGE) });
+        expect(await run(["missing.csv"])).toMatchObject({ code: 2, stderr: expect.stringContaining("Cannot read missing.csv: ENOENT") });
+        expect(await run(["people.json"], { "people.json": "{" })).toMatchObject({ code: 2, stderr: expect.stringContaining("not valid JSON") });
+    });
+
+    it("should exit with 2 when a report cannot be written", async () => {
+        const { code, stdout, stderr, written } = await run(["people.csv", "--json", "report.json", "--junit", "/nonexistent/dir/r.xml"]);
+
+        expect(code).toBe(2);
+        expect(stdout).toContain("2 people checked");
+        expect(stderr).toBe("Cannot write /nonexistent/dir/r.xml: ENOENT: no such file or directory, open '/nonexistent/dir/r.xml'\n");
+        expect(written).toHaveProperty(["report.json"]);
+        expect(await run(["people.csv", "--json", "/nonexistent/dir/r.json"])).toMatchObject({ code: 2, stderr: expect.stringContaining("Cannot write /nonexistent/dir/r.json") });
+    });
+
+    it("should print the help", async () => {
+        expect(await run(["--help"])).toMatchObject({ code: 0, stdout: USAGE });
+    });
+});
@@ -1,11 +1,30 @@
 import { describe, it, expect } from 'vitest';
 import {
     validateAge,
+    validateCountry,
+    normalizePostCode,
     validatePostCode,
+    normalizeName,
+    formatLastName,
+    formatFirstName,
     validateIdentity,
     validateEmail,
     validateTown,
+    parsePhone,
+    validatePhone,
+    normalizePhone,
+    formatPhone,
+    formatPhoneAsYouType,
+    validateStreetNumber,
+    validateStreetName,
+    validateAddressComplement,
+    safeValidateAge,
+    safeValidatePostCode,
+    safeValidateEmail,
+    safeValidatePhone,
+    safeValidateStreetName,
 } from "../utils/validator.js";
+import { ValidationError } from "../utils/errors.js";
 
 describe("Validation form", () => {
 
@@ -29,14 +48,31 @@ describe("Validation form", () => {
 
     it("should reject age under 18", () => {
         expect(() =>
-            validateAge(new Date("2008-03-02"))
+            validateAge(new Date("2008-03-02"), { now: new Date(2026, 2, 1) })
         ).toThrow(expect.objectContaining({ code: "INVALID_AGE" }));
     });
 
     it("should handle leap year birthday", () => {
         expect(() =>
-            validateAge(new Date("2008-02-29"))
+            validateAge(new Date("2008-02-29"), { now: new Date(2026, 1, 28) })
         ).toThrow(expect.objectContaining({ code: "INVALID_AGE" }));
+        expect(() =>
+            validateAge(new Date("2008-02-29"), { now: new Date(2026, 2, 1) })
+        ).not.toThrow();
+    });
+
+    it("should accept ISO date strings and a configurable minimum age", () => {
+        expect(() => validateAge("2008-03-02", { now: new Date(2026, 2, 2) })).not.toThrow();
+        expect(() => validateAge("2005-01-02", { now: new Date(2026, 0, 1), minAge: 21 }))
+            .toThrow(expect.objectContaining({ code: "INVALID_AGE", params: { min: 21 } }));
+        expect(() => validateAge("2005-02-30"))
+            .toThrow(expect.objectContaining({ code: "INVALID_DATE" }));
+    });
+
+    it("should apply the configured birth year range", () => {
+        expect(() => validateAge("1965-01-01")).not.toThrow();
+        expect(() => validateAge("1965-01-01", { minBirthYear: 1970 }))
+            .toThrow(expect.objectContaining({ code: "INVALID_DATE" }));
     });
 
     //POST CODE
@@ -52,12 +88,83 @@ describe("Validation form", () => {
         });
     });
 
+    it("should accept valid post codes for every supported country", () => {
+        [
+            ["75001", "FR"], ["20000", "FR"], ["97400", "FR"],
+            ["1000", "BE"], ["1201", "CH"], ["1009", "LU"], ["L-1009", "LU"],
+            ["10115", "DE"], ["SW1A 1AA", "GB"], ["sw1a1aa", "GB"], ["M1 1AE", "GB"], ["GIR 0AA", "GB"],
+            ["H2X 1Y4", "CA"], ["h2x1y4", "CA"], ["10001", "US"], ["10001-1234", "US"],
+        ].forEach(([pc, country]) => {
+            expect(() => validatePostCode(pc, country)).not.toThrow();
+        });
+    });
+
+    it("should reject post codes in the wrong format for the country", () => {
+        [
+            ["75001", "BE"], ["0999", "CH"], ["123456", "DE"], ["SW1A", "GB"],
+            ["D2X 1Y4", "CA"], ["1234", "US"], ["10001-12", "US"],
+        ].forEach(([pc, country]) => {
+            expect(() => validatePostCode(pc, country))
+                .toThrow(expect.objectContaining({ code: "INVALID_POST_CODE", params: expect.objectContaining({ country }) }));
+        });
+    });
+
+    it("should reject unsupported countries", () => {
+        expect(() => validateCountry("FR")).not.toThrow();
+        expect(() => validatePostCode("75001", "XX"))
+            .toThrow(expect.objectContaining({ code: "INVALID_COUNTRY" }));
+    });
+
+    it("should normalize post code spacing, case and prefixes", () => {
+        expect(normalizePostCode(" 75 001 ")).toBe("75001");
+        expect(normalizePostCode("sw1a1aa", "GB")).toBe("SW1A 1AA");
+        expect(normalizePostCode("m1  1ae", "GB")).toBe("M1 1AE");
+        expect(normalizePostCode("h2x1y4", "CA")).toBe("H2X 1Y4");
+        expect(normalizePostCode("l-1009", "LU")).toBe("1009");
+        expect(normalizePostCode("10001 1234", "US")).toBe("10001-1234");
+        expect(normalizePostCode("abc", "XX")).toBe("abc");
+    });
+
     //IDENTITY
     it("should accept valid name", () => {
         expect(() => validateIdentity("Jean-Michel")).not.toThrow();
         expect(() => validateIdentity("loïse")).not.toThrow();
     });
 
+    it("should accept real-world names in any script", () => {
+        [
+            "O'Brien", "N'Diaye", "N’Diaye", "De La Fontaine", "Jean-Michel",
+            "Wałęsa", "Öztürk", "Ğülşen", "Παπαδόπουλος", "Nguyễn", "Nguye\u0302\u0303n", "李",
+            "  Jean  ", "مهر\u200Cانگیز", "शिल्पा", "क्\u200Dष",
+        ].forEach(name => {
+            expect(() => validateIdentity(name), name).not.toThrow();
+        });
+    });
+
+    it("should reject misplaced separators", () => {
+        ["Jean--Pierre", "Jean -Pierre", "'Brien", "Brien'", "-Jean", "\u0301Jean", "\u200CJean", "Jean\u200D", "Jean\u200C Pierre"].forEach(name => {
+            expect(() => validateIdentity(name), name).toThrow(expect.objectContaining({ code: "INVALID_IDENTITY" }));
+        });
+    });
+
+    it("should limit the length of names", () => {
+        expect(() => validateIdentity("a".repeat(50))).not.toThrow();
+        expect(() => validateIdentity("a".repeat(51)))
+            .toThrow(expect.objectContaining({ code: "IDENTITY_TOO_LONG", params: { max: 50 } }));
+        expect(() => validateIdentity("Jean-Pierre", { maxLength: 5 }))
+            .toThrow(expect.objectContaining({ code: "IDENTITY_TOO_LONG" }));
+    });
+
+    it("should normalize and format names", () => {
+        expect(normalizeName("  De   La Fontaine ")).toBe("De La Fontaine");
+        expect(normalizeName("Nguye\u0302\u0303n")).toBe("Nguyễn");
+        expect(formatLastName(" de la fontaine")).toBe("DE LA FONTAINE");
+        expect(formatLastName("öztürk")).toBe("ÖZTÜRK");
+        expect(formatFirstName("JEAN-pierre")).toBe("Jean-Pierre");
+        expect(formatFirstName("marie  ève")).toBe("Marie Ève");
+        expect(formatFirstName("łukasz")).toBe("Łukasz");
+    });
+
     it("should reject invalid names or XSS injection", () => {
         ["Jean123", "loï/se", "<script>alert(1)</script>"].forEach(name => {
             expect(() =>
@@ -73,8 +180,29 @@ describe("Validation form", () => {
         ).not.toThrow();
     });
 
+    it("should accept plus addressing, quoted local parts and international domains", () => {
+        [
+            "first+tag@example.com",
+            "o'neil@example.ie",
+            "\"john doe\"@example.com",
+            "\"quote\\\"inside\"@example.com",
+            "contact@bücher.de",
+            "contact@xn--bcher-kva.de",
+            "léa@exemple.fr",
+            "user@mail.example.co.uk",
+        ].forEach(email => {
+            expect(() => validateEmail(email), email).not.toThrow();
+        });
+    });
+
     it("should reject invalid emails", () => {
-        ["test@", "@example.com", "test.com", "//test@gmail.com"].forEach(email => {
+        [
+            "test@", "@example.com", "test.com", "//test@gmail.com",
+            "a..b@x..com", ".a@example.com", "a.@example.com", "a b@example.com",
+            "user@domain", "user@-example.com", "user@example.c", "user@192.168.0.1",
+            "user@exa_mple.com", "user@example.com:80", "\"unterminated@example.com",
+            `${"a".repeat(65)}@example.com`, `a@${"b".repeat(64)}.com`, null,
+        ].forEach(email => {
             expect(() =>
                 validateEmail(email)
             ).toThrow(expect.objectContaining({ code: "INVALID_EMAIL" }));
@@ -94,4 +222,142 @@ describe("Validation form", () => {
             ).toThrow(expect.objectContaining({code: "INVALID_TOWN"}));
         })
     });
+
+    //PHONE
+    it("should parse national and international phone numbers", () => {
+        expect(parsePhone("06 12 34 56 78")).toEqual({ country: "FR", callingCode: "33", nationalNumber: "612345678", e164: "+33612345678" });
+        expect(parsePhone("+33 (0)6.12.34.56.78")).toMatchObject({ country: "FR", nationalNumber: "612345678" });
+        expect(parsePhone("0032 470 12 34 56")).toMatchObject({ country: "BE", e164: "+32470123456" });
+        expect(parsePhone("1 (415) 555-2671", "US")).toMatchObject({ country: "US", nationalNumber: "4155552671" });
+        expect(parsePhone("+1 514 555 0199", "CA")).toMatchObject({ country: "CA" });
+        expect(parsePhone("+34 612 345 678")).toEqual({ country: null, callingCode: "", nationalNumber: "34612345678", e164: "+34612345678" });
+        expect(parsePhone("06-CALL-ME")).toBeNull();
+        expect(parsePhone(612345678)).toBeNull();
+    });
+
+    it("should accept valid phone numbers of each country", () => {
+        [
+            ["06 12 34 56 78", "FR"],
+            ["01 23 45 67 89", "FR"],
+            ["0470 12 34 56", "BE"],
+            ["02 123 45 67", "BE"],
+            ["078 123 45 67", "CH"],
+            ["621 123 456", "LU"],
+            ["0151 23456789", "DE"],
+            ["030 12345678", "DE"],
+            ["07911 123456", "GB"],
+            ["(415) 555-2671", "US"],
+            ["+32 470 12 34 56", "FR"],
+            ["+34 612 345 678", "FR"],
+        ].forEach(([phone, country]) => expect(() => validatePhone(phone, country)).not.toThrow());
+    });
+
+    it("should reject invalid phone numbers", () => {
+        [
+            ["06 12 34 56", "FR"],
+            ["06 12 34 56 78 9", "FR"],
+            ["00 12 34 56 78", "FR"],
+            ["06 12 34 56 78", "BE"],
+            ["555-2671", "US"],
+            ["(015) 555-2671", "US"],
+            ["+33 6 12", "FR"],
+            ["+999", "FR"],
+            ["06-CALL-ME", "FR"],
+            ["", "FR"],
+        ].forEach(([phone, country]) => {
+            expect(() => validatePhone(phone, country))
+                .toThrow(expect.objectContaining({ code: "INVALID_PHONE", field: "phone", params: expect.objectContaining({ country }) }));
+        });
+        expect(() => validatePhone("0612345678", "XX")).toThrow(expect.objectContaining({ code: "INVALID_COUNTRY" }));
+    });
+
+    it("should normalize phone numbers to E.164", () => {
+        expect(normalizePhone("06 12 34 56 78")).toBe("+33612345678");
+        expect(normalizePhone("0032 470 12 34 56")).toBe("+32470123456");
+        expect(normalizePhone("(415) 555-2671", "US")).toBe("+14155552671");
+        expect(normalizePhone("06 12")).toBe("06 12");
+    });
+
+    it("should format phone numbers for display", () => {
+        expect(formatPhone("+33612345678")).toBe("06 12 34 56 78");
+        expect(formatPhone("+33612345678", "BE")).toBe("+33 6 12 34 56 78");
+        expect(formatPhone("+14155552671", "US")).toBe("415-555-2671");
+        expect(formatPhone("+447911123456", "GB")).toBe("07911 123456");
+        expect(formatPhone("+34612345678")).toBe("+34612345678");
+        expect(formatPhone("n/a")).toBe("n/a");
+    });
+
+    it("should format phone numbers as they are typed", () => {
+        expect(["0", "06", "061", "0612", "06123456789"].map(typed => formatPhoneAsYouType(typed)))
+            .toEqual(["0", "06", "06 1", "06 12", "06 12 34 56 789"]);
+        expect(["+", "+3", "+33", "+336", "0033612"].map(typed => formatPhoneAsYouType(typed)))
+            .toEqual(["+", "+3", "+33", "+33 6", "+33 6 12"]);
+        expect(formatPhoneAsYouType("06.12-34", "FR")).toBe("06 12 34");
+        expect(formatPhoneAsYouType("4155552", "US")).toBe("415-555-2");
+        expect(formatPhoneAsYouType("0470123456", "BE")).toBe("0470 12 34 56");
+        expect(formatPhoneAsYouType("+35262112", "FR")).toBe("+352 621 12");
+    });
+
+    //ADDRESS
+    it("should accept street numbers with an index", () => {
+        ["1", "12", "12 bis", "12BIS", "3 ter", "12B", "12 b"].forEach(number => {
+            expect(() => validateStreetNumber(number)).not.toThrow();
+        });
+    });
+
+    it("should reject invalid street numbers", () => {
+        ["", "bis", "12-14", "123456", "12 bis bis", 12].forEach(number => {
+            expect(() => validateStreetNumber(number))
+                .toThrow(expect.objectContaining({ code: "INVALID_STREET_NUMBER", field: "streetNumber" }));
+        });
+    });
+
+    it("should accept street names with the punctuation of addresses", () => {
+        ["rue de Rivoli", "Boulevard de l'Hôpital", "av. du 8 Mai 1945", "Allée des Érables, Bât. 2", "Calle 5/7", "Straße des 17. Juni"].forEach(name => {
+            expect(() => validateStreetName(name)).not.toThrow();
+        });
+    });
+
+    it("should reject invalid street names or XSS injection", () => {
+        ["", "12", " - ", "<script>alert(1)</script>", "rue; DROP TABLE", "javascript:alert(1)"].forEach(name => {
+            expect(() => validateStreetName(name))
+                .toThrow(expect.objectContaining({ code: "INVALID_STREET_NAME", field: "streetName" }));
+        });
+    });
+
+    it("should limit address lines to 38 characters", () => {
+        expect(() => validateStreetName("Boulevard du Maréchal de Lattre de Tassigny"))
+            .toThrow(expect.objectContaining({ code: "ADDRESS_LINE_TOO_LONG", params: { max: 38 } }));
+        expect(() => validateStreetName("Boulevard du Maréchal de Lattre de Tassigny", { maxLength: 50 })).not.toThrow();
+        expect(() => validateStreetName("rue   de   Rivoli".padEnd(60, " "))).not.toThrow();
+    });
+
+    it("should validate address complements", () => {
+        ["Bâtiment B, 3e étage", "Appt 12", "BP 42", "3"].forEach(complement => {
+            expect(() => validateAddressComplement(complement)).not.toThrow();
+        });
+        expect(() => validateAddressComplement("<b>Appt</b>"))
+            .toThrow(expect.objectContaining({ code: "INVALID_ADDRESS_COMPLEMENT", field: "addressComplement" }));
+        expect(() => validateAddressComplement("Résidence Les Jardins de la Fontaine, Bâtiment C"))
+            .toThrow(expect.objectContaining({ code: "ADDRESS_LINE_TOO_LONG", field: "addressComplement" }));
+    });
+
+    //ERRORS
+    it("should throw ValidationError instances", () => {
+        expect(() => validateEmail("test@")).toThrow(ValidationError);
+        expect(() => validatePostCode("7500")).toThrow(ValidationError);
+        expect(() => validateAge("2010-01-01", { now: new Date(2026, 0, 1) }))
+            .toThrow(expect.objectContaining({ name: "ValidationError", code: "INVALID_AGE", field: "birth" }));
+    });
+
+    it("should report errors without throwing through the safe variants", () => {
+        expect(safeValidateEmail("test@gmail.com")).toEqual({ ok: true, value: undefined, error: null });
+        expect(safeValidateEmail("test@")).toMatchObject({ ok: false, error: { code: "INVALID_EMAIL" } });
+        expect(safeValidatePostCode("1000", "BE")).toMatchObject({ ok: true });
+        expect(safeValidatePostCode("ABC", "BE").error).toBeInstanceOf(ValidationError);
+        expect(safeValidatePhone("0612")).toMatchObject({ ok: false, error: { code: "INVALID_PHONE" } });
+        expect(safeValidateStreetName("rue de Rivoli")).toMatchObject({ ok: true });
+        expect(safeValidateAge("2010-01-01", { now: new Date(2026, 0, 1) }))
+            .toMatchObject({ ok: false, error: { code: "INVALID_AGE", params: { min: 18 } } });
+    });
 });
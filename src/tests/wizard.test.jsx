@@ -0,0 +1,196 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { MemoryRouter, Routes, Route, useLocation } from "react-router-dom";
+import RegistrationWizard from "../component/RegistrationWizard.jsx";
+import { withFormattedNames } from "../utils/registrationSchema.js";
+import { DRAFT_KEY, saveDraft } from "../utils/draftStore.js";
+
+/**
+ * Displays the current URL, to check the wizard's navigation.
+ */
+function CurrentPath() {
+    return <p data-testid="path">{useLocation().pathname}</p>;
+}
+
+const renderWizard = (path = "/register", props = {}) => render(
+    <MemoryRouter initialEntries={[path]}>
+        <Routes>
+            <Route path="/register/*" element={<RegistrationWizard {...props} />} />
+        </Routes>
+        <CurrentPath />
+    </MemoryRouter>
+);
+
+const fillIdentity = async (user) => {
+    await user.type(screen.getByLabelText("Last name"), "Martin");
+    await user.type(screen.getByLabelText("First name"), "léa");
+    await user.type(screen.getByLabelText("Birth date"), "1995-05-15");
+};
+
+const fillUntilReview = async (user) => {
+    await fillIdentity(user);
+    await user.click(screen.getByTestId("next"));
+    await user.type(screen.getByLabelText("Email"), "lea@example.fr");
+    await user.type(screen.getByLabelText("Phone"), "0612345678");
+    await user.click(screen.getByTestId("next"));
+    await user.type(await screen.findByLabelText("Street number"), "12");
+    await user.type(screen.getByLabelText("Street"), "Rue de Rivoli");
+    await user.type(screen.getByLabelText("Post code"), "75001");
+    await user.type(screen.getByLabelText("Town"), "Paris");
+    await user.click(screen.getByTestId("next"));
+};
+
+describe("Registration wizard", () => {
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it("should start at the identity step and show the progress", () => {
+        renderWizard();
+
+        expect(screen.getByTestId("path")).toHaveTextContent("/register/identity");
+        expect(screen.getByTestId("wizard-step")).toHaveTextContent("Step 1 of 4");
+        expect(screen.getByRole("listitem", { current: "step" })).toHaveTextContent("Identity");
+        expect(screen.getByLabelText("Last name")).toBeInTheDocument();
+        expect(screen.queryByLabelText("Email")).not.toBeInTheDocument();
+    });
+
+    it("should not leave a step until its fields are valid", async () => {
+        const user = userEvent.setup();
+        renderWizard();
+
+        await user.click(screen.getByTestId("next"));
+        expect(screen.getAllByText("This field is required")).toHaveLength(3);
+        expect(screen.getByTestId("path")).toHaveTextContent("/register/identity");
+
+        await fillIdentity(user);
+        expect(screen.queryByText("This field is required")).not.toBeInTheDocument();
+        await user.click(screen.getByTestId("next"));
+        expect(screen.getByTestId("path")).toHaveTextContent("/register/contact");
+        expect(screen.getByTestId("wizard-step")).toHaveTextContent("Step 2 of 4");
+    });
+
+    it("should keep the answers when going back and forth", async () => {
+        const user = userEvent.setup();
+        renderWizard();
+
+        await fillIdentity(user);
+        await user.click(screen.getByTestId("next"));
+        await user.type(screen.getByLabelText("Email"), "lea@example.fr");
+        await user.click(screen.getByTestId("back"));
+
+        expect(screen.getByLabelText("Last name")).toHaveValue("Martin");
+        await user.click(screen.getByTestId("next"));
+        expect(screen.getByLabelText("Email")).toHaveValue("lea@example.fr");
+
+        await user.click(screen.getByRole("link", { name: "Identity" }));
+        expect(screen.getByTestId("path")).toHaveTextContent("/register/identity");
+    });
+
+    it("should open a step from a deep link", () => {
+        renderWizard("/register/address");
+
+        expect(screen.getByTestId("wizard-step")).toHaveTextContent("Step 3 of 4");
+        expect(screen.getByLabelText("Post code")).toBeInTheDocument();
+    });
+
+    it("should redirect unknown steps to the first one", () => {
+        renderWizard("/register/nope");
+
+        expect(screen.getByTestId("path")).toHaveTextContent("/register/identity");
+    });
+
+    it("should send the review to the first step with errors", () => {
+        renderWizard("/register/review");
+
+        expect(screen.getByTestId("path")).toHaveTextContent("/register/identity");
+        expect(screen.getAllByText("This field is required")).toHaveLength(3);
+    });
+
+    it("should review the normalized answers and submit them", async () => {
+        const user = userEvent.setup();
+        const api = { submitRegistration: vi.fn(() => Promise.resolve({})) };
+        renderWizard("/register", { api, schema: withFormattedNames() });
+
+        await fillIdentity(user);
+        await user.click(screen.getByTestId("next"));
+        await user.type(screen.getByLabelText("Email"), "lea@example.fr");
+        await user.type(screen.getByLabelText("Phone"), "0612345678");
+        await user.click(screen.getByTestId("next"));
+        await user.type(await screen.findByLabelText("Street number"), "12BIS");
+        await user.type(screen.getByLabelText("Street"), "RUE DE RIVOLI");
+        await user.type(screen.getByLabelText("Post code"), "75001");
+        await user.type(screen.getByLabelText("Town"), "Paris");
+        await user.click(screen.getByTestId("next"));
+
+        expect(screen.getByTestId("path")).toHaveTextContent("/register/review");
+        expect(screen.getByTestId("review-lastname")).toHaveTextContent("MARTIN");
+        expect(screen.getByTestId("review-firstname")).toHaveTextContent("Léa");
+        expect(screen.getByTestId("review-phone")).toHaveTextContent("+33 6 12 34 56 78");
+        expect(screen.getByTestId("review-country")).toHaveTextContent("France");
+        expect(screen.getByTestId("review-streetNumber")).toHaveTextContent("12 bis");
+        expect(screen.getByTestId("review-streetName")).toHaveTextContent("Rue de Rivoli");
+
+        await user.click(screen.getByRole("link", { name: "Edit Contact" }));
+        expect(screen.getByLabelText("Email")).toHaveValue("lea@example.fr");
+        await user.click(screen.getByTestId("next"));
+        await user.click(screen.getByTestId("next"));
+
+        await user.click(screen.getByTestId("submit"));
+        expect(await screen.findByText(/form successfully submitted!/i)).toBeInTheDocument();
+        expect(api.submitRegistration).toHaveBeenCalledWith(
+            expect.objectContaining({ lastname: "MARTIN", firstname: "Léa", phone: "+33612345678", streetName: "Rue de Rivoli", department: "75" }),
+            expect.anything()
+        );
+        expect(JSON.parse(localStorage.getItem("registrations"))).toHaveLength(1);
+        expect(screen.getByTestId("path")).toHaveTextContent("/register/identity");
+        expect(screen.getByLabelText("Last name")).toHaveValue("");
+    });
+
+    it("should open the step holding the errors the server answered", async () => {
+        const user = userEvent.setup();
+        const rejection = { response: { status: 422, data: { errors: [{ field: "email", code: "EMAIL_TAKEN" }] } } };
+        const api = { submitRegistration: vi.fn(() => Promise.reject(rejection)) };
+        renderWizard("/register", { api });
+
+        await fillUntilReview(user);
+        await user.click(screen.getByTestId("submit"));
+
+        expect(await screen.findByText("This email is already registered")).toBeInTheDocument();
+        expect(screen.getByTestId("path")).toHaveTextContent("/register/contact");
+        expect(screen.getByTestId("form-status")).toHaveTextContent("Your registration could not be sent");
+        expect(screen.getByLabelText("Email")).toHaveValue("lea@example.fr");
+        expect(localStorage.getItem("registrations")).toBeNull();
+    });
+
+    it("should say while typing that the email is already registered", async () => {
+        const user = userEvent.setup();
+        const api = { checkEmail: vi.fn(() => Promise.resolve({ registered: true })), submitRegistration: vi.fn() };
+        renderWizard("/register/contact", { api, debounce: 10 });
+
+        await user.type(screen.getByLabelText("Email"), "lea@example.fr");
+        expect(await screen.findByText("This email is already registered")).toBeInTheDocument();
+        expect(api.checkEmail).toHaveBeenLastCalledWith("lea@example.fr", { signal: expect.any(AbortSignal) });
+
+        await user.type(screen.getByLabelText("Phone"), "0612345678");
+        await user.click(screen.getByTestId("next"));
+        expect(screen.getByTestId("path")).toHaveTextContent("/register/contact");
+    });
+
+    it("should autosave the answers and offer to resume them on the next visit", async () => {
+        const user = userEvent.setup();
+        saveDraft({ lastname: "Martin", email: "lea@example.fr" });
+        renderWizard("/register/contact");
+
+        expect(screen.getByTestId("draft-prompt")).toBeInTheDocument();
+        await user.click(screen.getByRole("button", { name: "Resume" }));
+
+        expect(screen.queryByTestId("draft-prompt")).not.toBeInTheDocument();
+        expect(screen.getByLabelText("Email")).toHaveValue("lea@example.fr");
+        await user.type(screen.getByLabelText("Phone"), "0612345678");
+        await waitFor(() => expect(JSON.parse(localStorage.getItem(DRAFT_KEY)).values).toMatchObject({ lastname: "Martin", phone: "06 12 34 56 78" }));
+    });
+});
@@ -0,0 +1,273 @@
+/**
+ * @module address
+ * @description Postal addresses: French street name normalization (street type abbreviations,
+ * capitalization) and composition of the printable address block, following the French
+ * postal standard (AFNOR NF Z10-011) and the international rules of the Universal Postal Union.
+ */
+
+import { MAX_ADDRESS_LINE_LENGTH } from "./validator.js";
+
+/**
+ * Street types, with their standard postal abbreviation and the abbreviations people type.
+ * @type {{name: string, abbreviation: string, aliases: string[]}[]}
+ */
+const STREET_TYPES = [
+    { name: "Allée", abbreviation: "ALL", aliases: ["all"] },
+    { name: "Avenue", abbreviation: "AV", aliases: ["av", "ave"] },
+    { name: "Boulevard", abbreviation: "BD", aliases: ["bd", "bld", "blvd", "boul", "bvd"] },
+    { name: "Chemin", abbreviation: "CHE", aliases: ["ch", "che", "chem"] },
+    { name: "Cité", abbreviation: "CITE", aliases: [] },
+    { name: "Cours", abbreviation: "CRS", aliases: ["crs"] },
+    { name: "Esplanade", abbreviation: "ESP", aliases: ["esp"] },
+    { name: "Faubourg", abbreviation: "FG", aliases: ["fg", "fbg", "faub"] },
+    { name: "Hameau", abbreviation: "HAM", aliases: ["ham"] },
+    { name: "Impasse", abbreviation: "IMP", aliases: ["imp"] },
+    { name: "Lieu-dit", abbreviation: "LD", aliases: ["ld"] },
+    { name: "Lotissement", abbreviation: "LOT", aliases: ["lot"] },
+    { name: "Passage", abbreviation: "PAS", aliases: ["pass", "psg"] },
+    { name: "Place", abbreviation: "PL", aliases: ["pl"] },
+    { name: "Promenade", abbreviation: "PROM", aliases: ["prom"] },
+    { name: "Quai", abbreviation: "QUAI", aliases: ["qu"] },
+    { name: "Résidence", abbreviation: "RES", aliases: ["res"] },
+    { name: "Rond-point", abbreviation: "RPT", aliases: ["rpt"] },
+    { name: "Route", abbreviation: "RTE", aliases: ["rte"] },
+    { name: "Rue", abbreviation: "RUE", aliases: ["r"] },
+    { name: "Ruelle", abbreviation: "RLE", aliases: ["rle"] },
+    { name: "Sentier", abbreviation: "SEN", aliases: ["sen"] },
+    { name: "Square", abbreviation: "SQ", aliases: ["sq"] },
+    { name: "Villa", abbreviation: "VLA", aliases: ["vla"] },
+];
+
+/**
+ * Countries whose street names follow the French rules (type first, French particles).
+ * @type {string[]}
+ */
+const FRENCH_ADDRESS_COUNTRIES = ["FR", "BE", "CH", "LU"];
+
+/**
+ * Countries writing the street number after the street name ("Hauptstraße 5").
+ * @type {string[]}
+ */
+const NUMBER_AFTER_STREET_COUNTRIES = ["BE", "CH", "DE"];
+
+/**
+ * Words left in lowercase inside a French street name, unless they start it.
+ * @type {Set<string>}
+ */
+const PARTICLES = new Set(["à", "au", "aux", "d", "de", "des", "du", "en", "et", "l", "la", "le", "les", "sous", "sur"]);
+
+/**
+ * Words shortened, in order, on printed lines longer than the standard allows.
+ * @type {[string, string][]}
+ */
+const LINE_ABBREVIATIONS = [
+    ...STREET_TYPES.map(({ name, abbreviation }) => [toAddressCase(name), abbreviation]),
+    ["SAINTE", "STE"],
+    ["SAINT", "ST"],
+];
+
+/**
+ * Removes the accents of a text.
+ *
+ * @function stripAccents
+ * @param {string} text
+ * @returns {string} The text without combining marks
+ */
+function stripAccents (text) {
+    return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+/**
+ * Writes a text the way printed address lines are: capitals without accents, punctuation
+ * (hyphens, apostrophes, commas…) replaced by spaces.
+ *
+ * @function toAddressCase
+ * @param {string} text
+ * @returns {string} The printable text
+ *
+ * @example
+ * toAddressCase("Allée de l'Étang"); // "ALLEE DE L ETANG"
+ */
+function toAddressCase (text) {
+    return stripAccents(String(text))
+        .toUpperCase()
+        .replace(/[^A-Z0-9]+/g, " ")
+        .trim();
+}
+
+/**
+ * Finds the street type a word stands for, by name or abbreviation.
+ *
+ * @function findStreetType
+ * @param {string} word - e.g. "bd", "Bd.", "AVENUE", "allee"
+ * @returns {Object|undefined} The {@link STREET_TYPES} entry
+ */
+function findStreetType (word) {
+    const key = stripAccents(word).toLowerCase().replace(/\.$/, "");
+    return STREET_TYPES.find(type => stripAccents(type.name).toLowerCase() === key || type.aliases.includes(key));
+}
+
+/**
+ * Capitalizes one word of a French street name: particles in lowercase (unless first), elided
+ * articles kept lowercase ("d'Alsace"), each part of a compound capitalized ("Saint-Germain-des-Prés").
+ *
+ * @function capitalizeWord
+ * @param {string} word - The word, in lowercase
+ * @param {boolean} first - The word starts the name
+ * @returns {string} The capitalized word
+ */
+function capitalizeWord (word, first) {
+    return word.split("-").map((part, i) => {
+        const elision = /^([dl])(['’])(.+)$/u.exec(part);
+        if (elision) {
+            return elision[1] + elision[2] + capitalizeWord(elision[3], true);
+        }
+        if (!(first && i === 0) && PARTICLES.has(part)) {
+            return part;
+        }
+        return part.charAt(0).toUpperCase() + part.slice(1);
+    }).join("-");
+}
+
+/**
+ * Normalizes a street number: index words in lowercase and separated, letters in capitals.
+ *
+ * @function normalizeStreetNumber
+ * @param {string} number - The street number as typed
+ * @returns {string} The normalized number, or the input unchanged when it is not a street number
+ *
+ * @example
+ * normalizeStreetNumber("12BIS"); // "12 bis"
+ * normalizeStreetNumber("12 b");  // "12B"
+ */
+function normalizeStreetNumber (number) {
+    if (typeof number !== "string") return number;
+    const match = /^(\d{1,5}) ?(bis|ter|quater|quinquies|\p{L})?$/iu.exec(number.trim());
+    if (!match) return number;
+
+    const [, digits, index] = match;
+    if (!index) return digits;
+    return index.length === 1 ? digits + index.toUpperCase() : `${digits} ${index.toLowerCase()}`;
+}
+
+/**
+ * Normalizes a street name. Spaces are collapsed in every country; for French-speaking
+ * countries ({@link FRENCH_ADDRESS_COUNTRIES}):
+ *
+ * - A leading street type abbreviation is written in full ("bd" → "Boulevard", "av." → "Avenue")
+ *   and the street type is capitalized
+ * - A name typed all in capitals or all in lowercase is capitalized, French particles
+ *   (de, du, des, la, le, les, l', d', sur…) in lowercase; mixed case is kept as typed
+ *
+ * @function normalizeStreetName
+ * @param {string} name - The street name as typed
+ * @param {string} [country="FR"] - ISO 3166-1 alpha-2 code of the address country
+ * @returns {string} The normalized name
+ *
+ * @example
+ * normalizeStreetName("bd de la republique"); // "Boulevard de la Republique"
+ * normalizeStreetName("AV. DES CHAMPS-ÉLYSÉES"); // "Avenue des Champs-Élysées"
+ * normalizeStreetName("rue du Faubourg Saint-Honoré"); // "Rue du Faubourg Saint-Honoré"
+ */
+function normalizeStreetName (name, country = "FR") {
+    if (typeof name !== "string") return name;
+    const collapsed = name.normalize("NFC").trim().replace(/\s+/g, " ");
+    if (!FRENCH_ADDRESS_COUNTRIES.includes(country)) return collapsed;
+
+    const [first, ...rest] = collapsed.split(" ");
+    const type = findStreetType(first);
+    const words = type ? rest : [first, ...rest];
+    const text = words.join(" ");
+    const singleCase = text === text.toUpperCase() || text === text.toLowerCase();
+    const capitalized = singleCase
+        ? words.map((word, i) => capitalizeWord(word.toLowerCase(), i === 0 && !type))
+        : words;
+
+    return [type?.name, ...capitalized].filter(Boolean).join(" ");
+}
+
+/**
+ * Writes one printed address line: capitals without accents or punctuation, street types and
+ * "Saint" abbreviated when the line would exceed {@link MAX_ADDRESS_LINE_LENGTH} characters.
+ *
+ * @function formatAddressLine
+ * @param {string} line - The line content
+ * @returns {string} The printable line
+ *
+ * @example
+ * formatAddressLine("12 rue de l'Église"); // "12 RUE DE L EGLISE"
+ * formatAddressLine("Boulevard du Maréchal de Lattre de Tassigny"); // "BD DU MARECHAL DE LATTRE DE TASSIGNY"
+ */
+function formatAddressLine (line) {
+    let printed = toAddressCase(line);
+    for (const [word, abbreviation] of LINE_ABBREVIATIONS) {
+        if (printed.length <= MAX_ADDRESS_LINE_LENGTH) break;
+        printed = printed.replace(new RegExp(`\\b${word}\\b`, "g"), abbreviation);
+    }
+    return printed;
+}
+
+/**
+ * Composes the printable address block of a registration, one line per array item:
+ *
+ * 1. Recipient: first name and last name
+ * 2. Address complement (building, floor…), when given
+ * 3. Street number and name; the number follows the name in {@link NUMBER_AFTER_STREET_COUNTRIES}
+ * 4. Locality: "post code town"; "town post code" in the US and Canada; town then post code
+ *    on two lines in the United Kingdom
+ * 5. Country name, only when mailing from another country
+ *
+ * Every line is formatted with {@link formatAddressLine}; empty lines are left out.
+ *
+ * @function formatPostalAddress
+ * @param {Object} record - A registration
+ * @param {Object} [options]
+ * @param {string} [options.domesticCountry="FR"] - Country the mail is sent from
+ * @param {function(string): string} [options.countryName] - Name of a country from its code,
+ *   e.g. translated; the code itself by default
+ * @returns {string[]} The address lines
+ *
+ * @example
+ * formatPostalAddress({ firstname: "Alice", lastname: "MARTIN", streetNumber: "12 bis",
+ *     streetName: "Rue de l'Église", postCode: "75001", town: "Paris", country: "FR" });
+ * // ["ALICE MARTIN", "12 BIS RUE DE L EGLISE", "75001 PARIS"]
+ */
+function formatPostalAddress (record, { domesticCountry = "FR", countryName = (code) => code } = {}) {
+    const country = record.country || "FR";
+    const number = record.streetNumber || "";
+    const street = NUMBER_AFTER_STREET_COUNTRIES.includes(country)
+        ? `${record.streetName || ""} ${number}`
+        : `${number} ${record.streetName || ""}`;
+
+    let locality;
+    if (country === "GB") {
+        locality = [record.town, record.postCode];
+    } else if (country === "US" || country === "CA") {
+        locality = [`${record.town || ""} ${record.postCode || ""}`];
+    } else {
+        locality = [`${record.postCode || ""} ${record.town || ""}`];
+    }
+
+    return [
+        `${record.firstname || ""} ${record.lastname || ""}`,
+        record.addressComplement,
+        street,
+        ...locality,
+        country !== domesticCountry && countryName(country),
+    ]
+        .filter(line => typeof line === "string")
+        .map(formatAddressLine)
+        .filter(Boolean);
+}
+
+/**
+ * Export the postal address helpers for use in other modules
+ * @exports address
+ */
+export {
+    STREET_TYPES,
+    normalizeStreetNumber,
+    normalizeStreetName,
+    formatAddressLine,
+    formatPostalAddress,
+}
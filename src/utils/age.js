@@ -0,0 +1,197 @@
+/**
+ * @module age
+ * @description Single age engine shared by `calculateAge` and `validateAge`.
+ * Works on calendar dates rather than timestamps so results do not depend on the
+ * time zone, takes an injectable clock, and handles 29 February birthdays.
+ */
+
+import { ValidationError } from "./errors.js";
+
+/**
+ * Number of milliseconds in a day.
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Earliest birth year accepted by default, by {@link computeAge} and so by `calculateAge` and
+ * `validateAge` alike: it leaves out typing mistakes such as "0995" or "1195" while accepting
+ * the oldest living people.
+ * @type {number}
+ */
+const MIN_BIRTH_YEAR = 1900;
+
+/**
+ * Builds the error thrown for unusable birth dates.
+ *
+ * @function invalidDate
+ * @param {string} message - Description of the problem
+ * @param {Object} params - Details, including a `reason` ("invalid", "future" or "range")
+ * @returns {ValidationError}
+ */
+function invalidDate (message, params) {
+    return new ValidationError("INVALID_DATE", message, { params });
+}
+
+/**
+ * Tells whether a year is a leap year in the Gregorian calendar.
+ *
+ * @function isLeapYear
+ * @param {number} year - The year
+ * @returns {boolean}
+ */
+function isLeapYear (year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Number of days in a month.
+ *
+ * @function daysInMonth
+ * @param {number} year - The year
+ * @param {number} month - 0-based month
+ * @returns {number}
+ */
+function daysInMonth (year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Converts a calendar date to a day count, for day arithmetic free of DST shifts.
+ *
+ * @function dayNumber
+ * @param {{year: number, month: number, day: number}} date - The calendar date
+ * @returns {number} Days since 1970-01-01
+ */
+function dayNumber ({ year, month, day }) {
+    return Date.UTC(year, month, day) / DAY_MS;
+}
+
+/**
+ * Converts a birth date to a calendar date.
+ *
+ * - "YYYY-MM-DD" strings are read as written
+ * - Dates at exactly midnight UTC, which is what `new Date("YYYY-MM-DD")` produces,
+ *   are read in UTC so the day does not shift in time zones west of Greenwich
+ * - Other dates are read in local time, like `new Date(1995, 4, 15)`
+ *
+ * @function toCalendarDate
+ * @param {Date|string} value - The date to convert
+ * @returns {{year: number, month: number, day: number}|undefined} The calendar date,
+ *   or undefined if the value is not a valid date (including impossible days such as 30 February)
+ */
+function toCalendarDate (value) {
+    if (typeof value === "string") {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (!match) return undefined;
+        const [year, month, day] = [Number(match[1]), Number(match[2]) - 1, Number(match[3])];
+        if (month > 11 || day < 1 || day > daysInMonth(year, month)) return undefined;
+        return { year, month, day };
+    }
+    if (!(value instanceof Date) || isNaN(value.getTime())) return undefined;
+    const utcMidnight = value.getUTCHours() === 0 && value.getUTCMinutes() === 0
+        && value.getUTCSeconds() === 0 && value.getUTCMilliseconds() === 0;
+    return utcMidnight
+        ? { year: value.getUTCFullYear(), month: value.getUTCMonth(), day: value.getUTCDate() }
+        : { year: value.getFullYear(), month: value.getMonth(), day: value.getDate() };
+}
+
+/**
+ * Returns the date on which a birthday falls in a given year.
+ *
+ * People born on 29 February celebrate on 1 March in common years, or on
+ * 28 February with `leapDayBirthday: "feb28"`.
+ *
+ * @function birthdayIn
+ * @param {{month: number, day: number}} birth - The birth date
+ * @param {number} year - The year
+ * @param {"mar1"|"feb28"} leapDayBirthday - Rule for 29 February birthdays
+ * @returns {{year: number, month: number, day: number}}
+ */
+function birthdayIn (birth, year, leapDayBirthday) {
+    if (birth.month === 1 && birth.day === 29 && !isLeapYear(year)) {
+        return leapDayBirthday === "feb28" ? { year, month: 1, day: 28 } : { year, month: 2, day: 1 };
+    }
+    return { year, month: birth.month, day: birth.day };
+}
+
+/**
+ * Adds months to a calendar date, clamping the day to the length of the target month.
+ *
+ * @function addMonths
+ * @param {{year: number, month: number, day: number}} date - The start date
+ * @param {number} count - Months to add
+ * @returns {{year: number, month: number, day: number}}
+ */
+function addMonths ({ year, month, day }, count) {
+    const total = year * 12 + month + count;
+    const target = { year: Math.floor(total / 12), month: total % 12 };
+    return { ...target, day: Math.min(day, daysInMonth(target.year, target.month)) };
+}
+
+/**
+ * Computes a detailed age from a birth date.
+ *
+ * @function computeAge
+ * @param {Date|string} birth - The birth date, as a Date or a "YYYY-MM-DD" string
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - The reference date ("today"), read in local time
+ * @param {number} [options.minBirthYear=MIN_BIRTH_YEAR] - Earliest accepted birth year;
+ *   `-Infinity` accepts any year
+ * @param {number} [options.maxBirthYear] - Latest accepted birth year
+ * @param {"mar1"|"feb28"} [options.leapDayBirthday="mar1"] - When people born on 29 February
+ *   have their birthday in common years
+ *
+ * @returns {{years: number, months: number, days: number, daysUntilNextBirthday: number, isBirthday: boolean}}
+ *   Completed years, months and days since birth, and the number of days until the next birthday
+ *   (0 on the birthday itself)
+ *
+ * @throws {ValidationError} Throws a ValidationError with code, message and params properties if:
+ *   - birth is not a valid date
+ *     {code: "INVALID_DATE", message: "Birth date is invalid", params: {reason: "invalid"}}
+ *   - birth is after `now`
+ *     {code: "INVALID_DATE", message: "Birth date cannot be in the future", params: {reason: "future"}}
+ *   - the birth year is outside the accepted range
+ *     {code: "INVALID_DATE", message: "Birth year is out of range", params: {reason: "range", min, max}}
+ *
+ * @example
+ * computeAge("2000-02-29", { now: new Date(2026, 1, 28) });
+ * // { years: 25, months: 11, days: 30, daysUntilNextBirthday: 1, isBirthday: false }
+ */
+function computeAge (birth, { now = new Date(), minBirthYear = MIN_BIRTH_YEAR, maxBirthYear, leapDayBirthday = "mar1" } = {}) {
+    const born = toCalendarDate(birth);
+    if (!born) {
+        throw invalidDate("Birth date is invalid", { reason: "invalid" });
+    }
+    if (born.year < minBirthYear || (maxBirthYear !== undefined && born.year > maxBirthYear)) {
+        throw invalidDate("Birth year is out of range", { reason: "range", min: minBirthYear, max: maxBirthYear });
+    }
+
+    const today = { year: now.getFullYear(), month: now.getMonth(), day: now.getDate() };
+    const todayNumber = dayNumber(today);
+    if (dayNumber(born) > todayNumber) {
+        throw invalidDate("Birth date cannot be in the future", { reason: "future" });
+    }
+
+    const thisYearsBirthday = birthdayIn(born, today.year, leapDayBirthday);
+    const hadBirthday = dayNumber(thisYearsBirthday) <= todayNumber;
+    const years = today.year - born.year - (hadBirthday ? 0 : 1);
+
+    const lastBirthday = years === 0 ? born : birthdayIn(born, born.year + years, leapDayBirthday);
+    let months = 0;
+    while (months < 11 && dayNumber(addMonths(lastBirthday, months + 1)) <= todayNumber) months++;
+    const days = todayNumber - dayNumber(addMonths(lastBirthday, months));
+
+    const nextBirthday = hadBirthday && dayNumber(thisYearsBirthday) !== todayNumber
+        ? birthdayIn(born, today.year + 1, leapDayBirthday)
+        : thisYearsBirthday;
+    const daysUntilNextBirthday = dayNumber(nextBirthday) - todayNumber;
+
+    return { years, months, days, daysUntilNextBirthday, isBirthday: daysUntilNextBirthday === 0 };
+}
+
+/**
+ * Export the age engine for use in other modules
+ * @exports age
+ */
+export { MIN_BIRTH_YEAR, isLeapYear, toCalendarDate, computeAge }
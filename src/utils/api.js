@@ -0,0 +1,216 @@
+/**
+ * @module api
+ * @description Axios based client for the registration backend.
+ * Retries transient failures with exponential backoff, supports cancellation through
+ * an AbortSignal and maps server-side field errors onto the form's `errors` shape.
+ * Submissions carry an `Idempotency-Key` header, the same for every attempt, so a retry after
+ * a lost response is answered with the stored registration instead of creating another one.
+ */
+
+import axios from "axios";
+import { createMockAdapter } from "./mockServer.js";
+import { isEmailRegistered } from "./registrationStore.js";
+
+/**
+ * Default client configuration.
+ * @type {Object}
+ * @property {string} baseURL - Root URL of the API
+ * @property {number} timeout - Request timeout in milliseconds
+ * @property {number} retries - Maximum number of retries after the first attempt
+ * @property {number} retryDelay - Base delay in milliseconds, doubled after each retry
+ * @property {number} maxRetryDelay - Upper bound for a single retry delay in milliseconds
+ */
+const DEFAULT_CONFIG = {
+    baseURL: "/api",
+    timeout: 10000,
+    retries: 3,
+    retryDelay: 300,
+    maxRetryDelay: 5000,
+};
+
+/**
+ * Tells whether a failed request is worth retrying.
+ *
+ * Network errors, timeouts, 408, 429 and 5xx responses are transient;
+ * cancellations and other 4xx responses are not.
+ *
+ * @function isTransientError
+ * @param {*} error - The error thrown by axios
+ * @returns {boolean} true if the request may succeed when retried
+ */
+function isTransientError (error) {
+    if (axios.isCancel(error)) return false;
+    if (!error || !error.isAxiosError) return false;
+    if (!error.response) return true;
+    const { status } = error.response;
+    return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Name of the header identifying one submission across its attempts.
+ * @type {string}
+ */
+const IDEMPOTENCY_HEADER = "Idempotency-Key";
+
+/**
+ * Generates the idempotency key of a submission.
+ *
+ * Uses `crypto.randomUUID` when available and falls back to a time-based key otherwise.
+ *
+ * @function createIdempotencyKey
+ * @returns {string} A unique key
+ */
+function createIdempotencyKey () {
+    if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Waits for `ms` milliseconds, rejecting early if the signal is aborted.
+ *
+ * @function wait
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function wait (ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new axios.CanceledError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new axios.CanceledError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+/**
+ * Runs a request, retrying transient failures with exponential backoff.
+ *
+ * @function withRetry
+ * @param {function(): Promise<*>} request - Function performing one attempt
+ * @param {Object} options
+ * @param {number} options.retries - Maximum number of retries
+ * @param {number} options.retryDelay - Base delay in milliseconds
+ * @param {number} options.maxRetryDelay - Upper bound for a single delay
+ * @param {AbortSignal} [options.signal] - Aborts both the request and pending waits
+ * @returns {Promise<*>} The result of the first successful attempt
+ *
+ * @throws {*} The last error once retries are exhausted, or the first non-transient error
+ */
+async function withRetry (request, { retries, retryDelay, maxRetryDelay, signal }) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await request();
+        } catch (err) {
+            if (attempt >= retries || !isTransientError(err)) throw err;
+            await wait(Math.min(retryDelay * 2 ** attempt, maxRetryDelay), signal);
+        }
+    }
+}
+
+/**
+ * Converts a failed submission into a map of field errors.
+ *
+ * The server answers validation failures with a body such as
+ * `{ errors: [{ field: "email", code: "INVALID_EMAIL" }] }`. Each entry is mapped to
+ * the same `{ code, message }` shape the client validators produce, so it can be merged
+ * into the same `errors` state and translated the same way.
+ *
+ * @function mapServerErrors
+ * @param {*} error - The error thrown by the client
+ * @returns {Object<string, {code: string, message?: string, params?: Object}>} Field name to error;
+ *   empty if the error has no field errors
+ *
+ * @example
+ * mapServerErrors(err); // { email: { code: "INVALID_EMAIL" } }
+ */
+function mapServerErrors (error) {
+    const list = error?.response?.data?.errors;
+    if (!Array.isArray(list)) return {};
+    return list.reduce((acc, { field, code, message, params }) => {
+        if (field) acc[field] = { code, message, params };
+        return acc;
+    }, {});
+}
+
+/**
+ * Creates a client for the registration API.
+ *
+ * @function createApiClient
+ * @param {Object} [config] - Overrides for {@link DEFAULT_CONFIG}; any other key
+ *   (e.g. `adapter`, `headers`) is passed to `axios.create`
+ * @returns {{http: import("axios").AxiosInstance, submitRegistration: function(Object, Object=): Promise<Object>,
+ *   checkEmail: function(string, Object=): Promise<{registered: boolean}>}}
+ *
+ * @example
+ * const api = createApiClient({ baseURL: "https://example.com/api", retries: 5 });
+ * const controller = new AbortController();
+ * const saved = await api.submitRegistration(form, { signal: controller.signal });
+ */
+function createApiClient (config = {}) {
+    const { retries, retryDelay, maxRetryDelay, ...axiosConfig } = { ...DEFAULT_CONFIG, ...config };
+    const http = axios.create(axiosConfig);
+
+    /**
+     * POSTs a registration. Every attempt sends the same {@link IDEMPOTENCY_HEADER}, so the
+     * server stores the registration once even when a response is lost and the POST retried.
+     *
+     * @function submitRegistration
+     * @param {Object} record - The registration to submit
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the submission, including pending retries
+     * @param {string} [options.idempotencyKey] - Key of the submission, new by default
+     * @returns {Promise<Object>} The registration as stored by the server
+     */
+    const submitRegistration = async (record, { signal, idempotencyKey = createIdempotencyKey() } = {}) => {
+        const headers = { [IDEMPOTENCY_HEADER]: idempotencyKey };
+        const response = await withRetry(
+            () => http.post("/registrations", record, { signal, headers }),
+            { retries, retryDelay, maxRetryDelay, signal }
+        );
+        return response.data;
+    };
+
+    /**
+     * Asks whether an email address is already registered. Not retried: the answer is only
+     * useful while the user is typing, and the submission is checked again anyway.
+     *
+     * @function checkEmail
+     * @param {string} email - The email address
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<{registered: boolean}>} The server's answer
+     */
+    const checkEmail = async (email, { signal } = {}) => {
+        const response = await http.get("/registrations/check-email", { params: { email }, signal });
+        return response.data;
+    };
+
+    return { http, submitRegistration, checkEmail };
+}
+
+/**
+ * Client used by the application. It talks to `VITE_API_URL` when set and to the
+ * in-browser mock server otherwise, so the app works offline. The mock server then looks up
+ * the registered emails in the local registration store, which the form fills.
+ * @type {ReturnType<typeof createApiClient>}
+ */
+const apiClient = import.meta.env?.VITE_API_URL
+    ? createApiClient({ baseURL: import.meta.env.VITE_API_URL })
+    : createApiClient({ adapter: createMockAdapter({ isRegistered: isEmailRegistered }) });
+
+/**
+ * Export the API client helpers for use in other modules
+ * @exports api
+ */
+export { DEFAULT_CONFIG, IDEMPOTENCY_HEADER, apiClient, createApiClient, isTransientError, mapServerErrors, withRetry }
@@ -0,0 +1,262 @@
+/**
+ * @module bulkValidation
+ * @description Validation of whole files of people (CSV or JSON) against the registration
+ * rules, and the reports of the `validate-people` command: a text summary, a JSON report and a
+ * JUnit XML report for CI servers.
+ *
+ * Independent of the browser: the command runs it with Node.
+ */
+
+import { ValidationError } from "./errors.js";
+import { safeCalculateAge } from "./module.js";
+import { sanitizeText } from "./sanitize.js";
+import { checkRecords, readCSVRecords } from "./registrationTransfer.js";
+
+/**
+ * Formats the files of people can be read from.
+ * @type {string[]}
+ */
+const FORMATS = ["csv", "json"];
+
+/**
+ * Guesses the format of a file from its name: JSON for `.json` files, CSV otherwise.
+ *
+ * @function detectFormat
+ * @param {string} filename - The file name or path
+ * @returns {"csv"|"json"} The format
+ */
+function detectFormat (filename) {
+    return /\.json$/i.test(filename) ? "json" : "csv";
+}
+
+/**
+ * Reads the people of a file.
+ *
+ * - CSV: the first row holds the column names, matched to the fields as in the import of the
+ *   "Registered users" view ({@link readCSVRecords}); each person is identified by the
+ *   line of the file their row starts on
+ * - JSON: an array of records, such as the JSON export; each person is identified by their
+ *   position in the array, from 1
+ *
+ * @function readPeople
+ * @param {string} text - The file content
+ * @param {Object} [options]
+ * @param {"csv"|"json"} [options.format="csv"] - The file format
+ * @returns {{records: Object[], rows: number[], rowLabel: string, missingFields: string[]}} The
+ *   records, their line or position, what these numbers are ("line" or "record") and the
+ *   required fields no CSV column holds
+ *
+ * @throws {ValidationError} CSV_EMPTY, CSV_UNTERMINATED_QUOTE, INVALID_JSON or
+ *   JSON_NOT_ARRAY if the file cannot be read
+ *
+ * @example
+ * readPeople("nom,email\nMartin,lea@example.fr\n");
+ * // { records: [{ lastname: "Martin", email: "lea@example.fr" }], rows: [2], rowLabel: "line",
+ * //   missingFields: ["firstname", …] }
+ */
+function readPeople (text, { format = "csv" } = {}) {
+    if (format === "json") {
+        let records;
+        try {
+            records = JSON.parse(text);
+        } catch (err) {
+            throw new ValidationError("INVALID_JSON", `The file is not valid JSON: ${err.message}`);
+        }
+        if (!Array.isArray(records) || records.some(r => !r || typeof r !== "object" || Array.isArray(r))) {
+            throw new ValidationError("JSON_NOT_ARRAY", "The file must hold an array of records");
+        }
+        return { records, rows: records.map((r, i) => i + 1), rowLabel: "record", missingFields: [] };
+    }
+
+    const { records, lines, missingFields } = readCSVRecords(text);
+    return { records, rows: lines, rowLabel: "line", missingFields };
+}
+
+/**
+ * Validates people with the rules of the registration form ({@link checkRecords}), including
+ * duplicate emails within the file, and computes the age of those with a valid birth date
+ * ({@link calculateAge}).
+ *
+ * @function validatePeople
+ * @param {Object[]} records - The records
+ * @param {Object} [options]
+ * @param {number[]} [options.rows] - Line or position of each record, from 1 by default
+ * @param {Date} [options.now=new Date()] - Reference date for ages
+ * @returns {{row: number, record: Object, age?: number, errors: Object[]}[]} For each record,
+ *   its errors (`{ field, code, message, params }`, none when it passes) and age
+ */
+function validatePeople (records, { rows = records.map((r, i) => i + 1), now = new Date() } = {}) {
+    const checks = checkRecords(records, { now });
+    return records.map((record, i) => {
+        const errors = checks[i];
+        const result = { row: rows[i], record, errors };
+        if (errors.some(e => e.field === "birth")) return result;
+
+        const age = safeCalculateAge({ birth: new Date(record.birth) }, now);
+        if (age.ok) {
+            result.age = age.value;
+        } else {
+            const { code, message, params } = age.error;
+            errors.push({ field: "birth", code, message, params });
+        }
+        return result;
+    });
+}
+
+/**
+ * Counts the people who passed and failed, and the errors by code.
+ *
+ * @function summarizeResults
+ * @param {Object[]} results - The results of {@link validatePeople}
+ * @returns {{total: number, passed: number, failed: number, errorsByCode: Object<string, number>}}
+ */
+function summarizeResults (results) {
+    const failed = results.filter(r => r.errors.length > 0).length;
+    const errorsByCode = {};
+    results.forEach(r => r.errors.forEach(({ code }) => {
+        errorsByCode[code] = (errorsByCode[code] ?? 0) + 1;
+    }));
+    return { total: results.length, passed: results.length - failed, failed, errorsByCode };
+}
+
+/**
+ * Names a person in reports: their row, and their first and last name when known, sanitized
+ * like the form sanitizes them.
+ *
+ * @function describePerson
+ * @param {Object} result - A result of {@link validatePeople}
+ * @param {string} rowLabel - What the row numbers are, see {@link readPeople}
+ * @returns {string} The description, e.g. "line 3 (Léa Martin)"
+ */
+function describePerson ({ row, record }, rowLabel) {
+    const name = [record.firstname, record.lastname].map(name => sanitizeText(name)).filter(Boolean).join(" ");
+    return name ? `${rowLabel} ${row} (${name})` : `${rowLabel} ${row}`;
+}
+
+/**
+ * Formats the summary printed by the command: the counts, then one line per error.
+ *
+ * @function formatSummary
+ * @param {Object[]} results - The results of {@link validatePeople}
+ * @param {Object} [options]
+ * @param {string} [options.file] - The validated file, named in the first line
+ * @param {string[]} [options.missingFields=[]] - Required fields no column holds
+ * @param {string} [options.rowLabel="line"] - What the row numbers are, see {@link readPeople}
+ * @returns {string} The summary, ending with a line break
+ *
+ * @example
+ * formatSummary(results, { file: "people.csv" });
+ * // "people.csv: 3 people checked, 1 passed, 2 failed\n  line 3 (Jean Dupont): email INVALID_EMAIL Invalid email format\n…"
+ */
+function formatSummary (results, { file, missingFields = [], rowLabel = "line" } = {}) {
+    const { total, passed, failed, errorsByCode } = summarizeResults(results);
+    const lines = [`${file ? `${file}: ` : ""}${total} people checked, ${passed} passed, ${failed} failed`];
+    if (missingFields.length > 0) {
+        lines.push(`  No column holds: ${missingFields.join(", ")}`);
+    }
+    results.forEach(result => result.errors.forEach(({ field, code, message }) => {
+        lines.push(`  ${describePerson(result, rowLabel)}: ${field ?? "row"} ${code} ${message}`);
+    }));
+    const codes = Object.entries(errorsByCode).map(([code, count]) => `${code} × ${count}`);
+    if (codes.length > 0) lines.push(`Errors: ${codes.join(", ")}`);
+    return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Builds the JSON report of the command.
+ *
+ * @function toJSONReport
+ * @param {Object[]} results - The results of {@link validatePeople}
+ * @param {Object} [options]
+ * @param {string} [options.file] - The validated file
+ * @param {Date} [options.now=new Date()] - Date of the report
+ * @returns {string} The report: file, date, counts (see {@link summarizeResults}) and, for each
+ *   person, their row, status, age and errors
+ */
+function toJSONReport (results, { file, now = new Date() } = {}) {
+    return JSON.stringify({
+        file,
+        checkedAt: now.toISOString(),
+        ...summarizeResults(results),
+        people: results.map(({ row, age, errors }) => ({
+            row,
+            status: errors.length > 0 ? "failed" : "passed",
+            age,
+            errors: errors.map(({ field, code, message, params }) => ({ field, code, message, params })),
+        })),
+    }, null, 2);
+}
+
+/**
+ * Characters XML 1.0 does not allow anywhere in a document, even escaped: C0 controls other
+ * than tab, line feed and carriage return, U+FFFE, U+FFFF and unpaired surrogates.
+ * @type {RegExp}
+ */
+const XML_FORBIDDEN_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+/**
+ * Escapes text for an XML attribute or element, removing the characters XML cannot hold
+ * ({@link XML_FORBIDDEN_CHARACTERS}) so a stray control character in a file still gives a
+ * report CI servers can parse.
+ *
+ * @function escapeXML
+ * @param {*} value - The text
+ * @returns {string} The escaped text
+ */
+function escapeXML (value) {
+    return String(value).replace(XML_FORBIDDEN_CHARACTERS, "").replace(/[<>&"']/g, char => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[char]);
+}
+
+/**
+ * Builds the JUnit XML report of the command: one test case per person, failed with their
+ * errors, so CI servers show the people to fix like failed tests.
+ *
+ * @function toJUnitReport
+ * @param {Object[]} results - The results of {@link validatePeople}
+ * @param {Object} [options]
+ * @param {string} [options.file="people"] - The validated file, used as suite and class name
+ * @param {string} [options.rowLabel="line"] - What the row numbers are, see {@link readPeople}
+ * @param {Date} [options.now=new Date()] - Date of the report
+ * @returns {string} The XML document
+ */
+function toJUnitReport (results, { file = "people", rowLabel = "line", now = new Date() } = {}) {
+    const { total, failed } = summarizeResults(results);
+    const name = escapeXML(file);
+    const cases = results.map((result) => {
+        const title = escapeXML(describePerson(result, rowLabel));
+        if (result.errors.length === 0) {
+            return `    <testcase classname="${name}" name="${title}"/>`;
+        }
+        const details = result.errors.map(({ field, code, message }) => `${field ?? "row"}: ${code} ${message}`).join("\n");
+        const summary = result.errors.map(({ code }) => code).join(", ");
+        return [
+            `    <testcase classname="${name}" name="${title}">`,
+            `      <failure message="${escapeXML(summary)}" type="ValidationError">${escapeXML(details)}</failure>`,
+            "    </testcase>",
+        ].join("\n");
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="validate-people" tests="${total}" failures="${failed}">`,
+        `  <testsuite name="${name}" tests="${total}" failures="${failed}" errors="0" timestamp="${now.toISOString()}">`,
+        ...cases,
+        "  </testsuite>",
+        "</testsuites>",
+        "",
+    ].join("\n");
+}
+
+/**
+ * Export the bulk validation functions for use in other modules
+ * @exports bulkValidation
+ */
+export {
+    FORMATS,
+    detectFormat,
+    readPeople,
+    validatePeople,
+    summarizeResults,
+    formatSummary,
+    toJSONReport,
+    toJUnitReport,
+}
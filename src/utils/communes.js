@@ -0,0 +1,184 @@
+/**
+ * @module communes
+ * @description Lookups on the bundled French post code base: towns for a post code,
+ * department and region derivation, and the post code / town cross-check.
+ */
+
+import { communes } from "../data/communes.js";
+import { departments } from "../data/departments.js";
+import { normalizePostCode } from "./validator.js";
+import { ValidationError } from "./errors.js";
+
+/**
+ * Commune entries indexed by post code.
+ * @type {Map<string, {name: string, department?: string}[]>}
+ */
+const byPostCode = communes.reduce((index, [postCode, name, department]) => {
+    if (!index.has(postCode)) index.set(postCode, []);
+    index.get(postCode).push({ name, department });
+    return index;
+}, new Map());
+
+/**
+ * Number of towns a mismatch error names; post codes serving more communes end the list with "…"
+ * (the town field suggests all of them).
+ * @type {number}
+ */
+const MAX_LISTED_TOWNS = 5;
+
+/**
+ * Reduces a town name to a comparable key: no accents, lowercase, hyphens and
+ * apostrophes as spaces, "St"/"Ste" expanded to "Saint"/"Sainte".
+ *
+ * @function normalizeTownName
+ * @param {string} town - The town name
+ * @returns {string} The comparison key
+ *
+ * @example
+ * normalizeTownName("St-Étienne"); // "saint etienne"
+ */
+function normalizeTownName (town) {
+    return String(town)
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[-'’\s]+/g, " ")
+        .trim()
+        .replace(/\bste\b/g, "sainte")
+        .replace(/\bst\b/g, "saint");
+}
+
+/**
+ * Returns the names of the communes served by a French post code.
+ *
+ * @function findCommunes
+ * @param {string} postCode - A French post code
+ * @returns {string[]} Commune names, empty when the code is not in the dataset
+ *
+ * @example
+ * findCommunes("95000"); // ["Cergy", "Neuville-sur-Oise", "Pontoise"]
+ */
+function findCommunes (postCode) {
+    const entries = byPostCode.get(normalizePostCode(postCode, "FR")) || [];
+    return entries.map(e => e.name);
+}
+
+/**
+ * Derives the INSEE department code from the digits of a French post code.
+ *
+ * - Corsica: 200xx-201xx is Corse-du-Sud ("2A"), 202xx-206xx is Haute-Corse ("2B")
+ * - Overseas: 97xxx and 98xxx use three digits ("971", "974", …)
+ * - Otherwise the first two digits
+ *
+ * A few communes are served by the post office of a neighbouring department and do not follow
+ * these rules; the dataset lists their department (see {@link getDepartmentCode}).
+ *
+ * @function departmentFromPostCode
+ * @param {string} code - A normalized five-digit French post code
+ * @returns {string} The department code
+ *
+ * @example
+ * departmentFromPostCode("20090"); // "2A"
+ */
+function departmentFromPostCode (code) {
+    if (code.startsWith("20")) return Number(code) < 20200 ? "2A" : "2B";
+    if (code.startsWith("97") || code.startsWith("98")) return code.slice(0, 3);
+    return code.slice(0, 2);
+}
+
+/**
+ * Derives the INSEE department code from a French post code, and the town when the post code
+ * serves communes of several departments.
+ *
+ * Communes listed with an explicit department in the dataset take precedence over
+ * {@link departmentFromPostCode}: the town's own, or the one all the communes of the post code
+ * share (e.g. Saint-Barthélemy, 97133, is "977"). Without a matching town, a post code
+ * shared with a commune of another department gives the department of its digits.
+ *
+ * @function getDepartmentCode
+ * @param {string} postCode - A French post code
+ * @param {string} [town] - The town, compared like in {@link validateTownForPostCode}
+ * @returns {string|undefined} The department code, or undefined if the post code is malformed
+ *
+ * @example
+ * getDepartmentCode("20090");                                // "2A"
+ * getDepartmentCode("97400");                                // "974"
+ * getDepartmentCode("33220", "Port-Sainte-Foy-et-Ponchapt"); // "24"
+ */
+function getDepartmentCode (postCode, town) {
+    const code = normalizePostCode(postCode, "FR");
+    if (typeof code !== "string" || !/^\d{5}$/.test(code)) return undefined;
+
+    const entries = byPostCode.get(code) || [];
+    const key = town === undefined ? undefined : normalizeTownName(town);
+    const match = entries.find(e => normalizeTownName(e.name) === key);
+    if (match) return match.department ?? departmentFromPostCode(code);
+
+    const shared = entries[0]?.department;
+    if (shared && entries.every(e => e.department === shared)) return shared;
+    return departmentFromPostCode(code);
+}
+
+/**
+ * Returns the department and region of a French post code.
+ *
+ * @function getDepartment
+ * @param {string} postCode - A French post code
+ * @param {string} [town] - The town, see {@link getDepartmentCode}
+ * @returns {{code: string, name: string, region: string}|undefined}
+ *   The department, or undefined if the post code does not map to a known department
+ *
+ * @example
+ * getDepartment("20200"); // { code: "2B", name: "Haute-Corse", region: "Corse" }
+ */
+function getDepartment (postCode, town) {
+    const code = getDepartmentCode(postCode, town);
+    return code && departments[code] ? { code, ...departments[code] } : undefined;
+}
+
+/**
+ * Checks that a town is served by a post code.
+ *
+ * Only French post codes are checked, against every commune the dataset lists for them;
+ * other countries pass, and so do the few codes the dataset lacks (e.g. CEDEX codes, which
+ * serve businesses rather than communes), the post code validator having accepted them. The
+ * comparison ignores case, accents, hyphens and "St"/"Saint" spelling.
+ *
+ * @function validateTownForPostCode
+ * @param {string} town - The town name
+ * @param {string} postCode - The post code
+ * @param {string} [country="FR"] - ISO 3166-1 alpha-2 country code
+ *
+ * @throws {ValidationError} Throws a ValidationError with code and message properties if:
+ *   - the post code is known and none of its communes matches the town
+ *     {code: "TOWN_POST_CODE_MISMATCH", message: "Town does not match post code", params: {postCode, towns}},
+ *     `towns` naming the first {@link MAX_LISTED_TOWNS} communes of the post code
+ *
+ * @returns {void} Returns nothing if validation passes
+ *
+ * @example
+ * validateTownForPostCode("Paris", "75001");     // passes
+ * validateTownForPostCode("Marseille", "75001"); // throws TOWN_POST_CODE_MISMATCH
+ */
+function validateTownForPostCode (town, postCode, country = "FR") {
+    if (country !== "FR") return;
+    const known = findCommunes(postCode);
+    if (known.length === 0) return;
+
+    const key = normalizeTownName(town);
+    if (!known.some(name => normalizeTownName(name) === key)) {
+        throw new ValidationError("TOWN_POST_CODE_MISMATCH", "Town does not match post code", {
+            field: "town",
+            params: {
+                postCode: normalizePostCode(postCode, "FR"),
+                towns: [...known.slice(0, MAX_LISTED_TOWNS), ...(known.length > MAX_LISTED_TOWNS ? ["…"] : [])].join(", "),
+            },
+        });
+    }
+}
+
+/**
+ * Export the commune lookups for use in other modules
+ * @exports communes
+ */
+export { normalizeTownName, findCommunes, departmentFromPostCode, getDepartmentCode, getDepartment, validateTownForPostCode }
@@ -0,0 +1,162 @@
+/**
+ * @module counter
+ * @description State of a bounded numeric counter with an undo/redo history, as a pure reducer
+ * so it can be tested without React. Used by {@link useCounter}.
+ */
+
+/**
+ * Maximum number of changes that can be undone.
+ * @type {number}
+ */
+const HISTORY_LIMIT = 100;
+
+/**
+ * Counts the decimals of a number, so that adding steps such as 0.1 does not produce
+ * 0.30000000000000004.
+ *
+ * @function countDecimals
+ * @param {number} value - A finite number
+ * @returns {number} The number of digits after the decimal point
+ *
+ * @example
+ * countDecimals(0.25); // 2
+ * countDecimals(3);    // 0
+ */
+function countDecimals (value) {
+    const [mantissa, exponent] = String(value).split("e");
+    const decimals = (mantissa.split(".")[1] || "").length - Number(exponent || 0);
+    return Math.max(0, decimals);
+}
+
+/**
+ * Checks and completes the options of a counter.
+ *
+ * @function createCounterConfig
+ * @param {Object} [options]
+ * @param {number} [options.initial=0] - Starting value, and the value `reset` goes back to
+ * @param {number} [options.step=1] - Amount added or removed by increment and decrement
+ * @param {number} [options.min=-Infinity] - Smallest allowed value
+ * @param {number} [options.max=Infinity] - Largest allowed value
+ * @returns {{initial: number, step: number, min: number, max: number, decimals: number}} The
+ *   config, with `initial` brought within the bounds
+ *
+ * @throws {RangeError} If `step` is not a positive number or `min` is greater than `max`
+ *
+ * @example
+ * createCounterConfig({ initial: 12, max: 10 }); // { initial: 10, step: 1, min: -Infinity, max: 10, decimals: 0 }
+ */
+function createCounterConfig ({ initial = 0, step = 1, min = -Infinity, max = Infinity } = {}) {
+    if (!Number.isFinite(step) || step <= 0) {
+        throw new RangeError("step must be a positive number");
+    }
+    if (Number.isNaN(min) || Number.isNaN(max) || min > max) {
+        throw new RangeError("min must not be greater than max");
+    }
+    if (!Number.isFinite(initial)) {
+        throw new RangeError("initial must be a finite number");
+    }
+    const decimals = Math.max(countDecimals(step), countDecimals(initial));
+    return { initial: clampValue(initial, { min, max, decimals }), step, min, max, decimals };
+}
+
+/**
+ * Brings a value within the bounds and rounds it to the counter precision.
+ *
+ * @function clampValue
+ * @param {number} value - The value
+ * @param {{min: number, max: number, decimals: number}} config - The counter config
+ * @returns {number} The value, clamped and rounded
+ */
+function clampValue (value, { min, max, decimals }) {
+    return Math.min(max, Math.max(min, Number(value.toFixed(decimals))));
+}
+
+/**
+ * Creates the state of a counter: the current value and the values to undo and redo.
+ *
+ * @function createCounterState
+ * @param {number} value - The current value
+ * @returns {{past: number[], present: number, future: number[]}} A state without history
+ */
+function createCounterState (value) {
+    return { past: [], present: value, future: [] };
+}
+
+/**
+ * Moves the counter to a new value, recording the change in the history. Values are clamped;
+ * a change that leaves the value as it is, or to a value that is not a number, is not recorded.
+ *
+ * @function moveTo
+ * @param {{past: number[], present: number, future: number[]}} state - The counter state
+ * @param {number} value - The wanted value
+ * @param {Object} config - The counter config
+ * @returns {{past: number[], present: number, future: number[]}} The new state
+ */
+function moveTo (state, value, config) {
+    if (typeof value !== "number" || Number.isNaN(value)) return state;
+    const next = clampValue(value, config);
+    if (next === state.present || !Number.isFinite(next)) return state;
+    return { past: [...state.past, state.present].slice(-HISTORY_LIMIT), present: next, future: [] };
+}
+
+/**
+ * Computes the next state of a counter.
+ *
+ * Actions:
+ * - `{ type: "increment" }`, `{ type: "decrement" }` - One step up or down; `times` moves
+ *   several steps at once (e.g. Page Up)
+ * - `{ type: "set", value }` - Goes to a value (e.g. the minimum with Home)
+ * - `{ type: "reset" }` - Goes back to the initial value
+ * - `{ type: "undo" }`, `{ type: "redo" }` - Walks the history; nothing happens at its ends
+ *
+ * @function counterReducer
+ * @param {{past: number[], present: number, future: number[]}} state - The counter state
+ * @param {{type: string, value?: number, times?: number}} action - What to do
+ * @param {Object} config - The counter config, from {@link createCounterConfig}
+ * @returns {{past: number[], present: number, future: number[]}} The new state; the same
+ *   object when nothing changed
+ *
+ * @throws {Error} If the action type is unknown
+ *
+ * @example
+ * const config = createCounterConfig({ max: 2 });
+ * let state = createCounterState(config.initial);
+ * state = counterReducer(state, { type: "increment", times: 5 }, config); // present: 2
+ * state = counterReducer(state, { type: "undo" }, config);                // present: 0
+ */
+function counterReducer (state, action, config) {
+    const { step, initial } = config;
+    const times = action.times ?? 1;
+    switch (action.type) {
+    case "increment":
+        return moveTo(state, state.present + step * times, config);
+    case "decrement":
+        return moveTo(state, state.present - step * times, config);
+    case "set":
+        return moveTo(state, action.value, config);
+    case "reset":
+        return moveTo(state, initial, config);
+    case "undo":
+        if (state.past.length === 0) return state;
+        return {
+            past: state.past.slice(0, -1),
+            present: state.past[state.past.length - 1],
+            future: [state.present, ...state.future],
+        };
+    case "redo":
+        if (state.future.length === 0) return state;
+        return {
+            past: [...state.past, state.present],
+            present: state.future[0],
+            future: state.future.slice(1),
+        };
+    default:
+        throw new Error(`Unknown counter action: ${action.type}`);
+    }
+}
+
+/**
+ * Export the counter state helpers for use in other modules
+ * @exports counter
+ */
+export { HISTORY_LIMIT, countDecimals, createCounterConfig, clampValue, createCounterState, counterReducer }
@@ -0,0 +1,177 @@
+/**
+ * @module csv
+ * @description Reading and writing CSV (RFC 4180), as produced and opened by spreadsheets.
+ *
+ * Cells starting with a character spreadsheets treat as a formula (`=`, `+`, `-`, `@`, tab,
+ * carriage return) are written behind a `'` so that opening an export cannot run a formula
+ * injected in a registration; {@link parseCSV} removes that `'` again, so exports can be
+ * imported back unchanged.
+ */
+
+import { ValidationError } from "./errors.js";
+
+/**
+ * Cells a spreadsheet would evaluate, or that start with `'` in front of such a cell (escaped
+ * again so they read back unchanged).
+ * @type {RegExp}
+ */
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+/**
+ * Delimiters recognized by {@link detectDelimiter}: comma, semicolon (spreadsheets set to
+ * French and other locales using the decimal comma) and tab.
+ * @type {string[]}
+ */
+const DELIMITERS = [",", ";", "\t"];
+
+/**
+ * Guesses the delimiter of a CSV text from its first line: the most frequent of
+ * {@link DELIMITERS} outside quoted cells, comma by default.
+ *
+ * @function detectDelimiter
+ * @param {string} text - The CSV text
+ * @returns {string} The delimiter
+ *
+ * @example
+ * detectDelimiter("nom;prénom\nMartin;Léa"); // ";"
+ */
+function detectDelimiter (text) {
+    const counts = Object.fromEntries(DELIMITERS.map(d => [d, 0]));
+    let quoted = false;
+    for (const char of text) {
+        if (char === '"') quoted = !quoted;
+        else if (!quoted && (char === "\n" || char === "\r")) break;
+        else if (!quoted && char in counts) counts[char] += 1;
+    }
+    return DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ",");
+}
+
+/**
+ * Removes the `'` written in front of cells that look like formulas.
+ *
+ * @function unescapeCell
+ * @param {string} cell - The cell as read
+ * @returns {string} The original value
+ */
+function unescapeCell (cell) {
+    return cell.startsWith("'") && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+}
+
+/**
+ * Parses a CSV text into rows of cells.
+ *
+ * - Quoted cells may contain delimiters, line breaks and doubled quotes (`""`)
+ * - Lines end with LF or CRLF; a UTF-8 byte order mark is ignored
+ * - Empty lines are skipped
+ *
+ * @function parseCSV
+ * @param {string} text - The CSV text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Cell delimiter, detected from the first line by default
+ * @returns {{rows: string[][], lines: number[]}} The rows, and for each row the line number it
+ *   starts on (1-based), to report errors where the user sees them
+ *
+ * @throws {ValidationError} CSV_UNTERMINATED_QUOTE if a quoted cell is not closed
+ *
+ * @example
+ * parseCSV('name,town\n"Martin, Léa",Paris\n');
+ * // { rows: [["name", "town"], ["Martin, Léa", "Paris"]], lines: [1, 2] }
+ */
+function parseCSV (text, { delimiter = detectDelimiter(text) } = {}) {
+    const source = text.replace(/^\uFEFF/, "");
+    const rows = [];
+    const lines = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    let quoteLine = 1;
+
+    const endCell = () => {
+        row.push(unescapeCell(cell));
+        cell = "";
+    };
+    const endRow = () => {
+        endCell();
+        if (row.length > 1 || row[0] !== "") {
+            rows.push(row);
+            lines.push(rowLine);
+        }
+        row = [];
+    };
+
+    for (let i = 0; i < source.length; i += 1) {
+        const char = source[i];
+        if (char === "\n") line += 1;
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+            quoteLine = line;
+        } else if (char === delimiter) {
+            endCell();
+        } else if (char === "\n" || (char === "\r" && source[i + 1] === "\n")) {
+            if (char === "\r") {
+                i += 1;
+                line += 1;
+            }
+            endRow();
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        throw new ValidationError("CSV_UNTERMINATED_QUOTE", `Quoted cell opened on line ${quoteLine} is not closed`, {
+            params: { line: quoteLine },
+        });
+    }
+    endRow();
+    return { rows, lines };
+}
+
+/**
+ * Formats one cell: quoted when it holds a delimiter, a quote, a line break or surrounding
+ * spaces, and behind a `'` when it looks like a formula.
+ *
+ * @function formatCell
+ * @param {*} value - The cell value; null and undefined become empty cells
+ * @param {string} delimiter - The cell delimiter
+ * @returns {string} The CSV cell
+ */
+function formatCell (value, delimiter) {
+    let cell = value === null || value === undefined ? "" : String(value);
+    if (FORMULA_START.test(cell)) cell = `'${cell}`;
+    const needsQuotes = cell.includes(delimiter) || /["\r\n]/.test(cell) || cell.trim() !== cell;
+    return needsQuotes ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/**
+ * Formats rows of cells as CSV, with CRLF line endings as RFC 4180 asks.
+ *
+ * @function toCSV
+ * @param {Array<Array<*>>} rows - The rows, header included
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=","] - Cell delimiter
+ * @returns {string} The CSV text, ending with a line break
+ *
+ * @example
+ * toCSV([["name", "town"], ["Martin, Léa", "Paris"]]); // 'name,town\r\n"Martin, Léa",Paris\r\n'
+ */
+function toCSV (rows, { delimiter = "," } = {}) {
+    return rows.map(row => row.map(value => formatCell(value, delimiter)).join(delimiter)).join("\r\n") + "\r\n";
+}
+
+/**
+ * Export the CSV functions for use in other modules
+ * @exports csv
+ */
+export { DELIMITERS, detectDelimiter, parseCSV, toCSV }
@@ -0,0 +1,99 @@
+/**
+ * @module draftStore
+ * @description In-progress form values ("drafts") saved to localStorage, so a reload does not
+ * lose what the user typed. Drafts live under their own key, apart from the submitted
+ * registrations of {@link module:registrationStore}, carry the version of the form that saved
+ * them and expire after a while.
+ */
+
+/**
+ * localStorage key holding the registration form draft.
+ * @type {string}
+ */
+const DRAFT_KEY = "registration-draft";
+
+/**
+ * Version of the stored draft format. Bump it when the form's fields change in a way that
+ * makes older drafts unusable; drafts of another version are discarded on load.
+ * @type {number}
+ */
+const DRAFT_VERSION = 1;
+
+/**
+ * How long a draft is kept, in milliseconds (7 days).
+ * @type {number}
+ */
+const DRAFT_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Saves form values as the current draft, replacing any previous one.
+ *
+ * @function saveDraft
+ * @param {Object} values - The form values
+ * @param {Object} [options]
+ * @param {string} [options.key=DRAFT_KEY] - localStorage key
+ * @param {number} [options.version=DRAFT_VERSION] - Version of the form
+ * @param {Date} [options.now=new Date()] - Save time
+ * @returns {{version: number, savedAt: string, values: Object}} The stored draft
+ */
+function saveDraft (values, { key = DRAFT_KEY, version = DRAFT_VERSION, now = new Date() } = {}) {
+    const draft = { version, savedAt: now.toISOString(), values };
+    localStorage.setItem(key, JSON.stringify(draft));
+    return draft;
+}
+
+/**
+ * Returns the saved draft if it is still usable.
+ *
+ * Drafts that are corrupt, from another version or older than `maxAge` are deleted and
+ * not returned.
+ *
+ * @function loadDraft
+ * @param {Object} [options]
+ * @param {string} [options.key=DRAFT_KEY] - localStorage key
+ * @param {number} [options.version=DRAFT_VERSION] - Expected version
+ * @param {number} [options.maxAge=DRAFT_MAX_AGE] - Maximum age in milliseconds
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {{version: number, savedAt: string, values: Object}|undefined} The draft, or undefined
+ *
+ * @example
+ * const draft = loadDraft();
+ * if (draft) setForm(draft.values);
+ */
+function loadDraft ({ key = DRAFT_KEY, version = DRAFT_VERSION, maxAge = DRAFT_MAX_AGE, now = new Date() } = {}) {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return undefined;
+
+    let draft;
+    try {
+        draft = JSON.parse(raw);
+    } catch {
+        draft = undefined;
+    }
+    const age = now.getTime() - new Date(draft?.savedAt).getTime();
+    const usable = draft && typeof draft.values === "object" && draft.values !== null
+        && draft.version === version && age >= 0 && age <= maxAge;
+    if (!usable) {
+        localStorage.removeItem(key);
+        return undefined;
+    }
+    return draft;
+}
+
+/**
+ * Deletes the saved draft.
+ *
+ * @function clearDraft
+ * @param {Object} [options]
+ * @param {string} [options.key=DRAFT_KEY] - localStorage key
+ * @returns {void}
+ */
+function clearDraft ({ key = DRAFT_KEY } = {}) {
+    localStorage.removeItem(key);
+}
+
+/**
+ * Export the draft store for use in other modules
+ * @exports draftStore
+ */
+export { DRAFT_KEY, DRAFT_VERSION, DRAFT_MAX_AGE, saveDraft, loadDraft, clearDraft }
@@ -0,0 +1,163 @@
+/**
+ * @module email
+ * @description Checks on email domains against the bundled datasets: disposable provider
+ * blocking and "did you mean …?" suggestions for misspelled provider domains. Also asks the
+ * server whether an address is already registered.
+ */
+
+import { disposableDomains } from "../data/disposableDomains.js";
+import { emailProviders } from "../data/emailProviders.js";
+import { parseEmail } from "./validator.js";
+import { ValidationError } from "./errors.js";
+
+/**
+ * Disposable domains, for constant time lookups.
+ * @type {Set<string>}
+ */
+const disposable = new Set(disposableDomains);
+
+/**
+ * Largest edit distance for which a provider domain is suggested.
+ * @type {number}
+ */
+const MAX_SUGGESTION_DISTANCE = 2;
+
+/**
+ * Counts the single character edits (insertion, deletion, substitution or swap of two
+ * adjacent characters) needed to turn one string into another.
+ *
+ * @function editDistance
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {number} The optimal string alignment distance
+ *
+ * @example
+ * editDistance("gmial.com", "gmail.com"); // 1
+ */
+function editDistance (a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+/**
+ * Tells whether an address belongs to a disposable email provider, including its subdomains.
+ *
+ * @function isDisposableEmail
+ * @param {string} email - The email address
+ * @returns {boolean} false for valid addresses of other providers and for invalid addresses
+ *
+ * @example
+ * isDisposableEmail("lea@yopmail.com");      // true
+ * isDisposableEmail("lea@eu.mailinator.com"); // true
+ */
+function isDisposableEmail (email) {
+    const domain = parseEmail(email)?.domain;
+    if (!domain) return false;
+    const labels = domain.split(".");
+    return labels.some((_, i) => disposable.has(labels.slice(i).join(".")));
+}
+
+/**
+ * Rejects addresses of disposable email providers.
+ *
+ * Addresses with an invalid syntax are left to {@link validateEmail}.
+ *
+ * @function validateEmailNotDisposable
+ * @param {string} email - The email address to validate
+ *
+ * @throws {ValidationError} Throws a ValidationError if the provider is disposable
+ *   {code: "DISPOSABLE_EMAIL", message: "Disposable email addresses are not accepted", params: {domain}}
+ *
+ * @returns {void} Returns nothing if validation passes
+ */
+function validateEmailNotDisposable (email) {
+    if (isDisposableEmail(email)) {
+        throw new ValidationError("DISPOSABLE_EMAIL", "Disposable email addresses are not accepted", {
+            field: "email",
+            params: { domain: parseEmail(email).domain },
+        });
+    }
+}
+
+/**
+ * Rejects addresses already used by a registration, asking the server.
+ *
+ * Async: runs as the user types, once the address passed the synchronous validators. When
+ * the server cannot be reached, the address is accepted; the submission is checked again.
+ *
+ * @function validateEmailNotRegistered
+ * @param {string} email - The email address to validate
+ * @param {Object} [options]
+ * @param {{checkEmail: function(string, Object): Promise<{registered: boolean}>}} [options.api] - The
+ *   API client (see {@link createApiClient}); without `checkEmail`, the check is skipped
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ *
+ * @throws {ValidationError} Rejects with a ValidationError if the address is registered
+ *   {code: "EMAIL_TAKEN", message: "This email is already registered"}
+ * @throws {*} Rejects with the cancellation error when the signal is aborted
+ *
+ * @returns {Promise<void>} Resolves when the address is free or could not be checked
+ *
+ * @example
+ * await validateEmailNotRegistered("lea@example.fr", { api: apiClient, signal });
+ */
+async function validateEmailNotRegistered (email, { api, signal } = {}) {
+    if (!api?.checkEmail) return;
+    let registered;
+    try {
+        ({ registered } = await api.checkEmail(email, { signal }));
+    } catch (err) {
+        if (signal?.aborted) throw err;
+        return;
+    }
+    if (registered) {
+        throw new ValidationError("EMAIL_TAKEN", "This email is already registered", { field: "email" });
+    }
+}
+
+/**
+ * Suggests a correction for an address whose domain looks like a misspelled common provider.
+ *
+ * Short domains only get suggestions one edit away, so "me.fr" is not turned into "me.com".
+ *
+ * @function suggestEmail
+ * @param {string} email - The email address
+ * @returns {string|undefined} The corrected address, or undefined if the domain is a known
+ *   provider, is not close to one, or the address is invalid
+ *
+ * @example
+ * suggestEmail("lea@gmial.com"); // "lea@gmail.com"
+ * suggestEmail("lea@gmail.com"); // undefined
+ */
+function suggestEmail (email) {
+    const parsed = parseEmail(email);
+    if (!parsed || emailProviders.includes(parsed.domain)) return undefined;
+
+    const maxDistance = Math.min(MAX_SUGGESTION_DISTANCE, Math.floor(parsed.domain.length / 4));
+    let best;
+    let bestDistance = maxDistance + 1;
+    for (const provider of emailProviders) {
+        const distance = editDistance(parsed.domain, provider);
+        if (distance < bestDistance) {
+            best = provider;
+            bestDistance = distance;
+        }
+    }
+    return best ? `${parsed.local}@${best}` : undefined;
+}
+
+/**
+ * Export the email domain checks for use in other modules
+ * @exports email
+ */
+export { editDistance, isDisposableEmail, validateEmailNotDisposable, validateEmailNotRegistered, suggestEmail }
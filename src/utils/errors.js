@@ -0,0 +1,105 @@
+/**
+ * @module errors
+ * @description Error class thrown by every validator, and helpers to call validators
+ * without exceptions.
+ */
+
+/**
+ * Error thrown when a value fails validation.
+ *
+ * Being a real `Error`, it carries a stack trace and can be told apart from
+ * programming errors with `instanceof`.
+ *
+ * @class ValidationError
+ * @extends Error
+ *
+ * @property {string} code - Machine readable code, also the key of the message catalogue (e.g. "INVALID_EMAIL")
+ * @property {string} [field] - Name of the field the error relates to, when known
+ * @property {Object} [params] - Details used to interpolate localized messages (e.g. `{ min: 18 }`)
+ *
+ * @example
+ * throw new ValidationError("INVALID_AGE", "Must be at least 18 years old", { field: "birth", params: { min: 18 } });
+ *
+ * @example
+ * try {
+ *     validateEmail(value);
+ * } catch (err) {
+ *     if (!(err instanceof ValidationError)) throw err;
+ *     showError(err.code);
+ * }
+ */
+class ValidationError extends Error {
+    /**
+     * @param {string} code - Machine readable error code
+     * @param {string} message - English description, used when no translation exists
+     * @param {Object} [options]
+     * @param {string} [options.field] - Related field name
+     * @param {Object} [options.params] - Message parameters
+     */
+    constructor (code, message, { field, params } = {}) {
+        super(message);
+        this.name = "ValidationError";
+        this.code = code;
+        this.field = field;
+        this.params = params;
+    }
+
+    /**
+     * Plain representation, used when the error is serialized (e.g. in an API response).
+     *
+     * @returns {{code: string, message: string, field?: string, params?: Object}}
+     */
+    toJSON () {
+        return { code: this.code, message: this.message, field: this.field, params: this.params };
+    }
+}
+
+/**
+ * Converts a value thrown by a validator into a ValidationError.
+ *
+ * Plain `{ code, message }` objects, the convention of older custom validators, are
+ * wrapped. Anything else is a programming error and is rethrown unchanged.
+ *
+ * @function toValidationError
+ * @param {*} err - The thrown value
+ * @returns {ValidationError}
+ *
+ * @throws {*} The original value if it is not a validation error
+ */
+function toValidationError (err) {
+    if (err instanceof ValidationError) return err;
+    if (err && typeof err === "object" && !(err instanceof Error) && typeof err.code === "string") {
+        return new ValidationError(err.code, err.message || err.code, { field: err.field, params: err.params });
+    }
+    throw err;
+}
+
+/**
+ * Wraps a throwing function into one returning a result object.
+ *
+ * Validation errors are returned as `{ ok: false, error }`; other errors are still thrown.
+ *
+ * @function safely
+ * @param {function(...*): *} fn - The function to wrap
+ * @returns {function(...*): {ok: boolean, value?: *, error: ValidationError|null}}
+ *
+ * @example
+ * const safeValidateEmail = safely(validateEmail);
+ * safeValidateEmail("nope"); // { ok: false, error: ValidationError { code: "INVALID_EMAIL", … } }
+ * safeValidateEmail("a@b.fr"); // { ok: true, value: undefined, error: null }
+ */
+function safely (fn) {
+    return (...args) => {
+        try {
+            return { ok: true, value: fn(...args), error: null };
+        } catch (err) {
+            return { ok: false, error: toValidationError(err) };
+        }
+    };
+}
+
+/**
+ * Export the error class and helpers for use in other modules
+ * @exports errors
+ */
+export { ValidationError, toValidationError, safely }
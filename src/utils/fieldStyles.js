@@ -0,0 +1,76 @@
+/**
+ * @module fieldStyles
+ * @description Tailwind classes of the form field components, built from the theme tokens of
+ * `tailwind.config.js` so every screen shares the same look in light and dark mode.
+ */
+
+/**
+ * Classes of each button variant, when the button is enabled.
+ * @type {Object<string, string>}
+ */
+const BUTTON_VARIANTS = {
+    primary: 'bg-primary hover:bg-primary-hover text-primary-contrast',
+    secondary: 'border border-line text-ink hover:bg-line/40',
+    danger: 'bg-danger hover:bg-danger/90 text-primary-contrast',
+};
+
+/**
+ * Joins the truthy class names.
+ *
+ * @function classNames
+ * @param {...(string|false|null|undefined)} names
+ * @returns {string} The class attribute
+ *
+ * @example
+ * classNames('rounded', invalid && 'border-danger'); // "rounded" when valid
+ */
+function classNames (...names) {
+    return names.filter(Boolean).join(' ');
+}
+
+/**
+ * Classes of a text input or select.
+ *
+ * @function inputClassName
+ * @param {Object} [state]
+ * @param {boolean} [state.invalid=false] - The field has an error
+ * @param {boolean} [state.disabled=false] - The field cannot be edited
+ * @returns {string} The class attribute
+ */
+function inputClassName ({ invalid = false, disabled = false } = {}) {
+    return classNames(
+        'rounded border bg-surface px-2 py-1 focus:outline-none focus:ring-2 focus:ring-primary',
+        invalid ? 'border-danger text-danger' : 'border-line text-ink',
+        disabled && 'cursor-not-allowed bg-disabled/40 text-muted',
+    );
+}
+
+/**
+ * Classes of a button.
+ *
+ * @function buttonClassName
+ * @param {Object} [options]
+ * @param {string} [options.variant="primary"] - One of the keys of {@link BUTTON_VARIANTS}
+ * @param {boolean} [options.disabled=false] - The button cannot be clicked
+ * @returns {string} The class attribute
+ *
+ * @throws {RangeError} If the variant does not exist
+ *
+ * @example
+ * buttonClassName({ variant: 'secondary' });
+ */
+function buttonClassName ({ variant = 'primary', disabled = false } = {}) {
+    if (!Object.hasOwn(BUTTON_VARIANTS, variant)) {
+        throw new RangeError(`Unknown button variant: ${variant}`);
+    }
+    return classNames(
+        'inline-flex items-center justify-center gap-2 font-bold py-2 px-4 rounded focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2',
+        disabled ? 'bg-disabled text-muted cursor-not-allowed' : BUTTON_VARIANTS[variant],
+    );
+}
+
+/**
+ * Export the field style helpers for use in other modules
+ * @exports fieldStyles
+ */
+export { BUTTON_VARIANTS, classNames, inputClassName, buttonClassName }
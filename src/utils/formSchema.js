@@ -0,0 +1,252 @@
+/**
+ * @module formSchema
+ * @description Small engine turning a declarative form schema into initial state and validation.
+ *
+ * A schema is an array of field definitions:
+ *
+ * | Property | Type | Description |
+ * |----------|------|-------------|
+ * | `name` | string | Key of the value in the form state |
+ * | `type` | string | Input type (`text`, `email`, `date`, `select`, …) |
+ * | `label` | string | Human readable label |
+ * | `required` | boolean | Whether an empty value is an error |
+ * | `initialValue` | * | Starting value, defaults to `""` |
+ * | `placeholder` | string | Optional message key of a hint shown in the empty input, e.g. an example value |
+ * | `options` | Object[] | `{ value, label }` choices of a `select` field |
+ * | `parse` | function | Optional conversion applied before the validators run |
+ * | `normalize` | function | Optional `(value, values) => value` canonicalization applied before storing |
+ * | `format` | function | Optional `(value, values) => value` formatting applied as the value is typed (e.g. grouping phone digits) |
+ * | `suggest` | function | Optional `(values) => string[]` autocomplete suggestions |
+ * | `correct` | function | Optional `(value) => string\|undefined` likely intended value, offered to the user ("did you mean …?") |
+ * | `derive` | function | Makes the field computed: `(values) => value`, evaluated on the normalized values before storing; derived fields are neither rendered nor validated |
+ * | `validators` | Object[] | `{ validate, params }` entries, run in order |
+ * | `asyncValidators` | Object[] | `{ validate, params }` entries returning promises (e.g. server checks), run in order once the `validators` passed |
+ *
+ * Each validator follows the convention of `utils/validator.js`: it returns nothing when the
+ * value is valid and throws a {@link ValidationError} otherwise (plain `{ code, message }`
+ * objects are accepted too). `params` is either an array of extra
+ * arguments or a function receiving all form values and returning that array, for rules that
+ * depend on other fields. The function also receives the validation context passed to
+ * {@link validateValues} (e.g. a reference date), for rules configured by the caller.
+ *
+ * Async validators resolve when the value is valid and reject with a validation error
+ * otherwise. They are not run by {@link validateValues}, but turned by
+ * {@link getAsyncValidators} into the field validators of {@link useForm}, which debounces and
+ * cancels them; their `params` function also receives the `signal` aborting the check.
+ *
+ * @example
+ * const schema = [
+ *     { name: "email", type: "email", label: "Email", required: true,
+ *       validators: [{ validate: validateEmail }] },
+ * ];
+ * createInitialValues(schema);                 // { email: "" }
+ * validateValues(schema, { email: "nope" });   // { email: { code: "INVALID_EMAIL", message: "…" } }
+ */
+
+import { toValidationError } from "./errors.js";
+
+/**
+ * Error reported for an empty required field.
+ * @type {{code: string, message: string}}
+ */
+const REQUIRED_ERROR = { code: "REQUIRED", message: "This field is required" };
+
+/**
+ * Tells whether a value counts as "not filled".
+ *
+ * @function isEmpty
+ * @param {*} value - The value to check
+ * @returns {boolean} true for empty strings, whitespace, null and undefined
+ */
+function isEmpty (value) {
+    return value === null || value === undefined || String(value).trim() === "";
+}
+
+/**
+ * Builds the initial form state from a schema.
+ *
+ * @function createInitialValues
+ * @param {Object[]} schema - The form schema
+ * @returns {Object} Field name to initial value
+ */
+function createInitialValues (schema) {
+    return Object.fromEntries(getInputFields(schema).map(f => [f.name, f.initialValue ?? ""]));
+}
+
+/**
+ * Returns the fields the user fills in, i.e. every field that is not derived.
+ *
+ * @function getInputFields
+ * @param {Object[]} schema - The form schema
+ * @returns {Object[]} The input fields, in schema order
+ */
+function getInputFields (schema) {
+    return schema.filter(f => !f.derive);
+}
+
+/**
+ * Finds a field definition by name.
+ *
+ * @function getField
+ * @param {Object[]} schema - The form schema
+ * @param {string} name - The field name
+ * @returns {Object|undefined} The field definition
+ */
+function getField (schema, name) {
+    return schema.find(f => f.name === name);
+}
+
+/**
+ * Formats a value as it is typed, with the field's `format` function if it has one.
+ *
+ * @function formatFieldValue
+ * @param {Object[]} schema - The form schema
+ * @param {string} name - The field name
+ * @param {*} value - The value typed
+ * @param {Object} [values={}] - All form values, for formats depending on other fields
+ * @returns {*} The formatted value, or the value unchanged
+ *
+ * @example
+ * formatFieldValue(registrationSchema, "phone", "0612", { country: "FR" }); // "06 12"
+ */
+function formatFieldValue (schema, name, value, values = {}) {
+    const field = getField(schema, name);
+    return field?.format ? field.format(value, values) : value;
+}
+
+/**
+ * Validates one field value against its schema definition.
+ *
+ * @function validateFieldValue
+ * @param {Object[]} schema - The form schema
+ * @param {string} name - The field name
+ * @param {*} value - The value to validate
+ * @param {Object} [values={}] - All form values, passed to validators depending on other fields
+ * @param {Object} [context={}] - Caller options, passed to `params` functions
+ *
+ * @returns {{code: string, message: string, params?: Object}|undefined} The first error, or undefined if the value is valid
+ *
+ * @throws {*} Rethrows anything a validator throws that is not a validation error (i.e. a bug)
+ */
+function validateFieldValue (schema, name, value, values = {}, context = {}) {
+    const field = getField(schema, name);
+    if (!field) return undefined;
+
+    if (isEmpty(value)) {
+        return field.required ? REQUIRED_ERROR : undefined;
+    }
+
+    const parsed = field.parse ? field.parse(value) : value;
+    for (const { validate, params = [] } of field.validators || []) {
+        const args = typeof params === "function" ? params(values, context) : params;
+        try {
+            validate(parsed, ...args);
+        } catch (err) {
+            const { code, message, params } = toValidationError(err);
+            return { code, message, params };
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Validates every field of a form.
+ *
+ * @function validateValues
+ * @param {Object[]} schema - The form schema
+ * @param {Object} values - The form values
+ * @param {Object} [context={}] - Caller options, passed to `params` functions
+ * @returns {Object<string, {code: string, message: string}>} Field name to error, only for invalid fields
+ */
+function validateValues (schema, values, context = {}) {
+    return getInputFields(schema).reduce((errors, field) => {
+        const error = validateFieldValue(schema, field.name, values[field.name], values, context);
+        if (error) errors[field.name] = error;
+        return errors;
+    }, {});
+}
+
+/**
+ * Tells whether every required field has a value.
+ *
+ * @function isComplete
+ * @param {Object[]} schema - The form schema
+ * @param {Object} values - The form values
+ * @returns {boolean} true when no required field is empty
+ */
+function isComplete (schema, values) {
+    return getInputFields(schema).every(f => !f.required || !isEmpty(values[f.name]));
+}
+
+/**
+ * Applies each field's `normalize` function then computes the derived fields,
+ * producing the values to store or submit.
+ *
+ * Empty values are left untouched.
+ *
+ * @function normalizeValues
+ * @param {Object[]} schema - The form schema
+ * @param {Object} values - The form values
+ * @returns {Object} A new object with normalized values and derived fields
+ */
+function normalizeValues (schema, values) {
+    const normalized = getInputFields(schema).reduce((result, field) => {
+        const value = values[field.name];
+        if (field.normalize && !isEmpty(value)) {
+            result[field.name] = field.normalize(value, values);
+        }
+        return result;
+    }, { ...values });
+
+    return schema.filter(f => f.derive).reduce((result, field) => {
+        result[field.name] = field.derive(normalized) ?? "";
+        return result;
+    }, normalized);
+}
+
+/**
+ * Builds the async field validators of a schema, in the shape {@link useForm} expects:
+ * field name to `(value, values, { signal }) => Promise`, rejecting with the first error.
+ *
+ * Empty values are not checked: the synchronous validators handle them.
+ *
+ * @function getAsyncValidators
+ * @param {Object[]} schema - The form schema
+ * @param {Object} [context={}] - Caller options (e.g. the API client), passed to `params`
+ *   functions along with the `signal`
+ * @returns {Object<string, function(*, Object, Object): Promise<void>>} Field name to validator,
+ *   only for the fields with async validators
+ *
+ * @example
+ * useForm({ initialValues, validators: getAsyncValidators(registrationSchema, { api }) });
+ */
+function getAsyncValidators (schema, context = {}) {
+    return Object.fromEntries(getInputFields(schema)
+        .filter(field => field.asyncValidators?.length > 0)
+        .map(field => [field.name, async (value, values, { signal } = {}) => {
+            if (isEmpty(value)) return;
+            const parsed = field.parse ? field.parse(value) : value;
+            for (const { validate, params = [] } of field.asyncValidators) {
+                const args = typeof params === "function" ? params(values, { ...context, signal }) : params;
+                await validate(parsed, ...args);
+            }
+        }]));
+}
+
+/**
+ * Export the form schema engine for use in other modules
+ * @exports formSchema
+ */
+export {
+    REQUIRED_ERROR,
+    isEmpty,
+    createInitialValues,
+    getInputFields,
+    getField,
+    formatFieldValue,
+    validateFieldValue,
+    validateValues,
+    getAsyncValidators,
+    isComplete,
+    normalizeValues,
+}
@@ -0,0 +1,108 @@
+/**
+ * @module i18n
+ * @description Message catalogues and translation helpers.
+ * Validators throw a `ValidationError` with an English message and a code; the code is
+ * looked up here so the same validators can serve French and English users.
+ */
+
+import { en } from "../locales/en.js";
+import { fr } from "../locales/fr.js";
+
+/**
+ * Message catalogues by locale.
+ * @type {Object<string, Object<string, string>>}
+ */
+const catalogues = { fr, en };
+
+/**
+ * Locales the application is translated into.
+ * @type {string[]}
+ */
+const SUPPORTED_LOCALES = Object.keys(catalogues);
+
+/**
+ * Locale used when the browser asks for none of the supported ones.
+ * @type {string}
+ */
+const DEFAULT_LOCALE = "fr";
+
+/**
+ * Picks the first supported locale from the browser's preferred languages.
+ *
+ * Region subtags are ignored, so "fr-BE" selects "fr".
+ *
+ * @function detectLocale
+ * @param {string[]} [languages] - Preferred languages, defaults to `navigator.languages`
+ * @returns {string} A supported locale
+ *
+ * @example
+ * detectLocale(["de-DE", "en-GB"]); // "en"
+ * detectLocale(["de-DE"]);          // "fr"
+ */
+function detectLocale (languages) {
+    const preferred = languages ?? (typeof navigator !== "undefined"
+        ? (navigator.languages?.length ? navigator.languages : [navigator.language])
+        : []);
+    for (const tag of preferred) {
+        const base = String(tag || "").toLowerCase().split("-")[0];
+        if (SUPPORTED_LOCALES.includes(base)) return base;
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * Replaces `{name}` placeholders with the matching params.
+ *
+ * Placeholders without a matching param are left untouched.
+ *
+ * @function interpolate
+ * @param {string} template - The message template
+ * @param {Object} [params={}] - Values to insert
+ * @returns {string} The interpolated message
+ *
+ * @example
+ * interpolate("Must be at least {min} years old", { min: 18 }); // "Must be at least 18 years old"
+ */
+function interpolate (template, params = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Translates a key (an error code or an interface string).
+ *
+ * Falls back to the default locale's catalogue, then to `fallback`, then to the key itself.
+ *
+ * @function translate
+ * @param {string} locale - The target locale
+ * @param {string} key - The message key
+ * @param {Object} [params] - Interpolation values
+ * @param {string} [fallback] - Text used when no catalogue knows the key
+ * @returns {string} The translated message
+ *
+ * @example
+ * translate("fr", "INVALID_AGE", { min: 18 }); // "Vous devez avoir au moins 18 ans"
+ */
+function translate (locale, key, params, fallback) {
+    const template = catalogues[locale]?.[key] ?? catalogues[DEFAULT_LOCALE][key] ?? fallback ?? key;
+    return interpolate(template, params);
+}
+
+/**
+ * Translates a validation error thrown by a validator or returned by the server.
+ *
+ * @function translateError
+ * @param {string} locale - The target locale
+ * @param {{code?: string, message?: string, params?: Object}|string} error - The error to display
+ * @returns {string} The localized message, or the error's own message for unknown codes
+ */
+function translateError (locale, error) {
+    if (typeof error === "string") return error;
+    if (!error?.code) return error?.message ?? "";
+    return translate(locale, error.code, error.params, error.message);
+}
+
+/**
+ * Export the translation helpers for use in other modules
+ * @exports i18n
+ */
+export { SUPPORTED_LOCALES, DEFAULT_LOCALE, detectLocale, interpolate, translate, translateError }
@@ -0,0 +1,175 @@
+/**
+ * @module mockServer
+ * @description In-browser stand-in for the registration backend, implemented as an axios adapter.
+ * It validates submissions with the same validators as the form and answers like the
+ * real API would, so the whole submission flow works and can be tested offline.
+ */
+
+import { AxiosError, CanceledError } from "axios";
+
+import { validateRegistration, prepareRegistration } from "./registration.js";
+
+/**
+ * Validates a submitted registration the way the backend does, i.e. against the same
+ * schema as the form.
+ *
+ * @function validateSubmission
+ * @param {Object} body - The request body
+ * @returns {{field: string, code: string}[]} The field errors, empty if the body is valid
+ */
+function validateSubmission (body) {
+    return Object.entries(validateRegistration(body || {}).errors)
+        .map(([field, { code }]) => ({ field, code }));
+}
+
+/**
+ * Reads a request header, whether axios passed the headers as `AxiosHeaders` or a plain object.
+ *
+ * @function readHeader
+ * @param {Object} config - The request config
+ * @param {string} name - The header name
+ * @returns {string|undefined} The header value
+ */
+function readHeader (config, name) {
+    const headers = config.headers;
+    if (!headers) return undefined;
+    if (typeof headers.get === "function") return headers.get(name) ?? undefined;
+    const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+    return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Creates an axios adapter emulating the registration API.
+ *
+ * Supported routes:
+ * - `POST /registrations` - 201 with the stored record (sanitized and normalized), or 422 with
+ *   `{ errors: [{ field, code }] }`, including `EMAIL_TAKEN` when the email is already registered
+ *   A POST repeating the `Idempotency-Key` header of an answered one gets the same answer again,
+ *   without storing anything
+ * - `GET /registrations` - 200 with every stored record
+ * - `GET /registrations/check-email?email=…` - 200 with `{ registered: boolean }`
+ *
+ * Any other route answers 404, and a body that is not valid JSON 400. If answering throws (e.g.
+ * `isRegistered` fails), the request is rejected with that error rather than left pending.
+ *
+ * @function createMockAdapter
+ * @param {Object} [options]
+ * @param {number} [options.latency=300] - Simulated network delay in milliseconds
+ * @param {number} [options.failures=0] - Number of initial requests answered with 503,
+ *   to exercise the client's retry logic
+ * @param {Object[]} [options.db=[]] - Backing array for stored registrations
+ * @param {function(string): boolean} [options.isRegistered] - Tells whether an email is already
+ *   registered; defaults to looking it up in `db`
+ * @returns {function(Object): Promise<Object>} An axios adapter
+ *
+ * @example
+ * const api = createApiClient({ adapter: createMockAdapter({ latency: 0, failures: 2 }) });
+ */
+function createMockAdapter ({ latency = 300, failures = 0, db = [], isRegistered } = {}) {
+    let remainingFailures = failures;
+    const isEmailTaken = isRegistered
+        ?? ((email) => db.some(r => r.email?.toLowerCase() === String(email ?? "").trim().toLowerCase()));
+
+    // Answers of the POSTs that carried an idempotency key, by key
+    const answered = new Map();
+
+    /**
+     * Answers the submission of a registration, storing it if it is valid.
+     *
+     * @function register
+     * @param {*} data - The request body, as an object or JSON
+     * @returns {{status: number, data: Object}} The answer
+     */
+    const register = (data) => {
+        let body = data;
+        if (typeof body === "string") {
+            try {
+                body = JSON.parse(body);
+            } catch {
+                return { status: 400, data: { message: "Malformed JSON body" } };
+            }
+        }
+        const errors = validateSubmission(body);
+        if (errors.length === 0 && isEmailTaken(body.email)) {
+            errors.push({ field: "email", code: "EMAIL_TAKEN" });
+        }
+        if (errors.length > 0) {
+            return { status: 422, data: { errors } };
+        }
+        const record = { ...prepareRegistration(body), id: String(db.length + 1) };
+        db.push(record);
+        return { status: 201, data: record };
+    };
+
+    const handle = (config) => {
+        const url = (config.url || "").replace(/^\/+/, "/");
+        const method = (config.method || "get").toLowerCase();
+
+        if (remainingFailures > 0) {
+            remainingFailures--;
+            return { status: 503, data: { message: "Service unavailable" } };
+        }
+
+        if (url === "/registrations" && method === "post") {
+            const key = readHeader(config, "Idempotency-Key");
+            if (key && answered.has(key)) {
+                return answered.get(key);
+            }
+            const answer = register(config.data);
+            if (key) answered.set(key, answer);
+            return answer;
+        }
+
+        if (url === "/registrations" && method === "get") {
+            return { status: 200, data: db };
+        }
+
+        if (url === "/registrations/check-email" && method === "get") {
+            return { status: 200, data: { registered: isEmailTaken(config.params?.email) } };
+        }
+
+        return { status: 404, data: { message: "Not found" } };
+    };
+
+    return (config) => new Promise((resolve, reject) => {
+        const { signal } = config;
+        if (signal?.aborted) {
+            reject(new CanceledError(null, null, config));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new CanceledError(null, null, config));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener?.("abort", onAbort);
+            let answer;
+            try {
+                answer = handle(config);
+            } catch (err) {
+                reject(err);
+                return;
+            }
+            const { status, data } = answer;
+            const response = { data, status, statusText: String(status), headers: {}, config, request: {} };
+            if (config.validateStatus && !config.validateStatus(status)) {
+                reject(new AxiosError(
+                    `Request failed with status code ${status}`,
+                    status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+                    config,
+                    response.request,
+                    response
+                ));
+            } else {
+                resolve(response);
+            }
+        }, latency);
+        signal?.addEventListener?.("abort", onAbort, { once: true });
+    });
+}
+
+/**
+ * Export the mock server for use in other modules
+ * @exports mockServer
+ */
+export { createMockAdapter, validateSubmission }
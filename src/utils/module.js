@@ -4,20 +4,25 @@
  * Provides functions to calculate a person's exact age in years.
  */
 
+import { computeAge } from "./age.js";
+import { ValidationError, safely } from "./errors.js";
+
 /**
  * Calculates a person's age in years based on their birth date.
  *
  * This function computes the exact age of a person by comparing their birth date
- * with a reference date (defaults to today). It performs comprehensive validation
- * to ensure the birth date is valid, not in the future, and represents a real date.
+ * with a reference date (defaults to today). The arithmetic is delegated to the
+ * shared age engine ({@link computeAge}), which also backs `validateAge`.
  *
  * The function validates:
  * 1. Input parameter `p` is provided
  * 2. The person object has a `birth` field
  * 3. The `birth` field is a valid JavaScript Date object
- * 4. The birth year is not before 1970 (data constraint)
+ * 4. The birth year is within the accepted range (not before {@link MIN_BIRTH_YEAR} by
+ *    default, the same range as `validateAge`)
  * 5. The birth date is not in the future
- * 6. The date is a valid calendar date (e.g., February 30 is invalid)
+ *
+ * People born on 29 February gain a year on 1 March in common years.
  *
  * @function calculateAge
  *
@@ -29,72 +34,59 @@
  *                                           Defaults to today's date if not provided.
  *                                           Useful for testing or calculating age at a specific date.
  *
- * @returns {number} The age in years. Calculated by comparing birth year with current year,
- *                   adjusted downward by 1 if the birthday hasn't occurred yet this year.
+ * @param {Object} [options] - Options passed to the age engine
+ * @param {number} [options.minBirthYear=MIN_BIRTH_YEAR] - Earliest accepted birth year; `-Infinity` accepts any year
+ * @param {number} [options.maxBirthYear] - Latest accepted birth year
+ * @param {"mar1"|"feb28"} [options.leapDayBirthday="mar1"] - Birthday of people born on 29 February in common years
+ *
+ * @returns {number} The age in completed years.
  *
- * @throws {Error} Throws an Error with descriptive message if validation fails:
- *   - "missing param p" if the person object `p` is not provided (null, undefined, etc.)
- *   - "missing birth field" if the person object doesn't have a `birth` property
- *   - "birth must be a valid Date" if `birth` is not a valid Date instance or is invalid (e.g., NaN)
- *   - "invalid date" if:
- *     * birth year is before 1970 (data constraint)
+ * @throws {ValidationError} Throws a ValidationError with descriptive message and a `code` property if validation fails:
+ *   - "missing param p" (MISSING_PARAM) if the person object `p` is not provided (null, undefined, etc.)
+ *   - "missing birth field" (MISSING_FIELD) if the person object doesn't have a `birth` property
+ *   - "birth must be a valid Date" (INVALID_DATE) if `birth` is not a valid Date instance or is invalid (e.g., NaN)
+ *   - "invalid date" (INVALID_DATE) if:
+ *     * birth year is outside the accepted range (before {@link MIN_BIRTH_YEAR} by default)
  *     * birth date is in the future (after currentDate)
- *     * the date is invalid on the calendar (e.g., Feb 30, Apr 31)
  *
- * @return {number} The calculated age in years.
+ * @example
+ * calculateAge({ birth: new Date("1991-11-07") }, new Date("2026-12-01")); // 35
+ * calculateAge({ birth: new Date("1960-01-01") }, new Date("2026-12-01"), { minBirthYear: 1970 }); // throws
  */
-function calculateAge(p, currentDate = new Date()) {
+function calculateAge(p, currentDate = new Date(), options = {}) {
 
     if (!p) {
-        throw new Error("missing param p");
+        throw new ValidationError("MISSING_PARAM", "missing param p");
     }
 
     if (!("birth" in p)) {
-        throw new Error("missing birth field");
+        throw new ValidationError("MISSING_FIELD", "missing birth field", { field: "birth" });
     }
 
     if (!(p.birth instanceof Date) || isNaN(p.birth.getTime())) {
-        throw new Error("birth must be a valid Date");
+        throw new ValidationError("INVALID_DATE", "birth must be a valid Date", { field: "birth", params: { reason: "invalid" } });
     }
 
-    const birth = p.birth;
-
-    if (birth.getFullYear() < 1970) {
-        throw new Error("invalid date");
-    }
-
-    if (birth > currentDate) {
-        throw new Error("invalid date");
-    }
-
-    const existingDate = new Date(
-        birth.getFullYear(),
-        birth.getMonth(),
-        birth.getDate()
-    );
-
-    if (
-        existingDate.getFullYear() !== birth.getFullYear() ||
-        existingDate.getMonth() !== birth.getMonth() ||
-        existingDate.getDate() !== birth.getDate()
-    ) {
-        throw new Error("invalid date");
+    try {
+        return computeAge(p.birth, { ...options, now: currentDate }).years;
+    } catch (err) {
+        if (!(err instanceof ValidationError)) throw err;
+        throw new ValidationError(err.code, "invalid date", { field: "birth", params: err.params });
     }
-
-    let age = currentDate.getFullYear() - birth.getFullYear();
-
-    const hasHadBirthday =
-        currentDate.getMonth() > birth.getMonth() ||
-        (currentDate.getMonth() === birth.getMonth() &&
-            currentDate.getDate() >= birth.getDate());
-
-    if (!hasHadBirthday) age--;
-
-    return age;
 }
 
+/**
+ * Non-throwing variant of {@link calculateAge}: returns `{ ok: true, value: age, error: null }`
+ * or `{ ok: false, error }` with the {@link ValidationError}.
+ *
+ * @function safeCalculateAge
+ * @example
+ * safeCalculateAge({ birth: new Date("1991-11-07") }).value; // 34 (in 2026)
+ */
+const safeCalculateAge = safely(calculateAge);
+
 /**
  * Export the calculateAge function for use in other modules
  * @exports module
  */
-export {calculateAge}
\ No newline at end of file
+export {calculateAge, safeCalculateAge}
@@ -0,0 +1,117 @@
+/**
+ * @module pnCounter
+ * @description Conflict-free replicated counter (PN-counter), so that tabs changing the same
+ * counter at the same time never lose each other's changes.
+ *
+ * Each replica (e.g. a browser tab) only ever raises its own totals: one for what it added,
+ * one for what it removed. Merging two copies keeps, for each replica, the highest totals;
+ * the value is everything added minus everything removed. Merges can happen in any order and
+ * any number of times and still agree.
+ */
+
+/**
+ * Creates a counter at 0.
+ *
+ * @function createPNCounter
+ * @returns {{inc: Object<string, number>, dec: Object<string, number>}} Totals added and
+ *   removed, by replica id
+ */
+function createPNCounter () {
+    return { inc: {}, dec: {} };
+}
+
+/**
+ * Keeps the totals that are non-negative safe integers, dropping anything else (e.g. read
+ * from a corrupted storage entry).
+ *
+ * @function cleanTotals
+ * @param {*} totals - Replica id to total
+ * @returns {Object<string, number>} The valid totals
+ */
+function cleanTotals (totals) {
+    if (!totals || typeof totals !== "object") return {};
+    return Object.fromEntries(
+        Object.entries(totals).filter(([, total]) => Number.isSafeInteger(total) && total >= 0),
+    );
+}
+
+/**
+ * Adds an amount to a counter on behalf of a replica.
+ *
+ * @function addToPNCounter
+ * @param {{inc: Object, dec: Object}} counter - The counter
+ * @param {string} replicaId - Id of the replica making the change
+ * @param {number} amount - Integer to add, negative to remove
+ * @returns {{inc: Object, dec: Object}} A new counter
+ *
+ * @throws {RangeError} If `amount` is not a safe integer
+ *
+ * @example
+ * const counter = addToPNCounter(createPNCounter(), "tab-1", -2);
+ * pnCounterValue(counter); // -2
+ */
+function addToPNCounter (counter, replicaId, amount) {
+    if (!Number.isSafeInteger(amount)) {
+        throw new RangeError("amount must be an integer");
+    }
+    const side = amount >= 0 ? "inc" : "dec";
+    const totals = counter[side];
+    return { ...counter, [side]: { ...totals, [replicaId]: (totals[replicaId] ?? 0) + Math.abs(amount) } };
+}
+
+/**
+ * Computes the value of a counter.
+ *
+ * @function pnCounterValue
+ * @param {{inc: Object, dec: Object}} counter - The counter
+ * @returns {number} Everything added minus everything removed
+ */
+function pnCounterValue ({ inc, dec }) {
+    const sum = (totals) => Object.values(totals).reduce((total, n) => total + n, 0);
+    return sum(inc) - sum(dec);
+}
+
+/**
+ * Merges two copies of a counter, keeping the highest totals of each replica. Invalid totals
+ * are dropped, so a copy received from another tab or read from storage can be merged as is.
+ *
+ * @function mergePNCounters
+ * @param {{inc: Object, dec: Object}} a - A copy
+ * @param {*} b - Another copy
+ * @returns {{inc: Object, dec: Object}} The merged counter
+ *
+ * @example
+ * // Two tabs incremented the same counter at the same time
+ * const merged = mergePNCounters({ inc: { a: 1 }, dec: {} }, { inc: { b: 1 }, dec: {} });
+ * pnCounterValue(merged); // 2
+ */
+function mergePNCounters (a, b) {
+    const mergeTotals = (x, y) => {
+        const merged = { ...cleanTotals(x) };
+        Object.entries(cleanTotals(y)).forEach(([replicaId, total]) => {
+            merged[replicaId] = Math.max(merged[replicaId] ?? 0, total);
+        });
+        return merged;
+    };
+    return { inc: mergeTotals(a?.inc, b?.inc), dec: mergeTotals(a?.dec, b?.dec) };
+}
+
+/**
+ * Tells whether two copies of a counter hold the same totals.
+ *
+ * @function samePNCounters
+ * @param {{inc: Object, dec: Object}} a - A copy
+ * @param {{inc: Object, dec: Object}} b - Another copy
+ * @returns {boolean} true if merging them would change neither
+ */
+function samePNCounters (a, b) {
+    const sameTotals = (x, y) => Object.keys(x).length === Object.keys(y).length
+        && Object.entries(x).every(([replicaId, total]) => y[replicaId] === total);
+    return sameTotals(a.inc, b.inc) && sameTotals(a.dec, b.dec);
+}
+
+/**
+ * Export the PN-counter functions for use in other modules
+ * @exports pnCounter
+ */
+export { createPNCounter, addToPNCounter, pnCounterValue, mergePNCounters, samePNCounters }
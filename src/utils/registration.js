@@ -0,0 +1,74 @@
+/**
+ * @module registration
+ * @description Validation of a complete registration record, independent of React.
+ *
+ * The registration form, the mock server, import scripts and a Node backend all call
+ * {@link validateRegistration}, so a record is accepted or rejected by exactly the same rules
+ * everywhere. Rules involving several fields (the town must match the post code, the post code
+ * format depends on the country) are declared in {@link module:registrationSchema} and run here
+ * along with the single field rules. Records are sanitized ({@link module:sanitize}) first, so the
+ * rules apply to the text that would be stored.
+ */
+
+import { registrationSchema } from "./registrationSchema.js";
+import { validateValues, normalizeValues } from "./formSchema.js";
+import { sanitizeValues } from "./sanitize.js";
+
+/**
+ * Validates a registration record and reports every error at once.
+ *
+ * Values are sanitized then validated; use {@link prepareRegistration} to get the values to store.
+ *
+ * @function validateRegistration
+ * @param {Object} record - The person record (lastname, firstname, email, birth, country, postCode, town)
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Reference date ("today") for the age rule
+ * @param {number} [options.minAge=18] - Minimum age in years
+ * @param {Object[]} [options.schema=registrationSchema] - The schema to validate against
+ *
+ * @returns {{valid: boolean, errors: Object<string, {code: string, message: string, params?: Object}>}}
+ *   Whether the record is valid, and the first error of each invalid field keyed by field name
+ *
+ * @throws {TypeError} If record is not an object
+ *
+ * @example
+ * validateRegistration({ lastname: "Martin", firstname: "Léa", email: "lea@example.fr",
+ *     birth: "1995-05-15", country: "FR", postCode: "75001", town: "Paris" });
+ * // { valid: true, errors: {} }
+ *
+ * @example
+ * validateRegistration({ lastname: "Martin", postCode: "75001", town: "Lyon" });
+ * // { valid: false, errors: { firstname: { code: "REQUIRED", … }, email: { code: "REQUIRED", … },
+ * //   birth: { code: "REQUIRED", … }, town: { code: "TOWN_POST_CODE_MISMATCH", … } } }
+ */
+function validateRegistration (record, { now, minAge, schema = registrationSchema } = {}) {
+    if (!record || typeof record !== "object") {
+        throw new TypeError("record must be an object");
+    }
+    const errors = validateValues(schema, sanitizeValues(record), { now, minAge });
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Produces the values to store for a registration record: sanitized, normalized by each
+ * field (e.g. post code format, phone number in E.164) and with the derived fields computed.
+ *
+ * @function prepareRegistration
+ * @param {Object} record - The person record, usually validated beforehand
+ * @param {Object} [options]
+ * @param {Object[]} [options.schema=registrationSchema] - The schema describing the record
+ * @returns {Object} The record to store
+ *
+ * @example
+ * prepareRegistration({ lastname: "<b>martin</b>", firstname: "léa", postCode: "75001", town: "Paris" });
+ * // { lastname: "martin", firstname: "léa", postCode: "75001", town: "Paris", department: "75", region: "Île-de-France" }
+ */
+function prepareRegistration (record, { schema = registrationSchema } = {}) {
+    return normalizeValues(schema, sanitizeValues(record));
+}
+
+/**
+ * Export the record validation for use in other modules
+ * @exports registration
+ */
+export { validateRegistration, prepareRegistration }
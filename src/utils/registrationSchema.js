@@ -0,0 +1,196 @@
+/**
+ * @module registrationSchema
+ * @description Declarative definition of the registration form, consumed by the form schema engine.
+ * Adding a field to the registration form only requires adding an entry here.
+ */
+
+import {
+    COUNTRIES,
+    validateAge,
+    validateCountry,
+    normalizePostCode,
+    validatePostCode,
+    normalizeName,
+    formatLastName,
+    formatFirstName,
+    validateIdentity,
+    validateEmail,
+    validateTown,
+    validatePhone,
+    normalizePhone,
+    formatPhoneAsYouType,
+    validateStreetNumber,
+    validateStreetName,
+    validateAddressComplement,
+} from "./validator.js";
+import { normalizeStreetName, normalizeStreetNumber } from "./address.js";
+import { findCommunes, getDepartment, validateTownForPostCode } from "./communes.js";
+import { suggestEmail, validateEmailNotDisposable, validateEmailNotRegistered } from "./email.js";
+
+/**
+ * Fields of the registration form, in display order. Labels are message keys
+ * translated by {@link module:i18n}.
+ *
+ * - lastname/firstname: Letters of any script, spaces, hyphens and apostrophes, no numbers or
+ *   special characters (XSS safe); stored NFC-normalized with spaces collapsed, as typed
+ *   otherwise (see {@link withFormattedNames} to store them formatted)
+ * - email: Valid address (plus addressing, quoted local parts and international domains allowed),
+ *   not from a disposable provider, not already registered (checked with the server through the
+ *   `api` of the validation context); misspelled provider domains get a correction offer
+ * - phone: National number of the selected country or international number, grouped as it is
+ *   typed and stored in E.164 ("+33612345678")
+ * - birth: Valid date, must be 18+ years old, not in future
+ * - country: One of the supported countries; France when omitted, so records without it stay valid
+ * - streetNumber: Optional number with an optional index ("12 bis", "12B")
+ * - streetName: Street type and name; for French-speaking countries, abbreviated street types
+ *   are written in full ("bd" → "Boulevard") and names typed in a single case are capitalized
+ * - addressComplement: Optional building, floor, apartment…
+ * - postCode: Format of the selected country, stored normalized
+ * - town: Letters and accents, hyphens and spaces allowed (XSS safe); for French post codes
+ *   in the communes dataset, must be one of the communes served, which are also suggested
+ * - department/region: Derived from a French post code and stored with the registration
+ *
+ * @type {Object[]}
+ * @see module:formSchema
+ */
+const registrationSchema = [
+    {
+        name: "lastname",
+        type: "text",
+        label: "field.lastname",
+        required: true,
+        normalize: normalizeName,
+        validators: [{ validate: validateIdentity }],
+    },
+    {
+        name: "firstname",
+        type: "text",
+        label: "field.firstname",
+        required: true,
+        normalize: normalizeName,
+        validators: [{ validate: validateIdentity }],
+    },
+    {
+        name: "email",
+        type: "email",
+        label: "field.email",
+        required: true,
+        correct: suggestEmail,
+        validators: [{ validate: validateEmail }, { validate: validateEmailNotDisposable }],
+        asyncValidators: [{ validate: validateEmailNotRegistered, params: (values, { api, signal } = {}) => [{ api, signal }] }],
+    },
+    {
+        name: "phone",
+        type: "tel",
+        label: "field.phone",
+        required: true,
+        format: (value, values) => formatPhoneAsYouType(value, values.country || "FR"),
+        normalize: (value, values) => normalizePhone(value, values.country || "FR"),
+        validators: [{ validate: validatePhone, params: (values) => [values.country || "FR"] }],
+    },
+    {
+        name: "birth",
+        type: "date",
+        label: "field.birth",
+        required: true,
+        validators: [{ validate: validateAge, params: (values, { now, minAge } = {}) => [{ now, minAge }] }],
+    },
+    {
+        name: "country",
+        type: "select",
+        label: "field.country",
+        required: false,
+        initialValue: "FR",
+        options: COUNTRIES.map((code) => ({ value: code, label: `country.${code}` })),
+        validators: [{ validate: validateCountry }],
+    },
+    {
+        name: "streetNumber",
+        type: "text",
+        label: "field.streetNumber",
+        required: false,
+        normalize: normalizeStreetNumber,
+        validators: [{ validate: validateStreetNumber }],
+    },
+    {
+        name: "streetName",
+        type: "text",
+        label: "field.streetName",
+        required: true,
+        normalize: (value, values) => normalizeStreetName(value, values.country || "FR"),
+        validators: [{ validate: validateStreetName }],
+    },
+    {
+        name: "addressComplement",
+        type: "text",
+        label: "field.addressComplement",
+        required: false,
+        validators: [{ validate: validateAddressComplement }],
+    },
+    {
+        name: "postCode",
+        type: "text",
+        label: "field.postCode",
+        required: true,
+        normalize: (value, values) => normalizePostCode(value, values.country),
+        validators: [{ validate: validatePostCode, params: (values) => [values.country || "FR"] }],
+    },
+    {
+        name: "town",
+        type: "text",
+        label: "field.town",
+        required: true,
+        suggest: (values) => ((values.country || "FR") === "FR" ? findCommunes(values.postCode) : []),
+        validators: [
+            { validate: validateTown },
+            { validate: validateTownForPostCode, params: (values) => [values.postCode, values.country || "FR"] },
+        ],
+    },
+    {
+        name: "department",
+        derive: (values) => ((values.country || "FR") === "FR" ? getDepartment(values.postCode, values.town)?.code : undefined),
+    },
+    {
+        name: "region",
+        derive: (values) => ((values.country || "FR") === "FR" ? getDepartment(values.postCode, values.town)?.region : undefined),
+    },
+];
+
+/**
+ * Steps of the registration wizard, in order. Each step lists the schema fields it asks for;
+ * the last step has none and shows the review of every answer before submission.
+ *
+ * - `path`: URL segment of the step, so steps can be linked to directly
+ * - `label`: Message key of the step title
+ * - `fields`: Names of the schema fields filled in at this step
+ *
+ * @type {{path: string, label: string, fields: string[]}[]}
+ */
+const registrationSteps = [
+    { path: "identity", label: "wizard.identity", fields: ["lastname", "firstname", "birth"] },
+    { path: "contact", label: "wizard.contact", fields: ["email", "phone"] },
+    { path: "address", label: "wizard.address", fields: ["country", "streetNumber", "streetName", "addressComplement", "postCode", "town"] },
+    { path: "review", label: "wizard.review", fields: [] },
+];
+
+/**
+ * Returns a copy of a registration schema storing names formatted for display: last name in
+ * capitals and first name in title case ({@link formatLastName}, {@link formatFirstName}).
+ *
+ * @function withFormattedNames
+ * @param {Object[]} [schema=registrationSchema] - The schema to format the names of
+ * @returns {Object[]} The schema, with the `lastname` and `firstname` fields normalized by the formatters
+ *
+ * @example
+ * <Form schema={withFormattedNames()} />; // "de la fontaine" is stored as "DE LA FONTAINE"
+ */
+function withFormattedNames (schema = registrationSchema) {
+    const formatters = { lastname: formatLastName, firstname: formatFirstName };
+    return schema.map(field => (formatters[field.name] ? { ...field, normalize: formatters[field.name] } : field));
+}
+
+/**
+ * Export the registration form schema for use in other modules
+ * @exports registrationSchema
+ */
+export { registrationSchema, registrationSteps, withFormattedNames }
@@ -0,0 +1,265 @@
+/**
+ * @module registrationStore
+ * @description Persistent collection of submitted registrations backed by localStorage.
+ * Every submission is appended with its own id and timestamp instead of overwriting
+ * the previous one, and can later be listed, searched, sorted, paginated and deleted.
+ */
+
+/**
+ * localStorage key holding the JSON array of registrations.
+ * @type {string}
+ */
+const STORAGE_KEY = "registrations";
+
+/**
+ * Key used by previous versions of the form, which only kept the last submission.
+ * @type {string}
+ */
+const LEGACY_KEY = "user";
+
+/**
+ * Name of the window event dispatched whenever the collection changes in this tab.
+ * @type {string}
+ */
+const CHANGE_EVENT = "registrations:change";
+
+/**
+ * Fields searched by {@link queryRegistrations}.
+ * @type {string[]}
+ */
+const SEARCH_FIELDS = ["lastname", "firstname", "email", "town"];
+
+/**
+ * Generates a unique identifier for a registration.
+ *
+ * Uses `crypto.randomUUID` when available and falls back to a time-based id otherwise.
+ *
+ * @function createId
+ * @returns {string} A unique identifier
+ */
+function createId () {
+    if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Reads a JSON value from localStorage, returning `fallback` if it is missing or corrupt.
+ *
+ * @function readJSON
+ * @param {string} key - The localStorage key
+ * @param {*} fallback - Value returned when the key is absent or unparsable
+ * @returns {*} The parsed value or the fallback
+ */
+function readJSON (key, fallback) {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return fallback;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * Moves the single record stored under the legacy "user" key into the collection,
+ * so the last submission made with an older version of the form is not lost.
+ *
+ * @function migrateLegacyUser
+ * @returns {void}
+ */
+function migrateLegacyUser () {
+    const legacy = readJSON(LEGACY_KEY, null);
+    if (!legacy || typeof legacy !== "object") return;
+    const record = { id: createId(), createdAt: new Date().toISOString(), ...legacy };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([record]));
+    localStorage.removeItem(LEGACY_KEY);
+}
+
+/**
+ * Returns every stored registration, oldest first.
+ *
+ * @function getRegistrations
+ * @returns {Object[]} The stored registrations, or an empty array if none exist
+ *
+ * @example
+ * getRegistrations(); // [{ id: "…", createdAt: "2026-01-01T10:00:00.000Z", lastname: "Jean", … }]
+ */
+function getRegistrations () {
+    if (localStorage.getItem(STORAGE_KEY) === null) migrateLegacyUser();
+    const list = readJSON(STORAGE_KEY, []);
+    return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Returns a single registration by id.
+ *
+ * @function getRegistration
+ * @param {string} id - The registration id
+ * @returns {Object|undefined} The registration, or undefined if it does not exist
+ */
+function getRegistration (id) {
+    return getRegistrations().find(r => r.id === id);
+}
+
+/**
+ * Persists the whole collection and notifies subscribers.
+ *
+ * @function saveRegistrations
+ * @param {Object[]} list - The registrations to store
+ * @returns {void}
+ */
+function saveRegistrations (list) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+    if (typeof window !== "undefined") {
+        window.dispatchEvent(new Event(CHANGE_EVENT));
+    }
+}
+
+/**
+ * Appends a new registration to the collection.
+ *
+ * @function addRegistration
+ * @param {Object} data - The submitted form values
+ * @returns {Object} The stored record, including its generated `id` and `createdAt` timestamp
+ *
+ * @example
+ * const record = addRegistration({ lastname: "Jean", firstname: "Pierre", … });
+ * record.id;        // "3f6c…"
+ * record.createdAt; // "2026-01-01T10:00:00.000Z"
+ */
+function addRegistration (data) {
+    const record = { ...data, id: createId(), createdAt: new Date().toISOString() };
+    saveRegistrations([...getRegistrations(), record]);
+    return record;
+}
+
+/**
+ * Appends several registrations at once (e.g. an import), notifying subscribers only once.
+ *
+ * @function addRegistrations
+ * @param {Object[]} list - The records to store
+ * @returns {Object[]} The stored records, with their generated `id` and `createdAt`
+ */
+function addRegistrations (list) {
+    const createdAt = new Date().toISOString();
+    const records = list.map(data => ({ ...data, id: createId(), createdAt }));
+    saveRegistrations([...getRegistrations(), ...records]);
+    return records;
+}
+
+/**
+ * Tells whether an email address is already used by a registration. Addresses are compared
+ * regardless of case and surrounding spaces.
+ *
+ * @function isEmailRegistered
+ * @param {string} email - The email address
+ * @returns {boolean} true if a registration has this address
+ *
+ * @example
+ * isEmailRegistered("Lea@Example.fr"); // true if "lea@example.fr" registered
+ */
+function isEmailRegistered (email) {
+    const wanted = String(email ?? "").trim().toLowerCase();
+    return getRegistrations().some(r => String(r.email ?? "").trim().toLowerCase() === wanted);
+}
+
+/**
+ * Deletes a registration by id.
+ *
+ * @function removeRegistration
+ * @param {string} id - The registration id
+ * @returns {boolean} true if a registration was removed, false if none matched
+ */
+function removeRegistration (id) {
+    const list = getRegistrations();
+    const next = list.filter(r => r.id !== id);
+    if (next.length === list.length) return false;
+    saveRegistrations(next);
+    return true;
+}
+
+/**
+ * Filters, sorts and paginates a list of registrations.
+ *
+ * The search is case-insensitive and matches any of lastname, firstname, email or town.
+ *
+ * @function queryRegistrations
+ * @param {Object[]} list - The registrations to query
+ * @param {Object} [options]
+ * @param {string} [options.search=""] - Text to look for
+ * @param {string} [options.sortBy="createdAt"] - Field to sort on
+ * @param {"asc"|"desc"} [options.sortDirection="desc"] - Sort direction
+ * @param {number} [options.page=1] - 1-based page number, clamped to the available pages
+ * @param {number} [options.pageSize=10] - Number of items per page
+ *
+ * @returns {{items: Object[], total: number, page: number, pageCount: number}}
+ *   The current page of matching registrations and pagination details
+ *
+ * @example
+ * queryRegistrations(getRegistrations(), { search: "paris", sortBy: "lastname", sortDirection: "asc" });
+ */
+function queryRegistrations (list, {
+    search = "",
+    sortBy = "createdAt",
+    sortDirection = "desc",
+    page = 1,
+    pageSize = 10,
+} = {}) {
+    const needle = search.trim().toLowerCase();
+    const filtered = needle
+        ? list.filter(r => SEARCH_FIELDS.some(f => String(r[f] ?? "").toLowerCase().includes(needle)))
+        : list;
+
+    const direction = sortDirection === "asc" ? 1 : -1;
+    const sorted = [...filtered].sort((a, b) =>
+        String(a[sortBy] ?? "").localeCompare(String(b[sortBy] ?? ""), undefined, { sensitivity: "base" }) * direction
+    );
+
+    const pageCount = Math.max(1, Math.ceil(sorted.length / pageSize));
+    const current = Math.min(Math.max(1, page), pageCount);
+    const start = (current - 1) * pageSize;
+
+    return {
+        items: sorted.slice(start, start + pageSize),
+        total: sorted.length,
+        page: current,
+        pageCount,
+    };
+}
+
+/**
+ * Subscribes to changes of the collection, whether made in this tab or in another one.
+ *
+ * @function subscribeRegistrations
+ * @param {function(): void} listener - Called after every change
+ * @returns {function(): void} A function removing the subscription
+ */
+function subscribeRegistrations (listener) {
+    const onStorage = (e) => {
+        if (e.key === STORAGE_KEY || e.key === null) listener();
+    };
+    window.addEventListener(CHANGE_EVENT, listener);
+    window.addEventListener("storage", onStorage);
+    return () => {
+        window.removeEventListener(CHANGE_EVENT, listener);
+        window.removeEventListener("storage", onStorage);
+    };
+}
+
+/**
+ * Export the registration store functions for use in other modules
+ * @exports registrationStore
+ */
+export {
+    STORAGE_KEY,
+    getRegistrations,
+    getRegistration,
+    addRegistration,
+    addRegistrations,
+    removeRegistration,
+    isEmailRegistered,
+    queryRegistrations,
+    subscribeRegistrations,
+}
@@ -0,0 +1,258 @@
+/**
+ * @module registrationTransfer
+ * @description Export of the stored registrations to CSV and JSON, and import of registrations
+ * from CSV.
+ *
+ * An import happens in two steps: {@link buildImportReport} maps the CSV columns to the
+ * registration fields and runs every row through {@link validateRegistration}, without storing
+ * anything; once the report has been reviewed, {@link importRegistrations} stores the valid rows.
+ */
+
+import { parseCSV, toCSV } from "./csv.js";
+import { ValidationError } from "./errors.js";
+import { getInputFields } from "./formSchema.js";
+import { SUPPORTED_LOCALES, translate } from "./i18n.js";
+import { validateRegistration, prepareRegistration } from "./registration.js";
+import { registrationSchema } from "./registrationSchema.js";
+import { getRegistrations, addRegistrations } from "./registrationStore.js";
+
+/**
+ * Columns of a CSV export, in order: the stored record, derived fields included.
+ * @type {string[]}
+ */
+const EXPORT_FIELDS = ["id", "createdAt", ...registrationSchema.map(f => f.name)];
+
+/**
+ * Other column names recognized for each field by {@link guessColumnMapping}, besides the field
+ * name and its label in every supported locale.
+ * @type {Object<string, string[]>}
+ */
+const COLUMN_ALIASES = {
+    lastname: ["surname", "family name", "nom de famille"],
+    firstname: ["given name", "prenom"],
+    email: ["mail", "e-mail", "email address", "courriel"],
+    phone: ["telephone", "tel", "mobile", "phone number", "portable"],
+    streetNumber: ["number", "house number", "numero", "no"],
+    streetName: ["street", "address", "address line 1", "adresse", "rue", "voie"],
+    addressComplement: ["address line 2", "complement", "complement d'adresse"],
+    birth: ["birthdate", "birthday", "date of birth", "dob", "naissance"],
+    postCode: ["zip", "zip code", "postal code", "postcode", "cp"],
+    town: ["city", "commune", "locality"],
+};
+
+/**
+ * Exports registrations as JSON.
+ *
+ * @function exportRegistrationsJSON
+ * @param {Object[]} [list=getRegistrations()] - The registrations
+ * @returns {string} The registrations as an indented JSON array
+ */
+function exportRegistrationsJSON (list = getRegistrations()) {
+    return JSON.stringify(list, null, 2);
+}
+
+/**
+ * Exports registrations as CSV, one column per {@link EXPORT_FIELDS} entry.
+ *
+ * @function exportRegistrationsCSV
+ * @param {Object[]} [list=getRegistrations()] - The registrations
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=","] - Cell delimiter
+ * @returns {string} The CSV text, header included
+ *
+ * @example
+ * exportRegistrationsCSV([{ id: "1", lastname: "MARTIN", … }]);
+ * // "id,createdAt,lastname,firstname,…\r\n1,2026-01-01T10:00:00.000Z,MARTIN,…\r\n"
+ */
+function exportRegistrationsCSV (list = getRegistrations(), { delimiter = "," } = {}) {
+    return toCSV([EXPORT_FIELDS, ...list.map(r => EXPORT_FIELDS.map(field => r[field]))], { delimiter });
+}
+
+/**
+ * Simplifies a column name for comparison: lower case, without accents, spaces or punctuation.
+ *
+ * @function simplifyColumnName
+ * @param {string} name - The column name
+ * @returns {string} The simplified name
+ */
+function simplifyColumnName (name) {
+    return String(name).normalize("NFD").replace(/[^\p{L}\p{N}]/gu, "").toLowerCase();
+}
+
+/**
+ * Guesses which field each CSV column holds, from the field names, their labels in every
+ * supported locale ("Code postal", "Birth date", …) and {@link COLUMN_ALIASES}. Each field is
+ * given to the first column matching it.
+ *
+ * @function guessColumnMapping
+ * @param {string[]} headers - The column names of the CSV
+ * @param {Object} [options]
+ * @param {Object[]} [options.schema=registrationSchema] - The schema of the records
+ * @returns {string[]} For each column, the field it holds, or "" to ignore the column
+ *
+ * @example
+ * guessColumnMapping(["Nom", "Prénom", "Ville", "Notes"]); // ["lastname", "firstname", "town", ""]
+ */
+function guessColumnMapping (headers, { schema = registrationSchema } = {}) {
+    const candidates = getInputFields(schema).map(({ name, label }) => ({
+        name,
+        names: new Set([name, ...SUPPORTED_LOCALES.map(locale => translate(locale, label)), ...(COLUMN_ALIASES[name] || [])]
+            .map(simplifyColumnName)),
+    }));
+    const taken = new Set();
+    return headers.map((header) => {
+        const simplified = simplifyColumnName(header);
+        const match = candidates.find(({ name, names }) => !taken.has(name) && names.has(simplified));
+        if (!match) return "";
+        taken.add(match.name);
+        return match.name;
+    });
+}
+
+/**
+ * Reads the records of a CSV of people: the first row holds the column names, mapped to the
+ * fields by `mapping` or by {@link guessColumnMapping}.
+ *
+ * @function readCSVRecords
+ * @param {string} text - The CSV text
+ * @param {Object} [options]
+ * @param {string[]} [options.mapping] - For each column, the field it holds or "" to ignore it
+ * @param {Object[]} [options.schema=registrationSchema] - The schema of the records
+ * @returns {{headers: string[], mapping: string[], missingFields: string[], records: Object[],
+ *   cells: string[][], lines: number[]}} The column names and their fields, the required fields
+ *   no column holds, then for each row its record, its cells and the line it starts on
+ *
+ * @throws {ValidationError} CSV_EMPTY if there is no header, CSV_UNTERMINATED_QUOTE if the
+ *   CSV is malformed (see {@link parseCSV})
+ */
+function readCSVRecords (text, { mapping, schema = registrationSchema } = {}) {
+    const { rows: [headers, ...cells], lines: [, ...lines] } = parseCSV(text);
+    if (!headers) {
+        throw new ValidationError("CSV_EMPTY", "The file has no header row");
+    }
+    const columns = mapping ?? guessColumnMapping(headers, { schema });
+    const missingFields = getInputFields(schema)
+        .filter(f => f.required && !columns.includes(f.name))
+        .map(f => f.name);
+    const records = cells.map((values) => {
+        const record = {};
+        columns.forEach((field, column) => {
+            if (field) record[field] = values[column] ?? "";
+        });
+        return record;
+    });
+    return { headers, mapping: columns, missingFields, records, cells, lines };
+}
+
+/**
+ * Checks records to register: each one is validated by {@link validateRegistration}, and an
+ * email already registered or used by an earlier record is refused with EMAIL_TAKEN.
+ *
+ * @function checkRecords
+ * @param {Object[]} records - The records to check
+ * @param {Object} [options]
+ * @param {Object[]} [options.existing=[]] - Registrations already stored
+ * @param {Date} [options.now] - Reference date for the age rule
+ * @param {Object[]} [options.schema=registrationSchema] - The schema of the records
+ * @returns {Array<Array<{field: string, code: string, message: string, params?: Object}>>} The
+ *   errors of each record, in schema order; empty for valid records
+ *
+ * @example
+ * checkRecords([{ email: "lea@example.fr", … }, { email: "LEA@example.fr", … }]);
+ * // [[], [{ field: "email", code: "EMAIL_TAKEN", … }]]
+ */
+function checkRecords (records, { existing = [], now, schema = registrationSchema } = {}) {
+    const emails = new Set(existing.map(r => String(r.email ?? "").trim().toLowerCase()));
+    return records.map((record) => {
+        const { errors } = validateRegistration(record, { now, schema });
+        const recordErrors = Object.entries(errors).map(([field, { code, message, params }]) => ({ field, code, message, params }));
+
+        const email = String(record.email ?? "").trim().toLowerCase();
+        if (email && !errors.email) {
+            if (emails.has(email)) {
+                recordErrors.push({ field: "email", code: "EMAIL_TAKEN", message: "This email is already registered" });
+            }
+            emails.add(email);
+        }
+        return recordErrors;
+    });
+}
+
+/**
+ * Validates the rows of a CSV of registrations, without storing anything.
+ *
+ * - The rows are read by {@link readCSVRecords}
+ * - Each row is checked by {@link checkRecords}; cells beyond the header are refused with
+ *   CSV_EXTRA_CELLS
+ * - Errors are reported with the line of the file the row starts on (the header being line 1)
+ *
+ * @function buildImportReport
+ * @param {string} text - The CSV text
+ * @param {Object} [options]
+ * @param {string[]} [options.mapping] - For each column, the field it holds or "" to ignore it
+ * @param {Object[]} [options.existing=getRegistrations()] - Registrations already stored
+ * @param {Date} [options.now] - Reference date for the age rule
+ * @param {Object[]} [options.schema=registrationSchema] - The schema of the records
+ * @returns {{headers: string[], mapping: string[], missingFields: string[], rows: Object[],
+ *   errors: Object[], valid: Object[]}}
+ *   - missingFields: required fields no column is mapped to
+ *   - rows: `{ row, record, errors }` for every row, `record` holding the mapped cells
+ *   - errors: `{ row, field, code, message, params }` for every error of every row, in order;
+ *     `field` is null for errors about the row itself
+ *   - valid: the records of the rows without errors, ready to store
+ *
+ * @throws {ValidationError} CSV_EMPTY if there is no header, CSV_UNTERMINATED_QUOTE if the
+ *   CSV is malformed (see {@link parseCSV})
+ *
+ * @example
+ * const report = buildImportReport("nom,prénom,email\nMartin,Léa,lea@example\n");
+ * report.errors;
+ * // [{ row: 2, field: "email", code: "INVALID_EMAIL", … }, { row: 2, field: "birth", code: "REQUIRED", … }, …]
+ */
+function buildImportReport (text, { mapping, existing = getRegistrations(), now, schema = registrationSchema } = {}) {
+    const { headers, mapping: columns, missingFields, records, cells, lines } = readCSVRecords(text, { mapping, schema });
+    const checks = checkRecords(records, { existing, now, schema });
+
+    const rows = records.map((record, i) => {
+        const errors = [...checks[i]];
+        if (cells[i].length > headers.length) {
+            errors.unshift({ field: null, code: "CSV_EXTRA_CELLS", message: "The row has more cells than the header" });
+        }
+        return { row: lines[i], record, errors };
+    });
+
+    return {
+        headers,
+        mapping: columns,
+        missingFields,
+        rows,
+        errors: rows.flatMap(({ row, errors }) => errors.map(error => ({ row, ...error }))),
+        valid: rows.filter(r => r.errors.length === 0).map(r => prepareRegistration(r.record, { schema })),
+    };
+}
+
+/**
+ * Stores the valid rows of an import report; rows with errors are left out.
+ *
+ * @function importRegistrations
+ * @param {{valid: Object[]}} report - The report from {@link buildImportReport}
+ * @returns {Object[]} The stored registrations
+ */
+function importRegistrations (report) {
+    return report.valid.length > 0 ? addRegistrations(report.valid) : [];
+}
+
+/**
+ * Export the registration import and export functions for use in other modules
+ * @exports registrationTransfer
+ */
+export {
+    EXPORT_FIELDS,
+    exportRegistrationsJSON,
+    exportRegistrationsCSV,
+    guessColumnMapping,
+    readCSVRecords,
+    checkRecords,
+    buildImportReport,
+    importRegistrations,
+}
@@ -0,0 +1,127 @@
+/**
+ * @module sanitize
+ * @description Input sanitization applied to every free-text field before validation and
+ * storage, so validators only ever see visible, markup-free text.
+ *
+ * Policy:
+ * - Input: {@link sanitizeText} runs on every keystroke in the form, in its `typing` mode that
+ *   never cuts what is being typed, and again, fully, on every record validated or stored
+ *   ({@link module:registration}), whatever its origin (form, API, import).
+ * - Output: stored values are rendered as React text, which escapes them. Anything building
+ *   HTML by hand must go through {@link escapeHtml}.
+ */
+
+/**
+ * C0 and C1 control characters, DEL included. Tabs and line breaks are handled separately.
+ * @type {RegExp}
+ */
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g;
+
+/**
+ * Tabs and line breaks, including the Unicode line and paragraph separators.
+ * @type {RegExp}
+ */
+const LINE_BREAKS = /[\t\n\r\u2028\u2029]/g;
+
+/**
+ * Invisible characters that can disguise a value: bidirectional embeddings, overrides,
+ * isolates and marks (which can make "exe.txt" display as "txt.exe"), zero-width spaces, the
+ * word joiner, the byte order mark, soft hyphens and Unicode tag characters.
+ *
+ * The zero-width non-joiner and joiner (U+200C, U+200D) are kept: Persian and Indic scripts
+ * need them to spell words, and emoji sequences to combine.
+ * @type {RegExp}
+ */
+const INVISIBLE_CHARACTERS = /[\u00AD\u061C\u180E\u200B\u200E\u200F\u202A-\u202E\u2060-\u2064\u2066-\u206F\uFEFF]|\uDB40[\uDC00-\uDC7F]/g;
+
+/**
+ * Fullwidth and small form variants of the angle brackets, which some browsers and
+ * databases fold into `<` and `>`.
+ * @type {RegExp}
+ */
+const ANGLE_BRACKET_VARIANTS = /[\uFE64\uFE65\uFF1C\uFF1E]/g;
+
+/**
+ * Sanitizes a free-text value:
+ * 1. Unicode NFC normalization
+ * 2. Removal of control and invisible characters; tabs and line breaks become spaces
+ * 3. Removal of HTML: script and style elements with their content, comments, tags, then
+ *    any remaining angle bracket
+ *
+ * Spaces are kept as typed, so the function can run while the user types; field
+ * normalizers trim and collapse them before storing.
+ *
+ * With `typing`, for values still being typed, step 3 only removes complete markup: script and
+ * style elements once closed, closed comments and tags (a tag name followed by a space, `/`
+ * or `>`). An unclosed tag or a lone bracket could be the start of ordinary text ("3<b",
+ * "Tom <tom@x.fr>"): it is left for the full sanitization of the submitted record.
+ *
+ * @function sanitizeText
+ * @param {*} value - The value to sanitize
+ * @param {Object} [options]
+ * @param {boolean} [options.typing=false] - The value is being typed: only complete markup is removed
+ * @returns {*} The sanitized string, or the value unchanged if it is not a string
+ *
+ * @example
+ * sanitizeText("Jean<script>alert(1)</script>");  // "Jean"
+ * sanitizeText("Pa\u200Bris\u202E");       // "Paris"
+ * sanitizeText("<b>Marie</b>");                    // "Marie"
+ * sanitizeText("3<b");                             // "3"
+ * sanitizeText("3<b", { typing: true });           // "3<b"
+ */
+function sanitizeText (value, { typing = false } = {}) {
+    if (typeof value !== "string") return value;
+    const text = value
+        .normalize("NFC")
+        .replace(CONTROL_CHARACTERS, "")
+        .replace(INVISIBLE_CHARACTERS, "")
+        .replace(LINE_BREAKS, " ")
+        .replace(ANGLE_BRACKET_VARIANTS, (bracket) => (bracket === "\uFE64" || bracket === "\uFF1C" ? "<" : ">"));
+    if (typing) {
+        return text
+            .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, "")
+            .replace(/<!--[\s\S]*?-->/g, "")
+            .replace(/<\/?[a-z][a-z0-9-]*(?:[\s/][^<>]*)?>/gi, "");
+    }
+    return text
+        .replace(/<(script|style)\b[\s\S]*?(?:<\/\1\s*>|$)/gi, "")
+        .replace(/<!--[\s\S]*?(?:-->|$)/g, "")
+        .replace(/<\/?[a-z!?][^>]*(?:>|$)/gi, "")
+        .replace(/[<>]/g, "");
+}
+
+/**
+ * Sanitizes every string value of a record.
+ *
+ * @function sanitizeValues
+ * @param {Object} values - The record
+ * @returns {Object} A new object with sanitized string values; other values are copied as is
+ *
+ * @example
+ * sanitizeValues({ town: "Paris\u0000", birth: new Date(1995, 4, 15) });
+ * // { town: "Paris", birth: Date }
+ */
+function sanitizeValues (values) {
+    return Object.fromEntries(Object.entries(values).map(([name, value]) => [name, sanitizeText(value)]));
+}
+
+/**
+ * Escapes a value for insertion in HTML markup, for output that does not go through React.
+ *
+ * @function escapeHtml
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped text
+ *
+ * @example
+ * escapeHtml(`O'Brien & <Co>`); // "O&#39;Brien &amp; &lt;Co&gt;"
+ */
+function escapeHtml (value) {
+    const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" };
+    return String(value ?? "").replace(/[&<>"']/g, (character) => entities[character]);
+}
+
+/**
+ * Export the sanitization helpers for use in other modules
+ * @exports sanitize
+ */
+export { sanitizeText, sanitizeValues, escapeHtml }
@@ -0,0 +1,260 @@
+/**
+ * @module sharedCounterStore
+ * @description Named counters shared by every tab of the application.
+ *
+ * Counters are stored in localStorage as {@link module:pnCounter} copies, and each change is
+ * broadcast to the other tabs through a BroadcastChannel, with storage events as a fallback
+ * where BroadcastChannel is missing. Each store is a replica with its own id: when two tabs
+ * change a counter at the same time, merging keeps both changes, and the merged copy is written
+ * back to localStorage so tabs opened later see them too. A tab keeps its replica id
+ * across reloads, so stored counters gain one entry per tab rather than one per page load.
+ */
+
+import { createPNCounter, addToPNCounter, pnCounterValue, mergePNCounters, samePNCounters } from "./pnCounter.js";
+
+/**
+ * Prefix of the localStorage keys holding the counters, followed by the counter name.
+ * @type {string}
+ */
+const STORAGE_PREFIX = "sharedCounter:";
+
+/**
+ * Name of the BroadcastChannel the tabs exchange counters on.
+ * @type {string}
+ */
+const CHANNEL_NAME = "shared-counters";
+
+/**
+ * sessionStorage key where a tab leaves its replica id for the page replacing it on reload.
+ * @type {string}
+ */
+const REPLICA_ID_KEY = "sharedCounter.replicaId";
+
+/**
+ * Generates the replica id of a store.
+ *
+ * Uses `crypto.randomUUID` when available and falls back to a time-based id otherwise.
+ *
+ * @function createReplicaId
+ * @returns {string} A unique identifier
+ */
+function createReplicaId () {
+    if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Takes the replica id a previous page of this tab left in session storage, or creates one.
+ *
+ * The id is removed from session storage while a store uses it and put back on `pagehide`
+ * (see {@link createSharedCounterStore}): the page loaded by a reload finds it, while a tab
+ * duplicated in the meantime copies a session storage without it and creates its own. Two
+ * tabs sharing a replica would overwrite each other's changes. A page that ends without
+ * `pagehide` (crash, killed process) loses its id, and the next load creates a new one.
+ *
+ * @function takeReplicaId
+ * @param {Storage|null} session - The tab's session storage
+ * @returns {string} The replica id
+ */
+function takeReplicaId (session) {
+    try {
+        const id = session?.getItem(REPLICA_ID_KEY);
+        session?.removeItem(REPLICA_ID_KEY);
+        if (id) return id;
+    } catch {
+        // session storage disabled: a new replica for each page load
+    }
+    return createReplicaId();
+}
+
+/**
+ * Opens the channel shared by the tabs, if the browser supports it.
+ *
+ * @function openChannel
+ * @returns {BroadcastChannel|null} The channel, or null without BroadcastChannel
+ */
+function openChannel () {
+    return typeof BroadcastChannel === "function" ? new BroadcastChannel(CHANNEL_NAME) : null;
+}
+
+/**
+ * Parses a counter stored as JSON, returning an empty counter if it is missing or corrupt.
+ *
+ * @function parseCounter
+ * @param {string|null} raw - The stored JSON
+ * @returns {{inc: Object, dec: Object}} The counter
+ */
+function parseCounter (raw) {
+    if (raw === null || raw === undefined) return createPNCounter();
+    try {
+        return mergePNCounters(createPNCounter(), JSON.parse(raw));
+    } catch {
+        return createPNCounter();
+    }
+}
+
+/**
+ * Creates a store of named counters synchronized with the other tabs.
+ *
+ * @function createSharedCounterStore
+ * @param {Object} [options]
+ * @param {Storage} [options.storage=localStorage] - Where counters are persisted
+ * @param {BroadcastChannel|null} [options.channel] - Channel to the other tabs; a
+ *   BroadcastChannel named {@link CHANNEL_NAME} by default, none if unsupported
+ * @param {Window} [options.target=window] - Where storage events from the other tabs arrive,
+ *   and the page lifecycle events (`pagehide`, `pageshow`) used to keep the replica id
+ * @param {Storage|null} [options.session=sessionStorage] - Where the replica id is kept
+ *   across reloads of the tab, see {@link takeReplicaId}
+ * @param {string} [options.replicaId] - Id of this replica; by default the one of the tab
+ * @returns {{get: function(string): number, add: function(string, number): number,
+ *   subscribe: function(string, function(number): void): function(): void, close: function(): void}}
+ *   - get(name): the value of a counter, 0 if it never changed
+ *   - add(name, amount): adds an integer (negative to remove) and returns the new value
+ *   - subscribe(name, listener): calls `listener` with the new value after each change, from
+ *     this tab or another one; returns a function removing the subscription
+ *   - close(): stops listening to the other tabs and gives the replica id back to the tab
+ *
+ * @throws {RangeError} From `add`, if the amount is not an integer
+ *
+ * @example
+ * const store = createSharedCounterStore();
+ * store.subscribe("visitors", value => console.log(value));
+ * store.add("visitors", 1); // seen by every tab subscribed to "visitors"
+ */
+function createSharedCounterStore ({
+    storage = localStorage,
+    channel = openChannel(),
+    target = typeof window !== "undefined" ? window : undefined,
+    session = typeof sessionStorage !== "undefined" ? sessionStorage : null,
+    replicaId,
+} = {}) {
+    const keepsReplicaId = replicaId === undefined && session !== null;
+    replicaId ??= takeReplicaId(session);
+    const counters = new Map();
+    const listeners = new Map();
+
+    const read = (name) => mergePNCounters(
+        counters.get(name) ?? createPNCounter(),
+        parseCounter(storage.getItem(STORAGE_PREFIX + name)),
+    );
+
+    /**
+     * Keeps a counter in memory and writes it to storage unless the stored copy already holds
+     * it. Two tabs writing at the same moment each overwrite the other's copy; writing back
+     * what was merged since restores the changes lost that way.
+     *
+     * @function save
+     * @param {string} name - The counter name
+     * @param {{inc: Object, dec: Object}} counter - The counter, merged with the stored copy
+     */
+    const save = (name, counter) => {
+        counters.set(name, counter);
+        const stored = parseCounter(storage.getItem(STORAGE_PREFIX + name));
+        if (!samePNCounters(stored, counter)) {
+            storage.setItem(STORAGE_PREFIX + name, JSON.stringify(counter));
+        }
+    };
+
+    const notify = (name, counter) => {
+        const value = pnCounterValue(counter);
+        listeners.get(name)?.forEach(listener => listener(value));
+    };
+
+    /**
+     * Merges a copy of a counter received from another tab and saves the result, notifying
+     * subscribers if it held changes this store had not seen.
+     *
+     * @function receive
+     * @param {string} name - The counter name
+     * @param {*} copy - The received copy
+     */
+    const receive = (name, copy) => {
+        const known = counters.get(name) ?? createPNCounter();
+        const merged = mergePNCounters(read(name), copy);
+        save(name, merged);
+        if (!samePNCounters(known, merged)) notify(name, merged);
+    };
+
+    const onMessage = ({ data }) => {
+        if (typeof data?.name === "string") receive(data.name, data.counter);
+    };
+    const onStorage = (e) => {
+        if (e.key?.startsWith(STORAGE_PREFIX)) {
+            receive(e.key.slice(STORAGE_PREFIX.length), parseCounter(e.newValue));
+        }
+    };
+    // Leave the id for the next page of this tab, and take it back if this page is restored
+    // from the back/forward cache
+    const releaseReplicaId = () => {
+        try {
+            session.setItem(REPLICA_ID_KEY, replicaId);
+        } catch {
+            // the next page will use a new replica
+        }
+    };
+    const retakeReplicaId = () => {
+        try {
+            session.removeItem(REPLICA_ID_KEY);
+        } catch {
+            // nothing was left
+        }
+    };
+
+    channel?.addEventListener("message", onMessage);
+    target?.addEventListener("storage", onStorage);
+    if (keepsReplicaId) {
+        target?.addEventListener("pagehide", releaseReplicaId);
+        target?.addEventListener("pageshow", retakeReplicaId);
+    }
+
+    return {
+        get: (name) => {
+            const counter = read(name);
+            save(name, counter);
+            return pnCounterValue(counter);
+        },
+        add: (name, amount) => {
+            const counter = addToPNCounter(read(name), replicaId, amount);
+            save(name, counter);
+            channel?.postMessage({ name, counter });
+            notify(name, counter);
+            return pnCounterValue(counter);
+        },
+        subscribe: (name, listener) => {
+            if (!listeners.has(name)) listeners.set(name, new Set());
+            listeners.get(name).add(listener);
+            return () => listeners.get(name).delete(listener);
+        },
+        close: () => {
+            channel?.removeEventListener("message", onMessage);
+            channel?.close();
+            target?.removeEventListener("storage", onStorage);
+            if (keepsReplicaId) {
+                target?.removeEventListener("pagehide", releaseReplicaId);
+                target?.removeEventListener("pageshow", retakeReplicaId);
+                releaseReplicaId();
+            }
+        },
+    };
+}
+
+let defaultStore;
+
+/**
+ * Returns the store shared by the whole tab, created on first use.
+ *
+ * @function getSharedCounterStore
+ * @returns {Object} The store, see {@link createSharedCounterStore}
+ */
+function getSharedCounterStore () {
+    defaultStore ??= createSharedCounterStore();
+    return defaultStore;
+}
+
+/**
+ * Export the shared counter store for use in other modules
+ * @exports sharedCounterStore
+ */
+export { STORAGE_PREFIX, CHANNEL_NAME, REPLICA_ID_KEY, createSharedCounterStore, getSharedCounterStore }
@@ -1,21 +1,35 @@
+import { computeAge } from "./age.js";
+import { ValidationError, safely } from "./errors.js";
+
 /**
- * Validates a birthdate and ensures the person is at least 18 years old.
+ * Validates a birthdate and ensures the person is old enough.
  *
  * This function checks that:
- * 1. The birth parameter is a valid Date object
+ * 1. The birth parameter is a valid Date object or "YYYY-MM-DD" string
  * 2. The birthdate is not in the future
- * 3. The age calculated from the birthdate is at least 18 years old
+ * 3. The age calculated from the birthdate is at least `minAge` (18 by default)
  *
- * @function validateAge
- * @param {Date} birth - The birthdate to validate. Must be a valid JavaScript Date object.
+ * The age is computed by the shared age engine ({@link computeAge}), on calendar
+ * dates, so the result does not depend on the time zone. People born on
+ * 29 February come of age on 1 March in common years.
  *
- * @throws {Object} Throws an error object with code and message properties if:
- *   - birth is not a valid Date instance or is NaN
+ * @function validateAge
+ * @param {Date|string} birth - The birthdate to validate
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Reference date ("today")
+ * @param {number} [options.minAge=18] - Minimum age in years
+ * @param {number} [options.minBirthYear=MIN_BIRTH_YEAR] - Earliest accepted birth year, see {@link module:age}
+ * @param {number} [options.maxBirthYear] - Latest accepted birth year
+ *
+ * @throws {ValidationError} Throws a ValidationError with code and message properties if:
+ *   - birth is not a valid date
  *     {code: "INVALID_DATE", message: "Birth date is invalid"}
  *   - birthdate is in the future
  *     {code: "INVALID_DATE", message: "Birth date cannot be in the future"}
- *   - calculated age is less than 18
- *     {code: "INVALID_AGE", message: "Must be at least 18 years old"}
+ *   - birth year is outside [minBirthYear, maxBirthYear]
+ *     {code: "INVALID_DATE", message: "Birth year is out of range"}
+ *   - calculated age is less than minAge
+ *     {code: "INVALID_AGE", message: "Must be at least 18 years old", params: {min: 18}}
  *
  * @returns {void} Returns nothing if validation passes
  *
@@ -23,89 +37,247 @@
  * // Valid usage
  * const birthDate = new Date("1995-05-15");
  * validateAge(birthDate); // Passes if person is 18 or older
+ * validateAge("2008-03-02", { now: new Date(2026, 2, 2) }); // Passes, 18th birthday
  *
  * @example
  * // Invalid usage - throws error
  * const futureBirth = new Date("2030-01-01");
  * validateAge(futureBirth); // Throws error with code "INVALID_DATE"
  */
-function validateAge (birth) {
-    if (!(birth instanceof Date) || isNaN(birth.getTime())) {
-        throw { code: "INVALID_DATE", message: "Birth date is invalid" };
+function validateAge (birth, { now = new Date(), minAge = 18, minBirthYear, maxBirthYear } = {}) {
+    let years;
+    try {
+        ({ years } = computeAge(birth, { now, minBirthYear, maxBirthYear }));
+    } catch (err) {
+        err.field = "birth";
+        throw err;
     }
-    const now = new Date();
 
-    if(birth > now) {
-        throw { code: "INVALID_DATE", message: "Birth date cannot be in the future" };
+    if (years < minAge) {
+        throw new ValidationError("INVALID_AGE", `Must be at least ${minAge} years old`, { field: "birth", params: { min: minAge } });
+    }
+}
+
+/**
+ * Postal code rules by ISO 3166-1 alpha-2 country code.
+ *
+ * Each rule has:
+ * - pattern: RegExp the normalized code must match
+ * - prefixes: Optional country prefixes people sometimes type (e.g. "L-1234"), stripped during normalization
+ * - split: For alphanumeric formats, the normalized code is written with a space before the last `split` characters
+ * - example: A valid code, useful for hints
+ *
+ * @type {Object<string, {pattern: RegExp, prefixes?: string[], split?: number, example: string}>}
+ */
+const POSTAL_CODE_RULES = {
+    FR: { pattern: /^\d{5}$/, prefixes: ["F-", "FR-"], example: "75001" },
+    BE: { pattern: /^[1-9]\d{3}$/, prefixes: ["B-", "BE-"], example: "1000" },
+    CH: { pattern: /^[1-9]\d{3}$/, prefixes: ["CH-"], example: "1201" },
+    LU: { pattern: /^\d{4}$/, prefixes: ["L-", "LU-"], example: "1009" },
+    DE: { pattern: /^\d{5}$/, prefixes: ["D-", "DE-"], example: "10115" },
+    GB: { pattern: /^(GIR 0AA|[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2})$/, split: 3, example: "SW1A 1AA" },
+    CA: { pattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/, split: 3, example: "H2X 1Y4" },
+    US: { pattern: /^\d{5}(-\d{4})?$/, example: "10001" },
+};
+
+/**
+ * Countries with a postal code rule, in display order.
+ * @type {string[]}
+ */
+const COUNTRIES = Object.keys(POSTAL_CODE_RULES);
+
+/**
+ * Validates a country code against the supported countries.
+ *
+ * @function validateCountry
+ * @param {string} country - ISO 3166-1 alpha-2 country code, e.g. "FR"
+ *
+ * @throws {ValidationError} Throws a ValidationError with code and message properties if:
+ *   - country is not one of {@link COUNTRIES}
+ *     {code: "INVALID_COUNTRY", message: "Unsupported country", params: {country}}
+ *
+ * @returns {void} Returns nothing if validation passes
+ */
+function validateCountry (country) {
+    if (!Object.prototype.hasOwnProperty.call(POSTAL_CODE_RULES, country)) {
+        throw new ValidationError("INVALID_COUNTRY", "Unsupported country", { field: "country", params: { country } });
     }
-    let age = now.getFullYear() - birth.getFullYear();
+}
 
-    const hasHadBirthday = now.getMonth() > birth.getMonth() ||
-        (now.getMonth() === birth.getMonth() && now.getDate() >= birth.getDate());
+/**
+ * Normalizes a postal code to the canonical form of its country.
+ *
+ * Trims and uppercases the code, strips a country prefix such as "L-" or "D-",
+ * and fixes spacing: no spaces for numeric codes, a single space before the
+ * inward part for UK and Canadian codes, a dash for US ZIP+4.
+ * Values that are not strings, or countries without a rule, are returned as given.
+ *
+ * @function normalizePostCode
+ * @param {string} pc - The postal code as typed
+ * @param {string} [country="FR"] - ISO 3166-1 alpha-2 country code
+ * @returns {string} The normalized postal code
+ *
+ * @example
+ * normalizePostCode(" sw1a1aa ", "GB"); // "SW1A 1AA"
+ * normalizePostCode("L-1009", "LU");    // "1009"
+ * normalizePostCode("75 001");          // "75001"
+ */
+function normalizePostCode (pc, country = "FR") {
+    const rule = POSTAL_CODE_RULES[country];
+    if (typeof pc !== "string" || !rule) return pc;
 
-    if (!hasHadBirthday) age--;
+    let code = pc.trim().toUpperCase();
+    const prefix = (rule.prefixes || []).find(p => code.startsWith(p));
+    if (prefix) code = code.slice(prefix.length);
 
-    if (age < 18) {
-        throw { code: "INVALID_AGE", message: "Must be at least 18 years old" };
+    if (rule.split) {
+        code = code.replace(/\s+/g, "");
+        return code.length > rule.split
+            ? `${code.slice(0, -rule.split)} ${code.slice(-rule.split)}`
+            : code;
+    }
+    if (country === "US") {
+        return code.replace(/\s*[-\s]\s*/g, "-");
     }
+    return code.replace(/\s+/g, "");
 }
 
 /**
- * Validates a French postal code format.
+ * Validates a postal code for a given country.
  *
- * A valid French postal code must be exactly 5 digits (0-9).
- * Examples: "75001", "69000", "13000"
+ * The code is normalized first (see {@link normalizePostCode}), so case and spacing
+ * differences are accepted. Supported formats:
+ * - FR, DE: exactly 5 digits (e.g. "75001", "10115")
+ * - BE, CH: 4 digits, not starting with 0 (e.g. "1000", "1201")
+ * - LU: 4 digits, optional "L-" prefix (e.g. "1009")
+ * - GB: UK postcode (e.g. "SW1A 1AA", "M1 1AE")
+ * - CA: Canadian postal code (e.g. "H2X 1Y4")
+ * - US: ZIP or ZIP+4 (e.g. "10001", "10001-1234")
  *
  * @function validatePostCode
  * @param {string} pc - The postal code string to validate
+ * @param {string} [country="FR"] - ISO 3166-1 alpha-2 country code
  *
- * @throws {Object} Throws an error object with code and message properties if:
+ * @throws {ValidationError} Throws a ValidationError with code and message properties if:
+ *   - country is not supported
+ *     {code: "INVALID_COUNTRY", message: "Unsupported country", params: {country}}
  *   - pc is not a string
- *   - pc does not match the pattern of exactly 5 digits
- *     {code: "INVALID_POST_CODE", message: "Invalid post code"}
+ *   - pc does not match the country's format
+ *     {code: "INVALID_POST_CODE", message: "Invalid post code", params: {country, example}}
  *
  * @returns {void} Returns nothing if validation passes
  *
  * @example
  * // Valid postal codes
- * validatePostCode("75001"); // Paris
- * validatePostCode("13000"); // Marseille
+ * validatePostCode("75001");           // Paris
+ * validatePostCode("13000");           // Marseille
+ * validatePostCode("sw1a 1aa", "GB");  // London
+ * validatePostCode("H2X1Y4", "CA");    // Montréal
  *
  * @example
  * // Invalid postal codes - throw errors
  * validatePostCode("750");    // Too short
  * validatePostCode("7500A");  // Contains letters
  * validatePostCode("ABC12");  // Wrong format
+ * validatePostCode("75001", "BE"); // Belgian codes have 4 digits
  */
-function validatePostCode (pc) {
-    if (typeof pc !== "string" || !/^\d{5}$/.test(pc)) {
-        throw({ code: "INVALID_POST_CODE", message: "Invalid post code" });
+function validatePostCode (pc, country = "FR") {
+    validateCountry(country);
+    const rule = POSTAL_CODE_RULES[country];
+    if (typeof pc !== "string" || !rule.pattern.test(normalizePostCode(pc, country))) {
+        throw new ValidationError("INVALID_POST_CODE", "Invalid post code", { field: "postCode", params: { country, example: rule.example } });
     }
 }
 
+/**
+ * Longest accepted name, in characters once normalized.
+ * @type {number}
+ */
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * A name: words of letters (with their combining marks) joined by a single space, hyphen
+ * or apostrophe, e.g. "Jean-Pierre", "De La Fontaine", "N'Diaye", "Nguyễn". Inside a word, a
+ * zero-width non-joiner or joiner may precede a letter or mark, as Persian and Indic scripts
+ * require (e.g. "مهر‌انگیز").
+ * @type {RegExp}
+ */
+const NAME_PATTERN = /^\p{L}(?:[\p{L}\p{M}]|[\u200C\u200D][\p{L}\p{M}])*(?:[ '’ʼ-]\p{L}(?:[\p{L}\p{M}]|[\u200C\u200D][\p{L}\p{M}])*)*$/u;
+
+/**
+ * Puts a name in canonical form: Unicode NFC (so "é" typed as "e" + accent equals the
+ * precomposed "é"), no surrounding spaces and single spaces between words.
+ *
+ * @function normalizeName
+ * @param {string} name - The name as typed
+ * @returns {string} The normalized name
+ *
+ * @example
+ * normalizeName("  De   La Fontaine "); // "De La Fontaine"
+ */
+function normalizeName (name) {
+    return String(name).normalize("NFC").trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Formats a last name for display and storage: normalized and in capitals, the usual
+ * convention for French administrative records.
+ *
+ * @function formatLastName
+ * @param {string} name - The last name
+ * @returns {string} The formatted last name
+ *
+ * @example
+ * formatLastName("de la fontaine"); // "DE LA FONTAINE"
+ */
+function formatLastName (name) {
+    return normalizeName(name).toUpperCase();
+}
+
+/**
+ * Formats a first name for display and storage: normalized, each word (including each part
+ * of a hyphenated name) starting with a capital and the rest in lowercase.
+ *
+ * @function formatFirstName
+ * @param {string} name - The first name
+ * @returns {string} The formatted first name
+ *
+ * @example
+ * formatFirstName("JEAN-pierre"); // "Jean-Pierre"
+ * formatFirstName("łukasz");      // "Łukasz"
+ */
+function formatFirstName (name) {
+    return normalizeName(name)
+        .toLowerCase()
+        .replace(/(^|[ -])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
 /**
  * Validates a person's name (firstname or lastname) and prevents XSS injection attacks.
  *
- * This function checks that:
+ * This function checks that, once normalized with {@link normalizeName}:
  * 1. The name is a string
  * 2. The name does not contain HTML tags (XSS prevention)
- * 3. The name contains only valid characters (letters, accents, hyphens)
- *
- * Valid characters include:
- * - Standard Latin letters: A-Z, a-z
- * - Accented characters: À-Ö, ø-ÿ (for French and other European languages)
- * - Hyphens: - (common in French names)
+ * 3. The name contains only letters of any script (with their combining marks), spaces,
+ *    hyphens and apostrophes
+ * 4. The name starts and ends with a letter and separators are not doubled ("Jean--Pierre",
+ *    "Jean -Pierre" and "'Brien" are rejected)
+ * 5. The name is at most `maxLength` characters long
  *
  * @function validateIdentity
  * @param {string} name - The person's name to validate (firstname or lastname)
+ * @param {Object} [options]
+ * @param {number} [options.maxLength=50] - Longest accepted name
  *
- * @throws {Object} Throws an error object with code and message properties if:
+ * @throws {ValidationError} Throws a ValidationError with code and message properties if:
  *   - name is not a string
  *     {code: "INVALID_IDENTITY", message: "Invalid name"}
  *   - name contains HTML tags (XSS detection)
  *     {code: "INVALID_IDENTITY", message: "XSS detected"}
- *   - name contains invalid characters
+ *   - name contains invalid characters or misplaced separators
  *     {code: "INVALID_IDENTITY", message: "Invalid characters in name"}
+ *   - name is too long
+ *     {code: "IDENTITY_TOO_LONG", message: "Name is too long", params: {max: 50}}
  *
  * @returns {void} Returns nothing if validation passes
  *
@@ -113,44 +285,124 @@ function validatePostCode (pc) {
  * // Valid names
  * validateIdentity("Jean");
  * validateIdentity("Marie-Claire");
- * validateIdentity("François");
+ * validateIdentity("O'Brien");
+ * validateIdentity("De La Fontaine");
+ * validateIdentity("Wałęsa");
+ * validateIdentity("Παπαδόπουλος");
  *
  * @example
  * // Invalid names - throw errors
  * validateIdentity("Jean123");        // Contains numbers
  * validateIdentity("<script>alert</script>"); // XSS attempt
  * validateIdentity("Jean@");          // Invalid special character
+ * validateIdentity("Jean--Pierre");   // Doubled separator
  */
-function validateIdentity (name) {
+function validateIdentity (name, { maxLength = MAX_NAME_LENGTH } = {}) {
     if (typeof name !== "string") {
-        throw { code: "INVALID_IDENTITY", message: "Invalid name" };
+        throw new ValidationError("INVALID_IDENTITY", "Invalid name");
     }
 
     if (/<[^>]*/.test(name)) {
-        throw { code: "INVALID_IDENTITY", message: "XSS detected" };
+        throw new ValidationError("INVALID_IDENTITY", "XSS detected");
     }
 
-    if (!/^[A-Za-zÀ-ÖØ-öø-ÿ\-]+$/.test(name)) {
-        throw { code: "INVALID_IDENTITY", message: "Invalid characters in name" };
+    const normalized = normalizeName(name);
+    if (!NAME_PATTERN.test(normalized)) {
+        throw new ValidationError("INVALID_IDENTITY", "Invalid characters in name");
+    }
+
+    if ([...normalized].length > maxLength) {
+        throw new ValidationError("IDENTITY_TOO_LONG", "Name is too long", { params: { max: maxLength } });
     }
 }
 
 /**
- * Validates an email address format.
+ * Characters allowed in an unquoted local part ("atext" of RFC 5322), plus any Unicode
+ * letter or digit for internationalized addresses (RFC 6531).
+ *
+ * `/` is left out: RFC 5322 allows it, but no mail provider hands out such addresses and it
+ * mostly shows up when a path or URL is pasted into the field.
+ *
+ * @type {RegExp}
+ */
+const EMAIL_ATOM = /^[\p{L}\p{N}!#$%&'*+=?^_`{|}~-]+$/u;
+
+/**
+ * A quoted local part: printable ASCII and spaces, with `"` and `\` escaped by a backslash.
+ * @type {RegExp}
+ */
+const EMAIL_QUOTED = /^"(?:[\x20\x21\x23-\x5b\x5d-\x7e]|\\[\x20-\x7e])*"$/;
+
+/**
+ * Converts a domain name to its lowercase ASCII (punycode) form.
+ *
+ * Relies on the WHATWG URL parser, available in browsers and Node, for the IDNA mapping.
+ *
+ * @function toAsciiDomain
+ * @param {string} domain - The domain, possibly internationalized (e.g. "bücher.de")
+ * @returns {string|undefined} The ASCII domain (e.g. "xn--bcher-kva.de"), or undefined
+ *   if it cannot be converted
+ */
+function toAsciiDomain (domain) {
+    if (!domain || /[\s/?#@:\\[\]%]/.test(domain)) return undefined;
+    try {
+        return new URL(`http://${domain}`).hostname;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Splits an email address into its local part and ASCII domain, checking its syntax.
+ *
+ * Follows RFC 5321/5322 for the address forms people actually use:
+ * - Local part: dot-separated atoms (no leading, trailing or double dots), which allows
+ *   plus addressing ("first+tag"), or a quoted string ("\"john doe\"")
+ * - Domain: a host name of at least two labels, possibly internationalized; each label has
+ *   1 to 63 letters, digits or inner hyphens and the top-level domain is not numeric
+ * - Lengths: 64 characters for the local part, 253 for the domain, 254 in total
  *
- * This function validates the basic structure of an email address.
- * Format: username@domain.extension
+ * IP address literals (`user@[192.0.2.1]`) and comments are not accepted.
  *
- * Valid characters in username: letters, numbers, dots, underscores, hyphens
- * Valid characters in domain: letters, numbers, dots, hyphens
- * Extension must be at least 2 letters
+ * @function parseEmail
+ * @param {string} email - The email address
+ * @returns {{local: string, domain: string}|undefined} The parts, or undefined if the address is invalid
+ *
+ * @example
+ * parseEmail("Léa+news@Bücher.de"); // { local: "Léa+news", domain: "xn--bcher-kva.de" }
+ * parseEmail("a..b@example.com");   // undefined
+ */
+function parseEmail (email) {
+    if (typeof email !== "string") return undefined;
+    const at = email.lastIndexOf("@");
+    if (at < 1) return undefined;
+
+    const local = email.slice(0, at);
+    const validLocal = EMAIL_QUOTED.test(local) || local.split(".").every(atom => EMAIL_ATOM.test(atom));
+    if (!validLocal || local.length > 64) return undefined;
+
+    const domain = toAsciiDomain(email.slice(at + 1));
+    if (!domain || domain.length > 253 || local.length + 1 + domain.length > 254) return undefined;
+    const labels = domain.split(".");
+    const validDomain = labels.length >= 2
+        && labels.every(label => /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/.test(label))
+        && /^(?:[a-z]{2,63}|xn--[a-z0-9-]+)$/.test(labels[labels.length - 1]);
+    return validDomain ? { local, domain } : undefined;
+}
+
+/**
+ * Validates an email address format.
+ *
+ * The syntax rules are those of {@link parseEmail}: plus addressing, quoted local parts and
+ * internationalized domains (in Unicode or punycode form) are accepted; consecutive dots,
+ * missing parts, invalid domain labels and over-long addresses are rejected.
  *
  * @function validateEmail
  * @param {string} email - The email address to validate
  *
- * @throws {Object} Throws an error object with code and message properties if:
+ * @throws {ValidationError} Throws a ValidationError with code and message properties if:
  *   - email is not a string
- *   - email does not match the email format pattern
+ *   - email is not a syntactically valid address
  *     {code: "INVALID_EMAIL", message: "Invalid email format"}
  *
  * @returns {void} Returns nothing if validation passes
@@ -158,8 +410,9 @@ function validateIdentity (name) {
  * @example
  * // Valid email addresses
  * validateEmail("john.doe@example.com");
- * validateEmail("user_name@domain.fr");
- * validateEmail("contact-us@my-company.co.uk");
+ * validateEmail("first+tag@example.com");
+ * validateEmail("\"john doe\"@example.com");
+ * validateEmail("contact@bücher.de");
  *
  * @example
  * // Invalid email addresses - throw errors
@@ -167,11 +420,11 @@ function validateIdentity (name) {
  * validateEmail("user@");               // Missing domain
  * validateEmail("@example.com");        // Missing username
  * validateEmail("user@domain");         // Missing extension
+ * validateEmail("a..b@x..com");         // Empty atoms and labels
  */
 function validateEmail (email) {
-    if (typeof email !== "string" || !/^[a-zA-Z0-9._-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(email)
-    ) {
-        throw { code: "INVALID_EMAIL", message: "Invalid email format" };
+    if (!parseEmail(email)) {
+        throw new ValidationError("INVALID_EMAIL", "Invalid email format", { field: "email" });
     }
 }
 
@@ -192,7 +445,7 @@ function validateEmail (email) {
  * @function validateTown
  * @param {string} town - The town/city name to validate
  *
- * @throws {Object} Throws an error object with code and message properties if:
+ * @throws {ValidationError} Throws a ValidationError with code and message properties if:
  *   - town is not a string
  *   - town contains invalid characters
  *     {code: "INVALID_TOWN", message: "Invalid town name"}
@@ -214,12 +467,462 @@ function validateEmail (email) {
  */
 function validateTown(town) {
     if (typeof town !== "string" || !/^[A-Za-zÀ-ÖØ-öø-ÿ\s\-]+$/.test(town)) {
-        throw { code: "INVALID_TOWN", message: "Invalid town name" };
+        throw new ValidationError("INVALID_TOWN", "Invalid town name", { field: "town" });
     }
 }
 
+/**
+ * Longest address line, in characters: the limit of the French postal standard (AFNOR NF Z10-011),
+ * also used by most carriers' labels.
+ * @type {number}
+ */
+const MAX_ADDRESS_LINE_LENGTH = 38;
+
+/**
+ * A street number: up to 5 digits, optionally followed by a repetition index ("bis", "ter",
+ * "quater", "quinquies") or a letter, e.g. "12", "12 bis", "12B".
+ * @type {RegExp}
+ */
+const STREET_NUMBER_PATTERN = /^\d{1,5}(?: ?(?:bis|ter|quater|quinquies|\p{L}))?$/iu;
+
+/**
+ * An address line: letters, digits, spaces and the punctuation of addresses
+ * (' ’ - . , / °), starting with a letter or a digit.
+ * @type {RegExp}
+ */
+const ADDRESS_LINE_PATTERN = /^[\p{L}\p{N}][\p{L}\p{M}\p{N} '’.,/°-]*$/u;
+
+/**
+ * Validates a street number.
+ *
+ * @function validateStreetNumber
+ * @param {string} number - The street number, e.g. "12", "12 bis", "12B"
+ *
+ * @throws {ValidationError} Throws a ValidationError with code and message properties if:
+ *   - number is not a string or not a number with an optional index
+ *     {code: "INVALID_STREET_NUMBER", message: "Invalid street number"}
+ *
+ * @returns {void} Returns nothing if validation passes
+ *
+ * @example
+ * validateStreetNumber("12 bis"); // Passes
+ * validateStreetNumber("12-14");  // Throws INVALID_STREET_NUMBER
+ */
+function validateStreetNumber (number) {
+    if (typeof number !== "string" || !STREET_NUMBER_PATTERN.test(number.trim())) {
+        throw new ValidationError("INVALID_STREET_NUMBER", "Invalid street number", { field: "streetNumber" });
+    }
+}
+
+/**
+ * Validates one line of a postal address: allowed characters (no HTML) and length.
+ *
+ * @function validateAddressLine
+ * @param {string} line - The line as typed
+ * @param {Object} options
+ * @param {string} options.field - Field reported by the errors
+ * @param {string} options.code - Error code for invalid characters
+ * @param {string} options.message - Error message for invalid characters
+ * @param {number} [options.maxLength=MAX_ADDRESS_LINE_LENGTH] - Longest accepted line
+ *
+ * @throws {ValidationError} `code` for invalid lines, ADDRESS_LINE_TOO_LONG for long ones
+ */
+function validateAddressLine (line, { field, code, message, maxLength = MAX_ADDRESS_LINE_LENGTH }) {
+    const normalized = typeof line === "string" ? line.normalize("NFC").trim().replace(/\s+/g, " ") : "";
+    if (!ADDRESS_LINE_PATTERN.test(normalized)) {
+        throw new ValidationError(code, message, { field });
+    }
+    if ([...normalized].length > maxLength) {
+        throw new ValidationError("ADDRESS_LINE_TOO_LONG", "Address line is too long", { field, params: { max: maxLength } });
+    }
+}
+
+/**
+ * Validates a street name, e.g. "Boulevard de la République", "bd Voltaire", "Chemin des Vignes".
+ *
+ * The name must contain a letter, use only letters, digits, spaces and ' ’ - . , / °
+ * (no HTML), and fit on an address line once spaces are collapsed.
+ *
+ * @function validateStreetName
+ * @param {string} name - The street name, street type included
+ * @param {Object} [options]
+ * @param {number} [options.maxLength=38] - Longest accepted name
+ *
+ * @throws {ValidationError} Throws a ValidationError with code and message properties if:
+ *   - name is not a string, has no letter or contains invalid characters
+ *     {code: "INVALID_STREET_NAME", message: "Invalid street name"}
+ *   - name is too long
+ *     {code: "ADDRESS_LINE_TOO_LONG", message: "Address line is too long", params: {max: 38}}
+ *
+ * @returns {void} Returns nothing if validation passes
+ *
+ * @example
+ * validateStreetName("bd de la République"); // Passes
+ * validateStreetName("12");                  // Throws INVALID_STREET_NAME, no letter
+ * validateStreetName("<b>Rue</b>");          // Throws INVALID_STREET_NAME
+ */
+function validateStreetName (name, { maxLength = MAX_ADDRESS_LINE_LENGTH } = {}) {
+    const options = { field: "streetName", code: "INVALID_STREET_NAME", message: "Invalid street name", maxLength };
+    if (typeof name !== "string" || !/\p{L}/u.test(name)) {
+        throw new ValidationError(options.code, options.message, { field: options.field });
+    }
+    validateAddressLine(name, options);
+}
+
+/**
+ * Validates an address complement: building, staircase, floor, apartment, P.O. box…
+ * e.g. "Bâtiment B, 3e étage", "Appt 12".
+ *
+ * Same characters and length as {@link validateStreetName}, digits alone allowed.
+ *
+ * @function validateAddressComplement
+ * @param {string} complement - The address complement
+ * @param {Object} [options]
+ * @param {number} [options.maxLength=38] - Longest accepted complement
+ *
+ * @throws {ValidationError} Throws a ValidationError with code and message properties if:
+ *   - complement is not a string or contains invalid characters
+ *     {code: "INVALID_ADDRESS_COMPLEMENT", message: "Invalid address complement"}
+ *   - complement is too long
+ *     {code: "ADDRESS_LINE_TOO_LONG", message: "Address line is too long", params: {max: 38}}
+ *
+ * @returns {void} Returns nothing if validation passes
+ */
+function validateAddressComplement (complement, { maxLength = MAX_ADDRESS_LINE_LENGTH } = {}) {
+    validateAddressLine(complement, {
+        field: "addressComplement",
+        code: "INVALID_ADDRESS_COMPLEMENT",
+        message: "Invalid address complement",
+        maxLength,
+    });
+}
+
+/**
+ * Telephone numbering rules by ISO 3166-1 alpha-2 country code, for the countries of
+ * {@link POSTAL_CODE_RULES}.
+ *
+ * Each rule has:
+ * - code: Country calling code, without the "+"
+ * - trunk: Optional prefix dialled before the number inside the country (the "0" of "06 12 34 56 78"),
+ *   stripped when parsing and shown in the national format
+ * - pattern: RegExp the national significant number (without trunk prefix) must match
+ * - groups: Sizes of the digit groups displayed, or a function of the national number returning
+ *   them; the last group takes any remaining digits
+ * - separator: Group separator, a space when omitted
+ * - example: A valid number, in national format, useful for hints
+ *
+ * German landline area codes vary in length, so those numbers are displayed ungrouped.
+ *
+ * @type {Object<string, {code: string, trunk?: string, pattern: RegExp, groups: (number[]|function(string): number[]), separator?: string, example: string}>}
+ */
+const PHONE_RULES = {
+    FR: { code: "33", trunk: "0", pattern: /^[1-9]\d{8}$/, groups: [1, 2, 2, 2, 2], example: "06 12 34 56 78" },
+    BE: {
+        code: "32",
+        trunk: "0",
+        pattern: /^(4[5-9]\d{7}|[1-9]\d{7})$/,
+        groups: (n) => (/^4[5-9]/.test(n) ? [3, 2, 2, 2] : /^[2349]/.test(n) ? [1, 3, 2, 2] : [2, 2, 2, 2]),
+        example: "0470 12 34 56",
+    },
+    CH: { code: "41", trunk: "0", pattern: /^[1-9]\d{8}$/, groups: [2, 3, 2, 2], example: "078 123 45 67" },
+    LU: {
+        code: "352",
+        pattern: /^(6[269][18]\d{6}|[2-9]\d{5,7})$/,
+        groups: (n) => (n.startsWith("6") ? [3, 3, 3] : [2, 2, 2, 2]),
+        example: "621 123 456",
+    },
+    DE: {
+        code: "49",
+        trunk: "0",
+        pattern: /^(1[5-7]\d{8,9}|[2-9]\d{5,10})$/,
+        groups: (n) => (n.startsWith("1") ? [3, 9] : [11]),
+        example: "0151 23456789",
+    },
+    GB: { code: "44", trunk: "0", pattern: /^[1-9]\d{9}$/, groups: [4, 6], example: "07911 123456" },
+    CA: { code: "1", pattern: /^[2-9]\d{2}[2-9]\d{6}$/, groups: [3, 3, 4], separator: "-", example: "514-555-0199" },
+    US: { code: "1", pattern: /^[2-9]\d{2}[2-9]\d{6}$/, groups: [3, 3, 4], separator: "-", example: "415-555-2671" },
+};
+
+/**
+ * A number in E.164 format: "+", then 8 to 15 digits starting with the country calling code.
+ * Used for calling codes without a rule in {@link PHONE_RULES}.
+ * @type {RegExp}
+ */
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Finds the country whose calling code starts a string of digits.
+ *
+ * @function findPhoneCountry
+ * @param {string} digits - Digits following the "+"
+ * @param {string} preferred - Country picked when several share the calling code (e.g. "+1")
+ * @returns {string|undefined} The country code, or undefined when no rule matches
+ */
+function findPhoneCountry (digits, preferred) {
+    const matches = Object.keys(PHONE_RULES).filter(c => digits.startsWith(PHONE_RULES[c].code));
+    return matches.includes(preferred) ? preferred : matches[0];
+}
+
+/**
+ * Splits a national number into the digit groups of its country.
+ *
+ * @function groupPhoneDigits
+ * @param {string} digits - The national significant number, possibly incomplete
+ * @param {Object} rule - The rule of the country (see {@link PHONE_RULES})
+ * @returns {string[]} The non-empty groups
+ */
+function groupPhoneDigits (digits, rule) {
+    const sizes = typeof rule.groups === "function" ? rule.groups(digits) : rule.groups;
+    const parts = [];
+    let rest = digits;
+    sizes.forEach((size, i) => {
+        const take = i === sizes.length - 1 ? rest.length : size;
+        if (rest) parts.push(rest.slice(0, take));
+        rest = rest.slice(take);
+    });
+    return parts;
+}
+
+/**
+ * Parses a phone number typed in national or international form.
+ *
+ * Spaces, dots, dashes, slashes and parentheses are ignored, and a leading "00" counts as "+".
+ * International numbers ("+32 470 12 34 56") are matched to the country of their calling
+ * code, preferring `country` when several share it; a trunk prefix typed after the calling
+ * code ("+33 (0)6 …") is dropped. Other numbers are read as national numbers of `country`,
+ * with or without trunk prefix, or with the calling code but no "+" ("1 415 555 2671").
+ *
+ * The number is not validated: see {@link validatePhone}.
+ *
+ * @function parsePhone
+ * @param {string} phone - The phone number as typed
+ * @param {string} [country="FR"] - Country of national numbers, ISO 3166-1 alpha-2 code
+ * @returns {{country: (string|null), callingCode: string, nationalNumber: string, e164: string}|null}
+ *   The number split in parts, `country` being null for calling codes without a rule, or null
+ *   when the input is not a phone number (letters, empty, national number of an unknown country)
+ *
+ * @example
+ * parsePhone("06 12 34 56 78");     // { country: "FR", callingCode: "33", nationalNumber: "612345678", e164: "+33612345678" }
+ * parsePhone("0032 470 12 34 56");  // { country: "BE", callingCode: "32", nationalNumber: "470123456", e164: "+32470123456" }
+ * parsePhone("+34 612 345 678");    // { country: null, callingCode: "", nationalNumber: "34612345678", e164: "+34612345678" }
+ */
+function parsePhone (phone, country = "FR") {
+    if (typeof phone !== "string") return null;
+    const compact = phone.trim().replace(/[\s().\-/]/g, "").replace(/^00/, "+");
+    if (!/^\+?\d+$/.test(compact)) return null;
+
+    let match;
+    let nationalNumber;
+    if (compact.startsWith("+")) {
+        const digits = compact.slice(1);
+        match = findPhoneCountry(digits, country);
+        if (!match) return { country: null, callingCode: "", nationalNumber: digits, e164: compact };
+        nationalNumber = digits.slice(PHONE_RULES[match].code.length);
+    } else {
+        match = country;
+        const rule = PHONE_RULES[match];
+        if (!rule) return null;
+        nationalNumber = compact;
+        if (rule.trunk && compact.startsWith(rule.trunk)) {
+            nationalNumber = compact.slice(rule.trunk.length);
+        } else if (!rule.pattern.test(compact) && compact.startsWith(rule.code) && rule.pattern.test(compact.slice(rule.code.length))) {
+            nationalNumber = compact.slice(rule.code.length);
+        }
+    }
+
+    const { code, trunk, pattern } = PHONE_RULES[match];
+    if (trunk && nationalNumber.startsWith(trunk) && !pattern.test(nationalNumber) && pattern.test(nationalNumber.slice(trunk.length))) {
+        nationalNumber = nationalNumber.slice(trunk.length);
+    }
+    return { country: match, callingCode: code, nationalNumber, e164: `+${code}${nationalNumber}` };
+}
+
+/**
+ * Validates a phone number.
+ *
+ * The number is parsed first (see {@link parsePhone}), so national ("06 12 34 56 78") and
+ * international ("+33 6 12 34 56 78", "0033 6…") forms are both accepted, and a number of
+ * another country may be given in international form. It must then match the numbering plan
+ * of its country, e.g.:
+ * - FR: 9 digits after the "0", not starting with 0
+ * - BE: 8 digits, or 9 for mobiles (04xx)
+ * - CH: 9 digits after the "0"
+ * - LU: 6 to 8 digits, or 9 for mobiles (621, 661, 691…)
+ * - DE: 6 to 11 digits after the "0", 10 or 11 for mobiles (015x-017x)
+ * - GB: 10 digits after the "0"
+ * - US, CA: 10 digits, area code and exchange not starting with 0 or 1
+ *
+ * Other calling codes only need a plausible E.164 length.
+ *
+ * @function validatePhone
+ * @param {string} phone - The phone number as typed
+ * @param {string} [country="FR"] - Country of national numbers, ISO 3166-1 alpha-2 code
+ *
+ * @throws {ValidationError} Throws a ValidationError with code and message properties if:
+ *   - country is not supported
+ *     {code: "INVALID_COUNTRY", message: "Unsupported country", params: {country}}
+ *   - phone is not a valid number
+ *     {code: "INVALID_PHONE", message: "Invalid phone number", params: {country, example}}
+ *
+ * @returns {void} Returns nothing if validation passes
+ *
+ * @example
+ * // Valid phone numbers
+ * validatePhone("06 12 34 56 78");
+ * validatePhone("+41 78 123 45 67");
+ * validatePhone("(415) 555-2671", "US");
+ *
+ * @example
+ * // Invalid phone numbers - throw errors
+ * validatePhone("06 12 34 56");          // Too short
+ * validatePhone("00 12 34 56 78");       // Numbers do not start with 0 after the trunk prefix
+ * validatePhone("06-CALL-ME");           // Letters
+ */
+function validatePhone (phone, country = "FR") {
+    validateCountry(country);
+    const parsed = parsePhone(phone, country);
+    const valid = parsed && (parsed.country
+        ? PHONE_RULES[parsed.country].pattern.test(parsed.nationalNumber)
+        : E164_PATTERN.test(parsed.e164));
+    if (!valid) {
+        throw new ValidationError("INVALID_PHONE", "Invalid phone number", { field: "phone", params: { country, example: PHONE_RULES[country].example } });
+    }
+}
+
+/**
+ * Normalizes a phone number to E.164 ("+33612345678"), the form it is stored in.
+ * Invalid numbers are returned as given, so their error stays visible.
+ *
+ * @function normalizePhone
+ * @param {string} phone - The phone number as typed
+ * @param {string} [country="FR"] - Country of national numbers, ISO 3166-1 alpha-2 code
+ * @returns {string} The E.164 number
+ *
+ * @example
+ * normalizePhone("06 12 34 56 78");     // "+33612345678"
+ * normalizePhone("(415) 555-2671", "US"); // "+14155552671"
+ */
+function normalizePhone (phone, country = "FR") {
+    return safely(validatePhone)(phone, country).ok ? parsePhone(phone, country).e164 : phone;
+}
+
+/**
+ * Formats a phone number for display: in the national format of `country` when the number
+ * belongs to it, in international format otherwise. Values that cannot be parsed are returned
+ * as given.
+ *
+ * @function formatPhone
+ * @param {string} phone - A phone number, typically stored in E.164
+ * @param {string} [country="FR"] - Country of the reader, ISO 3166-1 alpha-2 code
+ * @returns {string} The formatted number
+ *
+ * @example
+ * formatPhone("+33612345678");        // "06 12 34 56 78"
+ * formatPhone("+33612345678", "BE");  // "+33 6 12 34 56 78"
+ * formatPhone("+14155552671", "US");  // "415-555-2671"
+ */
+function formatPhone (phone, country = "FR") {
+    const parsed = parsePhone(phone, country);
+    if (!parsed) return phone;
+    if (!parsed.country) return parsed.e164;
+    return formatPhoneAsYouType(parsed.country === country ? `${PHONE_RULES[country].trunk ?? ""}${parsed.nationalNumber}` : parsed.e164, country);
+}
+
+/**
+ * Formats a phone number while it is typed, grouping the digits the way the country writes
+ * them: "0612" becomes "06 12", "+4178" becomes "+41 78". Anything other than digits and a
+ * leading "+" is dropped; a leading "00" is turned into "+". Digits beyond the expected length
+ * are kept, so the validation can report them.
+ *
+ * @function formatPhoneAsYouType
+ * @param {string} phone - The current input value
+ * @param {string} [country="FR"] - Country of national numbers, ISO 3166-1 alpha-2 code
+ * @returns {string} The formatted value
+ *
+ * @example
+ * formatPhoneAsYouType("061234");          // "06 12 34"
+ * formatPhoneAsYouType("+3247012");        // "+32 470 12"
+ * formatPhoneAsYouType("4155552", "US");   // "415-555-2"
+ */
+function formatPhoneAsYouType (phone, country = "FR") {
+    if (typeof phone !== "string") return phone;
+    const typed = phone.trim();
+    const international = /^(\+|00)/.test(typed);
+    const digits = typed.replace(/\D/g, "").slice(typed.startsWith("00") ? 2 : 0);
+
+    if (international) {
+        const match = findPhoneCountry(digits, country);
+        if (!match) return `+${digits}`;
+        const rule = PHONE_RULES[match];
+        const parts = groupPhoneDigits(digits.slice(rule.code.length), rule);
+        return [`+${rule.code}`, parts.join(rule.separator ?? " ")].filter(Boolean).join(" ");
+    }
+
+    const rule = PHONE_RULES[country];
+    if (!rule) return digits;
+    const trunk = rule.trunk && digits.startsWith(rule.trunk) ? rule.trunk : "";
+    const parts = groupPhoneDigits(digits.slice(trunk.length), rule);
+    if (parts.length === 0) return trunk;
+    parts[0] = `${trunk}${parts[0]}`;
+    return parts.join(rule.separator ?? " ");
+}
+
+/**
+ * Non-throwing variants of the validators. Each takes the same arguments and returns
+ * `{ ok: true, error: null }` when the value is valid, or `{ ok: false, error }` with
+ * the {@link ValidationError} otherwise.
+ *
+ * @example
+ * const { ok, error } = safeValidateEmail("nope");
+ * if (!ok) console.log(error.code); // "INVALID_EMAIL"
+ */
+const safeValidateAge = safely(validateAge);
+const safeValidateCountry = safely(validateCountry);
+const safeValidatePostCode = safely(validatePostCode);
+const safeValidateIdentity = safely(validateIdentity);
+const safeValidateEmail = safely(validateEmail);
+const safeValidateTown = safely(validateTown);
+const safeValidatePhone = safely(validatePhone);
+const safeValidateStreetNumber = safely(validateStreetNumber);
+const safeValidateStreetName = safely(validateStreetName);
+const safeValidateAddressComplement = safely(validateAddressComplement);
+
 /**
  * Export all validation functions for use in other modules
  * @exports validator
  */
-export { validateAge, validatePostCode, validateIdentity, validateEmail, validateTown }
+export {
+    POSTAL_CODE_RULES,
+    COUNTRIES,
+    validateAge,
+    validateCountry,
+    normalizePostCode,
+    validatePostCode,
+    normalizeName,
+    formatLastName,
+    formatFirstName,
+    validateIdentity,
+    parseEmail,
+    validateEmail,
+    validateTown,
+    MAX_ADDRESS_LINE_LENGTH,
+    validateStreetNumber,
+    validateStreetName,
+    validateAddressComplement,
+    PHONE_RULES,
+    parsePhone,
+    validatePhone,
+    normalizePhone,
+    formatPhone,
+    formatPhoneAsYouType,
+    safeValidateAge,
+    safeValidateCountry,
+    safeValidatePostCode,
+    safeValidateIdentity,
+    safeValidateEmail,
+    safeValidateTown,
+    safeValidatePhone,
+    safeValidateStreetNumber,
+    safeValidateStreetName,
+    safeValidateAddressComplement,
+}
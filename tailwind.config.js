@@ -4,8 +4,25 @@ export default {
     "./index.html",
     "./src/**/*.{js,jsx}"
   ],
+  // Dark mode follows the system setting; the color tokens below switch with it (see src/index.css)
+  darkMode: 'media',
   theme: {
-    extend: {},
+    extend: {
+      // Theme tokens: the values are CSS variables so one class works in light and dark mode
+      colors: {
+        surface: 'rgb(var(--color-surface) / <alpha-value>)',
+        ink: 'rgb(var(--color-ink) / <alpha-value>)',
+        muted: 'rgb(var(--color-muted) / <alpha-value>)',
+        line: 'rgb(var(--color-line) / <alpha-value>)',
+        primary: {
+          DEFAULT: 'rgb(var(--color-primary) / <alpha-value>)',
+          hover: 'rgb(var(--color-primary-hover) / <alpha-value>)',
+          contrast: 'rgb(var(--color-primary-contrast) / <alpha-value>)',
+        },
+        danger: 'rgb(var(--color-danger) / <alpha-value>)',
+        disabled: 'rgb(var(--color-disabled) / <alpha-value>)',
+      },
+    },
   },
   plugins: [],
 }
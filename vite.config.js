@@ -3,6 +3,17 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
     plugins: [react()],
+    build: {
+        // The post code base alone is about 500 kB (210 kB gzipped)
+        chunkSizeWarningLimit: 600,
+        rollupOptions: {
+            output: {
+                // The post code base changes once a year, the application more often: a chunk of
+                // its own stays cached across releases
+                manualChunks: (id) => (id.includes("/src/data/communes.js") ? "communes" : undefined),
+            },
+        },
+    },
     test: {
         globals: true,
         environment: 'jsdom',